@@ -2,6 +2,8 @@ import dotenv from 'dotenv';
 import connectDB from './src/config/db.js';
 import app from './src/app.js';
 import cloudinary from './src/config/cloudinary.js'; // Import Cloudinary
+import { startEtimsWorker } from './src/services/etimsService.js';
+import { startExpiryAlertWorker } from './src/services/expiryService.js';
 
 // Load environment variables
 dotenv.config();
@@ -19,6 +21,12 @@ console.log('🔍 Cloudinary Configuration Status:', {
 
 // Connect DB
 connectDB();
+
+// Retry queued KRA eTIMS invoices
+startEtimsWorker();
+
+// Email owners about stock coming up to expiry
+startExpiryAlertWorker();
   
 // Start server
 app.listen(PORT, () => {
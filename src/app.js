@@ -10,6 +10,10 @@ import inventoryRoutes from './routes/inventory.js';
 import staffRoutes from './routes/staff.js'; 
 import posRoutes from './routes/pos.js';
 import dashboard from './routes/dashboard.js';
+import paymentRoutes from './routes/payments.js';
+import customerRoutes from './routes/customers.js';
+import prescriptionRoutes from './routes/prescriptions.js';
+import syncRoutes from './routes/sync.js';
 
 const app = express(); 
 
@@ -21,7 +25,8 @@ app.use(cors({
   origin: 'http://localhost:3000',
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'], // Add PATCH
-  allowedHeaders: ['Content-Type', 'Authorization']
+  allowedHeaders: ['Content-Type', 'Authorization', 'Idempotency-Key'],
+  exposedHeaders: ['Idempotent-Replayed']
 }));
 
  
@@ -37,5 +42,9 @@ app.use('/api/pos', posRoutes);
 app.use('/api/public/applications', applicationRoutes);
 app.use('/api/applications/superadmin', superAdmin);
 app.use('/api/dashboard', dashboard);
+app.use('/api/payments', paymentRoutes);
+app.use('/api/customers', customerRoutes);
+app.use('/api/prescriptions', prescriptionRoutes);
+app.use('/api/sync', syncRoutes);
 
 export default app;
\ No newline at end of file
@@ -1,9 +1,12 @@
 import mongoose from 'mongoose';
+import { dropObsoleteIndexes } from './indexMigrations.js';
 
 const connectDB = async () => {
   try {
     const conn = await mongoose.connect(process.env.MONGO_URI);
     console.log(`MongoDB Connected`);
+
+    await dropObsoleteIndexes();
   } catch (error) {
     console.error(`Error: ${error.message}`);
     process.exit(1);
@@ -0,0 +1,43 @@
+// src/config/indexMigrations.js
+// Mongoose builds the indexes a schema declares but never drops the ones it stops declaring.
+// Indexes listed here were replaced, and left in place they would keep rejecting valid writes.
+import Sale from '../models/Sale.js';
+import EtimsInvoice from '../models/EtimsInvoice.js';
+
+// MongoDB error codes for an index or collection that is not there
+const NAMESPACE_NOT_FOUND = 26;
+const INDEX_NOT_FOUND = 27;
+
+export const OBSOLETE_INDEXES = [
+  // Receipt numbers are unique per pharmacy now, so every pharmacy can issue RCT-000001
+  { model: Sale, name: 'receiptNumber_1' },
+  // A sale now has credit notes alongside its invoice
+  { model: EtimsInvoice, name: 'sale_1' }
+];
+
+/**
+ * Drop replaced indexes on startup - safe to run on every boot
+ * @returns {Array} names of the indexes that were dropped
+ */
+export const dropObsoleteIndexes = async (indexes = OBSOLETE_INDEXES) => {
+  const dropped = [];
+
+  for (const { model, name } of indexes) {
+    try {
+      await model.collection.dropIndex(name);
+      dropped.push(`${model.collection.collectionName}.${name}`);
+    } catch (error) {
+      // Already dropped, or a fresh database without the collection
+      if (![NAMESPACE_NOT_FOUND, INDEX_NOT_FOUND].includes(error.code)) {
+        console.error(`Failed to drop obsolete index ${name}:`, error.message);
+      }
+    }
+  }
+
+  if (dropped.length > 0) {
+    console.log('Dropped obsolete indexes:', dropped.join(', '));
+  }
+  return dropped;
+};
+
+export default dropObsoleteIndexes;
@@ -68,13 +68,23 @@ export const DEFAULT_TENANT_SETTINGS = {
   
   // Business settings
   taxRate: 16, // VAT in Kenya
+  pricesIncludeTax: true, // shelf prices are VAT-inclusive
   lowStockAlert: 10,
   expiryAlert: 30, // days
+  voidWindowMinutes: 15, // staff can void without owner approval inside this window
+  maxDiscountPercent: 10, // cap for attendants with 'limited' discounts permission
+  heldSaleExpiryMinutes: 120, // parked baskets are cancelled after this long
+  costingMethod: 'weighted_average', // how received stock updates cost per pack
   
   // Receipt settings
   receiptHeader: '',
   receiptFooter: 'Thank you for your business!',
+  printStoredLogo: false, // logo preloaded into the thermal printer's NV memory
   showTaxOnReceipt: true,
+  receiptNumberFormat: 'RCT-{SEQ:6}', // {SEQ:n}, {FY}, {YYYY}, {BRANCH}
+  receiptNumberReset: 'never', // or 'fiscal_year'
+  receiptNumberPerBranch: false,
+  fiscalYearStartMonth: 1, // January
   
   // Branding
   theme: 'light',
@@ -6,6 +6,7 @@ import {
 } from '../../utils/generateToken.js';
 import { validationResult } from 'express-validator';
 import StaffActivity from '../../models/StaffActivity.js';
+import Shift from '../../models/Shift.js';
 import jwt from 'jsonwebtoken';
 /** 
  * Register Super Admin (First time setup only)
@@ -178,10 +179,13 @@ export const login = async (req, res) => {
     // Record login in StaffActivity ONLY if attendant
     if (user.role === 'attendant') {
   try {
+    // Link to the attendant's open till, if they logged back in mid-shift
+    const shift = await Shift.findOpenShift(user.tenantId, user._id);
     await StaffActivity.create({
       staff: user._id,
       tenantId: user.tenantId, // <-- use tenantId, not tenant
       action: 'login',
+      shift: shift?._id,
       deviceInfo
     });
   } catch (err) {
@@ -353,6 +357,22 @@ export const logout = async (req, res) => {
           user.removeRefreshToken(refreshToken);
           await user.save();
           console.log('Refresh token removed from user');
+
+          // Record logout in StaffActivity ONLY if attendant
+          if (user.role === 'attendant') {
+            const shift = await Shift.findOpenShift(user.tenantId, user._id);
+            await StaffActivity.create({
+              staff: user._id,
+              tenantId: user.tenantId,
+              action: 'logout',
+              shift: shift?._id,
+              deviceInfo: {
+                userAgent: req.get('User-Agent'),
+                ip: req.ip,
+                location: req.get('CF-IPCountry') || 'Unknown'
+              }
+            });
+          }
         }
       } catch (error) {
         console.error('Error removing refresh token:', error);
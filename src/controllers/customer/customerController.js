@@ -0,0 +1,294 @@
+// src/controllers/customer/customerController.js
+import mongoose from 'mongoose';
+import Customer from '../../models/Customer.js';
+import Sale from '../../models/Sale.js';
+
+const CUSTOMER_FIELDS = [
+  'name', 'phone', 'email', 'dateOfBirth', 'gender',
+  'allergies', 'chronicConditions', 'insurance', 'notes', 'status'
+];
+
+// Helper: Copy the editable fields from the request body
+const pickCustomerFields = (body) => {
+  const fields = {};
+  CUSTOMER_FIELDS.forEach(field => {
+    if (body[field] !== undefined) fields[field] = body[field];
+  });
+  return fields;
+};
+
+// Helper: 07XXXXXXXX form used for storage and lookups
+const normalizePhone = (phone) =>
+  String(phone).trim().replace(/^\+254/, '0').replace(/^([17])/, '0$1');
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Helper: Lifetime purchases and last visit for a customer
+const getPurchaseSummary = async (pharmacyId, customerId) => {
+  const match = {
+    pharmacy: new mongoose.Types.ObjectId(pharmacyId),
+    customer: new mongoose.Types.ObjectId(customerId),
+    status: { $in: ['completed', 'refunded'] }
+  };
+
+  const [totals] = await Sale.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: null,
+        visitCount: { $sum: 1 },
+        totalSpent: { $sum: '$totalAmount' },
+        totalRefunded: { $sum: { $ifNull: ['$refundedAmount', 0] } },
+        averageBasket: { $avg: '$totalAmount' },
+        firstVisitAt: { $min: '$createdAt' },
+        lastVisitAt: { $max: '$createdAt' }
+      }
+    }
+  ]);
+
+  const topProducts = await Sale.aggregate([
+    { $match: match },
+    { $unwind: '$items' },
+    {
+      $group: {
+        _id: '$items.product',
+        productName: { $first: '$items.productName' },
+        totalQuantity: { $sum: '$items.quantity' },
+        totalSpent: { $sum: '$items.total' },
+        timesBought: { $sum: 1 },
+        lastBoughtAt: { $max: '$createdAt' }
+      }
+    },
+    { $sort: { timesBought: -1, totalSpent: -1 } },
+    { $limit: 10 }
+  ]);
+
+  const lastSale = await Sale.findOne(match)
+    .sort({ createdAt: -1 })
+    .select('receiptNumber totalAmount items.productName items.quantity createdAt')
+    .populate('attendant', 'firstName lastName');
+
+  return {
+    visitCount: totals?.visitCount || 0,
+    totalSpent: Math.round((totals?.totalSpent || 0) * 100) / 100,
+    totalRefunded: Math.round((totals?.totalRefunded || 0) * 100) / 100,
+    averageBasket: Math.round((totals?.averageBasket || 0) * 100) / 100,
+    firstVisitAt: totals?.firstVisitAt || null,
+    lastVisitAt: totals?.lastVisitAt || null,
+    lastSale,
+    topProducts
+  };
+};
+
+// POST /api/customers - Register a customer
+export const createCustomer = async (req, res) => {
+  try {
+    const fields = pickCustomerFields(req.body);
+
+    if (!fields.name) {
+      return res.status(400).json({ success: false, message: 'Customer name is required' });
+    }
+
+    const customer = await Customer.create({
+      ...fields,
+      pharmacy: req.user.tenantId,
+      createdBy: req.user.id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Customer created successfully',
+      data: customer
+    });
+
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({ success: false, message: 'A customer with this phone number already exists' });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ success: false, message: 'Validation error', error: error.message });
+    }
+    res.status(500).json({ success: false, message: 'Failed to create customer', error: error.message });
+  }
+};
+
+// GET /api/customers - Search customers by name, phone or insurance member number
+export const getCustomers = async (req, res) => {
+  try {
+    const { page = 1, limit = 20, search, status = 'active' } = req.query;
+    const skip = (page - 1) * limit;
+
+    const filter = { pharmacy: req.user.tenantId };
+    if (status !== 'all') filter.status = status;
+
+    if (search) {
+      const pattern = new RegExp(escapeRegex(search.trim()), 'i');
+      filter.$or = [
+        { name: pattern },
+        { phone: new RegExp(escapeRegex(normalizePhone(search))) },
+        { 'insurance.memberNumber': pattern }
+      ];
+    }
+
+    const customers = await Customer.find(filter)
+      .sort({ name: 1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await Customer.countDocuments(filter);
+
+    res.json({
+      success: true,
+      data: customers,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Failed to fetch customers', error: error.message });
+  }
+};
+
+// GET /api/customers/:id - Profile with lifetime purchases and last visit
+export const getCustomer = async (req, res) => {
+  try {
+    const customer = await Customer.findOne({
+      _id: req.params.id,
+      pharmacy: req.user.tenantId
+    });
+
+    if (!customer) {
+      return res.status(404).json({ success: false, message: 'Customer not found' });
+    }
+
+    const purchases = await getPurchaseSummary(req.user.tenantId, customer._id);
+
+    res.json({
+      success: true,
+      data: { customer, purchases }
+    });
+
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Failed to fetch customer', error: error.message });
+  }
+};
+
+// GET /api/customers/:id/sales - Purchase history
+export const getCustomerSales = async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+    const skip = (page - 1) * limit;
+
+    const customer = await Customer.findOne({
+      _id: req.params.id,
+      pharmacy: req.user.tenantId
+    }).select('_id');
+
+    if (!customer) {
+      return res.status(404).json({ success: false, message: 'Customer not found' });
+    }
+
+    const filter = {
+      pharmacy: req.user.tenantId,
+      customer: customer._id,
+      status: { $in: ['completed', 'refunded', 'cancelled'] }
+    };
+
+    const sales = await Sale.find(filter)
+      .select('receiptNumber status items totalAmount refundedAmount payments createdAt')
+      .populate('attendant', 'firstName lastName')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await Sale.countDocuments(filter);
+
+    res.json({
+      success: true,
+      data: sales,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Failed to fetch customer sales', error: error.message });
+  }
+};
+
+// PUT /api/customers/:id - Update a customer
+export const updateCustomer = async (req, res) => {
+  try {
+    const customer = await Customer.findOne({
+      _id: req.params.id,
+      pharmacy: req.user.tenantId
+    });
+
+    if (!customer) {
+      return res.status(404).json({ success: false, message: 'Customer not found' });
+    }
+
+    customer.set(pickCustomerFields(req.body));
+    customer.lastModifiedBy = req.user.id;
+    await customer.save();
+
+    res.json({
+      success: true,
+      message: 'Customer updated successfully',
+      data: customer
+    });
+
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({ success: false, message: 'A customer with this phone number already exists' });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ success: false, message: 'Validation error', error: error.message });
+    }
+    res.status(500).json({ success: false, message: 'Failed to update customer', error: error.message });
+  }
+};
+
+// DELETE /api/customers/:id - Delete, or deactivate if they have purchase history
+export const deleteCustomer = async (req, res) => {
+  try {
+    const customer = await Customer.findOne({
+      _id: req.params.id,
+      pharmacy: req.user.tenantId
+    });
+
+    if (!customer) {
+      return res.status(404).json({ success: false, message: 'Customer not found' });
+    }
+
+    const hasSales = await Sale.exists({ pharmacy: req.user.tenantId, customer: customer._id });
+
+    if (hasSales) {
+      customer.status = 'inactive';
+      customer.lastModifiedBy = req.user.id;
+      await customer.save();
+
+      return res.json({
+        success: true,
+        message: 'Customer has purchase history and was deactivated instead of deleted'
+      });
+    }
+
+    await customer.deleteOne();
+
+    res.json({
+      success: true,
+      message: 'Customer deleted successfully'
+    });
+
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Failed to delete customer', error: error.message });
+  }
+};
@@ -0,0 +1,245 @@
+// src/controllers/inventory/controlledRegisterController.js
+import mongoose from 'mongoose';
+import ControlledDrugEntry from '../../models/ControlledDrugEntry.js';
+import Product from '../../models/Product.js';
+import Pharmacy from '../../models/Pharmacy.js';
+import { appendRegisterEntry } from '../../services/controlledRegisterService.js';
+
+const CSV_COLUMNS = [
+  ['Entry No', entry => entry.entryNumber],
+  ['Date', entry => entry.createdAt.toISOString()],
+  ['Product', entry => entry.productName],
+  ['Type', entry => entry.type],
+  ['Received', entry => (entry.quantity > 0 ? entry.quantity : '')],
+  ['Issued', entry => (entry.quantity < 0 ? -entry.quantity : '')],
+  ['Balance', entry => entry.balance],
+  ['Reference', entry => entry.source?.reference],
+  ['Patient', entry => entry.patient?.name],
+  ['Prescriber', entry => entry.prescriber?.name],
+  ['Prescriber Reg No', entry => entry.prescriber?.registrationNumber],
+  ['Witness', entry => entry.witness?.name],
+  ['Recorded By', entry => (entry.recordedBy?.firstName
+    ? `${entry.recordedBy.firstName} ${entry.recordedBy.lastName || ''}`.trim()
+    : entry.recordedBy)],
+  ['Corrects Entry', entry => entry.corrects?.entryNumber],
+  ['Notes', entry => entry.notes]
+];
+
+const csvCell = (value) => {
+  if (value === undefined || value === null) return '';
+  const text = String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Helper: Register filter for the query string (product, date range, type)
+const buildRegisterFilter = (req) => {
+  const { productId, startDate, endDate, type } = req.query;
+  const filter = { pharmacy: req.user.tenantId };
+
+  if (productId) filter.product = productId;
+  if (type) filter.type = type;
+  if (startDate || endDate) {
+    filter.createdAt = {};
+    if (startDate) filter.createdAt.$gte = new Date(startDate);
+    if (endDate) filter.createdAt.$lte = new Date(endDate);
+  }
+  return filter;
+};
+
+// GET /api/inventory/controlled-register - Register entries, newest first
+export const getControlledRegister = async (req, res) => {
+  try {
+    const { page = 1, limit = 50 } = req.query;
+    const skip = (page - 1) * limit;
+    const filter = buildRegisterFilter(req);
+
+    const entries = await ControlledDrugEntry.find(filter)
+      .populate('recordedBy', 'firstName lastName')
+      .populate('corrects', 'entryNumber type quantity')
+      .sort({ createdAt: -1, entryNumber: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await ControlledDrugEntry.countDocuments(filter);
+
+    res.json({
+      success: true,
+      data: entries,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Failed to fetch controlled drugs register', error: error.message });
+  }
+};
+
+// GET /api/inventory/controlled-register/export - Register per product for a date range (?format=csv|json)
+export const exportControlledRegister = async (req, res) => {
+  try {
+    const { productId, startDate, format = 'csv' } = req.query;
+
+    if (!['csv', 'json'].includes(format)) {
+      return res.status(400).json({ success: false, message: 'Invalid format. Use: csv, json' });
+    }
+
+    const productFilter = { pharmacy: req.user.tenantId, drugType: 'Controlled' };
+    if (productId) productFilter._id = productId;
+    const products = await Product.find(productFilter).select('name sku unitType').sort({ name: 1 });
+
+    if (productId && products.length === 0) {
+      return res.status(404).json({ success: false, message: 'Controlled product not found' });
+    }
+
+    const pages = [];
+    for (const product of products) {
+      // Balance brought forward from before the period
+      const broughtForward = startDate
+        ? await ControlledDrugEntry.findOne({
+            pharmacy: req.user.tenantId,
+            product: product._id,
+            createdAt: { $lt: new Date(startDate) }
+          }).sort({ entryNumber: -1 }).select('balance')
+        : null;
+
+      const entries = await ControlledDrugEntry.find({
+        ...buildRegisterFilter(req),
+        product: product._id
+      })
+        .populate('recordedBy', 'firstName lastName')
+        .populate('corrects', 'entryNumber')
+        .sort({ entryNumber: 1 });
+
+      const openingBalance = broughtForward?.balance || 0;
+      pages.push({
+        product: { _id: product._id, name: product.name, sku: product.sku, unitType: product.unitType },
+        openingBalance,
+        received: entries.filter(e => e.quantity > 0).reduce((sum, e) => sum + e.quantity, 0),
+        issued: entries.filter(e => e.quantity < 0).reduce((sum, e) => sum - e.quantity, 0),
+        closingBalance: entries.length > 0 ? entries[entries.length - 1].balance : openingBalance,
+        entries
+      });
+    }
+
+    if (format === 'json') {
+      const pharmacy = await Pharmacy.findById(req.user.tenantId).select('name address contact');
+      return res.json({
+        success: true,
+        data: {
+          pharmacy,
+          period: { startDate: startDate || null, endDate: req.query.endDate || null },
+          generatedAt: new Date(),
+          products: pages
+        }
+      });
+    }
+
+    const lines = [CSV_COLUMNS.map(([header]) => header).join(',')];
+    pages.forEach(page => {
+      lines.push(['', startDate || '', page.product.name, 'balance_brought_forward', '', '', page.openingBalance]
+        .map(csvCell).join(','));
+      page.entries.forEach(entry => {
+        lines.push(CSV_COLUMNS.map(([, value]) => csvCell(value(entry))).join(','));
+      });
+    });
+
+    const fileName = `dda-register-${new Date().toISOString().slice(0, 10)}.csv`;
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+    res.send(lines.join('\n'));
+
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Failed to export controlled drugs register', error: error.message });
+  }
+};
+
+// POST /api/inventory/controlled-register/:id/correct - Reverse an entry, optionally re-recording it correctly
+export const correctRegisterEntry = async (req, res) => {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const { reason, quantity, patient, prescriber, witness } = req.body;
+
+    if (!reason || !reason.trim()) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(400).json({ success: false, message: 'A reason is required for register corrections' });
+    }
+
+    const original = await ControlledDrugEntry.findOne({
+      _id: req.params.id,
+      pharmacy: req.user.tenantId
+    }).session(session);
+
+    if (!original) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(404).json({ success: false, message: 'Register entry not found' });
+    }
+
+    if (original.type === 'correction') {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(400).json({ success: false, message: 'Corrections cannot themselves be corrected. Correct the original entry' });
+    }
+
+    const alreadyCorrected = await ControlledDrugEntry.exists({ corrects: original._id }).session(session);
+    if (alreadyCorrected) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(409).json({ success: false, message: 'This entry has already been corrected' });
+    }
+
+    const base = {
+      pharmacy: original.pharmacy,
+      product: original.product,
+      productName: original.productName,
+      type: 'correction',
+      corrects: original._id,
+      source: original.source,
+      recordedBy: req.user.id
+    };
+
+    // Counter-entry cancelling the original
+    const counterEntry = await appendRegisterEntry({
+      ...base,
+      quantity: -original.quantity,
+      notes: `Reverses entry ${original.entryNumber}: ${reason.trim()}`
+    }, { session });
+
+    // Re-record it with the right figures or details, if any were given
+    let replacement = null;
+    if (quantity !== undefined || patient || prescriber || witness) {
+      replacement = await appendRegisterEntry({
+        ...base,
+        quantity: quantity !== undefined ? Number(quantity) : original.quantity,
+        patient: patient || original.patient,
+        prescriber: prescriber || original.prescriber,
+        witness: witness || original.witness,
+        notes: `Replaces entry ${original.entryNumber}: ${reason.trim()}`
+      }, { session });
+    }
+
+    await session.commitTransaction();
+    session.endSession();
+
+    res.status(201).json({
+      success: true,
+      message: 'Register entry corrected',
+      data: { counterEntry, replacement }
+    });
+
+  } catch (error) {
+    await session.abortTransaction();
+    session.endSession();
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ success: false, message: 'Validation error', error: error.message });
+    }
+    res.status(500).json({ success: false, message: 'Failed to correct register entry', error: error.message });
+  }
+};
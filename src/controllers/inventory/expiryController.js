@@ -0,0 +1,212 @@
+// src/controllers/inventory/expiryController.js
+import mongoose from 'mongoose';
+import Product from '../../models/Product.js';
+import Pharmacy from '../../models/Pharmacy.js';
+import InventoryLog from '../../models/InventoryLog.js';
+import StockWriteOff from '../../models/StockWriteOff.js';
+import { DEFAULT_TENANT_SETTINGS } from '../../config/tenantConfig.js';
+import { buildExpiryReport } from '../../services/expiryService.js';
+import { deductStockUnits, stockSnapshot } from '../../utils/stockUtils.js';
+import { roundMoney } from '../../utils/moneyUtils.js';
+
+// GET /api/inventory/expiry-report - Stock expired or expiring within 30/60/90 days, valued at cost
+export const getExpiryReport = async (req, res) => {
+  try {
+    const pharmacy = await Pharmacy.findById(req.user.tenantId).select('settings.expiryAlert');
+    const report = await buildExpiryReport(req.user.tenantId);
+
+    res.json({
+      success: true,
+      data: {
+        ...report,
+        alertDays: pharmacy?.settings?.expiryAlert ?? DEFAULT_TENANT_SETTINGS.expiryAlert,
+        generatedAt: new Date()
+      }
+    });
+
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to build expiry report',
+      error: error.message
+    });
+  }
+};
+
+// POST /api/inventory/expiry/write-off - Remove expired lots of a product and record the loss
+export const writeOffExpiredStock = async (req, res) => {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const { productId, batchIds, notes } = req.body;
+
+    const product = await Product.findOne({
+      _id: productId,
+      pharmacy: req.user.tenantId
+    }).session(session);
+
+    if (!product) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(404).json({ success: false, message: 'Product not found' });
+    }
+
+    // Older stock gets a lot of its own first, so it can be written off too
+    product.ensureBatches();
+
+    const now = new Date();
+    const wanted = Array.isArray(batchIds) && batchIds.length > 0 ? batchIds.map(String) : null;
+    const lots = product.batches.filter(batch =>
+      batch.quantity > 0 &&
+      batch.expiryDate && batch.expiryDate <= now &&
+      (!wanted || wanted.includes(batch._id.toString())));
+
+    if (lots.length === 0) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(400).json({
+        success: false,
+        message: wanted
+          ? 'None of the selected batches are expired with stock left'
+          : `${product.name} has no expired stock to write off`
+      });
+    }
+
+    const previousStock = stockSnapshot(product);
+    const unitsPerPack = product.pricing?.unitsPerPack || 1;
+
+    const writtenOff = lots.map(batch => {
+      const costPerUnit = batch.costPerUnit ?? (product.pricing?.costPerPack || 0) / unitsPerPack;
+      const entry = {
+        batch: batch._id,
+        batchNumber: batch.batchNumber,
+        expiryDate: batch.expiryDate,
+        quantity: batch.quantity,
+        costPerUnit,
+        costValue: roundMoney(batch.quantity * costPerUnit)
+      };
+      batch.quantity = 0;
+      return entry;
+    });
+
+    const quantity = writtenOff.reduce((sum, entry) => sum + entry.quantity, 0);
+    const lossValue = roundMoney(writtenOff.reduce((sum, entry) => sum + entry.costValue, 0));
+
+    product.syncBatchSummary();
+    product.lastModifiedBy = req.user.id;
+    await deductStockUnits(product, quantity, session);
+
+    const writeOffId = new mongoose.Types.ObjectId();
+
+    const [log] = await InventoryLog.create([{
+      product: product._id,
+      pharmacy: req.user.tenantId,
+      action: 'write_off',
+      performedBy: req.user.id,
+      details: {
+        quantity,
+        reason: 'expired',
+        notes,
+        batches: writtenOff,
+        lossValue,
+        writeOffId,
+        previousStock,
+        newStock: stockSnapshot(product)
+      }
+    }], { session });
+
+    const [writeOff] = await StockWriteOff.create([{
+      _id: writeOffId,
+      pharmacy: req.user.tenantId,
+      product: product._id,
+      productName: product.name,
+      reason: 'expired',
+      batches: writtenOff,
+      quantity,
+      lossValue,
+      notes,
+      inventoryLog: log._id,
+      writtenOffBy: req.user.id
+    }], { session });
+
+    await session.commitTransaction();
+    session.endSession();
+
+    res.status(201).json({
+      success: true,
+      message: `Wrote off ${quantity} expired unit(s) of ${product.name}`,
+      data: {
+        writeOff,
+        product: {
+          id: product._id,
+          name: product.name,
+          stock: product.stock
+        }
+      }
+    });
+
+  } catch (error) {
+    await session.abortTransaction();
+    session.endSession();
+    res.status(500).json({
+      success: false,
+      message: 'Failed to write off expired stock',
+      error: error.message
+    });
+  }
+};
+
+// GET /api/inventory/write-offs - Write-offs with the total loss for the period
+export const getWriteOffs = async (req, res) => {
+  try {
+    const { page = 1, limit = 20, productId, startDate, endDate } = req.query;
+    const skip = (page - 1) * limit;
+
+    const filter = { pharmacy: req.user.tenantId };
+    if (productId) filter.product = productId;
+    if (startDate || endDate) {
+      filter.createdAt = {};
+      if (startDate) filter.createdAt.$gte = new Date(startDate);
+      if (endDate) filter.createdAt.$lte = new Date(endDate);
+    }
+
+    const writeOffs = await StockWriteOff.find(filter)
+      .populate('writtenOffBy', 'firstName lastName')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    // Aggregation does not cast ids
+    const match = { ...filter, pharmacy: new mongoose.Types.ObjectId(req.user.tenantId) };
+    if (productId) match.product = new mongoose.Types.ObjectId(productId);
+
+    const [totals] = await StockWriteOff.aggregate([
+      { $match: match },
+      { $group: { _id: null, count: { $sum: 1 }, units: { $sum: '$quantity' }, lossValue: { $sum: '$lossValue' } } }
+    ]);
+
+    res.json({
+      success: true,
+      data: writeOffs,
+      summary: {
+        count: totals?.count || 0,
+        units: totals?.units || 0,
+        lossValue: roundMoney(totals?.lossValue || 0)
+      },
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total: totals?.count || 0,
+        pages: Math.ceil((totals?.count || 0) / limit)
+      }
+    });
+
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch write-offs',
+      error: error.message
+    });
+  }
+};
@@ -0,0 +1,333 @@
+// src/controllers/inventory/goodsReceivedController.js
+import mongoose from 'mongoose';
+import GoodsReceivedNote, { COSTING_METHODS } from '../../models/GoodsReceivedNote.js';
+import PurchaseOrder from '../../models/PurchaseOrder.js';
+import Supplier from '../../models/Supplier.js';
+import Product from '../../models/Product.js';
+import Pharmacy from '../../models/Pharmacy.js';
+import InventoryLog from '../../models/InventoryLog.js';
+import { DEFAULT_TENANT_SETTINGS } from '../../config/tenantConfig.js';
+import { receiveStock, stockSnapshot } from '../../utils/stockUtils.js';
+import { roundMoney } from '../../utils/moneyUtils.js';
+
+/**
+ * Cost per pack after a delivery
+ * weighted_average: stock on hand at the current cost plus the invoice value, spread over all units (bonus units are free)
+ * last_cost: the invoice cost per pack
+ */
+export const calculateCostPerPack = (method, { currentCostPerPack, unitsOnHand, unitsPerPack, receivedUnits, invoiceValue, invoiceCostPerPack }) => {
+  if (method === 'last_cost') return invoiceCostPerPack;
+
+  const onHand = Math.max(0, unitsOnHand);
+  const totalUnits = onHand + receivedUnits;
+  if (totalUnits === 0) return currentCostPerPack;
+
+  const onHandValue = onHand * (currentCostPerPack / unitsPerPack);
+  return roundMoney(((onHandValue + invoiceValue) / totalUnits) * unitsPerPack);
+};
+
+// POST /api/inventory/grns - Receive a delivery, optionally against a purchase order
+export const receiveGoods = async (req, res) => {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  const fail = async (status, message, extra = {}) => {
+    await session.abortTransaction();
+    session.endSession();
+    return res.status(status).json({ success: false, message, ...extra });
+  };
+
+  try {
+    const { purchaseOrderId, supplierId, invoiceNumber, invoiceDate, notes, items: lines } = req.body;
+
+    if (!Array.isArray(lines) || lines.length === 0) {
+      return fail(400, 'At least one item is required');
+    }
+
+    const pharmacy = await Pharmacy.findById(req.user.tenantId).select('settings.costingMethod').session(session);
+    const costingMethod = req.body.costingMethod ||
+      pharmacy?.settings?.costingMethod || DEFAULT_TENANT_SETTINGS.costingMethod;
+    if (!COSTING_METHODS.includes(costingMethod)) {
+      return fail(400, `Costing method must be one of: ${COSTING_METHODS.join(', ')}`);
+    }
+
+    let order = null;
+    if (purchaseOrderId) {
+      order = await PurchaseOrder.findOne({ _id: purchaseOrderId, pharmacy: req.user.tenantId }).session(session);
+      if (!order) {
+        return fail(404, 'Purchase order not found');
+      }
+      if (!['sent', 'partially_received'].includes(order.status)) {
+        return fail(400, `Cannot receive against a purchase order that is ${order.status.replace('_', ' ')}`);
+      }
+    }
+
+    const supplierRef = supplierId || order?.supplier;
+    let supplier = null;
+    if (supplierRef) {
+      supplier = await Supplier.findOne({ _id: supplierRef, pharmacy: req.user.tenantId }).session(session);
+      if (!supplier) {
+        return fail(404, 'Supplier not found');
+      }
+    }
+
+    const productIds = [...new Set(lines.map(line => String(line.productId)))];
+    const products = await Product.find({ _id: { $in: productIds }, pharmacy: req.user.tenantId }).session(session);
+    const byId = new Map(products.map(product => [product._id.toString(), product]));
+
+    const now = new Date();
+    const receipts = [];
+
+    // Validate every line before any stock moves
+    for (const line of lines) {
+      const product = byId.get(String(line.productId));
+      if (!product) {
+        return fail(404, `Product ${line.productId} not found`);
+      }
+
+      const packs = Number(line.packs || 0);
+      const bonusUnits = Number(line.bonusUnits || 0);
+      if (!Number.isInteger(packs) || packs < 0 || !Number.isInteger(bonusUnits) || bonusUnits < 0) {
+        return fail(400, `Packs and bonus units must be whole numbers for ${product.name}`);
+      }
+      if (packs === 0 && bonusUnits === 0) {
+        return fail(400, `Nothing received for ${product.name}`);
+      }
+
+      if (line.expiryDate && new Date(line.expiryDate) <= now) {
+        return fail(400, `Cannot receive an expired batch of ${product.name}`);
+      }
+
+      // Match the purchase order line by id, else by product
+      let orderItem = null;
+      if (order) {
+        orderItem = line.purchaseOrderItemId
+          ? order.items.id(line.purchaseOrderItemId)
+          : order.items.find(item => item.product.equals(product._id));
+        if (line.purchaseOrderItemId && !orderItem) {
+          return fail(400, `Purchase order line ${line.purchaseOrderItemId} not found`);
+        }
+      }
+
+      const costPerPack = line.costPerPack !== undefined ? Number(line.costPerPack) : orderItem?.costPerPack;
+      if (!(costPerPack >= 0)) {
+        return fail(400, `Invoice cost per pack is required for ${product.name}`);
+      }
+
+      receipts.push({ line, product, orderItem, packs, bonusUnits, costPerPack });
+    }
+
+    // Every line is logged as it is received, so the log sees the shelf it moved
+    const grnId = new mongoose.Types.ObjectId();
+    const grnNumber = await GoodsReceivedNote.nextGrnNumber(req.user.tenantId, session);
+    const grnItems = [];
+    const belowCost = [];
+
+    for (const { line, product, orderItem, packs, bonusUnits, costPerPack } of receipts) {
+      const unitsPerPack = product.pricing?.unitsPerPack || 1;
+      const receivedUnits = packs * unitsPerPack + bonusUnits;
+      const previousStock = stockSnapshot(product);
+      const previousCostPerPack = product.pricing.costPerPack;
+
+      const newCostPerPack = calculateCostPerPack(costingMethod, {
+        currentCostPerPack: previousCostPerPack,
+        unitsOnHand: product.stock.totalUnits,
+        unitsPerPack,
+        receivedUnits,
+        invoiceValue: packs * costPerPack,
+        invoiceCostPerPack: costPerPack
+      });
+
+      if (line.sellingPricePerPack !== undefined) {
+        product.pricing.sellingPricePerPack = Number(line.sellingPricePerPack);
+      }
+      if (newCostPerPack > product.pricing.sellingPricePerPack) {
+        belowCost.push({
+          productId: product._id,
+          productName: product.name,
+          costPerPack: newCostPerPack,
+          sellingPricePerPack: product.pricing.sellingPricePerPack
+        });
+        continue;
+      }
+
+      product.pricing.costPerPack = newCostPerPack;
+      product.lastModifiedBy = req.user.id;
+
+      // The lot keeps what this delivery actually cost per unit, bonus units included
+      const lot = await receiveStock(product, packs, bonusUnits, session, {
+        batchNumber: line.batchNumber,
+        expiryDate: line.expiryDate,
+        costPerUnit: (packs * costPerPack) / receivedUnits,
+        supplier: supplier?.name
+      });
+
+      if (orderItem) orderItem.receivedPacks += packs;
+
+      const [log] = await InventoryLog.create([{
+        product: product._id,
+        pharmacy: req.user.tenantId,
+        action: 'receive',
+        performedBy: req.user.id,
+        details: {
+          quantity: receivedUnits,
+          packs,
+          bonusUnits,
+          batchNumber: line.batchNumber,
+          expiryDate: line.expiryDate,
+          batches: [{ batch: lot._id, batchNumber: lot.batchNumber, expiryDate: lot.expiryDate, quantity: receivedUnits }],
+          costPerPack,
+          costingMethod,
+          previousCostPerPack,
+          newCostPerPack,
+          grnId,
+          grnNumber,
+          reference: grnNumber,
+          purchaseOrderId: order?._id,
+          invoiceNumber,
+          supplier: supplier?.name,
+          previousStock,
+          newStock: stockSnapshot(product)
+        }
+      }], { session });
+
+      grnItems.push({
+        product: product._id,
+        productName: product.name,
+        purchaseOrderItem: orderItem?._id,
+        batchNumber: line.batchNumber,
+        expiryDate: line.expiryDate,
+        packs,
+        bonusUnits,
+        unitsPerPack,
+        totalUnits: receivedUnits,
+        costPerPack,
+        previousCostPerPack,
+        newCostPerPack,
+        inventoryLog: log._id
+      });
+    }
+
+    if (belowCost.length > 0) {
+      return fail(400, 'Selling price would be below the new cost price. Send a sellingPricePerPack for these lines', { products: belowCost });
+    }
+
+    const [grn] = await GoodsReceivedNote.create([{
+      _id: grnId,
+      grnNumber,
+      pharmacy: req.user.tenantId,
+      supplier: supplier?._id,
+      purchaseOrder: order?._id,
+      invoiceNumber,
+      invoiceDate,
+      costingMethod,
+      items: grnItems,
+      notes,
+      receivedBy: req.user.id,
+      receivedAt: now
+    }], { session });
+
+    if (order) {
+      order.refreshReceiptStatus(req.user.id);
+      order.lastModifiedBy = req.user.id;
+      await order.save({ session });
+    }
+
+    await session.commitTransaction();
+    session.endSession();
+
+    res.status(201).json({
+      success: true,
+      message: `Received ${grn.items.length} line(s) on ${grn.grnNumber}`,
+      data: {
+        grn,
+        purchaseOrder: order ? { id: order._id, orderNumber: order.orderNumber, status: order.status } : null
+      }
+    });
+
+  } catch (error) {
+    await session.abortTransaction();
+    session.endSession();
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ success: false, message: 'Validation error', error: error.message });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Failed to receive goods',
+      error: error.message
+    });
+  }
+};
+
+// GET /api/inventory/grns - Goods received notes
+export const getGoodsReceivedNotes = async (req, res) => {
+  try {
+    const { page = 1, limit = 20, supplierId, purchaseOrderId, productId, startDate, endDate } = req.query;
+    const skip = (page - 1) * limit;
+
+    const filter = { pharmacy: req.user.tenantId };
+    if (supplierId) filter.supplier = supplierId;
+    if (purchaseOrderId) filter.purchaseOrder = purchaseOrderId;
+    if (productId) filter['items.product'] = productId;
+    if (startDate || endDate) {
+      filter.receivedAt = {};
+      if (startDate) filter.receivedAt.$gte = new Date(startDate);
+      if (endDate) filter.receivedAt.$lte = new Date(endDate);
+    }
+
+    const grns = await GoodsReceivedNote.find(filter)
+      .populate('supplier', 'name')
+      .populate('purchaseOrder', 'orderNumber status')
+      .populate('receivedBy', 'firstName lastName')
+      .sort({ receivedAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await GoodsReceivedNote.countDocuments(filter);
+
+    res.json({
+      success: true,
+      data: grns,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch goods received notes',
+      error: error.message
+    });
+  }
+};
+
+// GET /api/inventory/grns/:id - Goods received note detail
+export const getGoodsReceivedNote = async (req, res) => {
+  try {
+    const grn = await GoodsReceivedNote.findOne({
+      _id: req.params.id,
+      pharmacy: req.user.tenantId
+    })
+      .populate('supplier')
+      .populate('purchaseOrder', 'orderNumber status items')
+      .populate('items.product', 'name sku unitType')
+      .populate('receivedBy', 'firstName lastName');
+
+    if (!grn) {
+      return res.status(404).json({ success: false, message: 'Goods received note not found' });
+    }
+
+    res.json({ success: true, data: grn });
+
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch goods received note',
+      error: error.message
+    });
+  }
+};
@@ -2,12 +2,33 @@
 import Product from '../../models/Product.js';
 import InventoryLog from '../../models/InventoryLog.js';
 
+// Helper: Product list filter from query params (shared with the export)
+export const buildProductFilter = (pharmacyId, { category, search, status } = {}) => {
+  const filter = { pharmacy: pharmacyId };
+
+  if (category) filter.category = category;
+  if (status) filter.status = status;
+  if (search) {
+    filter.$or = [
+      { name: { $regex: search, $options: 'i' } },
+      { description: { $regex: search, $options: 'i' } },
+      { sku: { $regex: search, $options: 'i' } },
+      { barcode: search.trim() },
+      { 'barcodes.code': search.trim() }
+    ];
+  }
+  return filter;
+};
+
 // 1. POST /api/inventory/products - Add new product
 export const createProduct = async (req, res) => {
   try {
+    // Lots are built from stock movements, never set directly
+    const { batches, ...body } = req.body;
+
     // Ensure pharmacy is always set to the user's tenant
     const productData = {
-      ...req.body,
+      ...body,
       pharmacy: req.user.tenantId,
       createdBy: req.user.id
     };
@@ -49,20 +70,10 @@ export const createProduct = async (req, res) => {
 // 2. GET /api/inventory/products - List all products
 export const getProducts = async (req, res) => {
   try {
-    const { page = 1, limit = 20, category, search, status } = req.query;
+    const { page = 1, limit = 20 } = req.query;
     const skip = (page - 1) * limit;
 
-    const filter = { pharmacy: req.user.tenantId };
-
-    if (category) filter.category = category;
-    if (status) filter.status = status;
-    if (search) {
-      filter.$or = [
-        { name: { $regex: search, $options: 'i' } },
-        { description: { $regex: search, $options: 'i' } },
-        { sku: { $regex: search, $options: 'i' } }
-      ];
-    }
+    const filter = buildProductFilter(req.user.tenantId, req.query);
 
     const products = await Product.find(filter)
       .sort({ createdAt: -1 })
@@ -103,12 +114,18 @@ export const updateProduct = async (req, res) => {
 
     // If stock update requested
     if (req.body.stock) {
-      const { fullPacks = 0, looseUnits = 0 } = req.body.stock;
-      await product.addStock(fullPacks, looseUnits);
+      const { fullPacks = 0, looseUnits = 0, batchNumber, expiryDate } = req.body.stock;
+      if (expiryDate && new Date(expiryDate) <= new Date()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Cannot receive a batch that has already expired'
+        });
+      }
+      await product.addStock(fullPacks, looseUnits, { batchNumber, expiryDate });
     }
 
     // Update other fields (name, description, etc.)
-    const updatableFields = ['name', 'description', 'category', 'pricing', 'status'];
+    const updatableFields = ['name', 'description', 'category', 'pricing', 'status', 'taxClass', 'preferredSupplier', 'barcode', 'barcodes'];
     updatableFields.forEach(field => {
       if (req.body[field] !== undefined) {
         product[field] = req.body[field];
@@ -0,0 +1,236 @@
+// src/controllers/inventory/productImportController.js
+import Product from '../../models/Product.js';
+import InventoryLog from '../../models/InventoryLog.js';
+import { buildProductFilter } from './productController.js';
+import {
+  SPREADSHEET_FORMATS,
+  readSpreadsheet,
+  resolveColumnMapping,
+  buildProductRow,
+  buildProductSpreadsheet
+} from '../../services/productImportService.js';
+
+const MAX_IMPORT_ROWS = 5000;
+const IMPORT_MODES = ['upsert', 'create', 'update'];
+
+const formatOf = (fileName = '') => fileName.toLowerCase().endsWith('.xlsx') ? 'xlsx' : 'csv';
+
+const validationMessages = (error) => error.name === 'ValidationError'
+  ? Object.values(error.errors).map(entry => entry.message)
+  : [error.message];
+
+// Stock on existing products only moves through GRNs, adjustments and stocktakes
+const omitStock = (data) => {
+  const { stock = {}, batchNumber, expiryDate, ...rest } = data;
+  const { fullPacks, looseUnits, ...levels } = stock;
+  return Object.keys(levels).length > 0 ? { ...rest, stock: levels } : rest;
+};
+
+// Dotted paths of the fields a row sets, for the inventory log
+const fieldPaths = (data, prefix = '') => Object.entries(data).flatMap(([key, value]) =>
+  value && typeof value === 'object' && !(value instanceof Date)
+    ? fieldPaths(value, `${prefix}${key}.`)
+    : [`${prefix}${key}`]);
+
+// POST /api/inventory/products/import - Import products from CSV/XLSX, matching existing ones by SKU or barcode
+// Form fields: file, mapping (JSON { column: 'Header' }), mode (upsert|create|update), dryRun (default true)
+export const importProducts = async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ success: false, message: 'Upload a .csv or .xlsx file in the "file" field' });
+    }
+
+    const dryRun = String(req.body.dryRun ?? 'true') !== 'false';
+    const mode = req.body.mode || 'upsert';
+    if (!IMPORT_MODES.includes(mode)) {
+      return res.status(400).json({ success: false, message: `Mode must be one of: ${IMPORT_MODES.join(', ')}` });
+    }
+
+    let explicitMapping = req.body.mapping || {};
+    if (typeof explicitMapping === 'string') {
+      try {
+        explicitMapping = JSON.parse(explicitMapping);
+      } catch {
+        return res.status(400).json({ success: false, message: 'mapping must be a JSON object of { column: "Header" }' });
+      }
+    }
+
+    const { headers, rows } = await readSpreadsheet(req.file.buffer, formatOf(req.file.originalname));
+
+    if (rows.length === 0) {
+      return res.status(400).json({ success: false, message: 'The file has no product rows' });
+    }
+    if (rows.length > MAX_IMPORT_ROWS) {
+      return res.status(400).json({ success: false, message: `Import at most ${MAX_IMPORT_ROWS} rows per file` });
+    }
+
+    const { mapping, unknownColumns, unmappedHeaders } = resolveColumnMapping(headers, explicitMapping);
+    if (unknownColumns.length > 0) {
+      return res.status(400).json({ success: false, message: `Unknown columns in mapping: ${unknownColumns.join(', ')}` });
+    }
+    if (!mapping.name && !mapping.sku && !mapping.barcode) {
+      return res.status(400).json({ success: false, message: 'Map at least a name, sku or barcode column', headers });
+    }
+
+    const parsed = rows.map(row => ({ rowNumber: row.rowNumber, ...buildProductRow(row.values, mapping) }));
+
+    // Existing products the rows point at
+    const skus = parsed.map(row => row.data.sku).filter(Boolean);
+    const barcodes = parsed.map(row => row.data.barcode).filter(Boolean);
+    const existing = await Product.find({
+      pharmacy: req.user.tenantId,
+      $or: [{ sku: { $in: skus } }, { barcode: { $in: barcodes } }]
+    });
+    const bySku = new Map(existing.filter(product => product.sku).map(product => [product.sku, product]));
+    const byBarcode = new Map(existing.filter(product => product.barcode).map(product => [product.barcode, product]));
+
+    // New rows have to fit under the plan, counted here so updates go through at the limit
+    const maxProducts = req.tenant?.pharmacy?.features?.maxProducts ?? Infinity;
+    const currentCount = await Product.countDocuments({ pharmacy: req.user.tenantId });
+    let available = Math.max(0, maxProducts - currentCount);
+
+    const seenSkus = new Set();
+    const seenBarcodes = new Set();
+    const report = [];
+
+    for (const row of parsed) {
+      const { data } = row;
+      const entry = { row: row.rowNumber, sku: data.sku, barcode: data.barcode, name: data.name, errors: [...row.errors], warnings: [] };
+      report.push(entry);
+
+      if ((data.sku && seenSkus.has(data.sku)) || (data.barcode && seenBarcodes.has(data.barcode))) {
+        entry.errors.push('Duplicate SKU or barcode earlier in the file');
+        continue;
+      }
+      if (data.sku) seenSkus.add(data.sku);
+      if (data.barcode) seenBarcodes.add(data.barcode);
+
+      const match = (data.sku && bySku.get(data.sku)) || (data.barcode && byBarcode.get(data.barcode));
+
+      if (match) {
+        if (mode === 'create') {
+          entry.action = 'skip';
+          entry.warnings.push('Already exists');
+          continue;
+        }
+        entry.action = 'update';
+        entry.productId = match._id;
+        if (row.hasStock) {
+          entry.warnings.push('Stock, batch and expiry columns are ignored for existing products - use a GRN or stocktake');
+        }
+        entry.data = omitStock(data);
+        match.set(entry.data);
+        match.lastModifiedBy = req.user.id;
+        entry.product = match;
+      } else {
+        if (mode === 'update') {
+          entry.action = 'skip';
+          entry.warnings.push('No product with this SKU or barcode');
+          continue;
+        }
+        entry.action = 'create';
+        entry.data = data;
+        entry.product = new Product({ ...data, pharmacy: req.user.tenantId, createdBy: req.user.id });
+      }
+
+      try {
+        await entry.product.validate();
+      } catch (error) {
+        entry.errors.push(...validationMessages(error));
+      }
+
+      if (entry.action === 'create' && entry.errors.length === 0) {
+        if (available > 0) {
+          available -= 1;
+        } else {
+          entry.errors.push(`Product limit reached - your plan allows up to ${maxProducts} products`);
+        }
+      }
+    }
+
+    if (!dryRun) {
+      for (const entry of report) {
+        if (entry.errors.length > 0 || entry.action === 'skip') continue;
+        try {
+          await entry.product.save();
+          await InventoryLog.create({
+            product: entry.product._id,
+            pharmacy: req.user.tenantId,
+            action: entry.action,
+            performedBy: req.user.id,
+            details: entry.action === 'create'
+              ? { ...entry.data, importedFrom: req.file.originalname }
+              : { importedFrom: req.file.originalname, fields: fieldPaths(entry.data) }
+          });
+          entry.productId = entry.product._id;
+          entry.applied = true;
+        } catch (error) {
+          entry.errors.push(error.code === 11000
+            ? 'SKU or barcode is already used by another product'
+            : validationMessages(error).join('; '));
+        }
+      }
+    }
+
+    const count = (predicate) => report.filter(predicate).length;
+    const ok = (entry) => entry.errors.length === 0;
+
+    res.status(dryRun ? 200 : 201).json({
+      success: true,
+      message: dryRun
+        ? 'Preview only - send dryRun=false to import'
+        : `Imported ${count(entry => entry.applied)} of ${report.length} row(s)`,
+      data: {
+        dryRun,
+        mode,
+        mapping,
+        unmappedHeaders,
+        summary: {
+          rows: report.length,
+          create: count(entry => entry.action === 'create' && ok(entry)),
+          update: count(entry => entry.action === 'update' && ok(entry)),
+          skip: count(entry => entry.action === 'skip'),
+          errors: count(entry => !ok(entry))
+        },
+        rows: report.map(({ product, data, ...entry }) => entry)
+      }
+    });
+
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to import products',
+      error: error.message
+    });
+  }
+};
+
+// GET /api/inventory/products/export - Filtered product list as CSV or XLSX (same columns the import reads)
+export const exportProducts = async (req, res) => {
+  try {
+    const format = req.query.format || 'csv';
+    if (!SPREADSHEET_FORMATS.includes(format)) {
+      return res.status(400).json({ success: false, message: `Format must be one of: ${SPREADSHEET_FORMATS.join(', ')}` });
+    }
+
+    const products = await Product.find(buildProductFilter(req.user.tenantId, req.query))
+      .sort({ category: 1, name: 1 })
+      .lean();
+
+    const file = await buildProductSpreadsheet(products, format);
+    const fileName = `products-${new Date().toISOString().slice(0, 10)}.${format}`;
+
+    res.setHeader('Content-Type', format === 'xlsx'
+      ? 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+      : 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+    res.send(file);
+
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to export products',
+      error: error.message
+    });
+  }
+};
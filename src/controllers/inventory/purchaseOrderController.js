@@ -0,0 +1,435 @@
+// src/controllers/inventory/purchaseOrderController.js
+import PurchaseOrder from '../../models/PurchaseOrder.js';
+import Supplier from '../../models/Supplier.js';
+import Product from '../../models/Product.js';
+import Pharmacy from '../../models/Pharmacy.js';
+import { sendEmail } from '../../services/notificationService.js';
+
+const OPEN_STATUSES = ['draft', 'sent', 'partially_received'];
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+
+// Helper: Turn request lines ({ productId, packs, costPerPack }) into order items
+// costPerPack defaults to the product's current cost
+const buildOrderItems = async (pharmacyId, lines) => {
+  if (!Array.isArray(lines) || lines.length === 0) {
+    return { error: 'At least one item is required' };
+  }
+
+  const productIds = lines.map(line => line.productId);
+  const products = await Product.find({ _id: { $in: productIds }, pharmacy: pharmacyId })
+    .select('name pricing');
+  const byId = new Map(products.map(product => [product._id.toString(), product]));
+
+  const items = [];
+  for (const line of lines) {
+    const product = byId.get(String(line.productId));
+    if (!product) {
+      return { error: `Product ${line.productId} not found` };
+    }
+
+    const packs = Number(line.packs);
+    if (!Number.isInteger(packs) || packs < 1) {
+      return { error: `Order a whole number of packs (at least 1) for ${product.name}` };
+    }
+
+    const costPerPack = line.costPerPack !== undefined ? Number(line.costPerPack) : product.pricing?.costPerPack;
+    if (!(costPerPack >= 0)) {
+      return { error: `A valid cost per pack is required for ${product.name}` };
+    }
+
+    items.push({
+      product: product._id,
+      productName: product.name,
+      packs,
+      unitsPerPack: product.pricing?.unitsPerPack || 1,
+      costPerPack
+    });
+  }
+
+  return { items };
+};
+
+// Helper: Active supplier of this pharmacy
+const findActiveSupplier = (pharmacyId, supplierId) =>
+  Supplier.findOne({ _id: supplierId, pharmacy: pharmacyId, status: 'active' });
+
+const findOrder = (req) => PurchaseOrder.findOne({
+  _id: req.params.id,
+  pharmacy: req.user.tenantId
+});
+
+const invalidTransition = (res, order, action) => res.status(400).json({
+  success: false,
+  message: `Cannot ${action} a purchase order that is ${order.status.replace('_', ' ')}`
+});
+
+const buildOrderEmail = (pharmacy, supplier, order) => {
+  const rows = order.items.map(item => `
+        <tr>
+          <td>${escapeHtml(item.productName)}</td>
+          <td>${item.packs}</td>
+          <td>${item.unitsPerPack}</td>
+          <td>${item.costPerPack.toFixed(2)}</td>
+          <td>${item.lineTotal.toFixed(2)}</td>
+        </tr>`).join('');
+
+  return `
+    <div style="font-family: Arial, sans-serif;">
+      <h3>Purchase Order ${escapeHtml(order.orderNumber)} - ${escapeHtml(pharmacy?.name)}</h3>
+      <p>Dear ${escapeHtml(supplier.contactPerson || supplier.name)},</p>
+      <p>Please supply the following:</p>
+      <table border="1" cellpadding="6" cellspacing="0" style="border-collapse: collapse;">
+        <tr><th>Product</th><th>Packs</th><th>Units/Pack</th><th>Cost/Pack</th><th>Total</th></tr>${rows}
+      </table>
+      <p><strong>Order total: ${order.totalAmount.toFixed(2)}</strong></p>
+      ${order.expectedDeliveryDate ? `<p>Expected delivery: ${new Date(order.expectedDeliveryDate).toDateString()}</p>` : ''}
+      ${order.notes ? `<p>${escapeHtml(order.notes)}</p>` : ''}
+    </div>
+  `;
+};
+
+// POST /api/inventory/purchase-orders - Draft a purchase order
+export const createPurchaseOrder = async (req, res) => {
+  try {
+    const { supplierId, items: lines, expectedDeliveryDate, notes } = req.body;
+
+    if (supplierId && !(await findActiveSupplier(req.user.tenantId, supplierId))) {
+      return res.status(404).json({ success: false, message: 'Supplier not found or inactive' });
+    }
+
+    const { items, error } = await buildOrderItems(req.user.tenantId, lines);
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+
+    const order = await PurchaseOrder.create({
+      pharmacy: req.user.tenantId,
+      supplier: supplierId,
+      items,
+      expectedDeliveryDate,
+      notes,
+      statusHistory: [{ status: 'draft', changedBy: req.user.id }],
+      createdBy: req.user.id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `Purchase order ${order.orderNumber} drafted`,
+      data: order
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ success: false, message: 'Validation error', error: error.message });
+    }
+    res.status(500).json({ success: false, message: 'Failed to create purchase order', error: error.message });
+  }
+};
+
+// POST /api/inventory/purchase-orders/from-low-stock - Draft orders for everything at or below minimum stock
+// One draft per preferred supplier; products already on an open order are skipped
+export const createPurchaseOrdersFromLowStock = async (req, res) => {
+  try {
+    const { supplierId, productIds } = req.body;
+
+    if (supplierId && !(await findActiveSupplier(req.user.tenantId, supplierId))) {
+      return res.status(404).json({ success: false, message: 'Supplier not found or inactive' });
+    }
+
+    const filters = {};
+    if (Array.isArray(productIds) && productIds.length > 0) filters._id = { $in: productIds };
+
+    const lowStockProducts = await Product.findLowStock(req.user.tenantId, filters)
+      .select('name pricing stock preferredSupplier');
+
+    const onOrder = await PurchaseOrder.distinct('items.product', {
+      pharmacy: req.user.tenantId,
+      status: { $in: OPEN_STATUSES }
+    });
+    const onOrderIds = new Set(onOrder.map(String));
+
+    // Group lines by supplier - an explicit supplierId takes every product
+    const groups = new Map();
+    const skipped = [];
+
+    for (const product of lowStockProducts) {
+      if (onOrderIds.has(product._id.toString())) {
+        skipped.push({ productId: product._id, productName: product.name, reason: 'Already on an open purchase order' });
+        continue;
+      }
+
+      const unitsPerPack = product.pricing?.unitsPerPack || 1;
+      const units = product.restockQuantity ||
+        Math.max(0, (product.stock?.minStockLevel || 0) - product.stock.totalUnits);
+      const packs = Math.max(1, Math.ceil(units / unitsPerPack));
+
+      const key = String(supplierId || product.preferredSupplier || '');
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push({
+        product: product._id,
+        productName: product.name,
+        packs,
+        unitsPerPack,
+        costPerPack: product.pricing?.costPerPack || 0
+      });
+    }
+
+    if (groups.size === 0) {
+      return res.json({
+        success: true,
+        message: 'No low-stock products need ordering',
+        data: { orders: [], skipped }
+      });
+    }
+
+    // Preferred suppliers that are no longer active go on the unassigned draft
+    const supplierIds = [...groups.keys()].filter(Boolean);
+    const activeSuppliers = await Supplier.find({
+      _id: { $in: supplierIds },
+      pharmacy: req.user.tenantId,
+      status: 'active'
+    }).select('_id');
+    const activeIds = new Set(activeSuppliers.map(supplier => supplier._id.toString()));
+
+    const drafts = new Map();
+    for (const [key, items] of groups) {
+      const target = activeIds.has(key) ? key : '';
+      drafts.set(target, [...(drafts.get(target) || []), ...items]);
+    }
+
+    const orders = [];
+    for (const [key, items] of drafts) {
+      orders.push(await PurchaseOrder.create({
+        pharmacy: req.user.tenantId,
+        supplier: key || undefined,
+        items,
+        generatedFromLowStock: true,
+        statusHistory: [{ status: 'draft', changedBy: req.user.id, note: 'Generated from low stock' }],
+        createdBy: req.user.id
+      }));
+    }
+
+    res.status(201).json({
+      success: true,
+      message: `Drafted ${orders.length} purchase order(s) for ${orders.reduce((sum, order) => sum + order.items.length, 0)} product(s)`,
+      data: { orders, skipped }
+    });
+
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Failed to generate purchase orders', error: error.message });
+  }
+};
+
+// GET /api/inventory/purchase-orders - List purchase orders
+export const getPurchaseOrders = async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status, supplierId, startDate, endDate } = req.query;
+    const skip = (page - 1) * limit;
+
+    const filter = { pharmacy: req.user.tenantId };
+    if (status === 'open') filter.status = { $in: OPEN_STATUSES };
+    else if (status) filter.status = status;
+    if (supplierId) filter.supplier = supplierId;
+    if (startDate || endDate) {
+      filter.createdAt = {};
+      if (startDate) filter.createdAt.$gte = new Date(startDate);
+      if (endDate) filter.createdAt.$lte = new Date(endDate);
+    }
+
+    const orders = await PurchaseOrder.find(filter)
+      .populate('supplier', 'name phone')
+      .populate('createdBy', 'firstName lastName')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await PurchaseOrder.countDocuments(filter);
+
+    res.json({
+      success: true,
+      data: orders,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Failed to fetch purchase orders', error: error.message });
+  }
+};
+
+// GET /api/inventory/purchase-orders/:id - Purchase order detail
+export const getPurchaseOrder = async (req, res) => {
+  try {
+    const order = await findOrder(req)
+      .populate('supplier')
+      .populate('items.product', 'name sku stock pricing unitType')
+      .populate('statusHistory.changedBy', 'firstName lastName');
+
+    if (!order) {
+      return res.status(404).json({ success: false, message: 'Purchase order not found' });
+    }
+
+    res.json({ success: true, data: order });
+
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Failed to fetch purchase order', error: error.message });
+  }
+};
+
+// PUT /api/inventory/purchase-orders/:id - Edit a draft
+export const updatePurchaseOrder = async (req, res) => {
+  try {
+    const order = await findOrder(req);
+
+    if (!order) {
+      return res.status(404).json({ success: false, message: 'Purchase order not found' });
+    }
+    if (order.status !== 'draft') {
+      return res.status(400).json({ success: false, message: 'Only draft purchase orders can be edited' });
+    }
+
+    const { supplierId, items: lines, expectedDeliveryDate, notes } = req.body;
+
+    if (supplierId !== undefined) {
+      if (supplierId && !(await findActiveSupplier(req.user.tenantId, supplierId))) {
+        return res.status(404).json({ success: false, message: 'Supplier not found or inactive' });
+      }
+      order.supplier = supplierId || undefined;
+    }
+
+    if (lines !== undefined) {
+      const { items, error } = await buildOrderItems(req.user.tenantId, lines);
+      if (error) {
+        return res.status(400).json({ success: false, message: error });
+      }
+      order.items = items;
+    }
+
+    if (expectedDeliveryDate !== undefined) order.expectedDeliveryDate = expectedDeliveryDate;
+    if (notes !== undefined) order.notes = notes;
+    order.lastModifiedBy = req.user.id;
+    await order.save();
+
+    res.json({
+      success: true,
+      message: 'Purchase order updated successfully',
+      data: order
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ success: false, message: 'Validation error', error: error.message });
+    }
+    res.status(500).json({ success: false, message: 'Failed to update purchase order', error: error.message });
+  }
+};
+
+// POST /api/inventory/purchase-orders/:id/send - Mark a draft as sent and email it to the supplier
+export const sendPurchaseOrder = async (req, res) => {
+  try {
+    const order = await findOrder(req);
+
+    if (!order) {
+      return res.status(404).json({ success: false, message: 'Purchase order not found' });
+    }
+    if (!order.canTransitionTo('sent')) {
+      return invalidTransition(res, order, 'send');
+    }
+    if (!order.supplier) {
+      return res.status(400).json({ success: false, message: 'Choose a supplier before sending the order' });
+    }
+
+    const supplier = await findActiveSupplier(req.user.tenantId, order.supplier);
+    if (!supplier) {
+      return res.status(400).json({ success: false, message: 'The supplier on this order is inactive' });
+    }
+
+    order.setStatus('sent', req.user.id, req.body.note);
+    order.lastModifiedBy = req.user.id;
+    if (!order.expectedDeliveryDate && supplier.leadTimeDays) {
+      order.expectedDeliveryDate = new Date(Date.now() + supplier.leadTimeDays * 24 * 60 * 60 * 1000);
+    }
+    await order.save();
+
+    let emailed = false;
+    if (supplier.email && req.body.email !== false) {
+      const pharmacy = await Pharmacy.findById(req.user.tenantId).select('name');
+      emailed = await sendEmail(
+        supplier.email,
+        `Purchase Order ${order.orderNumber} from ${pharmacy?.name || 'our pharmacy'}`,
+        buildOrderEmail(pharmacy, supplier, order)
+      );
+    }
+
+    res.json({
+      success: true,
+      message: emailed
+        ? `Purchase order sent and emailed to ${supplier.email}`
+        : 'Purchase order marked as sent',
+      data: order
+    });
+
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Failed to send purchase order', error: error.message });
+  }
+};
+
+// POST /api/inventory/purchase-orders/:id/close - Close an order, e.g. when the rest will not be delivered
+export const closePurchaseOrder = async (req, res) => {
+  try {
+    const order = await findOrder(req);
+
+    if (!order) {
+      return res.status(404).json({ success: false, message: 'Purchase order not found' });
+    }
+    if (!order.canTransitionTo('closed')) {
+      return invalidTransition(res, order, 'close');
+    }
+
+    order.setStatus('closed', req.user.id, req.body.note);
+    order.lastModifiedBy = req.user.id;
+    await order.save();
+
+    res.json({
+      success: true,
+      message: 'Purchase order closed',
+      data: order
+    });
+
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Failed to close purchase order', error: error.message });
+  }
+};
+
+// POST /api/inventory/purchase-orders/:id/cancel - Cancel an order nothing has been received against
+export const cancelPurchaseOrder = async (req, res) => {
+  try {
+    const order = await findOrder(req);
+
+    if (!order) {
+      return res.status(404).json({ success: false, message: 'Purchase order not found' });
+    }
+    if (!order.canTransitionTo('cancelled')) {
+      return invalidTransition(res, order, 'cancel');
+    }
+
+    order.setStatus('cancelled', req.user.id, req.body.reason);
+    order.lastModifiedBy = req.user.id;
+    await order.save();
+
+    res.json({
+      success: true,
+      message: 'Purchase order cancelled',
+      data: order
+    });
+
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Failed to cancel purchase order', error: error.message });
+  }
+};
@@ -2,6 +2,7 @@
 import Product from '../../models/Product.js';
 import InventoryLog from '../../models/InventoryLog.js';
 import StockReconciliation from '../../models/StockReconciliation.js'; 
+import Sale from '../../models/Sale.js';
 
 
 
@@ -179,11 +180,8 @@ export const adjustStockFromReconciliation = async (req, res) => {
 // GET /api/inventory/low-stock - Get low stock alerts
 export const getLowStockProducts = async (req, res) => {
   try {
-    const lowStockProducts = await Product.find({
-      pharmacy: req.user.tenantId,
-      status: 'active',
-      $expr: { $lte: ['$stock.totalUnits', '$stock.minStockLevel'] }
-    }).select('name category pricing stock sku unitType');
+    const lowStockProducts = await Product.findLowStock(req.user.tenantId)
+      .select('name category pricing stock sku unitType preferredSupplier');
 
     // Format the response with actionable data
     const formattedProducts = lowStockProducts.map(product => ({
@@ -195,6 +193,8 @@ export const getLowStockProducts = async (req, res) => {
       needed: Math.max(0, product.stock.minStockLevel - product.stock.totalUnits),
       unitType: product.unitType,
       sku: product.sku,
+      restockQuantity: product.restockQuantity,
+      preferredSupplier: product.preferredSupplier,
       restockUrgency: product.stock.totalUnits === 0 ? 'critical' : 
                product.stock.totalUnits <= (product.stock.minStockLevel * 0.3) ? 'high' : 
                product.stock.totalUnits <= product.stock.minStockLevel ? 'medium' : 'none'
@@ -223,7 +223,7 @@ export const getLowStockProducts = async (req, res) => {
 // POST /api/inventory/stock-adjustment - Adjust stock levels
 export const adjustStock = async (req, res) => {
   try {
-    const { productId, adjustmentType, quantity, reason, notes } = req.body;
+    const { productId, adjustmentType, quantity, reason, notes, batchNumber, expiryDate, costPerPack } = req.body;
 
     const product = await Product.findOne({
       _id: productId,
@@ -237,6 +237,21 @@ export const adjustStock = async (req, res) => {
       });
     }
 
+    if (expiryDate && new Date(expiryDate) <= new Date()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot receive a batch that has already expired'
+      });
+    }
+
+    // Lot the added units belong to
+    const batch = {
+      batchNumber,
+      expiryDate,
+      costPerUnit: costPerPack !== undefined ? costPerPack / product.pricing.unitsPerPack : undefined
+    };
+    let batches = [];
+
     const previousStock = {
       fullPacks: product.stock.fullPacks,
       looseUnits: product.stock.looseUnits,
@@ -245,9 +260,9 @@ export const adjustStock = async (req, res) => {
 
     // Apply stock adjustment
     if (adjustmentType === 'add') {
-      await product.addStock(quantity, 0); // Add full packs
+      await product.addStock(quantity, 0, batch); // Add full packs
     } else if (adjustmentType === 'add_units') {
-      await product.addStock(0, quantity); // Add individual units
+      await product.addStock(0, quantity, batch); // Add individual units
     } else if (adjustmentType === 'remove') {
       // For removal, we need to be more careful
       const totalToRemove = quantity * product.pricing.unitsPerPack;
@@ -257,10 +272,18 @@ export const adjustStock = async (req, res) => {
           message: `Cannot remove ${quantity} packs. Only ${product.stock.fullPacks} packs available.`
         });
       }
+      // Removed stock leaves expired lots first, then first-expiry-first-out
+      batches = product.consumeBatches(totalToRemove, { includeExpired: true });
       product.stock.fullPacks -= quantity;
     } else if (adjustmentType === 'set') {
       // Set specific stock level
       const totalUnits = quantity * product.pricing.unitsPerPack;
+      const difference = totalUnits - product.stock.totalUnits;
+      if (difference < 0) {
+        batches = product.consumeBatches(-difference, { includeExpired: true });
+      } else if (difference > 0) {
+        product.receiveBatch({ ...batch, quantity: difference });
+      }
       product.stock.fullPacks = quantity;
       product.stock.looseUnits = 0;
     }
@@ -278,6 +301,9 @@ export const adjustStock = async (req, res) => {
         quantity,
         reason,
         notes,
+        batchNumber,
+        expiryDate,
+        batches,
         previousStock,
         newStock: {
           fullPacks: product.stock.fullPacks,
@@ -352,4 +378,81 @@ export const getStockHistory = async (req, res) => {
       error: error.message
     });
   }
-};
\ No newline at end of file
+};
+
+// GET /api/inventory/batches/trace?batchNumber=...&productId=... - Where a lot went, for recalls
+export const getBatchTrace = async (req, res) => {
+  try {
+    const { batchNumber, productId } = req.query;
+
+    if (!batchNumber) {
+      return res.status(400).json({
+        success: false,
+        message: 'batchNumber is required'
+      });
+    }
+
+    const lot = String(batchNumber).trim().toUpperCase();
+
+    const productFilter = { pharmacy: req.user.tenantId, 'batches.batchNumber': lot };
+    if (productId) productFilter._id = productId;
+    const products = await Product.find(productFilter).select('name sku batches');
+
+    const onShelf = products.map(product => ({
+      product: { id: product._id, name: product.name, sku: product.sku },
+      batches: product.batches.filter(batch => batch.batchNumber === lot)
+    }));
+
+    const saleFilter = { pharmacy: req.user.tenantId, 'items.batches.batchNumber': lot };
+    if (productId) saleFilter['items.product'] = productId;
+
+    const sales = await Sale.find(saleFilter)
+      .select('receiptNumber status customer items createdAt')
+      .populate('customer', 'name phone')
+      .sort({ createdAt: -1 });
+
+    // Only the lines (and units) that came from this lot
+    const dispensed = sales.map(sale => ({
+      saleId: sale._id,
+      receiptNumber: sale.receiptNumber,
+      status: sale.status,
+      customer: sale.customer,
+      soldAt: sale.createdAt,
+      items: sale.items
+        .filter(item => item.batches.some(batch => batch.batchNumber === lot))
+        .filter(item => !productId || item.product.toString() === productId)
+        .map(item => ({
+          product: item.product,
+          productName: item.productName,
+          quantity: item.batches
+            .filter(batch => batch.batchNumber === lot)
+            .reduce((sum, batch) => sum + batch.quantity, 0),
+          refundedQuantity: item.refundedQuantity
+        }))
+    }));
+
+    res.json({
+      success: true,
+      data: {
+        batchNumber: lot,
+        onShelf,
+        dispensed,
+        summary: {
+          unitsOnShelf: onShelf.reduce((sum, entry) =>
+            sum + entry.batches.reduce((total, batch) => total + batch.quantity, 0), 0),
+          unitsDispensed: dispensed.reduce((sum, sale) =>
+            sum + sale.items.reduce((total, item) => total + item.quantity, 0), 0),
+          salesAffected: dispensed.length,
+          customersAffected: new Set(dispensed.filter(sale => sale.customer).map(sale => sale.customer._id.toString())).size
+        }
+      }
+    });
+
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to trace batch',
+      error: error.message
+    });
+  }
+};
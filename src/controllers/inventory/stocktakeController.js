@@ -0,0 +1,410 @@
+// src/controllers/inventory/stocktakeController.js
+import mongoose from 'mongoose';
+import Stocktake from '../../models/Stocktake.js';
+import Product from '../../models/Product.js';
+import InventoryLog from '../../models/InventoryLog.js';
+import { deductStockUnits, restockProduct, stockSnapshot } from '../../utils/stockUtils.js';
+import { roundMoney } from '../../utils/moneyUtils.js';
+
+const OPEN_STATUSES = ['counting', 'submitted'];
+
+const isCounted = (item) => item.countedUnits !== undefined && item.countedUnits !== null;
+
+// Helper: Attendants count blind - expected quantities and variances are for the owner
+const toCountSheet = (stocktake, items, role) => {
+  const data = stocktake.toJSON();
+  data.items = items.map(item => item.toJSON());
+
+  if (role !== 'pharmacy_owner') {
+    data.items = data.items.map(({ _id, product, productName, category, unitType, unitsPerPack, countedUnits }) =>
+      ({ _id, product, productName, category, unitType, unitsPerPack, countedUnits }));
+    delete data.summary;
+  }
+  return data;
+};
+
+// POST /api/inventory/stocktakes - Start a stocktake and freeze the expected quantities
+// Scope: all active products, some categories, or a list of products (cycle count)
+export const startStocktake = async (req, res) => {
+  try {
+    const { name, categories, productIds, notes } = req.body;
+
+    const filter = { pharmacy: req.user.tenantId, status: 'active' };
+    let mode = 'all';
+    if (Array.isArray(productIds) && productIds.length > 0) {
+      filter._id = { $in: productIds };
+      mode = 'products';
+    } else if (Array.isArray(categories) && categories.length > 0) {
+      filter.category = { $in: categories };
+      mode = 'categories';
+    }
+
+    const products = await Product.find(filter)
+      .select('name category unitType pricing stock')
+      .sort({ category: 1, name: 1 });
+
+    if (products.length === 0) {
+      return res.status(400).json({ success: false, message: 'No active products match this stocktake' });
+    }
+
+    // A product can only be in one open count at a time
+    const overlapping = await Stocktake.find({
+      pharmacy: req.user.tenantId,
+      status: { $in: OPEN_STATUSES },
+      'items.product': { $in: products.map(product => product._id) }
+    }).select('stocktakeNumber');
+
+    if (overlapping.length > 0) {
+      return res.status(409).json({
+        success: false,
+        message: `Some of these products are already being counted in ${overlapping.map(stocktake => stocktake.stocktakeNumber).join(', ')}`
+      });
+    }
+
+    const stocktake = await Stocktake.create({
+      pharmacy: req.user.tenantId,
+      name,
+      scope: { mode, categories: mode === 'categories' ? categories : [] },
+      items: products.map(product => {
+        const unitsPerPack = product.pricing?.unitsPerPack || 1;
+        return {
+          product: product._id,
+          productName: product.name,
+          category: product.category,
+          unitType: product.unitType,
+          unitsPerPack,
+          costPerUnit: (product.pricing?.costPerPack || 0) / unitsPerPack,
+          expectedUnits: product.stock.totalUnits
+        };
+      }),
+      notes,
+      startedBy: req.user.id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `Stocktake ${stocktake.stocktakeNumber} started for ${stocktake.items.length} product(s)`,
+      data: stocktake
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ success: false, message: 'Validation error', error: error.message });
+    }
+    res.status(500).json({ success: false, message: 'Failed to start stocktake', error: error.message });
+  }
+};
+
+// GET /api/inventory/stocktakes - Stocktake sessions
+export const getStocktakes = async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status } = req.query;
+    const skip = (page - 1) * limit;
+
+    const filter = { pharmacy: req.user.tenantId };
+    if (status === 'open') filter.status = { $in: OPEN_STATUSES };
+    else if (status) filter.status = status;
+
+    const stocktakes = await Stocktake.find(filter)
+      .select('-items.counts')
+      .populate('startedBy', 'firstName lastName')
+      .populate('approvedBy', 'firstName lastName')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await Stocktake.countDocuments(filter);
+
+    // The list carries the summary, not every line
+    const data = stocktakes.map(stocktake => {
+      const { items, ...rest } = stocktake.toJSON();
+      return req.user.role === 'pharmacy_owner' ? rest : { ...rest, summary: undefined };
+    });
+
+    res.json({
+      success: true,
+      data,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Failed to fetch stocktakes', error: error.message });
+  }
+};
+
+// GET /api/inventory/stocktakes/:id - Count sheet, optionally one category or only counted/uncounted/variance lines
+export const getStocktake = async (req, res) => {
+  try {
+    const { category, show } = req.query;
+
+    const stocktake = await Stocktake.findOne({
+      _id: req.params.id,
+      pharmacy: req.user.tenantId
+    })
+      .populate('items.counts.countedBy', 'firstName lastName')
+      .populate('startedBy approvedBy submittedBy', 'firstName lastName');
+
+    if (!stocktake) {
+      return res.status(404).json({ success: false, message: 'Stocktake not found' });
+    }
+
+    let items = stocktake.items;
+    if (category) items = items.filter(item => item.category === category);
+    if (show === 'counted') items = items.filter(isCounted);
+    if (show === 'uncounted') items = items.filter(item => !isCounted(item));
+    if (show === 'variance') items = items.filter(item => item.varianceUnits);
+
+    res.json({
+      success: true,
+      data: toCountSheet(stocktake, items, req.user.role)
+    });
+
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Failed to fetch stocktake', error: error.message });
+  }
+};
+
+// POST /api/inventory/stocktakes/:id/counts - Submit counts for some products, or a whole category
+// counts: [{ productId, packs, units, notes }] - a recount of a product replaces the earlier count
+export const submitCounts = async (req, res) => {
+  try {
+    const { category, counts } = req.body;
+
+    if (!Array.isArray(counts) || counts.length === 0) {
+      return res.status(400).json({ success: false, message: 'At least one count is required' });
+    }
+
+    const stocktake = await Stocktake.findOne({
+      _id: req.params.id,
+      pharmacy: req.user.tenantId
+    }).select('stocktakeNumber status items.product items.productName items.category items.unitsPerPack items.costPerUnit');
+
+    if (!stocktake) {
+      return res.status(404).json({ success: false, message: 'Stocktake not found' });
+    }
+    if (stocktake.status !== 'counting') {
+      return res.status(400).json({ success: false, message: `Counting is closed on a ${stocktake.status} stocktake` });
+    }
+
+    const lines = [];
+    for (const count of counts) {
+      const item = stocktake.items.find(entry => entry.product.toString() === String(count.productId));
+      if (!item) {
+        return res.status(400).json({ success: false, message: `Product ${count.productId} is not part of this stocktake` });
+      }
+
+      const packs = Number(count.packs || 0);
+      const units = Number(count.units || 0);
+      if (!Number.isInteger(packs) || packs < 0 || !Number.isInteger(units) || units < 0) {
+        return res.status(400).json({ success: false, message: `Counts must be whole numbers for ${item.productName}` });
+      }
+      if (category && item.category !== category) {
+        return res.status(400).json({ success: false, message: `${item.productName} is not in ${category}` });
+      }
+
+      lines.push({ item, countedUnits: packs * item.unitsPerPack + units, notes: count.notes });
+    }
+
+    // A category sheet has to cover every product in it
+    if (category) {
+      const submitted = new Set(lines.map(({ item }) => item.product.toString()));
+      const missing = stocktake.items.filter(item => item.category === category && !submitted.has(item.product.toString()));
+      if (missing.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: `The ${category} sheet is missing ${missing.length} product(s)`,
+          missing: missing.map(item => ({ productId: item.product, productName: item.productName }))
+        });
+      }
+    }
+
+    // Measure against the live quantity now, so sales and deliveries during the count are not variances
+    const products = await Product.find({
+      _id: { $in: lines.map(({ item }) => item.product) },
+      pharmacy: req.user.tenantId
+    }).select('stock pricing');
+    const systemUnits = new Map(products.map(product => [product._id.toString(), product.stock.totalUnits]));
+
+    const countedAt = new Date();
+    // Attendants count side by side, so each line is written on its own rather than saving the whole session
+    const operations = lines.map(({ item, countedUnits, notes }) => {
+      const system = systemUnits.get(item.product.toString()) ?? 0;
+      const varianceUnits = countedUnits - system;
+      return {
+        updateOne: {
+          filter: { _id: stocktake._id, status: 'counting' },
+          update: {
+            $push: { 'items.$[line].counts': { countedUnits, systemUnits: system, countedBy: req.user.id, countedAt, notes } },
+            $set: {
+              'items.$[line].countedUnits': countedUnits,
+              'items.$[line].systemUnitsAtCount': system,
+              'items.$[line].varianceUnits': varianceUnits,
+              'items.$[line].varianceValue': roundMoney(varianceUnits * item.costPerUnit)
+            }
+          },
+          arrayFilters: [{ 'line._id': item._id }]
+        }
+      };
+    });
+
+    const result = await Stocktake.bulkWrite(operations, { ordered: true });
+    if (result.modifiedCount < operations.length) {
+      return res.status(409).json({ success: false, message: 'The stocktake was closed while these counts were being saved' });
+    }
+
+    res.json({
+      success: true,
+      message: `Recorded ${lines.length} count(s) on ${stocktake.stocktakeNumber}`
+    });
+
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Failed to record counts', error: error.message });
+  }
+};
+
+// POST /api/inventory/stocktakes/:id/submit - Close counting and send the variances for approval
+export const submitStocktake = async (req, res) => {
+  try {
+    const stocktake = await Stocktake.findOneAndUpdate(
+      { _id: req.params.id, pharmacy: req.user.tenantId, status: 'counting' },
+      { $set: { status: 'submitted', submittedBy: req.user.id, submittedAt: new Date() } },
+      { new: true }
+    );
+
+    if (!stocktake) {
+      return res.status(400).json({ success: false, message: 'Stocktake not found or no longer counting' });
+    }
+
+    res.json({
+      success: true,
+      message: `Stocktake ${stocktake.stocktakeNumber} submitted for approval`,
+      data: req.user.role === 'pharmacy_owner' ? { summary: stocktake.summary } : undefined
+    });
+
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Failed to submit stocktake', error: error.message });
+  }
+};
+
+// POST /api/inventory/stocktakes/:id/approve - Apply the counted variances to stock
+// Each variance goes on top of today's quantity, so movements since the count are kept
+export const approveStocktake = async (req, res) => {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const stocktake = await Stocktake.findOne({
+      _id: req.params.id,
+      pharmacy: req.user.tenantId
+    }).session(session);
+
+    if (!stocktake) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(404).json({ success: false, message: 'Stocktake not found' });
+    }
+    if (!OPEN_STATUSES.includes(stocktake.status)) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(400).json({ success: false, message: `Stocktake is already ${stocktake.status}` });
+    }
+
+    const items = stocktake.items.filter(item => isCounted(item) && item.varianceUnits);
+    const products = await Product.find({
+      _id: { $in: items.map(item => item.product) },
+      pharmacy: req.user.tenantId
+    }).session(session);
+    const byId = new Map(products.map(product => [product._id.toString(), product]));
+
+    for (const item of items) {
+      const product = byId.get(item.product.toString());
+      if (!product) continue;
+
+      const previousStock = stockSnapshot(product);
+      let batches;
+      let appliedUnits;
+
+      if (item.varianceUnits < 0) {
+        // Never take the shelf below zero, whatever has been sold since the count
+        appliedUnits = -Math.min(-item.varianceUnits, product.stock.totalUnits);
+        batches = product.consumeBatches(-appliedUnits, { includeExpired: true });
+        await deductStockUnits(product, -appliedUnits, session);
+      } else {
+        appliedUnits = item.varianceUnits;
+        batches = await restockProduct(product, appliedUnits, session);
+      }
+
+      const [log] = await InventoryLog.create([{
+        product: product._id,
+        pharmacy: req.user.tenantId,
+        action: 'stock_adjust',
+        performedBy: req.user.id,
+        details: {
+          adjustmentType: 'stocktake',
+          reason: 'stocktake',
+          quantity: appliedUnits,
+          reference: stocktake.stocktakeNumber,
+          stocktakeId: stocktake._id,
+          expectedUnits: item.expectedUnits,
+          systemUnitsAtCount: item.systemUnitsAtCount,
+          countedUnits: item.countedUnits,
+          varianceUnits: item.varianceUnits,
+          varianceValue: item.varianceValue,
+          batches,
+          previousStock,
+          newStock: stockSnapshot(product)
+        }
+      }], { session });
+
+      item.appliedUnits = appliedUnits;
+      item.inventoryLog = log._id;
+    }
+
+    stocktake.status = 'approved';
+    stocktake.approvedBy = req.user.id;
+    stocktake.approvedAt = new Date();
+    await stocktake.save({ session });
+
+    await session.commitTransaction();
+    session.endSession();
+
+    res.json({
+      success: true,
+      message: `Stocktake ${stocktake.stocktakeNumber} approved - ${items.length} product(s) adjusted`,
+      data: { summary: stocktake.summary }
+    });
+
+  } catch (error) {
+    await session.abortTransaction();
+    session.endSession();
+    res.status(500).json({ success: false, message: 'Failed to approve stocktake', error: error.message });
+  }
+};
+
+// POST /api/inventory/stocktakes/:id/cancel - Abandon a stocktake without touching stock
+export const cancelStocktake = async (req, res) => {
+  try {
+    const stocktake = await Stocktake.findOneAndUpdate(
+      { _id: req.params.id, pharmacy: req.user.tenantId, status: { $in: OPEN_STATUSES } },
+      { $set: { status: 'cancelled', cancelledBy: req.user.id, cancelledAt: new Date(), cancellationReason: req.body.reason } },
+      { new: true }
+    );
+
+    if (!stocktake) {
+      return res.status(400).json({ success: false, message: 'Stocktake not found or already closed' });
+    }
+
+    res.json({
+      success: true,
+      message: `Stocktake ${stocktake.stocktakeNumber} cancelled`
+    });
+
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Failed to cancel stocktake', error: error.message });
+  }
+};
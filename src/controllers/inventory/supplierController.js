@@ -0,0 +1,193 @@
+// src/controllers/inventory/supplierController.js
+import Supplier from '../../models/Supplier.js';
+import Product from '../../models/Product.js';
+import PurchaseOrder from '../../models/PurchaseOrder.js';
+
+const SUPPLIER_FIELDS = [
+  'name', 'contactPerson', 'phone', 'email', 'address',
+  'kraPin', 'paymentTermsDays', 'leadTimeDays', 'notes', 'status'
+];
+
+// Helper: Copy the editable fields from the request body
+const pickSupplierFields = (body) => {
+  const fields = {};
+  SUPPLIER_FIELDS.forEach(field => {
+    if (body[field] !== undefined) fields[field] = body[field];
+  });
+  return fields;
+};
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// POST /api/inventory/suppliers - Add a supplier
+export const createSupplier = async (req, res) => {
+  try {
+    const fields = pickSupplierFields(req.body);
+
+    if (!fields.name) {
+      return res.status(400).json({ success: false, message: 'Supplier name is required' });
+    }
+
+    const supplier = await Supplier.create({
+      ...fields,
+      pharmacy: req.user.tenantId,
+      createdBy: req.user.id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Supplier created successfully',
+      data: supplier
+    });
+
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({ success: false, message: 'A supplier with this name already exists' });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ success: false, message: 'Validation error', error: error.message });
+    }
+    res.status(500).json({ success: false, message: 'Failed to create supplier', error: error.message });
+  }
+};
+
+// GET /api/inventory/suppliers - List suppliers
+export const getSuppliers = async (req, res) => {
+  try {
+    const { page = 1, limit = 20, search, status = 'active' } = req.query;
+    const skip = (page - 1) * limit;
+
+    const filter = { pharmacy: req.user.tenantId };
+    if (status !== 'all') filter.status = status;
+
+    if (search) {
+      const pattern = new RegExp(escapeRegex(search.trim()), 'i');
+      filter.$or = [{ name: pattern }, { contactPerson: pattern }, { phone: pattern }];
+    }
+
+    const suppliers = await Supplier.find(filter)
+      .sort({ name: 1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await Supplier.countDocuments(filter);
+
+    res.json({
+      success: true,
+      data: suppliers,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Failed to fetch suppliers', error: error.message });
+  }
+};
+
+// GET /api/inventory/suppliers/:id - Supplier with its open purchase orders
+export const getSupplier = async (req, res) => {
+  try {
+    const supplier = await Supplier.findOne({
+      _id: req.params.id,
+      pharmacy: req.user.tenantId
+    });
+
+    if (!supplier) {
+      return res.status(404).json({ success: false, message: 'Supplier not found' });
+    }
+
+    const openOrders = await PurchaseOrder.find({
+      pharmacy: req.user.tenantId,
+      supplier: supplier._id,
+      status: { $in: ['draft', 'sent', 'partially_received'] }
+    })
+      .select('orderNumber status totalAmount expectedDeliveryDate createdAt')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      data: { supplier, openOrders }
+    });
+
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Failed to fetch supplier', error: error.message });
+  }
+};
+
+// PUT /api/inventory/suppliers/:id - Update a supplier
+export const updateSupplier = async (req, res) => {
+  try {
+    const supplier = await Supplier.findOne({
+      _id: req.params.id,
+      pharmacy: req.user.tenantId
+    });
+
+    if (!supplier) {
+      return res.status(404).json({ success: false, message: 'Supplier not found' });
+    }
+
+    supplier.set(pickSupplierFields(req.body));
+    supplier.lastModifiedBy = req.user.id;
+    await supplier.save();
+
+    res.json({
+      success: true,
+      message: 'Supplier updated successfully',
+      data: supplier
+    });
+
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({ success: false, message: 'A supplier with this name already exists' });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ success: false, message: 'Validation error', error: error.message });
+    }
+    res.status(500).json({ success: false, message: 'Failed to update supplier', error: error.message });
+  }
+};
+
+// DELETE /api/inventory/suppliers/:id - Delete, or deactivate if it has purchase orders
+export const deleteSupplier = async (req, res) => {
+  try {
+    const supplier = await Supplier.findOne({
+      _id: req.params.id,
+      pharmacy: req.user.tenantId
+    });
+
+    if (!supplier) {
+      return res.status(404).json({ success: false, message: 'Supplier not found' });
+    }
+
+    const hasOrders = await PurchaseOrder.exists({ pharmacy: req.user.tenantId, supplier: supplier._id });
+
+    if (hasOrders) {
+      supplier.status = 'inactive';
+      supplier.lastModifiedBy = req.user.id;
+      await supplier.save();
+
+      return res.json({
+        success: true,
+        message: 'Supplier has purchase orders and was deactivated instead of deleted'
+      });
+    }
+
+    await supplier.deleteOne();
+    await Product.updateMany(
+      { pharmacy: req.user.tenantId, preferredSupplier: supplier._id },
+      { $unset: { preferredSupplier: 1 } }
+    );
+
+    res.json({
+      success: true,
+      message: 'Supplier deleted successfully'
+    });
+
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Failed to delete supplier', error: error.message });
+  }
+};
@@ -4,6 +4,7 @@ import Sale from '../../models/Sale.js';
 import Product from '../../models/Product.js';
 import User from '../../models/User.js';
 import Pharmacy from '../../models/Pharmacy.js';
+import { netSaleAmount, netLineQuantity, netLineTotal } from '../../utils/revenueUtils.js';
 
 // Update the getDashboardOverview function in dashboardController.js
 const getDateRangeFilter = (timeRange) => {
@@ -97,9 +98,9 @@ export const getDashboardOverview = async (req, res) => {
       {
         $group: {
           _id: null,
-          totalSales: { $sum: '$totalAmount' },
+          totalSales: { $sum: netSaleAmount },
           totalTransactions: { $sum: 1 },
-          averageTransaction: { $avg: '$totalAmount' }
+          averageTransaction: { $avg: netSaleAmount }
         }
       }
     ]);
@@ -247,9 +248,9 @@ export const getSalesAnalytics = async (req, res) => {
               date: '$createdAt'
             }
           },
-          totalSales: { $sum: '$totalAmount' },
+          totalSales: { $sum: netSaleAmount },
           transactionCount: { $sum: 1 },
-          averageSale: { $avg: '$totalAmount' }
+          averageSale: { $avg: netSaleAmount }
         }
       },
       { $sort: { _id: 1 } }
@@ -269,8 +270,8 @@ export const getSalesAnalytics = async (req, res) => {
         $group: {
           _id: '$items.product',
           productName: { $first: '$items.productName' },
-          totalQuantity: { $sum: '$items.quantity' },
-          totalRevenue: { $sum: '$items.total' },
+          totalQuantity: { $sum: netLineQuantity },
+          totalRevenue: { $sum: netLineTotal },
           averagePrice: { $avg: '$items.unitPrice' }
         }
       },
@@ -278,8 +279,8 @@ export const getSalesAnalytics = async (req, res) => {
       { $limit: 10 }
     ]);
     
-    // Payment method distribution
-    const paymentMethods = await Sale.aggregate([
+    // Revenue by tender - split payments count towards each method they used
+    const tenderBreakdown = await Sale.aggregate([
       {
         $match: {
           pharmacy: new mongoose.Types.ObjectId(pharmacyId),
@@ -287,46 +288,54 @@ export const getSalesAnalytics = async (req, res) => {
           status: 'completed'
         }
       },
-      {
-        $group: {
-          _id: '$paymentMethod',
-          totalAmount: { $sum: '$totalAmount' },
-          count: { $sum: 1 },
-          percentage: { 
-            $avg: { 
-              $cond: [
-                { $ne: ['$totalAmount', 0] },
-                100,
-                0
-              ]
-            }
-          }
-        }
-      },
       {
         $project: {
-          totalAmount: 1,
-          count: 1,
-          percentage: {
-            $round: [
+          tenders: {
+            $cond: [
+              { $gt: [{ $size: { $ifNull: ['$payments', []] } }, 0] },
               {
-                $multiply: [
-                  {
-                    $divide: [
-                      '$totalAmount',
-                      { $sum: '$totalAmount' }
-                    ]
-                  },
-                  100
-                ]
+                $map: {
+                  input: '$payments',
+                  as: 'payment',
+                  in: {
+                    method: '$$payment.method',
+                    // Change is only ever given from cash
+                    amount: {
+                      $cond: [
+                        { $eq: ['$$payment.method', 'cash'] },
+                        { $subtract: ['$$payment.amount', { $ifNull: ['$changeDue', 0] }] },
+                        '$$payment.amount'
+                      ]
+                    }
+                  }
+                }
               },
-              2
+              // Sales recorded before split tenders had a single paymentMethod
+              [{ method: { $ifNull: ['$paymentMethod', 'cash'] }, amount: '$totalAmount' }]
             ]
-          }
+          },
+          isSplit: { $gt: [{ $size: { $ifNull: ['$payments', []] } }, 1] }
         }
-      }
+      },
+      { $unwind: '$tenders' },
+      {
+        $group: {
+          _id: '$tenders.method',
+          totalAmount: { $sum: '$tenders.amount' },
+          count: { $sum: 1 },
+          splitCount: { $sum: { $cond: ['$isSplit', 1, 0] } }
+        }
+      },
+      { $sort: { totalAmount: -1 } }
     ]);
     
+    const tenderTotal = tenderBreakdown.reduce((sum, tender) => sum + tender.totalAmount, 0);
+    const paymentMethods = tenderBreakdown.map(tender => ({
+      ...tender,
+      totalAmount: Math.round(tender.totalAmount * 100) / 100,
+      percentage: tenderTotal > 0 ? Math.round((tender.totalAmount / tenderTotal) * 10000) / 100 : 0
+    }));
+    
     // Calculate overall totals
     const overallStats = await Sale.aggregate([
       {
@@ -339,13 +348,103 @@ export const getSalesAnalytics = async (req, res) => {
       {
         $group: {
           _id: null,
-          totalRevenue: { $sum: '$totalAmount' },
+          totalRevenue: { $sum: netSaleAmount },
           totalTransactions: { $sum: 1 },
-          averageTransaction: { $avg: '$totalAmount' }
+          averageTransaction: { $avg: netSaleAmount },
+          grossSales: { $sum: '$subtotal' },
+          totalDiscounts: { $sum: { $ifNull: ['$discountTotal', 0] } },
+          discountedTransactions: {
+            $sum: { $cond: [{ $gt: [{ $ifNull: ['$discountTotal', 0] }, 0] }, 1, 0] }
+          },
+          totalTax: { $sum: { $ifNull: ['$taxTotal', 0] } }
         }
       }
     ]);
     
+    // Output VAT per class and rate (taxable value excludes VAT)
+    const vatByRate = await Sale.aggregate([
+      {
+        $match: {
+          pharmacy: new mongoose.Types.ObjectId(pharmacyId),
+          createdAt: { $gte: dateFilter.start, $lte: dateFilter.end },
+          status: 'completed'
+        }
+      },
+      { $unwind: '$taxBreakdown' },
+      {
+        $group: {
+          _id: { taxClass: '$taxBreakdown.taxClass', rate: '$taxBreakdown.rate' },
+          taxableAmount: { $sum: '$taxBreakdown.taxableAmount' },
+          taxAmount: { $sum: '$taxBreakdown.taxAmount' },
+          transactionCount: { $sum: 1 }
+        }
+      },
+      {
+        $project: {
+          _id: 0,
+          taxClass: '$_id.taxClass',
+          rate: '$_id.rate',
+          taxableAmount: { $round: ['$taxableAmount', 2] },
+          taxAmount: { $round: ['$taxAmount', 2] },
+          transactionCount: 1
+        }
+      },
+      { $sort: { rate: -1, taxClass: 1 } }
+    ]);
+    
+    // Discount leakage per attendant - owners only
+    let discountsByAttendant = [];
+    if (req.user.role === 'pharmacy_owner') {
+      discountsByAttendant = await Sale.aggregate([
+        {
+          $match: {
+            pharmacy: new mongoose.Types.ObjectId(pharmacyId),
+            createdAt: { $gte: dateFilter.start, $lte: dateFilter.end },
+            status: 'completed',
+            discountTotal: { $gt: 0 }
+          }
+        },
+        {
+          $group: {
+            _id: '$attendant',
+            totalDiscounts: { $sum: '$discountTotal' },
+            grossSales: { $sum: '$subtotal' },
+            discountedTransactions: { $sum: 1 },
+            largestDiscount: { $max: '$discountTotal' }
+          }
+        },
+        {
+          $lookup: {
+            from: 'users',
+            localField: '_id',
+            foreignField: '_id',
+            as: 'attendantInfo'
+          }
+        },
+        {
+          $unwind: '$attendantInfo'
+        },
+        {
+          $project: {
+            attendantName: {
+              $concat: ['$attendantInfo.firstName', ' ', '$attendantInfo.lastName']
+            },
+            totalDiscounts: 1,
+            discountedTransactions: 1,
+            largestDiscount: 1,
+            discountRate: {
+              $cond: [
+                { $gt: ['$grossSales', 0] },
+                { $round: [{ $multiply: [{ $divide: ['$totalDiscounts', '$grossSales'] }, 100] }, 2] },
+                0
+              ]
+            }
+          }
+        },
+        { $sort: { totalDiscounts: -1 } }
+      ]);
+    }
+    
     res.status(200).json({
       success: true,
       data: {
@@ -359,11 +458,17 @@ export const getSalesAnalytics = async (req, res) => {
         overall: overallStats[0] || {
           totalRevenue: 0,
           totalTransactions: 0,
-          averageTransaction: 0
+          averageTransaction: 0,
+          grossSales: 0,
+          totalDiscounts: 0,
+          discountedTransactions: 0,
+          totalTax: 0
         },
         salesTrend,
         topProducts,
-        paymentMethods
+        paymentMethods,
+        vatByRate,
+        discountsByAttendant
       },
       metadata: {
         generatedAt: new Date().toISOString()
@@ -411,7 +516,7 @@ export const getQuickStats = async (req, res) => {
       {
         $group: {
           _id: null,
-          totalSales: { $sum: '$totalAmount' },
+          totalSales: { $sum: netSaleAmount },
           transactionCount: { $sum: 1 }
         }
       }
@@ -429,7 +534,7 @@ export const getQuickStats = async (req, res) => {
       {
         $group: {
           _id: null,
-          totalSales: { $sum: '$totalAmount' },
+          totalSales: { $sum: netSaleAmount },
           transactionCount: { $sum: 1 }
         }
       }
@@ -612,9 +717,13 @@ export const getStaffPerformance = async (req, res) => {
       {
         $group: {
           _id: '$attendant',
-          totalSales: { $sum: '$totalAmount' },
+          totalSales: { $sum: netSaleAmount },
           transactionCount: { $sum: 1 },
-          averageTransaction: { $avg: '$totalAmount' }
+          averageTransaction: { $avg: netSaleAmount },
+          totalDiscounts: { $sum: { $ifNull: ['$discountTotal', 0] } },
+          discountedTransactions: {
+            $sum: { $cond: [{ $gt: [{ $ifNull: ['$discountTotal', 0] }, 0] }, 1, 0] }
+          }
         }
       },
       {
@@ -635,7 +744,9 @@ export const getStaffPerformance = async (req, res) => {
           },
           totalSales: 1,
           transactionCount: 1,
-          averageTransaction: 1
+          averageTransaction: 1,
+          totalDiscounts: 1,
+          discountedTransactions: 1
         }
       },
       { $sort: { totalSales: -1 } }
@@ -3,6 +3,8 @@ import mongoose from 'mongoose';
 import Pharmacy from '../../models/Pharmacy.js';
 import Product from '../../models/Product.js';
 import User from '../../models/User.js';
+import { DEFAULT_TENANT_SETTINGS } from '../../config/tenantConfig.js';
+import { receiptNumberingError, syncReceiptCounter } from '../../services/receiptNumberService.js';
 
 /**
  * Check pharmacy setup completion status
@@ -232,4 +234,194 @@ export const updateOperatingHours = async (req, res) => {
       error: error.message
     });
   }
-};
\ No newline at end of file
+};
+// Sales/POS settings owners can change through PUT /api/pharmacy/sales-settings
+const SALES_SETTINGS_FIELDS = [
+  'voidWindowMinutes',
+  'maxDiscountPercent',
+  'heldSaleExpiryMinutes',
+  'taxRate',
+  'pricesIncludeTax',
+  'showTaxOnReceipt',
+  'receiptHeader',
+  'receiptFooter',
+  'printStoredLogo',
+  'expiryAlert',
+  'costingMethod',
+  'receiptNumberFormat',
+  'receiptNumberReset',
+  'receiptNumberPerBranch',
+  'fiscalYearStartMonth'
+];
+
+const RECEIPT_NUMBERING_FIELDS = ['receiptNumberFormat', 'receiptNumberReset', 'receiptNumberPerBranch', 'fiscalYearStartMonth'];
+
+/**
+ * Update POS sales settings (void window, discount cap, held sale expiry, VAT, receipt text and numbering, expiry alerts, etc.)
+ * PUT /api/pharmacy/sales-settings
+ */
+export const updateSalesSettings = async (req, res) => {
+  try {
+    const updates = {};
+
+    SALES_SETTINGS_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) {
+        updates[`settings.${field}`] = req.body[field];
+      }
+    });
+
+    if (Object.keys(updates).length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: `No valid settings provided. Allowed: ${SALES_SETTINGS_FIELDS.join(', ')}`
+      });
+    }
+
+    // Numbering options only work together - the format has to tell the separate sequences apart
+    const numberingChanged = RECEIPT_NUMBERING_FIELDS.some(field => req.body[field] !== undefined);
+    if (numberingChanged) {
+      const current = await Pharmacy.findById(req.user.tenantId).select('settings');
+      const numbering = {};
+      RECEIPT_NUMBERING_FIELDS.forEach(field => {
+        numbering[field] = req.body[field] ?? current?.settings?.[field] ?? DEFAULT_TENANT_SETTINGS[field];
+      });
+
+      const numberingError = receiptNumberingError({
+        ...numbering,
+        receiptNumberFormat: String(numbering.receiptNumberFormat),
+        fiscalYearStartMonth: Number(numbering.fiscalYearStartMonth)
+      });
+      if (numberingError) {
+        return res.status(400).json({ success: false, message: numberingError });
+      }
+    }
+
+    const pharmacy = await Pharmacy.findByIdAndUpdate(
+      req.user.tenantId,
+      updates,
+      { new: true, runValidators: true }
+    ).select('settings etims.branchId');
+
+    if (!pharmacy) {
+      return res.status(404).json({
+        success: false,
+        message: 'Pharmacy not found'
+      });
+    }
+
+    // The next receipt may come from another counter - keep it clear of numbers already issued
+    if (numberingChanged) {
+      await syncReceiptCounter(pharmacy);
+    }
+
+    res.json({
+      success: true,
+      message: 'Sales settings updated successfully',
+      data: { settings: pharmacy.settings }
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError' || error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        error: error.message
+      });
+    }
+
+    console.error('Error updating sales settings:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update sales settings',
+      error: error.message
+    });
+  }
+};
+
+const ETIMS_SETTINGS_FIELDS = ['enabled', 'kraPin', 'branchId', 'deviceSerial', 'cmcKey'];
+
+/**
+ * Update KRA eTIMS registration (PIN, branch, device, communication key)
+ * PUT /api/pharmacy/etims-settings
+ */
+export const updateEtimsSettings = async (req, res) => {
+  try {
+    const updates = {};
+
+    ETIMS_SETTINGS_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) {
+        updates[`etims.${field}`] = req.body[field];
+      }
+    });
+
+    if (Object.keys(updates).length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: `No valid settings provided. Allowed: ${ETIMS_SETTINGS_FIELDS.join(', ')}`
+      });
+    }
+
+    const pharmacy = await Pharmacy.findById(req.user.tenantId).select('+etims.cmcKey');
+
+    if (!pharmacy) {
+      return res.status(404).json({
+        success: false,
+        message: 'Pharmacy not found'
+      });
+    }
+
+    pharmacy.set(updates);
+
+    if (pharmacy.isModified('etims.enabled') && pharmacy.etims.enabled) {
+      pharmacy.etims.enabledAt = new Date();
+    }
+
+    // Nothing would be sent to KRA from a server without a transport
+    if (pharmacy.etims.enabled && !process.env.ETIMS_TRANSPORT) {
+      return res.status(400).json({
+        success: false,
+        message: 'eTIMS is not set up on this server yet. Contact support to enable it'
+      });
+    }
+
+    if (pharmacy.etims.enabled && !pharmacy.etims.kraPin) {
+      return res.status(400).json({
+        success: false,
+        message: 'A KRA PIN is required to enable eTIMS'
+      });
+    }
+
+    const branchChanged = pharmacy.isModified('etims.branchId');
+    await pharmacy.save();
+
+    // Receipt numbers can include the branch, or be counted per branch
+    if (branchChanged) {
+      await syncReceiptCounter(pharmacy);
+    }
+
+    // Never echo the communication key back
+    const { cmcKey, ...etims } = pharmacy.toObject().etims;
+
+    res.json({
+      success: true,
+      message: 'eTIMS settings updated successfully',
+      data: { etims: { ...etims, hasCommunicationKey: !!cmcKey } }
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError' || error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        error: error.message
+      });
+    }
+
+    console.error('Error updating eTIMS settings:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update eTIMS settings',
+      error: error.message
+    });
+  }
+};
@@ -4,6 +4,7 @@ import Pharmacy from '../../models/Pharmacy.js';
 import Sale from '../../models/Sale.js';
 import mongoose from 'mongoose';
 import StaffActivity from '../../models/StaffActivity.js';
+import { netSaleAmount } from '../../utils/revenueUtils.js';
 import { sendWelcomeEmail } from '../../services/notificationService.js';
 
 export const createStaff = async (req, res) => {
@@ -178,9 +179,9 @@ export const getStaffOverview = async (req, res) => {
       {
         $group: {
           _id: '$attendant',
-          totalSales: { $sum: '$totalAmount' },
+          totalSales: { $sum: netSaleAmount },
           transactionCount: { $sum: 1 },
-          averageTransaction: { $avg: '$totalAmount' },
+          averageTransaction: { $avg: netSaleAmount },
           lastSaleDate: { $max: '$createdAt' }
         }
       },
@@ -381,9 +382,9 @@ export const getAllStaffStatsWithTrends = async (req, res) => {
       {
         $group: {
           _id: { attendant: '$attendant', day: { $dateToString: { format: '%Y-%m-%d', date: '$createdAt' } } },
-          dailySales: { $sum: '$totalAmount' },
+          dailySales: { $sum: netSaleAmount },
           dailyTransactions: { $sum: 1 },
-          bestSale: { $max: '$totalAmount' }
+          bestSale: { $max: netSaleAmount }
         }
       },
       {
@@ -492,10 +493,10 @@ export const getStaffDetails = async (req, res) => {
       {
         $group: {
           _id: null,
-          totalSales: { $sum: '$totalAmount' },
+          totalSales: { $sum: netSaleAmount },
           totalTransactions: { $sum: 1 },
-          averageTransaction: { $avg: '$totalAmount' },
-          bestSale: { $max: '$totalAmount' },
+          averageTransaction: { $avg: netSaleAmount },
+          bestSale: { $max: netSaleAmount },
           lastSaleDate: { $max: '$createdAt' }
         }
       }
@@ -518,7 +519,7 @@ export const getStaffDetails = async (req, res) => {
               date: '$createdAt'
             }
           },
-          dailySales: { $sum: '$totalAmount' },
+          dailySales: { $sum: netSaleAmount },
           dailyTransactions: { $sum: 1 }
         }
       },
@@ -0,0 +1,140 @@
+// src/controllers/pos/etimsController.js
+import Sale from '../../models/Sale.js';
+import EtimsInvoice from '../../models/EtimsInvoice.js';
+import { submitSaleInvoice, transmitInvoice, retryEtimsInvoice, resendCreditNotes } from '../../services/etimsService.js';
+
+const INVOICE_FIELDS = 'invoiceNumber status attempts nextAttemptAt lastError transmittedAt';
+const CREDIT_NOTE_FIELDS = `${INVOICE_FIELDS} creditFor refund originalInvoiceNumber`;
+
+// GET /api/pos/sales/:id/etims - eTIMS invoice (and credit note) status for a sale
+export const getSaleEtimsStatus = async (req, res) => {
+  try {
+    const sale = await Sale.findOne({
+      _id: req.params.id,
+      pharmacy: req.user.tenantId
+    }).select('receiptNumber status etims');
+
+    if (!sale) {
+      return res.status(404).json({ success: false, message: 'Sale not found' });
+    }
+
+    const invoice = await EtimsInvoice.findOne({ sale: sale._id, type: 'sale' }).select(INVOICE_FIELDS);
+    const creditNotes = await EtimsInvoice.find({ sale: sale._id, type: 'credit_note' })
+      .select(CREDIT_NOTE_FIELDS)
+      .sort({ invoiceNumber: 1 });
+
+    res.json({
+      success: true,
+      data: { sale, invoice, creditNotes }
+    });
+
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Failed to fetch eTIMS status', error: error.message });
+  }
+};
+
+// POST /api/pos/sales/:id/etims/retry - Queue (or re-send) the eTIMS invoice for a sale now
+// Once KRA has the invoice, re-sends the sale's credit notes instead
+export const retrySaleEtims = async (req, res) => {
+  try {
+    const sale = await Sale.findOne({
+      _id: req.params.id,
+      pharmacy: req.user.tenantId
+    }).select('status');
+
+    if (!sale) {
+      return res.status(404).json({ success: false, message: 'Sale not found' });
+    }
+
+    let invoice = await EtimsInvoice.findOne({ sale: sale._id, type: 'sale' });
+
+    if (invoice?.status === 'transmitted') {
+      const tried = await resendCreditNotes(sale._id);
+      if (tried.length === 0) {
+        return res.status(400).json({ success: false, message: 'This invoice has already been accepted by KRA' });
+      }
+
+      const creditNotes = await EtimsInvoice.find({ _id: { $in: tried.map(note => note._id) } })
+        .select(CREDIT_NOTE_FIELDS)
+        .sort({ invoiceNumber: 1 });
+      const accepted = creditNotes.every(note => note.status === 'transmitted');
+
+      return res.json({
+        success: accepted,
+        message: accepted
+          ? 'Credit notes accepted by KRA'
+          : `Credit notes not yet accepted: ${creditNotes.find(note => note.lastError)?.lastError || 'queued for retry'}`,
+        data: creditNotes
+      });
+    }
+
+    if (!invoice) {
+      // Refunded sales were completed first, so they are reported too
+      if (!['completed', 'refunded'].includes(sale.status)) {
+        return res.status(400).json({
+          success: false,
+          message: `Only completed sales are sent to eTIMS. This sale is ${sale.status}`
+        });
+      }
+
+      invoice = await submitSaleInvoice(sale._id);
+      if (!invoice) {
+        return res.status(400).json({ success: false, message: 'eTIMS is not enabled for this pharmacy' });
+      }
+    } else if (invoice.status === 'transmitting') {
+      return res.status(409).json({ success: false, message: 'This invoice is being sent right now' });
+    } else if (invoice.status === 'failed') {
+      await retryEtimsInvoice(invoice);
+    } else {
+      await transmitInvoice(invoice._id);
+    }
+
+    const latest = await EtimsInvoice.findById(invoice._id).select(INVOICE_FIELDS);
+
+    res.json({
+      success: latest.status === 'transmitted',
+      message: latest.status === 'transmitted'
+        ? 'Invoice accepted by KRA'
+        : `Invoice not yet accepted: ${latest.lastError || 'queued for retry'}`,
+      data: latest
+    });
+
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Failed to send eTIMS invoice', error: error.message });
+  }
+};
+
+// GET /api/pos/etims/invoices - eTIMS queue for the pharmacy (owner)
+export const getEtimsInvoices = async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status, type } = req.query;
+    const skip = (page - 1) * limit;
+
+    const filter = { pharmacy: req.user.tenantId };
+    if (status) filter.status = status;
+    if (type) filter.type = type;
+
+    const invoices = await EtimsInvoice.find(filter)
+      .select('-payload -signature')
+      .populate('sale', 'receiptNumber totalAmount createdAt')
+      .sort({ invoiceNumber: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await EtimsInvoice.countDocuments(filter);
+
+    res.json({
+      success: true,
+      data: invoices,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Failed to fetch eTIMS invoices', error: error.message });
+  }
+};
@@ -0,0 +1,184 @@
+// src/controllers/pos/paymentController.js
+import crypto from 'crypto';
+import Sale from '../../models/Sale.js';
+import MpesaTransaction from '../../models/MpesaTransaction.js';
+import {
+  formatMpesaPhone,
+  getOutstandingMpesaTenders,
+  initiateStkPush,
+  handleStkCallback,
+  refreshStkStatus,
+  reconcileByTransactionCode
+} from '../../services/mpesaService.js';
+
+// POST /api/pos/sales/:id/mpesa/stk-push - Prompt the customer's phone for the M-Pesa amount
+export const initiateMpesaPayment = async (req, res) => {
+  try {
+    const sale = await Sale.findOne({
+      _id: req.params.id,
+      pharmacy: req.user.tenantId
+    });
+
+    if (!sale) {
+      return res.status(404).json({ success: false, message: 'Sale not found' });
+    }
+
+    if (sale.status !== 'pending') {
+      return res.status(400).json({
+        success: false,
+        message: `Only pending sales can be paid by STK Push. This sale is ${sale.status}`
+      });
+    }
+
+    const tenders = getOutstandingMpesaTenders(sale);
+    if (tenders.length === 0) {
+      return res.status(400).json({ success: false, message: 'This sale has no outstanding M-Pesa payment' });
+    }
+
+    const phone = formatMpesaPhone(req.body.phone || tenders[0].phone);
+    if (!phone) {
+      return res.status(400).json({ success: false, message: 'A valid Kenyan M-Pesa phone number is required' });
+    }
+
+    const { transaction, customerMessage } = await initiateStkPush({ sale, phone, userId: req.user.id });
+
+    res.status(202).json({
+      success: true,
+      message: customerMessage || 'M-Pesa prompt sent to customer',
+      data: {
+        checkoutRequestId: transaction.checkoutRequestId,
+        amount: transaction.amount,
+        phone: transaction.phone,
+        status: transaction.status
+      }
+    });
+
+  } catch (error) {
+    res.status(502).json({
+      success: false,
+      message: 'Failed to send M-Pesa prompt',
+      error: error.message
+    });
+  }
+};
+
+// GET /api/pos/payments/mpesa/:checkoutRequestId - Poll an STK Push, asking M-Pesa if still pending
+export const getMpesaPaymentStatus = async (req, res) => {
+  try {
+    const transaction = await MpesaTransaction.findOne({
+      checkoutRequestId: req.params.checkoutRequestId,
+      pharmacy: req.user.tenantId
+    });
+
+    if (!transaction) {
+      return res.status(404).json({ success: false, message: 'M-Pesa transaction not found' });
+    }
+
+    const { pendingReason } = await refreshStkStatus(transaction, req.user.id);
+
+    const sale = await Sale.findById(transaction.sale)
+      .select('receiptNumber status paymentStatus totalAmount payments');
+
+    res.json({
+      success: true,
+      data: {
+        transaction,
+        sale,
+        ...(pendingReason && { pendingReason })
+      }
+    });
+
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch M-Pesa payment status',
+      error: error.message
+    });
+  }
+};
+
+// POST /api/pos/payments/mpesa/reconcile - Match an M-Pesa transaction code to a sale
+export const reconcileMpesaPayment = async (req, res) => {
+  try {
+    const { transactionCode, saleId } = req.body;
+
+    if (!transactionCode || !/^[A-Z0-9]{10}$/i.test(transactionCode.trim())) {
+      return res.status(400).json({ success: false, message: 'A valid 10 character M-Pesa transaction code is required' });
+    }
+
+    let sale = null;
+    if (saleId) {
+      sale = await Sale.findOne({ _id: saleId, pharmacy: req.user.tenantId });
+      if (!sale) {
+        return res.status(404).json({ success: false, message: 'Sale not found' });
+      }
+      if (sale.status !== 'pending' || getOutstandingMpesaTenders(sale).length === 0) {
+        return res.status(400).json({ success: false, message: 'This sale has no outstanding M-Pesa payment' });
+      }
+    }
+
+    const result = await reconcileByTransactionCode({
+      pharmacyId: req.user.tenantId,
+      transactionCode,
+      sale,
+      user: req.user
+    });
+
+    const statusCodes = { confirmed: 200, already_reconciled: 200, conflict: 409, mismatch: 409, not_found: 404, unconfirmed: 422 };
+
+    res.status(statusCodes[result.outcome] || 200).json({
+      success: ['confirmed', 'already_reconciled'].includes(result.outcome),
+      message: result.message,
+      data: {
+        outcome: result.outcome,
+        transaction: result.transaction || null,
+        sale: result.sale
+          ? {
+              _id: result.sale._id,
+              receiptNumber: result.sale.receiptNumber,
+              status: result.sale.status,
+              paymentStatus: result.sale.paymentStatus,
+              payments: result.sale.payments
+            }
+          : null
+      }
+    });
+
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to reconcile M-Pesa payment',
+      error: error.message
+    });
+  }
+};
+
+// Constant-time comparison, so the token cannot be guessed one character at a time
+const tokensMatch = (given, expected) => {
+  const a = Buffer.from(typeof given === 'string' ? given : '');
+  const b = Buffer.from(expected);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+};
+
+// POST /api/payments/mpesa/callback - Daraja result callback (public)
+export const mpesaCallback = async (req, res) => {
+  // Daraja does not sign callbacks, so the callback URL carries a shared secret.
+  // Without one anybody could post a "paid" callback, so nothing is accepted.
+  const expectedToken = process.env.MPESA_CALLBACK_TOKEN;
+  if (!expectedToken) {
+    console.error('Rejected M-Pesa callback: MPESA_CALLBACK_TOKEN is not set');
+    return res.status(401).json({ ResultCode: 1, ResultDesc: 'Rejected' });
+  }
+  if (!tokensMatch(req.query.token, expectedToken)) {
+    return res.status(401).json({ ResultCode: 1, ResultDesc: 'Rejected' });
+  }
+
+  try {
+    await handleStkCallback(req.body);
+  } catch (error) {
+    console.error('M-Pesa callback processing failed:', error);
+  }
+
+  // Always acknowledge so Safaricom does not keep retrying
+  res.json({ ResultCode: 0, ResultDesc: 'Accepted' });
+};
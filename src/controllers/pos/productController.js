@@ -0,0 +1,198 @@
+// src/controllers/pos/productController.js
+import mongoose from 'mongoose';
+import Product from '../../models/Product.js';
+import { parseGs1, barcodeCandidates } from '../../utils/barcodeUtils.js';
+import { roundMoney } from '../../utils/moneyUtils.js';
+
+const CATALOG_PAGE_SIZE = 500;
+const MAX_CATALOG_PAGE_SIZE = 2000;
+// Writes inside a transaction are stamped when they are made, not when they commit -
+// the newest changes are held back until any transaction that made them has settled
+const CATALOG_SETTLE_MS = 15 * 1000;
+
+const CATALOG_FIELDS = 'name sku barcode barcodes category unitType drugType taxClass isPrescriptionRequired pricing stock batches expiryDate status updatedAt';
+
+// Helper: Opaque change-feed position - the last product sent, by updatedAt then _id
+const encodeCursor = (product) => Buffer.from(`${product.updatedAt.getTime()}:${product._id}`).toString('base64url');
+
+const decodeCursor = (cursor) => {
+  const [time, id] = Buffer.from(String(cursor), 'base64url').toString().split(':');
+  const updatedAt = new Date(Number(time));
+  if (!time || Number.isNaN(updatedAt.getTime()) || !mongoose.isValidObjectId(id)) return null;
+  return { updatedAt, id: new mongoose.Types.ObjectId(id) };
+};
+
+// What a terminal needs to sell a product offline; lots are sent so it can drop expired stock itself
+const toCatalogEntry = (product) => ({
+  id: product._id,
+  name: product.name,
+  sku: product.sku,
+  barcode: product.barcode,
+  barcodes: product.barcodes.map(({ code, type, label }) => ({ code, type, label })),
+  category: product.category,
+  unitType: product.unitType,
+  drugType: product.drugType,
+  taxClass: product.taxClass,
+  requiresPrescription: product.requiresPrescription,
+  pricing: {
+    unitsPerPack: product.pricing.unitsPerPack,
+    sellingPricePerPack: product.pricing.sellingPricePerPack,
+    // What a loose unit sells for - its own price, or the pack price split evenly
+    unitPrice: product.priceFor('unit')
+  },
+  stock: {
+    totalUnits: product.stock.totalUnits,
+    sellableUnits: product.stock.sellableUnits
+  },
+  expiryDate: product.expiryDate,
+  batches: product.batches
+    .filter(batch => batch.quantity > 0)
+    .map(({ batchNumber, expiryDate, quantity }) => ({ batchNumber, expiryDate, quantity })),
+  updatedAt: product.updatedAt
+});
+
+// GET /api/pos/products/lookup?code= - Resolve a scanned barcode or typed SKU to a sellable line
+// Exact matches only; a GS1 DataMatrix scan also reports the lot's batch and expiry
+export const lookupProduct = async (req, res) => {
+  try {
+    const code = String(req.query.code || '').trim();
+
+    if (!code) {
+      return res.status(400).json({ success: false, message: 'Scan or type a barcode or SKU' });
+    }
+
+    const gs1 = parseGs1(code);
+    const codes = barcodeCandidates(gs1?.gtin || code);
+    const sku = gs1 ? null : code;
+
+    const products = await Product.findByCode(req.user.tenantId, codes, sku)
+      .select('name sku barcode barcodes category unitType drugType taxClass isPrescriptionRequired pricing stock batches expiryDate batchNumber')
+      .limit(5);
+
+    if (products.length === 0) {
+      return res.status(404).json({ success: false, message: `No product found for ${code}` });
+    }
+
+    if (products.length > 1) {
+      return res.status(409).json({
+        success: false,
+        message: `${code} matches more than one product`,
+        data: products.map(product => ({ id: product._id, name: product.name, sku: product.sku }))
+      });
+    }
+
+    const [product] = products;
+    const match = product.matchCode(codes, sku);
+    const unitsPerPack = product.pricing?.unitsPerPack || 1;
+    const units = match.type === 'pack' ? unitsPerPack : 1;
+    const price = product.priceFor(match.type);
+    const sellableUnits = product.stock.sellableUnits;
+
+    // The scanned lot, when the code carries one
+    let lot = null;
+    if (gs1?.batchNumber || gs1?.expiryDate) {
+      const batch = product.batches.find(entry =>
+        gs1.batchNumber && entry.batchNumber?.toUpperCase() === gs1.batchNumber.toUpperCase());
+      const expiryDate = gs1.expiryDate || batch?.expiryDate;
+      lot = {
+        batchNumber: gs1.batchNumber,
+        expiryDate,
+        expired: Boolean(expiryDate && expiryDate <= new Date()),
+        inStock: Boolean(batch && batch.quantity > 0)
+      };
+    }
+
+    res.json({
+      success: true,
+      data: {
+        product: {
+          id: product._id,
+          name: product.name,
+          sku: product.sku,
+          category: product.category,
+          unitType: product.unitType,
+          drugType: product.drugType,
+          taxClass: product.taxClass,
+          requiresPrescription: product.requiresPrescription,
+          unitsPerPack
+        },
+        match,
+        // What one scan adds to the basket: one pack or one loose unit, as a POST /sales item
+        sellAs: match.type,
+        quantity: 1,
+        units,
+        price,
+        packPrice: product.pricing.sellingPricePerPack,
+        unitPrice: product.priceFor('unit'),
+        lineTotal: roundMoney(price),
+        stock: {
+          sellableUnits,
+          totalUnits: product.stock.totalUnits,
+          available: sellableUnits >= units
+        },
+        lot
+      }
+    });
+
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to look up product',
+      error: error.message
+    });
+  }
+};
+
+// GET /api/pos/products/changes?cursor=&limit= - Products created, updated or deleted since the cursor
+// Terminals start without a cursor to download the catalog, then keep the returned cursor and poll for changes.
+// Deleted (inactive or discontinued) products come back as tombstones to drop from the local cache
+export const getCatalogChanges = async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || CATALOG_PAGE_SIZE, 1), MAX_CATALOG_PAGE_SIZE);
+
+    let since = null;
+    if (req.query.cursor) {
+      since = decodeCursor(req.query.cursor);
+      if (!since) {
+        return res.status(400).json({ success: false, message: 'Invalid cursor - download the catalog again without one' });
+      }
+    }
+
+    const settledBefore = new Date(Date.now() - CATALOG_SETTLE_MS);
+    const filter = { pharmacy: req.user.tenantId, updatedAt: { $lt: settledBefore } };
+    if (since) {
+      filter.$or = [
+        { updatedAt: { $gt: since.updatedAt } },
+        { updatedAt: since.updatedAt, _id: { $gt: since.id } }
+      ];
+    }
+
+    const products = await Product.find(filter)
+      .select(CATALOG_FIELDS)
+      .sort({ updatedAt: 1, _id: 1 })
+      .limit(limit + 1);
+
+    const hasMore = products.length > limit;
+    const page = products.slice(0, limit);
+
+    res.json({
+      success: true,
+      data: {
+        products: page.filter(product => product.status === 'active').map(toCatalogEntry),
+        deleted: page
+          .filter(product => product.status !== 'active')
+          .map(product => ({ id: product._id, status: product.status, updatedAt: product.updatedAt })),
+        cursor: page.length > 0 ? encodeCursor(page[page.length - 1]) : req.query.cursor || null,
+        hasMore,
+        serverTime: new Date()
+      }
+    });
+
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch catalog changes',
+      error: error.message
+    });
+  }
+};
@@ -0,0 +1,174 @@
+// src/controllers/pos/receiptController.js
+import Sale from '../../models/Sale.js';
+import Pharmacy from '../../models/Pharmacy.js';
+import StaffActivity from '../../models/StaffActivity.js';
+import { buildReceipt, renderReceipt, PAPER_WIDTHS } from '../../services/receiptService.js';
+import { sendEmail } from '../../services/notificationService.js';
+import { getDeviceInfo } from '../../utils/requestUtils.js';
+
+const RECEIPT_FORMATS = ['escpos', 'html', 'json'];
+
+// Helper: Load the sale and its pharmacy for rendering
+const loadReceiptData = async (req) => {
+  const sale = await Sale.findOne({
+    _id: req.params.id,
+    pharmacy: req.user.tenantId
+  }).populate('attendant', 'firstName lastName');
+
+  if (!sale) return {};
+
+  const pharmacy = await Pharmacy.findById(req.user.tenantId)
+    .select('name address contact branding settings')
+    .lean();
+
+  return { sale, pharmacy };
+};
+
+// Helper: Check format/width from the request, returns an error message or null
+const validateReceiptOptions = ({ format, width }) => {
+  if (!RECEIPT_FORMATS.includes(format)) {
+    return `Invalid receipt format: ${format}. Use: ${RECEIPT_FORMATS.join(', ')}`;
+  }
+  if (format === 'escpos' && !PAPER_WIDTHS[width]) {
+    return `Invalid paper width: ${width}. Use: ${Object.keys(PAPER_WIDTHS).join(', ')}`;
+  }
+  return null;
+};
+
+// Helper: Send the rendered receipt with the right content type
+const sendReceipt = (res, receipt, { format, width }, receiptNumber) => {
+  const output = renderReceipt(receipt, format, { width });
+
+  if (format === 'escpos') {
+    res.set({
+      'Content-Type': 'application/octet-stream',
+      'Content-Disposition': `inline; filename="${receiptNumber}-${width}mm.bin"`
+    });
+    return res.send(output);
+  }
+
+  if (format === 'html') {
+    res.type('html');
+    return res.send(output);
+  }
+
+  res.json({ success: true, data: output });
+};
+
+// Helper: Record a copy of the receipt against the sale and the staff member who asked for it
+const recordReprint = async (req, sale, format) => {
+  await Sale.updateOne(
+    { _id: sale._id },
+    { $push: { reprints: { printedBy: req.user.id, printedAt: new Date(), format } } }
+  );
+
+  try {
+    await StaffActivity.log({
+      tenantId: req.user.tenantId,
+      staff: req.user.id,
+      action: 'receipt_reprinted',
+      details: {
+        saleId: sale._id,
+        receiptNumber: sale.receiptNumber,
+        format,
+        previousReprints: sale.reprints.length
+      },
+      deviceInfo: getDeviceInfo(req)
+    });
+  } catch (err) {
+    console.warn('Failed to log staff activity:', err.message);
+  }
+};
+
+// GET /api/pos/sales/:id/receipt?format=escpos|html|json&width=58|80 - Render a receipt
+// The first render is the original; any later one is stamped "COPY" and recorded as a reprint
+export const getReceipt = async (req, res) => {
+  try {
+    const options = {
+      format: req.query.format || 'escpos',
+      width: Number(req.query.width || 80)
+    };
+
+    const optionsError = validateReceiptOptions(options);
+    if (optionsError) {
+      return res.status(400).json({ success: false, message: optionsError });
+    }
+
+    const { sale, pharmacy } = await loadReceiptData(req);
+    if (!sale) {
+      return res.status(404).json({ success: false, message: 'Sale not found' });
+    }
+
+    // Claimed atomically, so two tills rendering at once cannot both get the original.
+    // Sales reprinted before originals were tracked have already been printed.
+    const original = await Sale.updateOne(
+      { _id: sale._id, receiptPrintedAt: { $exists: false }, 'reprints.0': { $exists: false } },
+      { $set: { receiptPrintedAt: new Date(), receiptPrintedBy: req.user.id } }
+    );
+    const copy = original.modifiedCount === 0;
+    if (copy) await recordReprint(req, sale, options.format);
+
+    sendReceipt(res, buildReceipt(sale, pharmacy, { copy }), options, sale.receiptNumber);
+
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Failed to render receipt', error: error.message });
+  }
+};
+
+// POST /api/pos/sales/:id/receipt/reprint - Reprint stamped "COPY" and record who asked for it
+export const reprintReceipt = async (req, res) => {
+  try {
+    const options = {
+      format: req.body.format || 'escpos',
+      width: Number(req.body.width || 80)
+    };
+
+    const optionsError = validateReceiptOptions(options);
+    if (optionsError) {
+      return res.status(400).json({ success: false, message: optionsError });
+    }
+
+    const { sale, pharmacy } = await loadReceiptData(req);
+    if (!sale) {
+      return res.status(404).json({ success: false, message: 'Sale not found' });
+    }
+
+    await recordReprint(req, sale, options.format);
+
+    sendReceipt(res, buildReceipt(sale, pharmacy, { copy: true }), options, sale.receiptNumber);
+
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Failed to reprint receipt', error: error.message });
+  }
+};
+
+// POST /api/pos/sales/:id/receipt/email - Email the HTML receipt to the customer
+export const emailReceipt = async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!email || !/^\S+@\S+\.\S+$/.test(email)) {
+      return res.status(400).json({ success: false, message: 'A valid email address is required' });
+    }
+
+    const { sale, pharmacy } = await loadReceiptData(req);
+    if (!sale) {
+      return res.status(404).json({ success: false, message: 'Sale not found' });
+    }
+
+    const html = renderReceipt(buildReceipt(sale, pharmacy), 'html');
+    const sent = await sendEmail(email, `Your receipt from ${pharmacy.name} (${sale.receiptNumber})`, html);
+
+    if (!sent) {
+      return res.status(502).json({ success: false, message: 'Failed to send receipt email' });
+    }
+
+    res.json({
+      success: true,
+      message: `Receipt sent to ${email}`
+    });
+
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Failed to email receipt', error: error.message });
+  }
+};
@@ -1,95 +1,221 @@
-import Sale from '../../models/Sale.js';
+import Sale, { PAYMENT_METHODS, SELL_AS } from '../../models/Sale.js';
 import Product from '../../models/Product.js';
 import InventoryLog from '../../models/InventoryLog.js';
 import StockReconciliation from '../../models/StockReconciliation.js';
 import StaffActivity from '../../models/StaffActivity.js';
+import Pharmacy from '../../models/Pharmacy.js';
+import Shift from '../../models/Shift.js';
+import Customer from '../../models/Customer.js';
+import Prescription from '../../models/Prescription.js';
+import { DEFAULT_TENANT_SETTINGS } from '../../config/tenantConfig.js';
+import { updateProductStock, restockProduct, stockSnapshot } from '../../utils/stockUtils.js';
+import { applyTax } from '../../utils/taxUtils.js';
+import { roundMoney } from '../../utils/moneyUtils.js';
+import { getDeviceInfo } from '../../utils/requestUtils.js';
+import { initiateStkPush, formatMpesaPhone } from '../../services/mpesaService.js';
+import { submitSaleInvoice, submitCreditNote } from '../../services/etimsService.js';
+import { findWitness } from '../../services/controlledRegisterService.js';
+import { nextReceiptNumber } from '../../services/receiptNumberService.js';
 
 import mongoose from 'mongoose';
 
-const generateReceiptNumber = () => {
+// Parked baskets are not invoices - they only get a sequential receipt number when finalized
+const generateHoldReference = (prefix = 'HLD') => {
   const now = new Date();
   const datePart = now.toISOString().slice(2, 10).replace(/-/g, '');
   const timePart = now.toTimeString().slice(0, 8).replace(/:/g, '');
   const randomPart = Math.random().toString(36).substr(2, 4).toUpperCase();
   
-  return `RX-${datePart}-${timePart}-${randomPart}`;
+  return `${prefix}-${datePart}-${timePart}-${randomPart}`;
 };
-// Helper: Update product stock based on product type
-async function updateProductStock(product, quantity, session) {
-  const productType = product.unitType;
-  
-  // Handle different product types
-  switch(productType) {
-    // CAN be subdivided (tablets, capsules, powder)
-    case 'Tablets':
-    case 'Capsules':
-    case 'Grams':
-      await handleSubdividableProduct(product, quantity, session);
-      break;
-    
-    // CANNOT be subdivided (bottles, tubes, units)  
-    case 'Bottles':
-    case 'Tubes': 
-    case 'Units':
-    case 'Millilitres':
-    case 'Packs':
-      await handleWholeUnitProduct(product, quantity, session);
-      break;
-    
-    default:
-      await handleWholeUnitProduct(product, quantity, session);
+
+// Helper: Check a { type, value } discount from the request, returns an error message or null
+function validateDiscount(discount, label) {
+  if (!['percentage', 'fixed'].includes(discount.type)) {
+    return `Invalid discount type for ${label}. Use: percentage, fixed`;
   }
+  const value = Number(discount.value);
+  if (!Number.isFinite(value) || value < 0) {
+    return `Invalid discount value for ${label}`;
+  }
+  if (discount.type === 'percentage' && value > 100) {
+    return `Discount for ${label} cannot exceed 100%`;
+  }
+  return null;
 }
 
-// Handle products that can be subdivided (tablets, capsules, etc.)
-async function handleSubdividableProduct(product, quantity, session) {
-  let remainingQuantity = quantity;
-  
-  // First use loose units
-  const unitsFromLoose = Math.min(remainingQuantity, product.stock.looseUnits);
-  product.stock.looseUnits -= unitsFromLoose;
-  remainingQuantity -= unitsFromLoose;
-  
-  // If still need units, break packs
-  if (remainingQuantity > 0) {
-    const packsToBreak = Math.ceil(remainingQuantity / product.pricing.unitsPerPack);
-    
-    if (packsToBreak > product.stock.fullPacks) {
-      throw new Error(`Not enough ${product.unitType.toLowerCase()} available`);
+// Helper: Amount a discount takes off, never more than the amount itself
+function calculateDiscount(discount, amount) {
+  if (!discount) return 0;
+  const value = Number(discount.value);
+  const off = discount.type === 'percentage' ? amount * value / 100 : value;
+  return roundMoney(Math.min(off, amount));
+}
+
+// Helper: Largest discount (% of a line's value) this user may give, null means uncapped
+function getDiscountLimit(user, pharmacy) {
+  if (user.role !== 'attendant') return null;
+
+  const level = user.permissions?.discounts || 'none';
+  if (level === 'full') return null;
+  if (level === 'limited') {
+    return pharmacy?.settings?.maxDiscountPercent ?? DEFAULT_TENANT_SETTINGS.maxDiscountPercent;
+  }
+  return 0;
+}
+
+// Helper: Pharmacy's VAT settings, falling back to the tenant defaults
+function getTaxSettings(pharmacy) {
+  return {
+    taxRate: pharmacy?.settings?.taxRate ?? DEFAULT_TENANT_SETTINGS.taxRate,
+    pricesIncludeTax: pharmacy?.settings?.pricesIncludeTax ?? DEFAULT_TENANT_SETTINGS.pricesIncludeTax
+  };
+}
+
+// Helper: Spread the basket discount across lines by their value, so refunds pay back what was charged
+function allocateBasketDiscount(saleItems, basketAmount) {
+  const netTotal = saleItems.reduce((sum, line) => sum + line.total, 0);
+  if (basketAmount <= 0 || netTotal <= 0) return;
+
+  let remaining = basketAmount;
+  saleItems.forEach((line, index) => {
+    const share = index === saleItems.length - 1
+      ? remaining
+      : roundMoney(basketAmount * line.total / netTotal);
+    remaining = roundMoney(remaining - share);
+    line.total = roundMoney(line.total - share);
+    line.discountAmount = roundMoney(line.discountAmount + share);
+  });
+}
+
+// Helper: Cancel parked baskets that have sat past their expiry (expired lazily, on read)
+async function expireHeldSales(pharmacyId) {
+  await Sale.updateMany(
+    {
+      pharmacy: pharmacyId,
+      status: 'pending',
+      'hold.status': 'held',
+      'hold.expiresAt': { $lte: new Date() }
+    },
+    { $set: { status: 'cancelled', 'hold.status': 'expired' } }
+  );
+}
+
+// Helper: Price a basket line as sold - quantity counts packs for sellAs 'pack', units otherwise
+// Returns { sellAs, quantity, units, unitsPerPack, price } (price per pack or per unit), or { error }
+function priceSaleLine(product, item) {
+  const sellAs = item.sellAs || 'unit';
+  if (!SELL_AS.includes(sellAs)) {
+    return { error: `Invalid sellAs for ${product.name}. Use: ${SELL_AS.join(', ')}` };
+  }
+
+  // Whole packs or whole units - a part tablet can be neither stocked nor refunded
+  const quantity = Number(item.quantity);
+  if (!Number.isInteger(quantity) || quantity <= 0) {
+    return { error: `Invalid quantity for ${product.name}` };
+  }
+
+  const unitsPerPack = product.pricing.unitsPerPack || 1;
+  return {
+    sellAs,
+    quantity,
+    units: sellAs === 'pack' ? quantity * unitsPerPack : quantity,
+    unitsPerPack,
+    price: product.priceFor(sellAs)
+  };
+}
+
+// Helper: Turn a held basket back into request-shaped items/discount for processSale
+function heldBasketToRequest(heldSale) {
+  const toDiscount = (discount) => discount?.type
+    ? { type: discount.type, value: discount.value }
+    : undefined;
+
+  return {
+    items: heldSale.items.map(line => ({
+      productId: line.product,
+      quantity: line.sellAs === 'pack' ? line.packs : line.quantity,
+      sellAs: line.sellAs,
+      discount: toDiscount(line.discount)
+    })),
+    discount: toDiscount(heldSale.basketDiscount)
+  };
+}
+
+// Helper: Active customer in this pharmacy, or null
+function findActiveCustomer(pharmacyId, customerId, session = null) {
+  return Customer.findOne({ _id: customerId, pharmacy: pharmacyId, status: 'active' })
+    .select('name phone allergies chronicConditions')
+    .session(session);
+}
+
+// Helper: The drawer an offline sale was rung up on - the shift the terminal recorded, else the
+// attendant's shift that covered soldAt. Sales with neither are left unassigned and flagged.
+async function resolveOfflineShift(user, { shiftId, soldAt }, session) {
+  let shift = null;
+  if (shiftId) {
+    shift = await Shift.findOne({
+      _id: shiftId,
+      pharmacy: user.tenantId,
+      attendant: user.id,
+      openedAt: { $lte: soldAt }
+    }).session(session);
+  }
+  shift = shift || await Shift.findShiftAt(user.tenantId, user.id, soldAt).session(session);
+
+  if (!shift) return { shift: null, shiftConflict: 'no_shift' };
+  // Its Z-report was frozen without this sale
+  return { shift, shiftConflict: shift.status === 'closed' ? 'shift_closed' : undefined };
+}
+
+// Helper: Normalise tenders from the request. Falls back to the legacy paymentMethod/amountPaid pair
+function normalizePayments({ payments, paymentMethod, amountPaid }) {
+  if (!Array.isArray(payments) || payments.length === 0) {
+    return [{ method: paymentMethod || 'cash', amount: Number(amountPaid), status: 'confirmed' }];
+  }
+
+  const tenders = [];
+  for (const payment of payments) {
+    // Several cash tenders are just one pile of cash
+    const existingCash = payment.method === 'cash' && tenders.find(t => t.method === 'cash');
+    if (existingCash) {
+      existingCash.amount = roundMoney(existingCash.amount + Number(payment.amount));
+    } else {
+      tenders.push({
+        method: payment.method,
+        amount: Number(payment.amount),
+        reference: payment.reference,
+        // M-Pesa without a transaction code is confirmed later through STK Push
+        status: payment.method === 'mpesa' && !payment.reference ? 'pending' : 'confirmed',
+        phone: payment.phone
+      });
     }
-    
-    product.stock.fullPacks -= packsToBreak;
-    const unitsFromPacks = packsToBreak * product.pricing.unitsPerPack;
-    product.stock.looseUnits += (unitsFromPacks - remainingQuantity);
   }
-  
-  await product.save({ session });
+  return tenders;
 }
 
+// Helper: Check tenders cover the total and that only cash overpays, returns an error message or null
+function validatePayments(tenders, totalAmount) {
+  for (const tender of tenders) {
+    if (!PAYMENT_METHODS.includes(tender.method)) {
+      return `Invalid payment method: ${tender.method}. Use: ${PAYMENT_METHODS.join(', ')}`;
+    }
+    if (!Number.isFinite(tender.amount) || tender.amount <= 0) {
+      return `Invalid amount for ${tender.method} payment`;
+    }
+  }
 
-// Handle products that cannot be subdivided (bottles, inhalers, etc.)
-async function handleWholeUnitProduct(product, quantity, session) {
-  // For non-subdividable products, we can only sell whole units
-  const totalUnitsNeeded = quantity;
-  
-  if (totalUnitsNeeded > product.stock.totalUnits) {
-    throw new Error(`Not enough ${product.unitType.toLowerCase()} available. Only ${product.stock.totalUnits} left`);
+  const amountPaid = roundMoney(tenders.reduce((sum, t) => sum + t.amount, 0));
+  if (amountPaid < totalAmount) {
+    return `Insufficient payment. Total: ${totalAmount}, Paid: ${amountPaid}`;
   }
-  
-  // For whole units, we can use both full packs and loose units
-  let remainingQuantity = quantity;
-  
-  // First use loose units
-  const unitsFromLoose = Math.min(remainingQuantity, product.stock.looseUnits);
-  product.stock.looseUnits -= unitsFromLoose;
-  remainingQuantity -= unitsFromLoose;
-  
-  // Then use full packs (each pack = 1 unit for non-subdividable)
-  if (remainingQuantity > 0) {
-    product.stock.fullPacks -= remainingQuantity;
+
+  const nonCash = roundMoney(tenders.filter(t => t.method !== 'cash').reduce((sum, t) => sum + t.amount, 0));
+  if (nonCash > totalAmount) {
+    return `Non-cash payments (${nonCash}) cannot exceed the sale total (${totalAmount}). Change is only given on cash`;
   }
-  
-  await product.save({ session });
+
+  return null;
 }
 
 // Middleware to check sales permissions
@@ -153,164 +279,457 @@ async function createReconciliationRecords(sale, stockWarnings, session) {
   }
 }
 
-// Main sale processing function
-export const processSale = async (req, res) => {
-  const session = await mongoose.startSession();
-  session.startTransaction();
+const saleError = (status, body) => ({ error: { status, body: { success: false, ...body } } });
 
-  try {
-    const { items, paymentMethod, amountPaid, ignoreStock = false } = req.body;
+/**
+ * Validate, price and save a sale inside the caller's transaction - shared by the till and offline sync
+ * @param {Object} user - { id, tenantId, role, permissions } of the attendant who made the sale
+ * @param {Object} body - processSale request body
+ * @param {Object} options - device for the activity log; offline { clientSaleId, terminalId, clientReceiptNumber, soldAt, shiftId, syncLog }
+ *   replays a sale made without a connection: shortages raise reconciliation records and lines keep the charged price
+ * @returns {Object} { sale, customer, prescription, stockWarnings, priceChanges, shiftConflict, payments, awaitingMpesa, changeDue },
+ *   or { error: { status, body }, afterAbort } when the sale is refused
+ */
+export async function createSale(user, body, session, { device, offline } = {}) {
+  const { ignoreStock = false, heldSaleId, customerId, prescriptionId, witnessId } = body;
+  let { items, discount: basketDiscount } = body;
+  // Offline sales have already left the shop - shortages are reconciled afterwards, never refused
+  const allowShortage = ignoreStock || Boolean(offline);
+
+  // Finalizing a parked basket - any terminal in the pharmacy may pick it up
+  let heldSale = null;
+  if (heldSaleId) {
+    heldSale = await Sale.findOne({
+      _id: heldSaleId,
+      pharmacy: user.tenantId
+    }).session(session);
+
+    if (!heldSale || heldSale.hold?.status !== 'held' || heldSale.status !== 'pending') {
+      return saleError(404, { message: 'Held sale not found or already finalized' });
+    }
+
+    if (heldSale.hold.expiresAt <= new Date()) {
+      return {
+        ...saleError(410, { message: 'This held sale has expired. Ring the items up again' }),
+        afterAbort: () => expireHeldSales(user.tenantId)
+      };
+    }
+
+    // The basket can be edited when resumed; otherwise sell exactly what was parked
+    const basket = heldBasketToRequest(heldSale);
+    if (!Array.isArray(items) || items.length === 0) items = basket.items;
+    if (basketDiscount === undefined) basketDiscount = basket.discount;
+  }
+
+  // Optional registered customer (a held basket keeps the one it was parked with)
+  let customer = null;
+  const saleCustomerId = customerId || heldSale?.customer;
+  if (saleCustomerId) {
+    customer = await findActiveCustomer(user.tenantId, saleCustomerId, session);
+    if (!customer) {
+      return saleError(404, { message: 'Customer not found' });
+    }
+  }
+  
+  let subtotal = 0;
+  const saleItems = [];
+  const stockWarnings = [];
+  const priceChanges = [];
+  // Offline lines charged under the current price, and by how much
+  const markdowns = new Map();
+  // Lines that may only be sold against a prescription
+  const prescriptionLines = [];
+  let hasControlledDrugs = false;
+
+  if (basketDiscount) {
+    const discountError = validateDiscount(basketDiscount, 'basket');
+    if (discountError) {
+      return saleError(400, { message: discountError });
+    }
+  }
+
+  // Process each item
+  for (const item of items) {
+    // Scoped to the pharmacy - another tenant's product id is "not found", never sold
+    const product = await Product.findOne({ _id: item.productId, pharmacy: user.tenantId }).session(session);
     
-    let totalAmount = 0;
-    const saleItems = [];
-    const stockWarnings = [];
+    if (!product) {
+      return saleError(404, { message: `Product not found: ${item.productId}` });
+    }
 
-    // Process each item
-    for (const item of items) {
-      const product = await Product.findById(item.productId).session(session);
-      
-      if (!product) {
-        await session.abortTransaction();
-        return res.status(404).json({ success: false, message: `Product not found: ${item.productId}` });
+    if (product.status !== 'active') {
+      return saleError(400, { message: `Product ${product.name} is not active` });
+    }
+
+    if (item.discount) {
+      const discountError = validateDiscount(item.discount, product.name);
+      if (discountError) {
+        return saleError(400, { message: discountError });
       }
+    }
 
-      if (product.status !== 'active') {
-        await session.abortTransaction();
-        return res.status(400).json({ success: false, message: `Product ${product.name} is not active` });
+    const line = priceSaleLine(product, item);
+    if (line.error) {
+      return saleError(400, { message: line.error });
+    }
+
+    // An offline sale keeps the price the customer was charged at the till (per pack or per unit, as sold)
+    let price = line.price;
+    let markdown = 0;
+    if (offline && item.unitPrice !== undefined) {
+      price = Number(item.unitPrice);
+      if (!Number.isFinite(price) || price < 0) {
+        return saleError(400, { message: `Invalid unit price for ${product.name}` });
+      }
+      if (Math.abs(price - line.price) > 0.005) {
+        priceChanges.push({
+          product: product._id,
+          productName: product.name,
+          sellAs: line.sellAs,
+          chargedPrice: price,
+          currentPrice: line.price
+        });
+        // Charging under the current price is a discount, held to the same permission
+        markdown = roundMoney(Math.max(0, line.price - price) * line.quantity);
       }
+    }
 
-      const itemTotal = item.quantity * product.pricing.pricePerUnit;
-      totalAmount += itemTotal;
+    const itemTotal = roundMoney(line.quantity * price);
+    const lineDiscount = calculateDiscount(item.discount, itemTotal);
+    subtotal += itemTotal;
 
-      saleItems.push({
-        product: product._id,
-        productName: product.name,
-        quantity: item.quantity,
-        unitPrice: product.pricing.pricePerUnit,
-        total: itemTotal,
-        unitType: product.unitType
-      });
+    const saleItem = {
+      product: product._id,
+      productName: product.name,
+      quantity: line.units,
+      sellAs: line.sellAs,
+      packs: line.sellAs === 'pack' ? line.quantity : undefined,
+      packPrice: line.sellAs === 'pack' ? price : undefined,
+      unitPrice: line.sellAs === 'pack' ? price / line.unitsPerPack : price,
+      total: roundMoney(itemTotal - lineDiscount),
+      discount: item.discount
+        ? { type: item.discount.type, value: Number(item.discount.value), amount: lineDiscount }
+        : undefined,
+      discountAmount: lineDiscount,
+      unitType: product.unitType,
+      taxClass: product.taxClass,
+      stockDeducted: true
+    };
+    saleItems.push(saleItem);
+    if (markdown > 0) markdowns.set(saleItem, markdown);
+    if (product.requiresPrescription) prescriptionLines.push(saleItem);
+    if (product.drugType === 'Controlled') hasControlledDrugs = true;
 
-      // Stock check
-      if (!ignoreStock) {
-        if (item.quantity > product.stock.totalUnits) {
-          await session.abortTransaction();
-          return res.status(400).json({
-            success: false,
-            message: `Insufficient stock for ${product.name}. Available: ${product.stock.totalUnits}, Requested: ${item.quantity}`,
-            suggestion: 'Set ignoreStock=true to proceed anyway'
-          });
-        }
-        await updateProductStock(product, item.quantity, session);
+    // Stock check - expired lots cannot be sold
+    const available = product.stock.sellableUnits;
+    if (!allowShortage) {
+      if (line.units > available) {
+        return saleError(400, {
+          message: `Insufficient stock for ${product.name}. Available: ${available}, Requested: ${line.units}`,
+          suggestion: 'Set ignoreStock=true to proceed anyway'
+        });
+      }
+      saleItem.batches = await updateProductStock(product, line.units, session, { sellAs: line.sellAs });
+    } else {
+      const hasStockShortage = line.units > available;
+      if (hasStockShortage) {
+        stockWarnings.push({
+          product: product.name,
+          requested: line.units,
+          available,
+          deficit: line.units - available
+        });
+        // Nothing was taken off the shelf, so refunds/voids must not restock this line
+        saleItem.stockDeducted = false;
       } else {
-        const hasStockShortage = item.quantity > product.stock.totalUnits;
-        if (hasStockShortage) {
-          stockWarnings.push({
-            product: product.name,
-            requested: item.quantity,
-            available: product.stock.totalUnits,
-            deficit: item.quantity - product.stock.totalUnits
-          });
-        } else {
-          await updateProductStock(product, item.quantity, session);
-        }
+        saleItem.batches = await updateProductStock(product, line.units, session, { sellAs: line.sellAs });
       }
     }
+  }
 
-    const changeDue = Math.max(0, amountPaid - totalAmount);
-    if (amountPaid < totalAmount) {
-      await session.abortTransaction();
-      return res.status(400).json({ success: false, message: `Insufficient payment. Total: ${totalAmount}, Paid: ${amountPaid}` });
+  subtotal = roundMoney(subtotal);
+
+  // Prescription-only and controlled drugs need a valid prescription with fills left
+  let prescription = null;
+  const salePrescriptionId = prescriptionId || heldSale?.prescription;
+  if (prescriptionLines.length > 0) {
+    if (!salePrescriptionId) {
+      return saleError(400, {
+        message: 'A prescription is required for: ' + prescriptionLines.map(line => line.productName).join(', '),
+        requiresPrescription: prescriptionLines.map(line => line.product)
+      });
     }
 
-    const receiptNumber = generateReceiptNumber();
+    prescription = await Prescription.findOne({
+      _id: salePrescriptionId,
+      pharmacy: user.tenantId
+    }).session(session);
 
-    const sale = new Sale({
-      pharmacy: req.user.tenantId,
-      attendant: req.user.id,
-      items: saleItems,
-      subtotal: totalAmount,
-      totalAmount,
-      amountPaid,
-      changeDue,
-      paymentMethod: paymentMethod || 'cash',
-      status: 'completed',
-      createdBy: req.user.id,
-      receiptNumber,
-      metadata: {
-        ignoreStock,
-        stockWarnings
-      }
-    });
+    if (!prescription) {
+      return saleError(404, { message: 'Prescription not found' });
+    }
 
-    await sale.save({ session });
+    const prescriptionError = prescription.getDispenseError(prescriptionLines);
+    if (prescriptionError) {
+      return saleError(400, { message: prescriptionError });
+    }
+  }
 
-    if (ignoreStock && stockWarnings.length > 0) {
-      await createReconciliationRecords(sale, stockWarnings, session);
+  // Controlled drugs are issued in front of a second member of staff for the DDA register
+  let witness = null;
+  if (hasControlledDrugs) {
+    const result = await findWitness(user.tenantId, witnessId, user.id, session);
+    if (result.error) {
+      return saleError(400, { message: result.error });
     }
+    witness = result.witness;
+  }
 
-    // Inventory logs
-    for (const item of items) {
-      const product = await Product.findById(item.productId).session(session);
-      await InventoryLog.create([{
-        product: product._id,
-        pharmacy: req.user.tenantId,
-        action: 'sale',
-        performedBy: req.user.id,
-        details: {
-          quantity: item.quantity,
-          saleId: sale._id,
-          productName: product.name,
-          unitPrice: product.pricing.pricePerUnit,
-          totalAmount: item.quantity * product.pricing.pricePerUnit,
-          receiptNumber: sale.receiptNumber
-        }
-      }], { session });
+  // Basket discount applies to what is left after line discounts
+  const afterLineDiscounts = roundMoney(saleItems.reduce((sum, line) => sum + line.total, 0));
+  const basketDiscountAmount = calculateDiscount(basketDiscount, afterLineDiscounts);
+  allocateBasketDiscount(saleItems, basketDiscountAmount);
+
+  const discountTotal = roundMoney(subtotal - afterLineDiscounts + basketDiscountAmount);
+  const pharmacy = await Pharmacy.findById(user.tenantId).select('settings etims.branchId').session(session);
+
+  // Enforce the attendant's discounts permission - offline markdowns count against it too
+  if (discountTotal > 0 || markdowns.size > 0) {
+    const discountLimit = getDiscountLimit(user, pharmacy);
+
+    if (discountLimit === 0) {
+      return saleError(403, {
+        message: 'You do not have permission to give discounts'
+      });
     }
 
-    // Staff activity log (safe, won’t break main flow)
-    try {
-  await StaffActivity.log({
-    tenantId: req.user.tenantId,
-    staff: req.user.id,
-    action: 'sale_completed', // must match enum
-    details: {
-      saleId: sale._id,
-      items: saleItems,
-      totalAmount,
-      amountPaid,
-      changeDue,
-      paymentMethod
-    },
-    deviceInfo: {
-      userAgent: req.get('User-Agent'),
-      ip: req.ip,
-      location: req.get('CF-IPCountry') || 'Unknown'
+    if (discountLimit !== null) {
+      const overLimit = saleItems.find(line => {
+        const given = line.discountAmount + (markdowns.get(line) || 0);
+        const gross = line.total + given;
+        return gross > 0 && (given / gross) * 100 > discountLimit + 0.01;
+      });
+
+      if (overLimit) {
+        return saleError(403, {
+          message: `Discount on ${overLimit.productName} exceeds your limit of ${discountLimit}%`,
+          maxDiscountPercent: discountLimit
+        });
+      }
     }
-  });
-} catch (err) {
-  console.warn('Failed to log staff activity:', err.message);
+  }
+
+  // VAT is worked out on the discounted lines; exclusive pricing adds it on top
+  const taxSettings = getTaxSettings(pharmacy);
+  const { taxTotal, taxBreakdown } = applyTax(saleItems, taxSettings);
+  const totalAmount = roundMoney(saleItems.reduce((sum, line) => sum + line.total, 0));
+
+  const payments = normalizePayments(body);
+  const paymentError = validatePayments(payments, totalAmount);
+  if (paymentError) {
+    return saleError(400, { message: paymentError });
+  }
+  // There is no prompt to send after the fact - the till must have taken the M-Pesa code
+  if (offline && payments.some(p => p.status === 'pending')) {
+    return saleError(400, { message: 'M-Pesa payments made offline need the transaction code as the reference' });
+  }
+
+  const amountPaid = roundMoney(payments.reduce((sum, p) => sum + p.amount, 0));
+  const changeDue = roundMoney(amountPaid - totalAmount);
+  // Stock is held for the customer while an M-Pesa prompt is outstanding
+  const awaitingMpesa = payments.some(p => p.status === 'pending');
+
+  // Taken inside the transaction so an aborted sale gives its number back
+  const receiptNumber = await nextReceiptNumber(pharmacy, session, offline?.soldAt);
+  // Sales rung up while the attendant has a drawer open count towards its Z-report.
+  // An offline sale belongs to the drawer it was rung up on, not whichever is open at upload.
+  const { shift, shiftConflict } = offline
+    ? await resolveOfflineShift(user, offline, session)
+    : { shift: await Shift.findOpenShift(user.tenantId, user.id).session(session) };
+
+  const saleData = {
+    pharmacy: user.tenantId,
+    attendant: user.id,
+    shift: shift?._id,
+    customer: customer?._id || prescription?.customer,
+    prescription: prescription?._id,
+    controlledDrugWitness: witness?._id,
+    items: saleItems,
+    subtotal,
+    basketDiscount: basketDiscount
+      ? { type: basketDiscount.type, value: Number(basketDiscount.value), amount: basketDiscountAmount }
+      : undefined,
+    discountTotal,
+    totalAmount,
+    taxTotal,
+    taxBreakdown,
+    pricesIncludeTax: taxSettings.pricesIncludeTax,
+    amountPaid,
+    changeDue,
+    payments,
+    status: awaitingMpesa ? 'pending' : 'completed',
+    paymentStatus: awaitingMpesa ? 'awaiting_payment' : 'paid',
+    createdBy: user.id,
+    receiptNumber,
+    ...(offline && {
+      createdAt: offline.soldAt,
+      offline: { ...offline, shiftConflict, syncedAt: new Date() }
+    }),
+    metadata: {
+      ignoreStock: allowShortage,
+      stockWarnings,
+      priceChanges,
+      discountPermission: user.role === 'attendant' ? user.permissions?.discounts : undefined
+    }
+  };
+
+  let sale;
+  if (heldSale) {
+    heldSale.set({
+      ...saleData,
+      createdBy: heldSale.createdBy,
+      'hold.status': 'resumed',
+      'hold.resumedBy': user.id,
+      'hold.resumedAt': new Date(),
+      'hold.holdReference': heldSale.receiptNumber
+    });
+    sale = heldSale;
+  } else {
+    sale = new Sale(saleData);
+  }
+
+  await sale.save({ session });
+
+  if (prescription) {
+    prescription.recordDispense({ sale: sale._id, lines: prescriptionLines, userId: user.id });
+    await prescription.save({ session });
+  }
+
+  if (allowShortage && stockWarnings.length > 0) {
+    await createReconciliationRecords(sale, stockWarnings, session);
+  }
+
+  // Inventory logs
+  for (const line of saleItems) {
+    await InventoryLog.create([{
+      product: line.product,
+      pharmacy: user.tenantId,
+      action: 'sale',
+      performedBy: user.id,
+      details: {
+        quantity: line.quantity,
+        sellAs: line.sellAs,
+        packs: line.packs,
+        saleId: sale._id,
+        productName: line.productName,
+        unitPrice: line.unitPrice,
+        discountAmount: line.discountAmount,
+        totalAmount: line.total,
+        receiptNumber: sale.receiptNumber,
+        stockDeducted: line.stockDeducted,
+        batches: line.batches
+      }
+    }], { session });
+  }
+
+  // Staff activity log (safe, won’t break main flow) - in the transaction, so a retried or aborted sale leaves no entry
+  try {
+    await StaffActivity.log({
+      tenantId: user.tenantId,
+      staff: user.id,
+      action: 'sale_completed', // must match enum
+      shift: sale.shift,
+      details: {
+        saleId: sale._id,
+        items: saleItems,
+        discountTotal,
+        totalAmount,
+        amountPaid,
+        changeDue,
+        payments,
+        ...(offline && { offline: { clientSaleId: offline.clientSaleId, terminalId: offline.terminalId } })
+      },
+      deviceInfo: device,
+      session
+    });
+  } catch (err) {
+    console.warn('Failed to log staff activity:', err.message);
+  }
+
+  return { sale, customer, prescription, stockWarnings, priceChanges, shiftConflict, payments, awaitingMpesa, changeDue };
 }
 
-    await session.commitTransaction();
+// Main sale processing function
+export const processSale = async (req, res) => {
+  const session = await mongoose.startSession();
+
+  try {
+    // Tills ringing up at the same time contend for the receipt counter; the driver retries the loser
+    const result = await session.withTransaction(async () => {
+      const outcome = await createSale(req.user, req.body, session, { device: getDeviceInfo(req) });
+      if (outcome.error) await session.abortTransaction();
+      return outcome;
+    });
     session.endSession();
 
+    if (result.error) {
+      if (result.afterAbort) await result.afterAbort();
+      return res.status(result.error.status).json(result.error.body);
+    }
+
+    const { sale, customer, prescription, stockWarnings, payments, awaitingMpesa, changeDue } = result;
+
+    // KRA eTIMS invoice - sent in the background, the worker retries failures
+    if (sale.status === 'completed') {
+      submitSaleInvoice(sale._id).catch(err => console.error('Failed to queue eTIMS invoice:', err.message));
+    }
+
+    // Prompt the customer's phone straight away when the M-Pesa number was given
+    let mpesa = null;
+    const mpesaPhone = formatMpesaPhone(payments.find(p => p.status === 'pending')?.phone);
+    if (awaitingMpesa && mpesaPhone) {
+      try {
+        const { transaction, customerMessage } = await initiateStkPush({ sale, phone: mpesaPhone, userId: req.user.id });
+        mpesa = { checkoutRequestId: transaction.checkoutRequestId, customerMessage };
+      } catch (err) {
+        mpesa = { error: `Failed to send M-Pesa prompt: ${err.message}` };
+      }
+    }
+
     const response = {
       success: true,
-      message: 'Sale processed successfully',
+      message: awaitingMpesa ? 'Sale recorded. Awaiting M-Pesa payment' : 'Sale processed successfully',
       data: {
         sale: {
           _id: sale._id,
           receiptNumber: sale.receiptNumber,
+          status: sale.status,
+          paymentStatus: sale.paymentStatus,
           items: sale.items,
           subtotal: sale.subtotal,
+          basketDiscount: sale.basketDiscount,
+          discountTotal: sale.discountTotal,
           totalAmount: sale.totalAmount,
+          taxTotal: sale.taxTotal,
+          taxBreakdown: sale.taxBreakdown,
           amountPaid: sale.amountPaid,
           changeDue: sale.changeDue,
-          paymentMethod: sale.paymentMethod,
+          payments: sale.payments,
+          customer: customer
+            ? { _id: customer._id, name: customer.name, allergies: customer.allergies }
+            : null,
+          prescription: prescription
+            ? {
+                _id: prescription._id,
+                prescriptionNumber: prescription.prescriptionNumber,
+                remainingRepeats: prescription.remainingRepeats,
+                status: prescription.status
+              }
+            : null,
           createdAt: sale.createdAt
         },
-        changeDue
+        changeDue,
+        ...(mpesa && { mpesa })
       }
     };
 
@@ -324,7 +743,7 @@ export const processSale = async (req, res) => {
     res.json(response);
 
   } catch (error) {
-    await session.abortTransaction();
+    // withTransaction has already aborted
     session.endSession();
     res.status(500).json({ success: false, message: 'Failed to process sale', error: error.message });
   }
@@ -333,49 +752,853 @@ export const processSale = async (req, res) => {
 
 
 
-// Get sales list
-export const getSales = async (req, res) => {
+// POST /api/pos/sales/hold - Park a basket without taking stock off the shelf
+export const holdSale = async (req, res) => {
   try {
-    const { page = 1, limit = 20, startDate, endDate } = req.query;
-    const skip = (page - 1) * limit;
+    const { items, discount: basketDiscount, note, customerId, prescriptionId } = req.body;
 
-    const filter = { 
-      pharmacy: req.user.tenantId, 
-      status: 'completed' 
-    };
-    
-    if (startDate && endDate) {
-      filter.createdAt = {
-        $gte: new Date(startDate),
-        $lte: new Date(endDate)
-      };
+    if (!Array.isArray(items) || items.length === 0) {
+      return res.status(400).json({ success: false, message: 'Cannot hold an empty basket' });
     }
 
-    const sales = await Sale.find(filter)
-      .populate('attendant', 'firstName lastName')
-      .sort({ createdAt: -1 })
-      .skip(skip)
-      .limit(parseInt(limit));
+    const customer = customerId ? await findActiveCustomer(req.user.tenantId, customerId) : null;
+    if (customerId && !customer) {
+      return res.status(404).json({ success: false, message: 'Customer not found' });
+    }
 
-    const total = await Sale.countDocuments(filter);
+    if (prescriptionId && !(await Prescription.exists({ _id: prescriptionId, pharmacy: req.user.tenantId }))) {
+      return res.status(404).json({ success: false, message: 'Prescription not found' });
+    }
 
-    res.json({
-      success: true,
-      data: sales,
-      pagination: {
-        page: parseInt(page),
-        limit: parseInt(limit),
-        total,
-        pages: Math.ceil(total / limit)
+    if (basketDiscount) {
+      const discountError = validateDiscount(basketDiscount, 'basket');
+      if (discountError) {
+        return res.status(400).json({ success: false, message: discountError });
       }
-    });
+    }
 
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      message: 'Failed to fetch sales',
-      error: error.message
+    let subtotal = 0;
+    const saleItems = [];
+
+    // Prices are captured for display only - processSale reprices when the basket is finalized
+    for (const item of items) {
+      const product = await Product.findOne({ _id: item.productId, pharmacy: req.user.tenantId });
+
+      if (!product) {
+        return res.status(404).json({ success: false, message: `Product not found: ${item.productId}` });
+      }
+
+      if (product.status !== 'active') {
+        return res.status(400).json({ success: false, message: `Product ${product.name} is not active` });
+      }
+
+      if (item.discount) {
+        const discountError = validateDiscount(item.discount, product.name);
+        if (discountError) {
+          return res.status(400).json({ success: false, message: discountError });
+        }
+      }
+
+      const line = priceSaleLine(product, item);
+      if (line.error) {
+        return res.status(400).json({ success: false, message: line.error });
+      }
+
+      const itemTotal = roundMoney(line.quantity * line.price);
+      const lineDiscount = calculateDiscount(item.discount, itemTotal);
+      subtotal += itemTotal;
+
+      saleItems.push({
+        product: product._id,
+        productName: product.name,
+        quantity: line.units,
+        sellAs: line.sellAs,
+        packs: line.sellAs === 'pack' ? line.quantity : undefined,
+        packPrice: line.sellAs === 'pack' ? line.price : undefined,
+        unitPrice: line.sellAs === 'pack' ? line.price / line.unitsPerPack : line.price,
+        total: roundMoney(itemTotal - lineDiscount),
+        discount: item.discount
+          ? { type: item.discount.type, value: Number(item.discount.value), amount: lineDiscount }
+          : undefined,
+        discountAmount: lineDiscount,
+        unitType: product.unitType,
+        taxClass: product.taxClass,
+        stockDeducted: false
+      });
+    }
+
+    subtotal = roundMoney(subtotal);
+    const afterLineDiscounts = roundMoney(saleItems.reduce((sum, line) => sum + line.total, 0));
+    const basketDiscountAmount = calculateDiscount(basketDiscount, afterLineDiscounts);
+    allocateBasketDiscount(saleItems, basketDiscountAmount);
+    const discountTotal = roundMoney(subtotal - afterLineDiscounts + basketDiscountAmount);
+
+    const pharmacy = await Pharmacy.findById(req.user.tenantId).select('settings');
+    const taxSettings = getTaxSettings(pharmacy);
+    const { taxTotal, taxBreakdown } = applyTax(saleItems, taxSettings);
+    const expiryMinutes = pharmacy?.settings?.heldSaleExpiryMinutes ?? DEFAULT_TENANT_SETTINGS.heldSaleExpiryMinutes;
+    const now = new Date();
+
+    const sale = await Sale.create({
+      pharmacy: req.user.tenantId,
+      attendant: req.user.id,
+      customer: customer?._id,
+      // Checked and dispensed against when the basket is rung up
+      prescription: prescriptionId,
+      items: saleItems,
+      subtotal,
+      basketDiscount: basketDiscount
+        ? { type: basketDiscount.type, value: Number(basketDiscount.value), amount: basketDiscountAmount }
+        : undefined,
+      discountTotal,
+      totalAmount: roundMoney(saleItems.reduce((sum, line) => sum + line.total, 0)),
+      taxTotal,
+      taxBreakdown,
+      pricesIncludeTax: taxSettings.pricesIncludeTax,
+      amountPaid: 0,
+      payments: [],
+      status: 'pending',
+      paymentStatus: 'unpaid',
+      hold: {
+        status: 'held',
+        note,
+        heldBy: req.user.id,
+        heldAt: now,
+        expiresAt: new Date(now.getTime() + expiryMinutes * 60 * 1000)
+      },
+      createdBy: req.user.id,
+      receiptNumber: generateHoldReference()
     });
-  }
-};
 
+    res.status(201).json({
+      success: true,
+      message: 'Sale held successfully',
+      data: sale
+    });
+
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Failed to hold sale', error: error.message });
+  }
+};
+
+// GET /api/pos/sales/held - Parked baskets for the whole pharmacy (any terminal can resume)
+export const getHeldSales = async (req, res) => {
+  try {
+    await expireHeldSales(req.user.tenantId);
+
+    const sales = await Sale.find({
+      pharmacy: req.user.tenantId,
+      status: 'pending',
+      'hold.status': 'held'
+    })
+      .populate('hold.heldBy', 'firstName lastName')
+      .sort({ 'hold.heldAt': -1 });
+
+    res.json({
+      success: true,
+      data: sales
+    });
+
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Failed to fetch held sales', error: error.message });
+  }
+};
+
+// GET /api/pos/sales/held/:id - Load a parked basket to resume it
+export const getHeldSale = async (req, res) => {
+  try {
+    await expireHeldSales(req.user.tenantId);
+
+    const sale = await Sale.findOne({
+      _id: req.params.id,
+      pharmacy: req.user.tenantId,
+      'hold.status': { $exists: true }
+    }).populate('hold.heldBy', 'firstName lastName');
+
+    if (!sale) {
+      return res.status(404).json({ success: false, message: 'Held sale not found' });
+    }
+
+    if (sale.hold.status !== 'held') {
+      return res.status(410).json({
+        success: false,
+        message: `This held sale is no longer available (${sale.hold.status})`
+      });
+    }
+
+    res.json({
+      success: true,
+      data: sale
+    });
+
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Failed to fetch held sale', error: error.message });
+  }
+};
+
+// DELETE /api/pos/sales/held/:id - Discard a parked basket (nothing to restock)
+export const discardHeldSale = async (req, res) => {
+  try {
+    const sale = await Sale.findOneAndUpdate(
+      {
+        _id: req.params.id,
+        pharmacy: req.user.tenantId,
+        status: 'pending',
+        'hold.status': 'held'
+      },
+      { $set: { status: 'cancelled', 'hold.status': 'discarded' } },
+      { new: true }
+    );
+
+    if (!sale) {
+      return res.status(404).json({ success: false, message: 'Held sale not found or already finalized' });
+    }
+
+    res.json({
+      success: true,
+      message: 'Held sale discarded',
+      data: { _id: sale._id, receiptNumber: sale.receiptNumber, status: sale.status }
+    });
+
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Failed to discard held sale', error: error.message });
+  }
+};
+
+// Get sales list
+export const getSales = async (req, res) => {
+  try {
+    const { page = 1, limit = 20, startDate, endDate, status = 'completed', customerId } = req.query;
+    const skip = (page - 1) * limit;
+
+    const filter = { 
+      pharmacy: req.user.tenantId, 
+      status,
+      // Parked baskets are listed under /sales/held
+      'hold.status': { $ne: 'held' }
+    };
+
+    if (customerId) filter.customer = customerId;
+    
+    if (startDate && endDate) {
+      filter.createdAt = {
+        $gte: new Date(startDate),
+        $lte: new Date(endDate)
+      };
+    }
+
+    const sales = await Sale.find(filter)
+      .populate('attendant', 'firstName lastName')
+      .populate('customer', 'name phone')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await Sale.countDocuments(filter);
+
+    res.json({
+      success: true,
+      data: sales,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch sales',
+      error: error.message
+    });
+  }
+};
+
+
+// POST /api/pos/sales/:id/refund - Full or partial return of a completed sale
+export const refundSale = async (req, res) => {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const { items, reason, restock = true } = req.body;
+
+    const sale = await Sale.findOne({
+      _id: req.params.id,
+      pharmacy: req.user.tenantId
+    }).session(session);
+
+    if (!sale) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(404).json({ success: false, message: 'Sale not found' });
+    }
+
+    if (sale.status !== 'completed') {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(400).json({
+        success: false,
+        message: `Only completed sales can be refunded. This sale is ${sale.status}`
+      });
+    }
+
+    // Paid back the way it was paid - a sale split across tenders has to say which one
+    const tenderMethods = [...new Set(sale.payments
+      .filter(payment => payment.status !== 'pending' && payment.status !== 'failed')
+      .map(payment => payment.method))];
+    const refundMethod = req.body.refundMethod ?? (tenderMethods.length === 1 ? tenderMethods[0] : undefined);
+
+    if (!refundMethod) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(400).json({
+        success: false,
+        message: `This sale was paid by ${tenderMethods.join(' and ')}. Choose a refundMethod`
+      });
+    }
+
+    if (!PAYMENT_METHODS.includes(refundMethod)) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(400).json({ success: false, message: `Invalid refund method: ${refundMethod}` });
+    }
+
+    // Work out which lines are coming back and how many units of each
+    const returns = new Map();
+
+    if (Array.isArray(items) && items.length > 0) {
+      for (const entry of items) {
+        const line = entry.itemId
+          ? sale.items.id(entry.itemId)
+          : sale.items.find(i =>
+              i.product.toString() === String(entry.productId) && i.quantity > i.refundedQuantity
+            );
+
+        if (!line) {
+          await session.abortTransaction();
+          session.endSession();
+          return res.status(400).json({
+            success: false,
+            message: `Item not found on this sale: ${entry.itemId || entry.productId}`
+          });
+        }
+
+        const quantity = Number(entry.quantity);
+        if (!Number.isInteger(quantity) || quantity < 1) {
+          await session.abortTransaction();
+          session.endSession();
+          return res.status(400).json({
+            success: false,
+            message: `Invalid return quantity for ${line.productName}`
+          });
+        }
+
+        const key = line._id.toString();
+        const existing = returns.get(key);
+        returns.set(key, {
+          line,
+          quantity: (existing?.quantity || 0) + quantity,
+          restock: entry.restock !== undefined ? entry.restock !== false : restock !== false
+        });
+      }
+    } else {
+      sale.items
+        .filter(line => line.quantity > line.refundedQuantity)
+        .forEach(line => returns.set(line._id.toString(), {
+          line,
+          quantity: line.quantity - line.refundedQuantity,
+          restock: restock !== false
+        }));
+    }
+
+    if (returns.size === 0) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(400).json({ success: false, message: 'Nothing left to refund on this sale' });
+    }
+
+    for (const { line, quantity } of returns.values()) {
+      const returnable = line.quantity - line.refundedQuantity;
+      if (quantity > returnable) {
+        await session.abortTransaction();
+        session.endSession();
+        return res.status(400).json({
+          success: false,
+          message: `Cannot return ${quantity} of ${line.productName}. Only ${returnable} left to refund`
+        });
+      }
+    }
+
+    const refundItems = [];
+    let refundAmount = 0;
+
+    for (const { line, quantity, restock: putBack } of returns.values()) {
+      // Refund at the price actually charged on the line
+      const amount = roundMoney((line.total / line.quantity) * quantity);
+      const restocked = putBack && line.stockDeducted;
+
+      const product = await Product.findOne({
+        _id: line.product,
+        pharmacy: req.user.tenantId
+      }).session(session);
+
+      const previousStock = product ? stockSnapshot(product) : null;
+
+      let batches = [];
+      if (product && restocked) {
+        batches = await restockProduct(product, quantity, session, {
+          lots: line.batches,
+          alreadyReturned: line.refundedQuantity
+        });
+      }
+
+      await InventoryLog.create([{
+        product: line.product,
+        pharmacy: req.user.tenantId,
+        action: 'refund',
+        performedBy: req.user.id,
+        details: {
+          quantity,
+          restocked: !!(product && restocked),
+          saleId: sale._id,
+          receiptNumber: sale.receiptNumber,
+          productName: line.productName,
+          refundAmount: amount,
+          reason,
+          approvedBy: req.user.id,
+          batches,
+          previousStock,
+          newStock: product ? stockSnapshot(product) : null
+        }
+      }], { session });
+
+      line.refundedQuantity += quantity;
+      refundAmount += amount;
+
+      refundItems.push({
+        saleItem: line._id,
+        product: line.product,
+        productName: line.productName,
+        quantity,
+        amount,
+        // VAT given back with the refund, reported against the same rate
+        taxClass: line.taxClass,
+        taxRate: line.taxRate,
+        taxAmount: roundMoney((line.taxAmount || 0) * quantity / line.quantity),
+        restocked: !!(product && restocked)
+      });
+    }
+
+    refundAmount = roundMoney(refundAmount);
+
+    const fullyRefunded = sale.items.every(i => i.refundedQuantity >= i.quantity);
+    // Cash refunds come out of the drawer of whoever pays them back
+    const shift = await Shift.findOpenShift(req.user.tenantId, req.user.id).session(session);
+
+    sale.refunds.push({
+      type: fullyRefunded && sale.refunds.length === 0 ? 'full' : 'partial',
+      items: refundItems,
+      amount: refundAmount,
+      reason,
+      refundMethod,
+      shift: shift?._id,
+      processedBy: req.user.id,
+      approvedBy: req.user.id
+    });
+    sale.refundedAmount = roundMoney(sale.refundedAmount + refundAmount);
+
+    if (fullyRefunded) {
+      sale.status = 'refunded';
+    }
+
+    await sale.save({ session });
+
+    // Staff activity log (safe, won't break main flow)
+    try {
+      await StaffActivity.log({
+        tenantId: req.user.tenantId,
+        staff: req.user.id,
+        action: 'sale_refunded',
+        shift: shift?._id,
+        details: {
+          saleId: sale._id,
+          receiptNumber: sale.receiptNumber,
+          items: refundItems,
+          refundAmount,
+          reason
+        },
+        deviceInfo: getDeviceInfo(req),
+        session
+      });
+    } catch (err) {
+      console.warn('Failed to log staff activity:', err.message);
+    }
+
+    await session.commitTransaction();
+    session.endSession();
+
+    // KRA gets a credit note against the sale's invoice
+    const refund = sale.refunds[sale.refunds.length - 1];
+    submitCreditNote(sale._id, refund._id).catch(err => console.error('Failed to queue eTIMS credit note:', err.message));
+
+    res.json({
+      success: true,
+      message: fullyRefunded ? 'Sale refunded successfully' : 'Partial return processed successfully',
+      data: {
+        refund,
+        sale: {
+          _id: sale._id,
+          receiptNumber: sale.receiptNumber,
+          status: sale.status,
+          totalAmount: sale.totalAmount,
+          refundedAmount: sale.refundedAmount,
+          items: sale.items
+        }
+      }
+    });
+
+  } catch (error) {
+    await session.abortTransaction();
+    session.endSession();
+    res.status(500).json({ success: false, message: 'Failed to process refund', error: error.message });
+  }
+};
+
+// Helper: Put every unrefunded line of a sale back on the shelf and log it
+async function reverseSaleStock(sale, userId, reason, session) {
+  const reversedItems = [];
+
+  for (const line of sale.items) {
+    const quantity = line.quantity - line.refundedQuantity;
+    if (quantity <= 0) continue;
+
+    const product = await Product.findOne({
+      _id: line.product,
+      pharmacy: sale.pharmacy
+    }).session(session);
+
+    const restocked = !!(product && line.stockDeducted);
+    const previousStock = product ? stockSnapshot(product) : null;
+
+    let batches = [];
+    if (restocked) {
+      batches = await restockProduct(product, quantity, session, {
+        lots: line.batches,
+        alreadyReturned: line.refundedQuantity
+      });
+    }
+
+    await InventoryLog.create([{
+      product: line.product,
+      pharmacy: sale.pharmacy,
+      action: 'void',
+      performedBy: userId,
+      details: {
+        quantity,
+        restocked,
+        saleId: sale._id,
+        receiptNumber: sale.receiptNumber,
+        productName: line.productName,
+        reason,
+        batches,
+        previousStock,
+        newStock: product ? stockSnapshot(product) : null
+      }
+    }], { session });
+
+    reversedItems.push({
+      product: line.product,
+      productName: line.productName,
+      quantity,
+      restocked
+    });
+  }
+
+  // The fill goes back on the prescription so it can be dispensed again
+  if (sale.prescription) {
+    const prescription = await Prescription.findById(sale.prescription).session(session);
+    if (prescription?.reverseDispense(sale._id)) {
+      await prescription.save({ session });
+    }
+  }
+
+  return reversedItems;
+}
+
+// Helper: The drawer a void pays the customer back from - whoever hands the money back, if they
+// have a shift open, else the sale's own. A closed drawer can no longer take it, so that is reported
+async function resolveVoidShift(sale, userId, session) {
+  const open = await Shift.findOpenShift(sale.pharmacy, userId).session(session);
+  if (open) return { shift: open._id };
+  if (!sale.shift) return {};
+
+  const original = await Shift.findById(sale.shift).select('status').session(session);
+  if (original?.status !== 'closed') return { shift: sale.shift };
+  return {
+    shift: sale.shift,
+    warning: 'This sale\'s shift is already closed and no shift is open to pay it back from. ' +
+      'Record any cash handed back as an adjustment to the drawer it came from'
+  };
+}
+
+async function logVoidActivity(req, action, sale) {
+  try {
+    await StaffActivity.log({
+      tenantId: req.user.tenantId,
+      staff: req.user.id,
+      action,
+      details: {
+        saleId: sale._id,
+        receiptNumber: sale.receiptNumber,
+        totalAmount: sale.totalAmount,
+        voidDetails: sale.voidDetails
+      },
+      deviceInfo: getDeviceInfo(req)
+    });
+  } catch (err) {
+    console.warn('Failed to log staff activity:', err.message);
+  }
+}
+
+// POST /api/pos/sales/:id/void - Cancel a sale and reverse its stock movements
+export const voidSale = async (req, res) => {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const { reason } = req.body;
+
+    if (!reason || !reason.trim()) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(400).json({ success: false, message: 'A reason is required to void a sale' });
+    }
+
+    const sale = await Sale.findOne({
+      _id: req.params.id,
+      pharmacy: req.user.tenantId
+    }).session(session);
+
+    if (!sale) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(404).json({ success: false, message: 'Sale not found' });
+    }
+
+    if (!['completed', 'pending'].includes(sale.status)) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(400).json({
+        success: false,
+        message: `Only completed or unpaid sales can be voided. This sale is ${sale.status}`
+      });
+    }
+
+    if (sale.hold?.status === 'held') {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(400).json({
+        success: false,
+        message: 'This is a held basket. Discard it instead of voiding it'
+      });
+    }
+
+    if (sale.refunds.length > 0) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(400).json({
+        success: false,
+        message: 'This sale already has refunds recorded. Refund the remaining items instead'
+      });
+    }
+
+    if (sale.voidDetails?.status === 'pending') {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(409).json({
+        success: false,
+        message: 'A void request for this sale is already awaiting owner approval'
+      });
+    }
+
+    const pharmacy = await Pharmacy.findById(req.user.tenantId).select('settings').session(session);
+    const voidWindowMinutes = pharmacy?.settings?.voidWindowMinutes ?? DEFAULT_TENANT_SETTINGS.voidWindowMinutes;
+    // Unpaid sales (e.g. a declined M-Pesa prompt) can always be cancelled
+    // A resumed basket was only sold when it was finalized, not when it was parked
+    const soldAt = sale.hold?.resumedAt || sale.createdAt;
+    const withinGraceWindow = sale.status === 'pending' ||
+      Date.now() - soldAt.getTime() <= voidWindowMinutes * 60 * 1000;
+    const isOwner = req.user.role === 'pharmacy_owner';
+    const now = new Date();
+
+    // Outside the grace window attendants can only ask the owner to void
+    if (!withinGraceWindow && !isOwner) {
+      sale.voidDetails = {
+        status: 'pending',
+        reason: reason.trim(),
+        requestedBy: req.user.id,
+        requestedAt: now,
+        withinGraceWindow
+      };
+      await sale.save({ session });
+
+      await session.commitTransaction();
+      session.endSession();
+
+      await logVoidActivity(req, 'void_requested', sale);
+
+      return res.status(202).json({
+        success: true,
+        message: `Void window of ${voidWindowMinutes} minutes has passed. Request sent to the pharmacy owner for approval`,
+        data: {
+          saleId: sale._id,
+          receiptNumber: sale.receiptNumber,
+          voidDetails: sale.voidDetails
+        }
+      });
+    }
+
+    const reversedItems = await reverseSaleStock(sale, req.user.id, reason.trim(), session);
+    const voidShift = await resolveVoidShift(sale, req.user.id, session);
+
+    sale.status = 'cancelled';
+    sale.voidDetails = {
+      status: 'voided',
+      reason: reason.trim(),
+      requestedBy: req.user.id,
+      requestedAt: now,
+      withinGraceWindow,
+      reviewedBy: isOwner ? req.user.id : undefined,
+      reviewedAt: isOwner ? now : undefined,
+      voidedAt: now,
+      shift: voidShift.shift,
+      reversedItems
+    };
+    await sale.save({ session });
+
+    await session.commitTransaction();
+    session.endSession();
+
+    await logVoidActivity(req, 'sale_voided', sale);
+    submitCreditNote(sale._id).catch(err => console.error('Failed to queue eTIMS credit note:', err.message));
+
+    res.json({
+      success: true,
+      message: 'Sale voided successfully',
+      data: {
+        saleId: sale._id,
+        receiptNumber: sale.receiptNumber,
+        status: sale.status,
+        voidDetails: sale.voidDetails,
+        warning: voidShift.warning
+      }
+    });
+
+  } catch (error) {
+    await session.abortTransaction();
+    session.endSession();
+    res.status(500).json({ success: false, message: 'Failed to void sale', error: error.message });
+  }
+};
+
+// POST /api/pos/sales/:id/void/review - Owner approves or rejects a late void request
+export const reviewVoidRequest = async (req, res) => {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const { approve, note } = req.body;
+
+    if (typeof approve !== 'boolean') {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(400).json({ success: false, message: 'approve must be true or false' });
+    }
+
+    const sale = await Sale.findOne({
+      _id: req.params.id,
+      pharmacy: req.user.tenantId,
+      status: 'completed',
+      'voidDetails.status': 'pending'
+    }).session(session);
+
+    if (!sale) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(404).json({ success: false, message: 'Pending void request not found' });
+    }
+
+    const now = new Date();
+    let voidShift = {};
+    sale.voidDetails.reviewedBy = req.user.id;
+    sale.voidDetails.reviewedAt = now;
+    sale.voidDetails.reviewNote = note;
+
+    if (approve) {
+      sale.voidDetails.reversedItems = await reverseSaleStock(sale, req.user.id, sale.voidDetails.reason, session);
+      // The attendant who asked is the one at the till with the customer
+      voidShift = await resolveVoidShift(sale, sale.voidDetails.requestedBy, session);
+      sale.voidDetails.shift = voidShift.shift;
+      sale.voidDetails.status = 'voided';
+      sale.voidDetails.voidedAt = now;
+      sale.status = 'cancelled';
+    } else {
+      sale.voidDetails.status = 'rejected';
+    }
+
+    await sale.save({ session });
+
+    await session.commitTransaction();
+    session.endSession();
+
+    if (approve) {
+      await logVoidActivity(req, 'sale_voided', sale);
+      submitCreditNote(sale._id).catch(err => console.error('Failed to queue eTIMS credit note:', err.message));
+    }
+
+    res.json({
+      success: true,
+      message: approve ? 'Void approved and sale cancelled' : 'Void request rejected',
+      data: {
+        saleId: sale._id,
+        receiptNumber: sale.receiptNumber,
+        status: sale.status,
+        voidDetails: sale.voidDetails,
+        warning: voidShift.warning
+      }
+    });
+
+  } catch (error) {
+    await session.abortTransaction();
+    session.endSession();
+    res.status(500).json({ success: false, message: 'Failed to review void request', error: error.message });
+  }
+};
+
+// GET /api/pos/sales/void-requests - Void requests awaiting owner approval
+export const getVoidRequests = async (req, res) => {
+  try {
+    const requests = await Sale.find({
+      pharmacy: req.user.tenantId,
+      status: 'completed',
+      'voidDetails.status': 'pending'
+    })
+    .populate('attendant', 'firstName lastName')
+    .populate('voidDetails.requestedBy', 'firstName lastName')
+    .sort({ 'voidDetails.requestedAt': -1 });
+
+    res.json({
+      success: true,
+      data: requests
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch void requests',
+      error: error.message
+    });
+  }
+};
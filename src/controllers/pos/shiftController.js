@@ -0,0 +1,217 @@
+// src/controllers/pos/shiftController.js
+import Shift from '../../models/Shift.js';
+import StaffActivity from '../../models/StaffActivity.js';
+import { buildZReport } from '../../services/reportService.js';
+import { getDeviceInfo } from '../../utils/requestUtils.js';
+
+// Attendants only see their own shifts; owners see every till in the pharmacy
+const shiftScope = (req) => ({
+  pharmacy: req.user.tenantId,
+  ...(req.user.role === 'attendant' && { attendant: req.user.id })
+});
+
+// POST /api/pos/shifts/open - Open a till session with an opening float
+export const openShift = async (req, res) => {
+  try {
+    const { openingFloat, notes } = req.body;
+    const float = Number(openingFloat);
+
+    if (!Number.isFinite(float) || float < 0) {
+      return res.status(400).json({ success: false, message: 'A valid opening float is required' });
+    }
+
+    const existing = await Shift.findOpenShift(req.user.tenantId, req.user.id);
+    if (existing) {
+      return res.status(409).json({
+        success: false,
+        message: 'You already have an open shift. Close it before opening a new one',
+        data: existing
+      });
+    }
+
+    const shift = await Shift.create({
+      pharmacy: req.user.tenantId,
+      attendant: req.user.id,
+      openingFloat: float,
+      openingNotes: notes
+    });
+
+    try {
+      await StaffActivity.log({
+        tenantId: req.user.tenantId,
+        staff: req.user.id,
+        action: 'shift_opened',
+        shift: shift._id,
+        details: { openingFloat: float },
+        deviceInfo: getDeviceInfo(req)
+      });
+    } catch (err) {
+      console.warn('Failed to log staff activity:', err.message);
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Shift opened successfully',
+      data: shift
+    });
+
+  } catch (error) {
+    // Unique index on open shifts catches a double-tap
+    if (error.code === 11000) {
+      return res.status(409).json({ success: false, message: 'You already have an open shift' });
+    }
+    res.status(500).json({ success: false, message: 'Failed to open shift', error: error.message });
+  }
+};
+
+// GET /api/pos/shifts/current - The caller's open shift with a running X-report
+export const getCurrentShift = async (req, res) => {
+  try {
+    const shift = await Shift.findOpenShift(req.user.tenantId, req.user.id);
+
+    if (!shift) {
+      return res.status(404).json({ success: false, message: 'No open shift' });
+    }
+
+    const report = await buildZReport(shift);
+
+    res.json({
+      success: true,
+      data: { shift, report }
+    });
+
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Failed to fetch current shift', error: error.message });
+  }
+};
+
+// POST /api/pos/shifts/:id/close - Count the drawer and produce the Z-report
+export const closeShift = async (req, res) => {
+  try {
+    const { countedCash, notes } = req.body;
+    const counted = Number(countedCash);
+
+    if (countedCash === undefined || !Number.isFinite(counted) || counted < 0) {
+      return res.status(400).json({ success: false, message: 'Counted closing cash is required' });
+    }
+
+    const shift = await Shift.findOne({ _id: req.params.id, ...shiftScope(req) });
+
+    if (!shift) {
+      return res.status(404).json({ success: false, message: 'Shift not found' });
+    }
+
+    if (shift.status !== 'open') {
+      return res.status(400).json({ success: false, message: 'Shift is already closed' });
+    }
+
+    shift.closedAt = new Date();
+    const zReport = await buildZReport(shift, counted);
+
+    shift.status = 'closed';
+    shift.closedBy = req.user.id;
+    shift.countedCash = counted;
+    shift.expectedCash = zReport.cash.expectedCash;
+    shift.variance = zReport.cash.variance;
+    shift.varianceStatus = zReport.cash.varianceStatus;
+    shift.closingNotes = notes;
+    shift.zReport = zReport;
+    await shift.save();
+
+    try {
+      await StaffActivity.log({
+        tenantId: req.user.tenantId,
+        staff: req.user.id,
+        action: 'shift_closed',
+        shift: shift._id,
+        details: {
+          expectedCash: shift.expectedCash,
+          countedCash: counted,
+          variance: shift.variance,
+          varianceStatus: shift.varianceStatus
+        },
+        deviceInfo: getDeviceInfo(req)
+      });
+    } catch (err) {
+      console.warn('Failed to log staff activity:', err.message);
+    }
+
+    res.json({
+      success: true,
+      message: shift.varianceStatus === 'balanced'
+        ? 'Shift closed. Cash balanced'
+        : `Shift closed. Cash is ${shift.varianceStatus} by ${Math.abs(shift.variance)}`,
+      data: { shift, zReport }
+    });
+
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Failed to close shift', error: error.message });
+  }
+};
+
+// GET /api/pos/shifts/:id/z-report - Stored Z-report, or a live X-report for an open shift
+export const getShiftReport = async (req, res) => {
+  try {
+    const shift = await Shift.findOne({ _id: req.params.id, ...shiftScope(req) })
+      .populate('attendant', 'firstName lastName');
+
+    if (!shift) {
+      return res.status(404).json({ success: false, message: 'Shift not found' });
+    }
+
+    const report = shift.status === 'closed' && shift.zReport
+      ? shift.zReport
+      : await buildZReport(shift);
+
+    res.json({
+      success: true,
+      data: { shift, report }
+    });
+
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Failed to fetch shift report', error: error.message });
+  }
+};
+
+// GET /api/pos/shifts - Shift history (owners: all attendants, attendants: their own)
+export const getShifts = async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status, attendantId, varianceStatus, startDate, endDate } = req.query;
+    const skip = (page - 1) * limit;
+
+    const filter = shiftScope(req);
+    if (status) filter.status = status;
+    if (varianceStatus) filter.varianceStatus = varianceStatus;
+    if (attendantId && req.user.role === 'pharmacy_owner') filter.attendant = attendantId;
+    if (startDate && endDate) {
+      filter.openedAt = {
+        $gte: new Date(startDate),
+        $lte: new Date(endDate)
+      };
+    }
+
+    const shifts = await Shift.find(filter)
+      .select('-zReport')
+      .populate('attendant', 'firstName lastName')
+      .populate('closedBy', 'firstName lastName')
+      .sort({ openedAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await Shift.countDocuments(filter);
+
+    res.json({
+      success: true,
+      data: shifts,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Failed to fetch shifts', error: error.message });
+  }
+};
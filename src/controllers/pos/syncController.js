@@ -0,0 +1,204 @@
+// src/controllers/pos/syncController.js
+import mongoose from 'mongoose';
+import SyncLog from '../../models/SyncLog.js';
+import OfflineQueue from '../../models/OfflineQueue.js';
+import { MAX_SYNC_BATCH, syncSalesBatch, retryQueuedSale } from '../../services/syncService.js';
+import { getDeviceInfo } from '../../utils/requestUtils.js';
+
+// Terminal clocks drift; anything further ahead than this was not sold yet
+const CLOCK_SKEW_MS = 5 * 60 * 1000;
+
+// Helper: Check one uploaded sale, returns an error message or null
+const validateOfflineSale = (sale) => {
+  if (!sale || typeof sale !== 'object') return 'must be an object';
+  if (typeof sale.clientSaleId !== 'string' || !sale.clientSaleId.trim() || sale.clientSaleId.length > 100) {
+    return 'clientSaleId is required (up to 100 characters)';
+  }
+  const soldAt = new Date(sale.soldAt);
+  if (!sale.soldAt || Number.isNaN(soldAt.getTime())) return 'soldAt must be a date';
+  if (soldAt.getTime() > Date.now() + CLOCK_SKEW_MS) return 'soldAt is in the future';
+  if (sale.shiftId !== undefined && !mongoose.isValidObjectId(sale.shiftId)) return 'shiftId must be a shift id';
+  if (!Array.isArray(sale.items) || sale.items.length === 0) return 'items must be a non-empty array';
+  return null;
+};
+
+// POST /api/sync/sales - Upload a batch of sales made while the terminal was offline
+// Body: { terminalId, batchId, sales: [{ clientSaleId, soldAt, receiptNumber, attendantId, shiftId, items, payments, ... }] }
+export const uploadOfflineSales = async (req, res) => {
+  try {
+    const { terminalId, batchId, sales } = req.body;
+
+    if (typeof terminalId !== 'string' || !terminalId.trim()) {
+      return res.status(400).json({ success: false, message: 'terminalId is required' });
+    }
+    if (!Array.isArray(sales) || sales.length === 0) {
+      return res.status(400).json({ success: false, message: 'sales must be a non-empty array' });
+    }
+    if (sales.length > MAX_SYNC_BATCH) {
+      return res.status(400).json({ success: false, message: `Upload at most ${MAX_SYNC_BATCH} sales per batch` });
+    }
+
+    for (const [index, sale] of sales.entries()) {
+      const error = validateOfflineSale(sale);
+      if (error) {
+        return res.status(400).json({ success: false, message: `Sale ${index + 1}: ${error}` });
+      }
+    }
+
+    const { syncLog, results } = await syncSalesBatch(req.user, {
+      terminalId: terminalId.trim(),
+      batchId,
+      sales: sales.map(sale => ({ ...sale, clientSaleId: sale.clientSaleId.trim(), soldAt: new Date(sale.soldAt) }))
+    }, { device: getDeviceInfo(req) });
+
+    res.json({
+      success: syncLog.status !== 'failed',
+      message: `Synced ${syncLog.counts.synced}, already synced ${syncLog.counts.duplicate}, failed ${syncLog.counts.failed}`,
+      data: {
+        syncLogId: syncLog._id,
+        status: syncLog.status,
+        counts: syncLog.counts,
+        results
+      }
+    });
+
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to sync offline sales',
+      error: error.message
+    });
+  }
+};
+
+// GET /api/sync/logs - Uploaded batches; attendants see their own
+export const getSyncLogs = async (req, res) => {
+  try {
+    const { page = 1, limit = 20, terminalId, status, startDate, endDate } = req.query;
+    const skip = (page - 1) * limit;
+
+    const filter = { pharmacy: req.user.tenantId };
+    if (req.user.role !== 'pharmacy_owner') filter.uploadedBy = req.user.id;
+    if (terminalId) filter.terminalId = terminalId;
+    if (status) filter.status = status;
+    if (startDate || endDate) {
+      filter.createdAt = {};
+      if (startDate) filter.createdAt.$gte = new Date(startDate);
+      if (endDate) filter.createdAt.$lte = new Date(endDate);
+    }
+
+    const logs = await SyncLog.find(filter)
+      .select('-results')
+      .populate('uploadedBy', 'firstName lastName')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await SyncLog.countDocuments(filter);
+
+    res.json({
+      success: true,
+      data: logs,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch sync logs',
+      error: error.message
+    });
+  }
+};
+
+// GET /api/sync/logs/:id - One batch with the outcome of every sale
+export const getSyncLog = async (req, res) => {
+  try {
+    const filter = { _id: req.params.id, pharmacy: req.user.tenantId };
+    if (req.user.role !== 'pharmacy_owner') filter.uploadedBy = req.user.id;
+
+    const syncLog = await SyncLog.findOne(filter)
+      .populate('uploadedBy', 'firstName lastName');
+
+    if (!syncLog) {
+      return res.status(404).json({ success: false, message: 'Sync log not found' });
+    }
+
+    res.json({ success: true, data: syncLog });
+
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch sync log',
+      error: error.message
+    });
+  }
+};
+
+// GET /api/sync/queue - Offline sales by queue status (failed ones by default)
+export const getOfflineQueue = async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status = 'failed', terminalId } = req.query;
+    const skip = (page - 1) * limit;
+
+    const filter = { pharmacy: req.user.tenantId, status };
+    if (terminalId) filter.terminalId = terminalId;
+
+    const entries = await OfflineQueue.find(filter)
+      .populate('attendant', 'firstName lastName')
+      .populate('sale', 'receiptNumber totalAmount')
+      .sort({ soldAt: 1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await OfflineQueue.countDocuments(filter);
+
+    res.json({
+      success: true,
+      data: entries,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch offline queue',
+      error: error.message
+    });
+  }
+};
+
+// POST /api/sync/queue/:id/retry - Replay a failed offline sale again
+export const retryOfflineSale = async (req, res) => {
+  try {
+    const outcome = await retryQueuedSale(req.user, req.params.id, { device: getDeviceInfo(req) });
+
+    if (outcome.error) {
+      return res.status(outcome.error.status).json({ success: false, message: outcome.error.message });
+    }
+
+    const { syncLog, result } = outcome;
+    res.status(result.result === 'failed' ? 400 : 200).json({
+      success: result.result !== 'failed',
+      message: result.result === 'failed' ? `Sale still failed: ${result.error}` : 'Offline sale synced',
+      data: { syncLogId: syncLog._id, ...result }
+    });
+
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retry offline sale',
+      error: error.message
+    });
+  }
+};
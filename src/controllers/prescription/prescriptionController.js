@@ -0,0 +1,305 @@
+// src/controllers/prescription/prescriptionController.js
+import Prescription from '../../models/Prescription.js';
+import Product from '../../models/Product.js';
+import Customer from '../../models/Customer.js';
+import { uploadToCloudinary, deleteFromCloudinary } from '../../config/cloudinary.js';
+
+const PRESCRIPTION_FIELDS = ['customer', 'patient', 'prescriber', 'diagnosis', 'issuedAt', 'expiresAt', 'notes'];
+
+const generatePrescriptionNumber = () => {
+  const datePart = new Date().toISOString().slice(2, 10).replace(/-/g, '');
+  const randomPart = Math.random().toString(36).substr(2, 5).toUpperCase();
+  return `PRX-${datePart}-${randomPart}`;
+};
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Helper: Turn [{ productId, quantity, dose, ... }] into prescription items, returns { items } or { error }
+const buildPrescriptionItems = async (pharmacyId, rawItems) => {
+  if (!Array.isArray(rawItems) || rawItems.length === 0) {
+    return { error: 'A prescription needs at least one item' };
+  }
+
+  const products = await Product.find({
+    _id: { $in: rawItems.map(item => item.productId) },
+    pharmacy: pharmacyId
+  }).select('name');
+  const productsById = new Map(products.map(product => [product._id.toString(), product]));
+
+  const items = [];
+  for (const item of rawItems) {
+    const product = productsById.get(String(item.productId));
+    if (!product) {
+      return { error: `Product not found: ${item.productId}` };
+    }
+    items.push({
+      product: product._id,
+      productName: product.name,
+      quantity: item.quantity,
+      dose: item.dose,
+      frequency: item.frequency,
+      duration: item.duration,
+      instructions: item.instructions
+    });
+  }
+  return { items };
+};
+
+// Helper: A customer id in the body must belong to this pharmacy
+const checkCustomer = async (pharmacyId, customerId) =>
+  !customerId || Boolean(await Customer.exists({ _id: customerId, pharmacy: pharmacyId }));
+
+// POST /api/prescriptions - Capture a prescription
+export const createPrescription = async (req, res) => {
+  try {
+    const { items: rawItems, repeats = 0 } = req.body;
+
+    const { items, error } = await buildPrescriptionItems(req.user.tenantId, rawItems);
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+
+    if (!(await checkCustomer(req.user.tenantId, req.body.customer))) {
+      return res.status(404).json({ success: false, message: 'Customer not found' });
+    }
+
+    const fields = {};
+    PRESCRIPTION_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) fields[field] = req.body[field];
+    });
+
+    const prescription = await Prescription.create({
+      ...fields,
+      pharmacy: req.user.tenantId,
+      prescriptionNumber: generatePrescriptionNumber(),
+      items,
+      repeats,
+      createdBy: req.user.id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Prescription captured successfully',
+      data: prescription
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ success: false, message: 'Validation error', error: error.message });
+    }
+    res.status(500).json({ success: false, message: 'Failed to capture prescription', error: error.message });
+  }
+};
+
+// GET /api/prescriptions - List prescriptions, e.g. ?customerId=...&dispensable=true at the till
+export const getPrescriptions = async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status, customerId, search, dispensable } = req.query;
+    const skip = (page - 1) * limit;
+
+    const filter = { pharmacy: req.user.tenantId };
+    if (status) filter.status = status;
+    if (customerId) filter.customer = customerId;
+
+    // Only prescriptions that can still be filled today
+    if (dispensable === 'true') {
+      filter.status = 'active';
+      filter.expiresAt = { $gt: new Date() };
+    }
+
+    if (search) {
+      const pattern = new RegExp(escapeRegex(search.trim()), 'i');
+      filter.$or = [
+        { prescriptionNumber: pattern },
+        { 'patient.name': pattern },
+        { 'prescriber.name': pattern }
+      ];
+    }
+
+    const prescriptions = await Prescription.find(filter)
+      .select('-dispenses')
+      .populate('customer', 'name phone')
+      .sort({ issuedAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await Prescription.countDocuments(filter);
+
+    res.json({
+      success: true,
+      data: prescriptions,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Failed to fetch prescriptions', error: error.message });
+  }
+};
+
+// GET /api/prescriptions/:id - Prescription with its dispensing history
+export const getPrescription = async (req, res) => {
+  try {
+    const prescription = await Prescription.findOne({
+      _id: req.params.id,
+      pharmacy: req.user.tenantId
+    })
+      .populate('customer', 'name phone allergies chronicConditions')
+      .populate('dispenses.sale', 'receiptNumber status totalAmount')
+      .populate('dispenses.dispensedBy', 'firstName lastName');
+
+    if (!prescription) {
+      return res.status(404).json({ success: false, message: 'Prescription not found' });
+    }
+
+    res.json({ success: true, data: prescription });
+
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Failed to fetch prescription', error: error.message });
+  }
+};
+
+// PUT /api/prescriptions/:id - Correct a prescription; items and repeats are locked once dispensed
+export const updatePrescription = async (req, res) => {
+  try {
+    const prescription = await Prescription.findOne({
+      _id: req.params.id,
+      pharmacy: req.user.tenantId
+    });
+
+    if (!prescription) {
+      return res.status(404).json({ success: false, message: 'Prescription not found' });
+    }
+
+    if (prescription.status === 'cancelled') {
+      return res.status(400).json({ success: false, message: 'Cancelled prescriptions cannot be edited' });
+    }
+
+    if (!(await checkCustomer(req.user.tenantId, req.body.customer))) {
+      return res.status(404).json({ success: false, message: 'Customer not found' });
+    }
+
+    const changesFills = req.body.items !== undefined || req.body.repeats !== undefined;
+    if (changesFills && prescription.fillCount > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Items and repeats cannot be changed after the prescription has been dispensed'
+      });
+    }
+
+    PRESCRIPTION_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) prescription.set(field, req.body[field]);
+    });
+
+    if (req.body.items !== undefined) {
+      const { items, error } = await buildPrescriptionItems(req.user.tenantId, req.body.items);
+      if (error) {
+        return res.status(400).json({ success: false, message: error });
+      }
+      prescription.items = items;
+    }
+
+    if (req.body.repeats !== undefined) {
+      prescription.repeats = req.body.repeats;
+      prescription.remainingRepeats = req.body.repeats;
+    }
+
+    prescription.lastModifiedBy = req.user.id;
+    await prescription.save();
+
+    res.json({
+      success: true,
+      message: 'Prescription updated successfully',
+      data: prescription
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ success: false, message: 'Validation error', error: error.message });
+    }
+    res.status(500).json({ success: false, message: 'Failed to update prescription', error: error.message });
+  }
+};
+
+// POST /api/prescriptions/:id/cancel - Stop any further dispensing
+export const cancelPrescription = async (req, res) => {
+  try {
+    const update = { status: 'cancelled', lastModifiedBy: req.user.id };
+    if (req.body.reason) update.notes = req.body.reason;
+
+    const prescription = await Prescription.findOneAndUpdate(
+      { _id: req.params.id, pharmacy: req.user.tenantId, status: { $ne: 'cancelled' } },
+      { $set: update },
+      { new: true }
+    );
+
+    if (!prescription) {
+      return res.status(404).json({ success: false, message: 'Prescription not found or already cancelled' });
+    }
+
+    res.json({
+      success: true,
+      message: 'Prescription cancelled',
+      data: prescription
+    });
+
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Failed to cancel prescription', error: error.message });
+  }
+};
+
+// POST /api/prescriptions/:id/image - Attach the scanned prescription
+export const uploadPrescriptionImage = async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ success: false, message: 'No image uploaded' });
+    }
+
+    const prescription = await Prescription.findOne({
+      _id: req.params.id,
+      pharmacy: req.user.tenantId
+    });
+
+    if (!prescription) {
+      return res.status(404).json({ success: false, message: 'Prescription not found' });
+    }
+
+    const result = await uploadToCloudinary(req.file.buffer, {
+      folder: `pharmacy/${req.user.tenantId}/prescriptions`,
+      transformation: [
+        { width: 1600, height: 1600, crop: 'limit' },
+        { quality: 'auto' }
+      ]
+    });
+
+    // Replace, rather than pile up, earlier scans
+    const previousPublicId = prescription.image?.publicId;
+
+    prescription.image = {
+      url: result.secure_url,
+      publicId: result.public_id,
+      uploadedAt: new Date()
+    };
+    prescription.lastModifiedBy = req.user.id;
+    await prescription.save();
+
+    if (previousPublicId) {
+      deleteFromCloudinary(previousPublicId).catch(err =>
+        console.warn('Failed to delete old prescription scan:', err.message));
+    }
+
+    res.json({
+      success: true,
+      message: 'Prescription image uploaded successfully',
+      url: result.secure_url,
+      data: prescription.image
+    });
+
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Error uploading prescription image', error: error.message });
+  }
+};
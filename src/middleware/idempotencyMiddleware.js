@@ -0,0 +1,149 @@
+// src/middleware/idempotencyMiddleware.js
+import crypto from 'crypto';
+import IdempotencyKey from '../models/IdempotencyKey.js';
+
+const DEFAULT_WINDOW_HOURS = 24;
+const MAX_KEY_LENGTH = 255;
+// How long a request holds its key. Longer than MongoDB's 60s transaction limit, so by the time a retry
+// can take over, a sale left behind by a crashed or restarted server has either committed or rolled back
+const PROCESSING_LEASE_MS = 2 * 60 * 1000;
+
+const hashRequest = (req) => crypto.createHash('sha256')
+  .update(JSON.stringify({ params: req.params, body: req.body ?? {} }))
+  .digest('hex');
+
+/**
+ * Idempotency-Key support for requests that must not run twice (sales, refunds, stock adjustments)
+ * A repeat of a request that succeeded gets the original response back with Idempotent-Replayed: true;
+ * a request that failed releases its key so the client can retry with it. A request that never answered
+ * (the server went down mid-request) holds the key only until its lease runs out, then a retry takes over.
+ * Requests without the header are processed as usual.
+ * @param {Object} options - windowHours keys are kept for (defaults to IDEMPOTENCY_KEY_TTL_HOURS, else 24)
+ */
+export const idempotent = ({ windowHours } = {}) => {
+  return async (req, res, next) => {
+    const key = req.get('Idempotency-Key')?.trim();
+    if (!key || !req.user?.tenantId) {
+      return next();
+    }
+
+    if (key.length > MAX_KEY_LENGTH) {
+      return res.status(400).json({
+        success: false,
+        message: `Idempotency-Key cannot exceed ${MAX_KEY_LENGTH} characters`
+      });
+    }
+
+    const hours = Number(windowHours ?? process.env.IDEMPOTENCY_KEY_TTL_HOURS ?? DEFAULT_WINDOW_HOURS);
+    const scope = `${req.method} ${req.baseUrl}${req.route?.path || req.path}`;
+    const requestHash = hashRequest(req);
+    const filter = { pharmacy: req.user.tenantId, key };
+
+    try {
+      let record = null;
+
+      // Two tries: the key may be released or expire between the insert and the lookup
+      for (let attempt = 0; attempt < 2 && !record; attempt += 1) {
+        try {
+          record = await IdempotencyKey.create({
+            ...filter,
+            scope,
+            user: req.user.id,
+            requestHash,
+            lockedUntil: new Date(Date.now() + PROCESSING_LEASE_MS),
+            expiresAt: new Date(Date.now() + hours * 60 * 60 * 1000)
+          });
+        } catch (error) {
+          if (error.code !== 11000) throw error;
+
+          const existing = await IdempotencyKey.findOne(filter);
+          if (!existing) continue;
+
+          // The TTL monitor only runs once a minute
+          if (existing.expiresAt <= new Date()) {
+            await IdempotencyKey.deleteOne({ _id: existing._id, expiresAt: existing.expiresAt });
+            continue;
+          }
+
+          if (existing.scope !== scope || String(existing.user) !== String(req.user.id) || existing.requestHash !== requestHash) {
+            return res.status(400).json({
+              success: false,
+              message: 'This Idempotency-Key was already used for a different request'
+            });
+          }
+
+          if (existing.status === 'processing') {
+            const now = new Date();
+            if (existing.lockedUntil > now) {
+              return res.status(409).json({
+                success: false,
+                message: 'A request with this Idempotency-Key is still being processed'
+              });
+            }
+
+            // The first request's lease ran out without an answer - take the key over, unless another retry just did
+            record = await IdempotencyKey.findOneAndUpdate(
+              { _id: existing._id, status: 'processing', lockedUntil: existing.lockedUntil ?? null },
+              { $set: { lockedUntil: new Date(now.getTime() + PROCESSING_LEASE_MS) } },
+              { new: true }
+            );
+            break;
+          }
+
+          res.set('Idempotent-Replayed', 'true');
+          return res.status(existing.responseStatus).json(JSON.parse(existing.responseBody));
+        }
+      }
+
+      if (!record) {
+        return res.status(409).json({
+          success: false,
+          message: 'A request with this Idempotency-Key is still being processed'
+        });
+      }
+
+      // The key stays 'processing' until the handler answers, even if the client has gone:
+      // the sale may still commit, and a retry must get that outcome rather than ring it up again.
+      // Only the handler's own failure gives the key back. Both only touch the key while this request holds it.
+      let responded = false;
+      const held = { _id: record._id, lockedUntil: record.lockedUntil };
+      const release = () => IdempotencyKey.deleteOne(held);
+      const sendJson = res.json.bind(res);
+
+      res.json = (body) => {
+        responded = true;
+        const succeeded = res.statusCode >= 200 && res.statusCode < 300;
+        const stored = succeeded
+          ? IdempotencyKey.updateOne(held, {
+              status: 'completed',
+              responseStatus: res.statusCode,
+              responseBody: JSON.stringify(body)
+            })
+          : release();
+
+        stored
+          .catch(err => console.error('Failed to store idempotent response:', err.message))
+          .finally(() => sendJson(body));
+        return res;
+      };
+
+      // A response sent some other way (e.g. express's default error page) cannot be replayed
+      res.on('finish', () => {
+        if (!responded) release().catch(err => console.error('Failed to release Idempotency-Key:', err.message));
+      });
+
+      next();
+
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: 'Failed to check Idempotency-Key',
+        error: error.message
+      });
+    }
+  };
+};
+
+export default {
+  idempotent
+};
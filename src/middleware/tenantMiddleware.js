@@ -1,4 +1,5 @@
 import Pharmacy from '../models/Pharmacy.js';
+import Product from '../models/Product.js';
 
 /**
  * Tenant identification middleware
@@ -253,8 +254,8 @@ export const checkProductLimit = async (req, res, next) => {
       });
     }
 
-    // Get current product count (you'll need to implement this based on your Product model)
-    const currentProductCount = pharmacy.stats.totalProducts || 0;
+    // Counted live - pharmacy.stats.totalProducts is not kept up to date
+    const currentProductCount = await Product.countDocuments({ pharmacy: pharmacy._id });
     
     if (currentProductCount >= pharmacy.features.maxProducts) {
       return res.status(403).json({
@@ -20,4 +20,21 @@ const upload = multer({
   fileFilter
 });
 
-export default upload;
\ No newline at end of file
+// Product import files (CSV or XLSX)
+const SPREADSHEET_EXTENSIONS = /\.(csv|xlsx)$/i;
+
+export const spreadsheetUpload = multer({
+  storage,
+  limits: {
+    fileSize: 10 * 1024 * 1024 // 10MB limit
+  },
+  fileFilter: (req, file, cb) => {
+    if (SPREADSHEET_EXTENSIONS.test(file.originalname)) {
+      cb(null, true);
+    } else {
+      cb(new Error('Only .csv and .xlsx files are allowed'), false);
+    }
+  }
+});
+
+export default upload;
@@ -0,0 +1,144 @@
+// src/models/ControlledDrugEntry.js
+// Dangerous-drugs register (DDA book). Entries are written once and never
+// changed - mistakes are put right with counter-entries.
+import mongoose from 'mongoose';
+
+export const REGISTER_ENTRY_TYPES = ['opening_balance', 'receipt', 'issue', 'return', 'adjustment', 'correction'];
+
+const controlledDrugEntrySchema = new mongoose.Schema({
+  pharmacy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Pharmacy',
+    required: true
+  },
+
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+
+  productName: {
+    type: String,
+    required: true
+  },
+
+  // Sequential per product, so a missing page is obvious
+  entryNumber: {
+    type: Number,
+    required: true
+  },
+
+  type: {
+    type: String,
+    enum: REGISTER_ENTRY_TYPES,
+    required: true
+  },
+
+  // Units in (positive) or out (negative)
+  quantity: {
+    type: Number,
+    required: true
+  },
+
+  // Running balance after this entry
+  balance: {
+    type: Number,
+    required: true
+  },
+
+  // Where the movement came from
+  source: {
+    inventoryLog: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'InventoryLog'
+    },
+    sale: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Sale'
+    },
+    prescription: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Prescription'
+    },
+    // Receipt, invoice or delivery note number
+    reference: String
+  },
+
+  // Issues: who the drug went to, who prescribed it and who witnessed it
+  patient: {
+    name: String,
+    phone: String
+  },
+
+  prescriber: {
+    name: String,
+    registrationNumber: String,
+    facility: String
+  },
+
+  witness: {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    name: String
+  },
+
+  // Entry a correction reverses or replaces
+  corrects: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ControlledDrugEntry'
+  },
+
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Notes cannot exceed 500 characters']
+  },
+
+  recordedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+  toJSON: {
+    transform: function(doc, ret) {
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+// Indexes
+controlledDrugEntrySchema.index({ pharmacy: 1, product: 1, entryNumber: 1 }, { unique: true });
+controlledDrugEntrySchema.index({ pharmacy: 1, createdAt: -1 });
+controlledDrugEntrySchema.index({ 'source.inventoryLog': 1 }, { sparse: true });
+
+// ==================== IMMUTABILITY ====================
+const rejectChange = function(next) {
+  next(new Error('Controlled drug register entries cannot be changed. Record a correction instead'));
+};
+
+controlledDrugEntrySchema.pre('save', function(next) {
+  if (!this.isNew) return rejectChange(next);
+  next();
+});
+
+['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace',
+  'deleteOne', 'deleteMany', 'findOneAndDelete'].forEach(operation => {
+  controlledDrugEntrySchema.pre(operation, { document: false, query: true }, rejectChange);
+});
+controlledDrugEntrySchema.pre('deleteOne', { document: true, query: false }, rejectChange);
+
+// Latest entry for a product - its balance is the current register balance
+controlledDrugEntrySchema.statics.findLatest = function(pharmacyId, productId, session = null) {
+  return this.findOne({ pharmacy: pharmacyId, product: productId })
+    .sort({ entryNumber: -1 })
+    .session(session);
+};
+
+export default mongoose.model('ControlledDrugEntry', controlledDrugEntrySchema);
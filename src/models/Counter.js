@@ -0,0 +1,61 @@
+// src/models/Counter.js
+import mongoose from 'mongoose';
+
+// Per-pharmacy sequences that must run without gaps (receipt numbers, controlled register pages)
+const counterSchema = new mongoose.Schema({
+  pharmacy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Pharmacy',
+    required: true
+  },
+
+  // What is being numbered, e.g. 'receipt'
+  name: {
+    type: String,
+    required: true
+  },
+
+  // Separate runs of the same sequence, e.g. 'branch:00|fy:2026' - 'all' when there is one run
+  scope: {
+    type: String,
+    default: 'all'
+  },
+
+  seq: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+counterSchema.index({ pharmacy: 1, name: 1, scope: 1 }, { unique: true });
+
+/**
+ * Take the next number in a sequence
+ * Pass the session of the transaction that uses the number: if it aborts the increment is rolled back with it,
+ * so numbers never skip. Concurrent transactions on the same counter get a transient write conflict to retry.
+ * @param {Object} options - start: last number already issued (or an async function returning it, called only
+ *   when the counter is first created), for a sequence taking over from existing records
+ * @returns {number}
+ */
+counterSchema.statics.next = async function(pharmacyId, name, scope = 'all', session = null, { start = 0 } = {}) {
+  const filter = { pharmacy: pharmacyId, name, scope };
+
+  // Created outside the transaction - an upsert that races another one inside a transaction aborts it
+  if (!(await this.exists(filter))) {
+    const initial = typeof start === 'function' ? await start() : start;
+    try {
+      await this.updateOne(filter, { $setOnInsert: { seq: initial } }, { upsert: true });
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+    }
+  }
+
+  const counter = await this.findOneAndUpdate(filter, { $inc: { seq: 1 } }, { new: true, session });
+  return counter.seq;
+};
+
+const Counter = mongoose.model('Counter', counterSchema);
+
+export default Counter;
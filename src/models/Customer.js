@@ -0,0 +1,124 @@
+// src/models/Customer.js
+import mongoose from 'mongoose';
+
+const customerSchema = new mongoose.Schema({
+  // Tenant/Pharmacy Reference
+  pharmacy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Pharmacy',
+    required: true
+  },
+
+  name: {
+    type: String,
+    required: [true, 'Customer name is required'],
+    trim: true,
+    maxlength: [100, 'Customer name cannot exceed 100 characters']
+  },
+
+  phone: {
+    type: String,
+    trim: true,
+    match: [/^(?:\+254|0)?[17]\d{8}$/, 'Please enter a valid Kenyan phone number']
+  },
+
+  email: {
+    type: String,
+    lowercase: true,
+    trim: true,
+    match: [/^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/, 'Please enter a valid email']
+  },
+
+  dateOfBirth: Date,
+
+  gender: {
+    type: String,
+    enum: ['male', 'female', 'other']
+  },
+
+  // Clinical notes the attendant should see before dispensing
+  allergies: [{
+    type: String,
+    trim: true
+  }],
+
+  chronicConditions: [{
+    type: String,
+    trim: true
+  }],
+
+  insurance: {
+    provider: {
+      type: String,
+      trim: true
+    },
+    schemeName: {
+      type: String,
+      trim: true
+    },
+    memberNumber: {
+      type: String,
+      trim: true
+    },
+    principalMember: {
+      type: String,
+      trim: true
+    },
+    expiryDate: Date
+  },
+
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Notes cannot exceed 500 characters']
+  },
+
+  // Customers with sales are deactivated rather than deleted
+  status: {
+    type: String,
+    enum: ['active', 'inactive'],
+    default: 'active'
+  },
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  lastModifiedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+
+}, {
+  timestamps: true,
+  toJSON: {
+    virtuals: true,
+    transform: function(doc, ret) {
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+// Indexes
+customerSchema.index({ pharmacy: 1, phone: 1 }, { unique: true, partialFilterExpression: { phone: { $type: 'string' } } });
+customerSchema.index({ pharmacy: 1, name: 1 });
+customerSchema.index({ pharmacy: 1, 'insurance.memberNumber': 1 });
+
+// Phone numbers are stored as 07XXXXXXXX so +254 and 0 forms match
+customerSchema.pre('save', function(next) {
+  if (this.phone) {
+    this.phone = this.phone.replace(/^\+254/, '0').replace(/^([17])/, '0$1');
+  }
+  next();
+});
+
+customerSchema.virtual('age').get(function() {
+  if (!this.dateOfBirth) return null;
+  const diff = Date.now() - this.dateOfBirth.getTime();
+  return Math.floor(diff / (365.25 * 24 * 60 * 60 * 1000));
+});
+
+export default mongoose.model('Customer', customerSchema);
@@ -0,0 +1,107 @@
+// src/models/EtimsInvoice.js
+import mongoose from 'mongoose';
+
+// One queued eTIMS transmission: the sale's invoice, or a credit note reversing part or all of it
+const etimsInvoiceSchema = new mongoose.Schema({
+  // Tenant/Pharmacy Reference
+  pharmacy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Pharmacy',
+    required: true
+  },
+
+  sale: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Sale',
+    required: true
+  },
+
+  type: {
+    type: String,
+    enum: ['sale', 'credit_note'],
+    default: 'sale'
+  },
+
+  // What a credit note reverses: one refund on the sale, or the whole sale when it was voided
+  creditFor: {
+    type: String,
+    enum: ['refund', 'void']
+  },
+
+  // Refund (Sale.refunds[]._id) a refund credit note is for
+  refund: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+
+  // Sequential invoice number for the pharmacy's eTIMS branch (invcNo)
+  invoiceNumber: {
+    type: Number,
+    required: true
+  },
+
+  // Invoice a credit note reverses (orgInvcNo)
+  originalInvoiceNumber: {
+    type: Number
+  },
+
+  // saveSales request body, exactly as it will be sent
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+
+  // HMAC of the payload - it must not change between queueing and sending
+  signature: {
+    type: String,
+    required: true
+  },
+
+  // queued -> transmitting -> transmitted, or failed once retries run out
+  status: {
+    type: String,
+    enum: ['queued', 'transmitting', 'transmitted', 'failed'],
+    default: 'queued'
+  },
+
+  transport: String,
+
+  attempts: {
+    type: Number,
+    default: 0
+  },
+
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  // When a worker claimed it - stale claims are released after a crash
+  lockedAt: Date,
+
+  lastError: String,
+
+  // KRA's answer (result code, receipt signature, control unit details)
+  response: {
+    type: mongoose.Schema.Types.Mixed
+  },
+
+  transmittedAt: Date
+
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+// Indexes
+// One invoice per sale, one credit note per refund and one for a void
+etimsInvoiceSchema.index({ sale: 1, type: 1, refund: 1 }, { unique: true });
+etimsInvoiceSchema.index({ pharmacy: 1, invoiceNumber: 1 }, { unique: true });
+etimsInvoiceSchema.index({ status: 1, nextAttemptAt: 1 });
+etimsInvoiceSchema.index({ pharmacy: 1, status: 1, createdAt: -1 });
+
+export default mongoose.model('EtimsInvoice', etimsInvoiceSchema);
@@ -0,0 +1,166 @@
+// src/models/GoodsReceivedNote.js
+import mongoose from 'mongoose';
+
+// weighted_average blends the delivery into the cost of stock on hand; last_cost takes the invoice price
+export const COSTING_METHODS = ['weighted_average', 'last_cost'];
+
+const grnItemSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  productName: {
+    type: String,
+    required: true
+  },
+  // Purchase order line this delivery fills, if any
+  purchaseOrderItem: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  batchNumber: {
+    type: String,
+    trim: true
+  },
+  expiryDate: Date,
+  packs: {
+    type: Number,
+    required: true,
+    min: [0, 'Packs cannot be negative']
+  },
+  // Free units thrown in by the supplier - on the shelf, but not on the invoice
+  bonusUnits: {
+    type: Number,
+    default: 0,
+    min: [0, 'Bonus units cannot be negative']
+  },
+  unitsPerPack: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  // packs * unitsPerPack + bonusUnits
+  totalUnits: {
+    type: Number,
+    required: true,
+    min: [1, 'Each line must receive at least 1 unit']
+  },
+  // Invoice cost per pack, before bonus units
+  costPerPack: {
+    type: Number,
+    required: true,
+    min: [0, 'Cost cannot be negative']
+  },
+  lineTotal: {
+    type: Number,
+    default: 0
+  },
+  // Product cost per pack before and after this delivery
+  previousCostPerPack: Number,
+  newCostPerPack: Number,
+  inventoryLog: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'InventoryLog'
+  }
+});
+
+const goodsReceivedNoteSchema = new mongoose.Schema({
+  pharmacy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Pharmacy',
+    required: true
+  },
+
+  grnNumber: {
+    type: String,
+    required: true
+  },
+
+  supplier: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Supplier'
+  },
+
+  purchaseOrder: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PurchaseOrder'
+  },
+
+  // Supplier's invoice / delivery note
+  invoiceNumber: {
+    type: String,
+    trim: true
+  },
+  invoiceDate: Date,
+
+  costingMethod: {
+    type: String,
+    enum: COSTING_METHODS,
+    required: true
+  },
+
+  items: {
+    type: [grnItemSchema],
+    validate: [items => items.length > 0, 'A goods received note needs at least one item']
+  },
+
+  totalAmount: {
+    type: Number,
+    default: 0
+  },
+
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Notes cannot exceed 500 characters']
+  },
+
+  receivedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  receivedAt: {
+    type: Date,
+    default: Date.now
+  }
+
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+// Indexes
+goodsReceivedNoteSchema.index({ pharmacy: 1, grnNumber: 1 }, { unique: true });
+goodsReceivedNoteSchema.index({ pharmacy: 1, receivedAt: -1 });
+goodsReceivedNoteSchema.index({ pharmacy: 1, supplier: 1, receivedAt: -1 });
+goodsReceivedNoteSchema.index({ pharmacy: 1, purchaseOrder: 1 });
+goodsReceivedNoteSchema.index({ pharmacy: 1, 'items.product': 1 });
+
+// Next GRN number for a pharmacy: GRN-YYMMDD-0001, counted per pharmacy
+goodsReceivedNoteSchema.statics.nextGrnNumber = async function(pharmacyId, session = null) {
+  const count = await this.countDocuments({ pharmacy: pharmacyId }).session(session);
+  const date = new Date().toISOString().slice(2, 10).replace(/-/g, '');
+  return `GRN-${date}-${String(count + 1).padStart(4, '0')}`;
+};
+
+// GRN number if not already taken, plus line and note totals
+goodsReceivedNoteSchema.pre('validate', async function(next) {
+  if (this.isNew && !this.grnNumber) {
+    this.grnNumber = await this.constructor.nextGrnNumber(this.pharmacy, this.$session());
+  }
+
+  this.items.forEach(item => {
+    item.lineTotal = Math.round(item.packs * item.costPerPack * 100) / 100;
+  });
+  this.totalAmount = Math.round(this.items.reduce((sum, item) => sum + item.lineTotal, 0) * 100) / 100;
+  next();
+});
+
+export default mongoose.model('GoodsReceivedNote', goodsReceivedNoteSchema);
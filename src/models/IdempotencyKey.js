@@ -0,0 +1,64 @@
+// src/models/IdempotencyKey.js
+import mongoose from 'mongoose';
+
+// A client-supplied Idempotency-Key and the response to the first request made with it
+const idempotencyKeySchema = new mongoose.Schema({
+  pharmacy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Pharmacy',
+    required: true
+  },
+
+  key: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: [255, 'Idempotency key cannot exceed 255 characters']
+  },
+
+  // Endpoint the key was used on, e.g. "POST /api/pos/sales"
+  scope: {
+    type: String,
+    required: true
+  },
+
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // Fingerprint of the request body, so a key cannot be reused for a different request
+  requestHash: {
+    type: String,
+    required: true
+  },
+
+  status: {
+    type: String,
+    enum: ['processing', 'completed'],
+    default: 'processing'
+  },
+
+  // While processing, a retry may take the key over after this - the first request is presumed lost
+  lockedUntil: Date,
+
+  responseStatus: Number,
+  // Serialized JSON of the original response
+  responseBody: String,
+
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+idempotencyKeySchema.index({ pharmacy: 1, key: 1 }, { unique: true });
+// MongoDB removes keys once their window has passed
+idempotencyKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const IdempotencyKey = mongoose.model('IdempotencyKey', idempotencyKeySchema);
+
+export default IdempotencyKey;
@@ -1,5 +1,6 @@
 // src/models/InventoryLog.js - UPDATED
 import mongoose from 'mongoose';
+import { recordControlledMovement } from '../services/controlledRegisterService.js';
 
 const inventoryLogSchema = new mongoose.Schema({
   product: {
@@ -14,7 +15,7 @@ const inventoryLogSchema = new mongoose.Schema({
   },
   action: {
     type: String,
-    enum: ['create', 'update', 'delete', 'stock_adjust', 'stock_add', 'stock_remove', 'sale'], // ADDED 'sale'
+    enum: ['create', 'update', 'delete', 'stock_adjust', 'stock_add', 'stock_remove', 'sale', 'refund', 'void', 'write_off', 'receive'],
     required: true
   },
   performedBy: {
@@ -43,6 +44,11 @@ inventoryLogSchema.index({ product: 1, createdAt: -1 });
 inventoryLogSchema.index({ pharmacy: 1, action: 1 });
 inventoryLogSchema.index({ performedBy: 1 });
 
+// Stock movements of Controlled products go into the DDA register in the same transaction
+inventoryLogSchema.post('save', async function(doc) {
+  await recordControlledMovement(doc, doc.$session());
+});
+
 const InventoryLog = mongoose.model('InventoryLog', inventoryLogSchema);
 
 export default InventoryLog;
\ No newline at end of file
@@ -0,0 +1,109 @@
+// src/models/MpesaTransaction.js
+import mongoose from 'mongoose';
+
+const mpesaTransactionSchema = new mongoose.Schema({
+  // Tenant/Pharmacy Reference
+  pharmacy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Pharmacy',
+    required: true
+  },
+
+  sale: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Sale',
+    required: true
+  },
+
+  initiatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // Which provider handled it (daraja in production, simulator in dev/tests)
+  provider: {
+    type: String,
+    enum: ['daraja', 'simulator'],
+    required: true
+  },
+
+  phone: {
+    type: String,
+    required: true
+  },
+
+  amount: {
+    type: Number,
+    required: true,
+    min: [1, 'M-Pesa amount must be at least 1']
+  },
+
+  accountReference: String,
+
+  // Daraja request identifiers
+  merchantRequestId: String,
+  checkoutRequestId: {
+    type: String,
+    required: true
+  },
+
+  status: {
+    type: String,
+    enum: ['pending', 'completed', 'failed'],
+    default: 'pending'
+  },
+
+  // What M-Pesa says was paid, from the callback
+  amountReceived: Number,
+  // Paid less than asked - the sale was not settled by it and needs the owner's attention
+  amountMismatch: {
+    type: Boolean,
+    default: false
+  },
+
+  resultCode: Number,
+  resultDesc: String,
+
+  // M-Pesa transaction code from the customer's SMS, e.g. QKL4ABCDEF
+  mpesaReceiptNumber: {
+    type: String,
+    uppercase: true,
+    trim: true
+  },
+
+  transactionDate: Date,
+
+  // How the outcome was learned
+  confirmedVia: {
+    type: String,
+    enum: ['callback', 'query', 'manual']
+  },
+
+  reconciledBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  callbackPayload: {
+    type: mongoose.Schema.Types.Mixed
+  }
+
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      delete ret.__v;
+      delete ret.callbackPayload;
+      return ret;
+    }
+  }
+});
+
+// Indexes
+mpesaTransactionSchema.index({ checkoutRequestId: 1 }, { unique: true });
+mpesaTransactionSchema.index({ mpesaReceiptNumber: 1 }, { unique: true, sparse: true });
+mpesaTransactionSchema.index({ pharmacy: 1, sale: 1, createdAt: -1 });
+mpesaTransactionSchema.index({ pharmacy: 1, status: 1 });
+
+export default mongoose.model('MpesaTransaction', mpesaTransactionSchema);
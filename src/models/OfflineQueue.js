@@ -0,0 +1,95 @@
+// src/models/OfflineQueue.js
+import mongoose from 'mongoose';
+
+export const OFFLINE_QUEUE_STATUSES = ['pending', 'synced', 'failed'];
+
+// One sale uploaded by a terminal that was offline, keyed by the id the terminal gave it
+const offlineQueueSchema = new mongoose.Schema({
+  pharmacy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Pharmacy',
+    required: true
+  },
+
+  terminalId: {
+    type: String,
+    required: true,
+    trim: true
+  },
+
+  // Idempotency key - uploading the same sale twice never sells it twice
+  clientSaleId: {
+    type: String,
+    required: true,
+    trim: true
+  },
+
+  // The sale as the terminal recorded it, kept so failures can be retried
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+
+  soldAt: {
+    type: Date,
+    required: true
+  },
+
+  // Attendant the sale is booked to
+  attendant: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  status: {
+    type: String,
+    enum: OFFLINE_QUEUE_STATUSES,
+    default: 'pending'
+  },
+
+  sale: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Sale'
+  },
+
+  // Batch that last attempted the sale
+  syncLog: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SyncLog'
+  },
+
+  attempts: {
+    type: Number,
+    default: 0
+  },
+
+  lastError: String,
+
+  // Stock and price differences found while replaying
+  conflicts: [{
+    type: {
+      type: String,
+      enum: ['stock', 'price', 'shift']
+    },
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product'
+    },
+    productName: String,
+    message: String,
+    resolution: String,
+    _id: false
+  }],
+
+  syncedAt: Date
+}, {
+  timestamps: true
+});
+
+offlineQueueSchema.index({ pharmacy: 1, clientSaleId: 1 }, { unique: true });
+offlineQueueSchema.index({ pharmacy: 1, status: 1, soldAt: 1 });
+
+const OfflineQueue = mongoose.model('OfflineQueue', offlineQueueSchema);
+
+export default OfflineQueue;
@@ -172,6 +172,25 @@ const pharmacySchema = new mongoose.Schema({
   }
 },
   
+  // KRA eTIMS (OSCU) registration for electronic tax invoices
+  etims: {
+    enabled: { type: Boolean, default: false },
+    kraPin: {
+      type: String,
+      uppercase: true,
+      trim: true,
+      match: [/^[AP]\d{9}[A-Z]$/, 'Please enter a valid KRA PIN']
+    },
+    branchId: { type: String, trim: true, default: '00' },
+    deviceSerial: { type: String, trim: true },
+    // Communication key issued by KRA when the device is initialised
+    cmcKey: { type: String, select: false },
+    // Last invoice number issued (invcNo runs sequentially per branch)
+    lastInvoiceNumber: { type: Number, default: 0 },
+    // When reporting was switched on - earlier sales are not sent to KRA
+    enabledAt: Date
+  },
+  
   // Status
   status: {
     type: String,
@@ -198,7 +217,32 @@ const pharmacySchema = new mongoose.Schema({
     timezone: { type: String, default: 'Africa/Nairobi' },
     language: { type: String, enum: ['en', 'sw'], default: 'en' },
     lowStockAlert: { type: Number, default: 10 },
-    expiryAlert: { type: Number, default: 30 }
+    // Days before expiry that owners are warned about a lot
+    expiryAlert: { type: Number, min: 1, default: 30 },
+    // Minutes after a sale during which staff can void it without owner approval
+    voidWindowMinutes: { type: Number, min: 0, default: 15 },
+    // Cap for attendants with the 'limited' discounts permission (% of the line value)
+    maxDiscountPercent: { type: Number, min: 0, max: 100, default: 10 },
+    // How long a parked basket stays resumable before it expires
+    heldSaleExpiryMinutes: { type: Number, min: 1, default: 120 },
+    // How goods received notes move pricing.costPerPack: blend with stock on hand, or take the latest invoice cost
+    costingMethod: { type: String, enum: ['weighted_average', 'last_cost'], default: 'weighted_average' },
+    // Standard VAT rate (%) and whether shelf prices already include it
+    taxRate: { type: Number, min: 0, max: 100, default: 16 },
+    pricesIncludeTax: { type: Boolean, default: true },
+    showTaxOnReceipt: { type: Boolean, default: true },
+    // Printed above the items and at the bottom of every receipt
+    receiptHeader: { type: String, trim: true, maxlength: 200, default: '' },
+    receiptFooter: { type: String, trim: true, maxlength: 200, default: 'Thank you for your business!' },
+    // Thermal receipts cannot carry the uploaded logo image. Turn this on once the logo has been
+    // loaded into the printer's NV memory (slot 1) with the printer vendor's utility
+    printStoredLogo: { type: Boolean, default: false },
+    // Sequential receipt numbers: {SEQ} or {SEQ:6}, {FY}, {YYYY}, {BRANCH} (see receiptNumberService)
+    receiptNumberFormat: { type: String, trim: true, maxlength: 40, default: 'RCT-{SEQ:6}' },
+    // Restart numbering at 1 every fiscal year, and/or run a separate sequence per eTIMS branch
+    receiptNumberReset: { type: String, enum: ['never', 'fiscal_year'], default: 'never' },
+    receiptNumberPerBranch: { type: Boolean, default: false },
+    fiscalYearStartMonth: { type: Number, min: 1, max: 12, default: 1 }
   },
   
   // System Information
@@ -0,0 +1,283 @@
+// src/models/Prescription.js
+import mongoose from 'mongoose';
+
+// Prescriptions are only honoured for this long unless the prescriber says otherwise
+export const DEFAULT_PRESCRIPTION_VALIDITY_DAYS = 30;
+
+const prescriptionItemSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  productName: {
+    type: String,
+    required: true
+  },
+  // Most that may be dispensed per fill, in units
+  quantity: {
+    type: Number,
+    required: true,
+    min: [1, 'Quantity must be at least 1']
+  },
+  // e.g. "500mg", "1 tablet"
+  dose: {
+    type: String,
+    trim: true
+  },
+  // e.g. "three times a day", "at night"
+  frequency: {
+    type: String,
+    trim: true
+  },
+  // e.g. "7 days"
+  duration: {
+    type: String,
+    trim: true
+  },
+  instructions: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Instructions cannot exceed 200 characters']
+  }
+}, { _id: false });
+
+const dispenseSchema = new mongoose.Schema({
+  sale: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Sale',
+    required: true
+  },
+  items: [{
+    _id: false,
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product'
+    },
+    quantity: Number
+  }],
+  // A repeat is used by every fill after the first
+  isRepeat: {
+    type: Boolean,
+    default: false
+  },
+  dispensedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  dispensedAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Set when the sale was voided and the fill given back
+  reversedAt: Date
+}, { _id: false });
+
+const prescriptionSchema = new mongoose.Schema({
+  // Tenant/Pharmacy Reference
+  pharmacy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Pharmacy',
+    required: true
+  },
+
+  prescriptionNumber: {
+    type: String,
+    required: true
+  },
+
+  // Registered customer the prescription belongs to, if any
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer'
+  },
+
+  patient: {
+    name: {
+      type: String,
+      required: [true, 'Patient name is required'],
+      trim: true
+    },
+    age: {
+      type: Number,
+      min: [0, 'Age cannot be negative']
+    },
+    gender: {
+      type: String,
+      enum: ['male', 'female', 'other']
+    },
+    phone: {
+      type: String,
+      trim: true
+    }
+  },
+
+  prescriber: {
+    name: {
+      type: String,
+      required: [true, 'Prescriber name is required'],
+      trim: true
+    },
+    // KMPDC / PPB registration number
+    registrationNumber: {
+      type: String,
+      trim: true
+    },
+    facility: {
+      type: String,
+      trim: true
+    },
+    phone: {
+      type: String,
+      trim: true
+    }
+  },
+
+  diagnosis: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Diagnosis cannot exceed 200 characters']
+  },
+
+  items: {
+    type: [prescriptionItemSchema],
+    validate: [items => items.length > 0, 'A prescription needs at least one item']
+  },
+
+  // Refills allowed after the first fill
+  repeats: {
+    type: Number,
+    default: 0,
+    min: [0, 'Repeats cannot be negative']
+  },
+
+  remainingRepeats: {
+    type: Number,
+    default: function() {
+      return this.repeats;
+    },
+    min: 0
+  },
+
+  issuedAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  expiresAt: {
+    type: Date,
+    default: function() {
+      const issuedAt = this.issuedAt || new Date();
+      return new Date(issuedAt.getTime() + DEFAULT_PRESCRIPTION_VALIDITY_DAYS * 24 * 60 * 60 * 1000);
+    }
+  },
+
+  // Scanned copy of the paper prescription
+  image: {
+    url: String,
+    publicId: String,
+    uploadedAt: Date
+  },
+
+  status: {
+    type: String,
+    enum: ['active', 'exhausted', 'cancelled'],
+    default: 'active'
+  },
+
+  dispenses: [dispenseSchema],
+
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Notes cannot exceed 500 characters']
+  },
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  lastModifiedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+
+}, {
+  timestamps: true,
+  toJSON: {
+    virtuals: true,
+    transform: function(doc, ret) {
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+// Indexes
+prescriptionSchema.index({ pharmacy: 1, prescriptionNumber: 1 }, { unique: true });
+prescriptionSchema.index({ pharmacy: 1, customer: 1, issuedAt: -1 });
+prescriptionSchema.index({ pharmacy: 1, status: 1, expiresAt: 1 });
+
+prescriptionSchema.virtual('fillCount').get(function() {
+  return (this.dispenses || []).filter(fill => !fill.reversedAt).length;
+});
+
+prescriptionSchema.virtual('isExpired').get(function() {
+  return Boolean(this.expiresAt && this.expiresAt <= new Date());
+});
+
+/**
+ * Check the prescription covers these sale lines
+ * @param {Array} lines - [{ product, productName, quantity }]
+ * @returns {string|null} Reason it cannot be dispensed, or null
+ */
+prescriptionSchema.methods.getDispenseError = function(lines) {
+  if (this.status === 'cancelled') return `Prescription ${this.prescriptionNumber} has been cancelled`;
+  if (this.status === 'exhausted') return `Prescription ${this.prescriptionNumber} has no repeats left`;
+  if (this.isExpired) return `Prescription ${this.prescriptionNumber} expired on ${this.expiresAt.toDateString()}`;
+
+  for (const line of lines) {
+    const item = this.items.find(entry => entry.product.toString() === line.product.toString());
+    if (!item) {
+      return `${line.productName} is not on prescription ${this.prescriptionNumber}`;
+    }
+    if (line.quantity > item.quantity) {
+      return `Prescription ${this.prescriptionNumber} allows at most ${item.quantity} of ${line.productName} per fill`;
+    }
+  }
+  return null;
+};
+
+/**
+ * Record a fill against the prescription, using up a repeat after the first
+ * Call getDispenseError first; the caller saves the document
+ */
+prescriptionSchema.methods.recordDispense = function({ sale, lines, userId }) {
+  const isRepeat = this.fillCount > 0;
+
+  this.dispenses.push({
+    sale,
+    items: lines.map(line => ({ product: line.product, quantity: line.quantity })),
+    isRepeat,
+    dispensedBy: userId
+  });
+
+  if (isRepeat) this.remainingRepeats -= 1;
+  if (this.remainingRepeats <= 0) this.status = 'exhausted';
+};
+
+// Give a fill back when its sale is voided; the caller saves the document
+prescriptionSchema.methods.reverseDispense = function(saleId) {
+  const fill = this.dispenses.find(entry => entry.sale.toString() === saleId.toString() && !entry.reversedAt);
+  if (!fill) return false;
+
+  fill.reversedAt = new Date();
+  if (fill.isRepeat) this.remainingRepeats += 1;
+  if (this.status === 'exhausted') this.status = 'active';
+  return true;
+};
+
+export default mongoose.model('Prescription', prescriptionSchema);
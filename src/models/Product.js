@@ -1,5 +1,59 @@
 // src/models/Product.js
 import mongoose from 'mongoose';
+import { TAX_CLASSES, defaultTaxClass } from '../utils/taxUtils.js';
+
+// One delivery (lot) of a product - stock is sold first-expiry-first-out across lots
+const batchSchema = new mongoose.Schema({
+  batchNumber: {
+    type: String,
+    trim: true,
+    uppercase: true
+  },
+  expiryDate: Date,
+  // Units of this lot still on the shelf
+  quantity: {
+    type: Number,
+    min: [0, 'Batch quantity cannot be negative'],
+    default: 0
+  },
+  receivedQuantity: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  costPerUnit: {
+    type: Number,
+    min: [0, 'Cost cannot be negative']
+  },
+  supplier: {
+    type: String,
+    trim: true
+  },
+  receivedAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Owners have been warned this lot is close to expiry
+  expiryAlertSentAt: Date
+});
+
+// A scan of a pack barcode sells a whole pack; a unit barcode sells one unit
+const barcodeSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: [true, 'Barcode is required'],
+    trim: true
+  },
+  type: {
+    type: String,
+    enum: ['pack', 'unit'],
+    default: 'pack'
+  },
+  label: {
+    type: String,
+    trim: true
+  }
+}, { _id: false });
 
 const productSchema = new mongoose.Schema({
   // Basic Information
@@ -26,6 +80,14 @@ const productSchema = new mongoose.Schema({
     enum: ['Prescription', 'OTC', 'Controlled', 'Herbal', 'Medical Supply'],
     default: 'OTC'
   },
+  // VAT class - medicines are mostly exempt, cosmetics and supplies standard-rated
+  taxClass: {
+    type: String,
+    enum: TAX_CLASSES,
+    default: function() {
+      return defaultTaxClass(this.drugType);
+    }
+  },
   // Pricing Structure
   pricing: {
     costPerPack: {
@@ -51,6 +113,19 @@ const productSchema = new mongoose.Schema({
       required: [true, 'Units per pack is required'],
       min: [1, 'Must have at least 1 unit per pack'],
       default: 1
+    },
+    // Price of one loose unit when it is not simply sellingPricePerPack / unitsPerPack
+    // (a premium on loose tablets, or a whole pack sold cheaper than its units)
+    sellingPricePerUnit: {
+      type: Number,
+      min: [0, 'Selling price cannot be negative'],
+      validate: {
+        validator: function(value) {
+          if (value === null || value === undefined) return true;
+          return value >= (this.pricing?.costPerPack || 0) / (this.pricing?.unitsPerPack || 1);
+        },
+        message: 'Unit selling price must be greater than or equal to the cost per unit'
+      }
     }
   },
   // Stock Management
@@ -86,12 +161,15 @@ const productSchema = new mongoose.Schema({
     uppercase: true,
     match: [/^[A-Z0-9-]+$/, 'SKU can only contain uppercase letters, numbers, and hyphens']
   },
+  // Main barcode, printed on the pack
   barcode: {
     type: String,
     sparse: true,
     trim: true
   },
-  // Expiry & Batch
+  // Further codes that resolve to this product - unit barcodes, GS1 GTINs, old packaging
+  barcodes: [barcodeSchema],
+  // Expiry & Batch - kept in step with the next lot to expire
   expiryDate: {
     type: Date,
     validate: {
@@ -106,6 +184,8 @@ const productSchema = new mongoose.Schema({
     trim: true,
     uppercase: true
   },
+  // Lots on the shelf; their quantities add up to the stock total
+  batches: [batchSchema],
   manufacturer: {
     type: String,
     trim: true
@@ -114,6 +194,11 @@ const productSchema = new mongoose.Schema({
     type: String,
     trim: true
   },
+  // Supplier low-stock purchase orders are raised with
+  preferredSupplier: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Supplier'
+  },
   // Unit Information
   unitType: {
     type: String,
@@ -174,6 +259,20 @@ productSchema.virtual('stock.totalUnits').get(function() {
   return (fullPacks * unitsPerPack) + looseUnits;
 });
 
+// Units that may be sold - expired lots stay on the shelf until written off
+productSchema.virtual('stock.sellableUnits').get(function() {
+  const now = new Date();
+  const batches = this.batches || [];
+  const tracked = batches.reduce((sum, batch) => sum + batch.quantity, 0);
+  const expiredTracked = batches
+    .filter(batch => batch.expiryDate && batch.expiryDate <= now)
+    .reduce((sum, batch) => sum + batch.quantity, 0);
+  // Stock from before lots were tracked carries the product's own expiry date
+  const untracked = Math.max(this.stock.totalUnits - tracked, 0);
+  const expiredUntracked = this.expiryDate && this.expiryDate <= now ? untracked : 0;
+  return Math.max(this.stock.totalUnits - expiredTracked - expiredUntracked, 0);
+});
+
 productSchema.virtual('stockValue').get(function() {
   const fullPacks = this.stock?.fullPacks || 0;
   const looseUnits = this.stock?.looseUnits || 0;
@@ -206,6 +305,11 @@ productSchema.virtual('needsRestock').get(function() {
   return this.stock.totalUnits <= (this.stock?.minStockLevel || 0);
 });
 
+// Prescription-only and controlled drugs can only be sold against a prescription
+productSchema.virtual('requiresPrescription').get(function() {
+  return Boolean(this.isPrescriptionRequired) || ['Prescription', 'Controlled'].includes(this.drugType);
+});
+
 productSchema.virtual('restockQuantity').get(function() {
   const total = this.stock.totalUnits;
   const maxStock = this.stock?.maxStockLevel || 0;
@@ -218,9 +322,14 @@ productSchema.index({ pharmacy: 1, status: 1 });
 productSchema.index({ pharmacy: 1, drugType: 1 });
 productSchema.index({ pharmacy: 1, sku: 1 }, { unique: true, sparse: true });
 productSchema.index({ pharmacy: 1, barcode: 1 }, { sparse: true });
+productSchema.index({ pharmacy: 1, 'barcodes.code': 1 });
 productSchema.index({ pharmacy: 1, expiryDate: 1 });
+productSchema.index({ pharmacy: 1, 'batches.batchNumber': 1 });
+productSchema.index({ pharmacy: 1, 'batches.expiryDate': 1 });
 productSchema.index({ pharmacy: 1, 'stock.fullPacks': 1 });
 productSchema.index({ pharmacy: 1, 'stock.looseUnits': 1 });
+// Change feed for POS terminals (GET /api/pos/products/changes)
+productSchema.index({ pharmacy: 1, updatedAt: 1, _id: 1 });
 
 // ==================== PRE-SAVE MIDDLEWARE ====================
 productSchema.pre('save', function(next) {
@@ -231,11 +340,196 @@ productSchema.pre('save', function(next) {
   if (this.pricing?.sellingPricePerPack < this.pricing?.costPerPack) {
     this.pricing.sellingPricePerPack = this.pricing.costPerPack;
   }
+  // Opening stock becomes the first lot
+  if (this.isNew) this.ensureBatches();
   next();
 });
 
+// ==================== BATCH METHODS ====================
+const isExpired = (batch, now = new Date()) => Boolean(batch.expiryDate && batch.expiryDate <= now);
+
+// Lots without an expiry date go last
+const byExpiry = (a, b) =>
+  (a.expiryDate ? a.expiryDate.getTime() : Infinity) - (b.expiryDate ? b.expiryDate.getTime() : Infinity);
+
+const sameLot = (batch, batchNumber, expiryDate) =>
+  (batch.batchNumber || null) === (batchNumber ? String(batchNumber).trim().toUpperCase() : null) &&
+  (batch.expiryDate?.getTime() ?? null) === (expiryDate ? new Date(expiryDate).getTime() : null);
+
+// Stock from before lots were tracked becomes a lot of its own (call before changing stock counts)
+productSchema.methods.ensureBatches = function() {
+  const tracked = this.batches.reduce((sum, batch) => sum + batch.quantity, 0);
+  const untracked = this.stock.totalUnits - tracked;
+  if (untracked > 0) {
+    const unitsPerPack = this.pricing?.unitsPerPack || 1;
+    this.batches.push({
+      batchNumber: this.batchNumber,
+      expiryDate: this.expiryDate,
+      quantity: untracked,
+      receivedQuantity: untracked,
+      costPerUnit: (this.pricing?.costPerPack || 0) / unitsPerPack,
+      supplier: this.supplier,
+      receivedAt: this.createdAt || new Date()
+    });
+  }
+};
+
+// Product-level expiry/batch show the next lot to expire that is still in stock
+productSchema.methods.syncBatchSummary = function() {
+  const next = this.batches
+    .filter(batch => batch.quantity > 0 && batch.expiryDate && !isExpired(batch))
+    .sort(byExpiry)[0];
+  if (next) {
+    this.expiryDate = next.expiryDate;
+    this.batchNumber = next.batchNumber;
+  }
+};
+
+// Lots with stock as plain objects; stock from before lots were tracked shows as one untracked lot
+productSchema.methods.getStockLots = function() {
+  const lots = this.batches.filter(batch => batch.quantity > 0).map(batch => batch.toObject());
+  const tracked = this.batches.reduce((sum, batch) => sum + batch.quantity, 0);
+  const untracked = this.stock.totalUnits - tracked;
+  if (untracked > 0) {
+    lots.push({
+      batchNumber: this.batchNumber,
+      expiryDate: this.expiryDate,
+      quantity: untracked,
+      costPerUnit: (this.pricing?.costPerPack || 0) / (this.pricing?.unitsPerPack || 1),
+      untracked: true
+    });
+  }
+  return lots;
+};
+
+/**
+ * Put a delivery on the shelf, topping up the lot if it is already known
+ * Only records the lot - stock counts are changed by the caller (see addStock)
+ * @returns {Object} The lot
+ */
+productSchema.methods.receiveBatch = function({ batchNumber, expiryDate, quantity, costPerUnit, supplier }) {
+  this.ensureBatches();
+
+  let batch = this.batches.find(entry => sameLot(entry, batchNumber, expiryDate));
+  if (batch) {
+    batch.quantity += quantity;
+    batch.receivedQuantity += quantity;
+    if (costPerUnit !== undefined) batch.costPerUnit = costPerUnit;
+  } else {
+    const unitsPerPack = this.pricing?.unitsPerPack || 1;
+    this.batches.push({
+      batchNumber,
+      expiryDate,
+      quantity,
+      receivedQuantity: quantity,
+      costPerUnit: costPerUnit ?? (this.pricing?.costPerPack || 0) / unitsPerPack,
+      supplier: supplier || this.supplier
+    });
+    batch = this.batches[this.batches.length - 1];
+  }
+
+  this.syncBatchSummary();
+  return batch;
+};
+
+/**
+ * Take units out of lots, first-expiry-first-out
+ * Sales never take expired lots; write-offs and removals take them first
+ * @returns {Array} [{ batch, batchNumber, expiryDate, quantity }] consumed per lot
+ */
+productSchema.methods.consumeBatches = function(quantity, { includeExpired = false } = {}) {
+  this.ensureBatches();
+
+  const now = new Date();
+  const inStock = this.batches.filter(batch => batch.quantity > 0);
+  const expired = inStock.filter(batch => isExpired(batch, now)).sort(byExpiry);
+  const sellable = inStock.filter(batch => !isExpired(batch, now)).sort(byExpiry);
+  const lots = includeExpired ? [...expired, ...sellable] : sellable;
+
+  const consumed = [];
+  let remaining = quantity;
+  for (const batch of lots) {
+    if (remaining <= 0) break;
+    const taken = Math.min(batch.quantity, remaining);
+    batch.quantity -= taken;
+    remaining -= taken;
+    consumed.push({
+      batch: batch._id,
+      batchNumber: batch.batchNumber,
+      expiryDate: batch.expiryDate,
+      quantity: taken
+    });
+  }
+
+  if (remaining > 0) {
+    const expiredUnits = expired.reduce((sum, batch) => sum + batch.quantity, 0);
+    throw new Error(!includeExpired && expiredUnits > 0
+      ? `Not enough unexpired ${this.name} in stock. ${expiredUnits} expired unit(s) must be written off`
+      : `Not enough ${this.name} in stock across batches`);
+  }
+
+  this.syncBatchSummary();
+  return consumed;
+};
+
+/**
+ * Put returned units back into the lots they were sold from (refunds, voids)
+ * @param {Array} lots - Lots consumed by the sale line, in the order they were taken
+ * @param {number} quantity - Units coming back
+ * @param {number} alreadyReturned - Units of the line returned before; they came back out of the latest lots
+ * @returns {Array} [{ batch, batchNumber, expiryDate, quantity }] restored per lot
+ */
+productSchema.methods.returnToBatches = function(lots = [], quantity, alreadyReturned = 0) {
+  this.ensureBatches();
+
+  const restored = [];
+  let skip = alreadyReturned;
+  let remaining = quantity;
+
+  for (const lot of [...lots].reverse()) {
+    if (remaining <= 0) break;
+    const skipped = Math.min(skip, lot.quantity);
+    skip -= skipped;
+    const back = Math.min(lot.quantity - skipped, remaining);
+    if (back <= 0) continue;
+
+    const batch = this.batches.id(lot.batch) ||
+      this.batches.find(entry => sameLot(entry, lot.batchNumber, lot.expiryDate));
+    if (batch) {
+      batch.quantity += back;
+    } else {
+      this.batches.push({ batchNumber: lot.batchNumber, expiryDate: lot.expiryDate, quantity: back });
+    }
+    restored.push({ batch: lot.batch, batchNumber: lot.batchNumber, expiryDate: lot.expiryDate, quantity: back });
+    remaining -= back;
+  }
+
+  // Sales from before batch tracking have no lots to go back to
+  if (remaining > 0) {
+    const batch = this.receiveBatch({ batchNumber: this.batchNumber, expiryDate: this.expiryDate, quantity: remaining });
+    batch.receivedQuantity -= remaining;
+    restored.push({ batch: batch._id, batchNumber: batch.batchNumber, expiryDate: batch.expiryDate, quantity: remaining });
+  }
+
+  this.syncBatchSummary();
+  return restored;
+};
+
 // ==================== METHODS ====================
-productSchema.methods.addStock = function(packs, units = 0) {
+// Price of one pack, or of one loose unit (its own price if set, else the pack price split evenly)
+productSchema.methods.priceFor = function(sellAs = 'unit') {
+  if (sellAs === 'pack') return this.pricing.sellingPricePerPack;
+  return this.pricing.sellingPricePerUnit ?? this.pricing.pricePerUnit;
+};
+
+productSchema.methods.addStock = function(packs, units = 0, batch = {}) {
+  const receivedUnits = packs * (this.pricing?.unitsPerPack || 1) + units;
+  if (receivedUnits > 0) {
+    this.receiveBatch({ ...batch, quantity: receivedUnits });
+  } else if (receivedUnits < 0) {
+    this.consumeBatches(-receivedUnits, { includeExpired: true });
+  }
+
   this.stock.fullPacks += packs;
   this.stock.looseUnits += units;
   const unitsPerPack = this.pricing?.unitsPerPack || 1;
@@ -272,6 +566,40 @@ productSchema.statics.getLowStockProducts = async function(pharmacyId) {
   return products.filter(p => p.stock.totalUnits <= (p.stock?.minStockLevel || 0) && p.stock.totalUnits > 0);
 };
 
+// Active products at or below their minimum stock level (totalUnits is a virtual, so it is worked out here)
+productSchema.statics.findLowStock = function(pharmacyId, filters = {}) {
+  return this.find({
+    pharmacy: pharmacyId,
+    status: 'active',
+    ...filters,
+    $expr: {
+      $lte: [
+        { $add: [{ $multiply: ['$stock.fullPacks', '$pricing.unitsPerPack'] }, '$stock.looseUnits'] },
+        '$stock.minStockLevel'
+      ]
+    }
+  });
+};
+
+/**
+ * Products an exact scan resolves to: the main barcode, any extra barcode, or the SKU
+ * @param {string[]} codes - Forms of the scanned code to try (see barcodeCandidates)
+ */
+productSchema.statics.findByCode = function(pharmacyId, codes, sku) {
+  const or = [{ barcode: { $in: codes } }, { 'barcodes.code': { $in: codes } }];
+  if (sku) or.push({ sku: sku.toUpperCase() });
+  return this.find({ pharmacy: pharmacyId, status: 'active', $or: or });
+};
+
+// Which code matched and whether it is for a pack or a single unit
+productSchema.methods.matchCode = function(codes, sku) {
+  const extra = this.barcodes.find(entry => codes.includes(entry.code));
+  if (extra) return { code: extra.code, via: 'barcode', type: extra.type };
+  if (this.barcode && codes.includes(this.barcode)) return { code: this.barcode, via: 'barcode', type: 'pack' };
+  if (sku && this.sku === sku.toUpperCase()) return { code: this.sku, via: 'sku', type: 'pack' };
+  return null;
+};
+
 productSchema.statics.findByCategory = function(pharmacyId, category) {
   return this.find({
     pharmacy: pharmacyId,
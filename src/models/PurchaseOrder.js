@@ -0,0 +1,187 @@
+// src/models/PurchaseOrder.js
+import mongoose from 'mongoose';
+import { roundMoney } from '../utils/moneyUtils.js';
+
+export const PURCHASE_ORDER_STATUSES = ['draft', 'sent', 'partially_received', 'received', 'closed', 'cancelled'];
+
+// Where an order may go next from each status (receiving moves it between sent/partially_received/received)
+export const PURCHASE_ORDER_TRANSITIONS = {
+  draft: ['sent', 'cancelled'],
+  sent: ['partially_received', 'received', 'closed', 'cancelled'],
+  partially_received: ['partially_received', 'received', 'closed'],
+  received: ['closed'],
+  closed: [],
+  cancelled: []
+};
+
+const purchaseOrderItemSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  productName: {
+    type: String,
+    required: true
+  },
+  // Ordered and priced per pack
+  packs: {
+    type: Number,
+    required: true,
+    min: [1, 'Order at least 1 pack']
+  },
+  unitsPerPack: {
+    type: Number,
+    required: true,
+    min: 1,
+    default: 1
+  },
+  costPerPack: {
+    type: Number,
+    required: true,
+    min: [0, 'Cost cannot be negative']
+  },
+  lineTotal: {
+    type: Number,
+    default: 0
+  },
+  receivedPacks: {
+    type: Number,
+    default: 0,
+    min: 0
+  }
+});
+
+const statusChangeSchema = new mongoose.Schema({
+  status: {
+    type: String,
+    enum: PURCHASE_ORDER_STATUSES,
+    required: true
+  },
+  changedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  changedAt: {
+    type: Date,
+    default: Date.now
+  },
+  note: String
+}, { _id: false });
+
+const purchaseOrderSchema = new mongoose.Schema({
+  pharmacy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Pharmacy',
+    required: true
+  },
+
+  orderNumber: {
+    type: String,
+    required: true
+  },
+
+  // Optional while drafting - needed before the order is sent
+  supplier: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Supplier'
+  },
+
+  status: {
+    type: String,
+    enum: PURCHASE_ORDER_STATUSES,
+    default: 'draft'
+  },
+
+  items: {
+    type: [purchaseOrderItemSchema],
+    validate: [items => items.length > 0, 'A purchase order needs at least one item']
+  },
+
+  totalAmount: {
+    type: Number,
+    default: 0
+  },
+
+  expectedDeliveryDate: Date,
+
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Notes cannot exceed 500 characters']
+  },
+
+  // Raised from the low-stock list rather than by hand
+  generatedFromLowStock: {
+    type: Boolean,
+    default: false
+  },
+
+  sentAt: Date,
+  closedAt: Date,
+
+  statusHistory: [statusChangeSchema],
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  lastModifiedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+// Indexes
+purchaseOrderSchema.index({ pharmacy: 1, orderNumber: 1 }, { unique: true });
+purchaseOrderSchema.index({ pharmacy: 1, status: 1, createdAt: -1 });
+purchaseOrderSchema.index({ pharmacy: 1, supplier: 1, createdAt: -1 });
+purchaseOrderSchema.index({ pharmacy: 1, 'items.product': 1, status: 1 });
+
+// Order number (PO-YYMMDD-0001, counted per pharmacy) plus line and order totals
+purchaseOrderSchema.pre('validate', async function(next) {
+  if (this.isNew && !this.orderNumber) {
+    const count = await mongoose.model('PurchaseOrder').countDocuments({ pharmacy: this.pharmacy });
+    const date = new Date().toISOString().slice(2, 10).replace(/-/g, '');
+    this.orderNumber = `PO-${date}-${String(count + 1).padStart(4, '0')}`;
+  }
+
+  this.items.forEach(item => {
+    item.lineTotal = roundMoney(item.packs * item.costPerPack);
+  });
+  this.totalAmount = roundMoney(this.items.reduce((sum, item) => sum + item.lineTotal, 0));
+  next();
+});
+
+purchaseOrderSchema.methods.canTransitionTo = function(status) {
+  return PURCHASE_ORDER_TRANSITIONS[this.status]?.includes(status) || false;
+};
+
+// Move to a new status and record who did it; the caller checks canTransitionTo and saves
+purchaseOrderSchema.methods.setStatus = function(status, userId, note) {
+  this.status = status;
+  this.statusHistory.push({ status, changedBy: userId, note });
+  if (status === 'sent') this.sentAt = new Date();
+  if (status === 'closed') this.closedAt = new Date();
+};
+
+// After goods are received: partially_received until every line is in full, then received
+purchaseOrderSchema.methods.refreshReceiptStatus = function(userId) {
+  const fullyReceived = this.items.every(item => item.receivedPacks >= item.packs);
+  const anyReceived = this.items.some(item => item.receivedPacks > 0);
+  const next = fullyReceived ? 'received' : anyReceived ? 'partially_received' : this.status;
+  if (next !== this.status) this.setStatus(next, userId);
+};
+
+export default mongoose.model('PurchaseOrder', purchaseOrderSchema);
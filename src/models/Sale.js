@@ -1,4 +1,61 @@
 import mongoose from 'mongoose';
+import { TAX_CLASSES } from '../utils/taxUtils.js';
+
+const discountSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['percentage', 'fixed'],
+    required: true
+  },
+  value: {
+    type: Number,
+    required: true,
+    min: [0, 'Discount cannot be negative']
+  },
+  // Resolved amount taken off
+  amount: {
+    type: Number,
+    default: 0,
+    min: [0, 'Discount amount cannot be negative']
+  }
+}, { _id: false });
+
+const taxBreakdownSchema = new mongoose.Schema({
+  taxClass: {
+    type: String,
+    enum: TAX_CLASSES,
+    required: true
+  },
+  rate: {
+    type: Number,
+    required: true
+  },
+  // Value of the goods excluding VAT
+  taxableAmount: {
+    type: Number,
+    default: 0
+  },
+  taxAmount: {
+    type: Number,
+    default: 0
+  }
+}, { _id: false });
+
+// Lot a sale line's units were taken from, for recall tracing
+const saleBatchSchema = new mongoose.Schema({
+  batch: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  batchNumber: String,
+  expiryDate: Date,
+  quantity: {
+    type: Number,
+    required: true
+  }
+}, { _id: false });
+
+// A line sells loose units, or whole packs at the pack price
+export const SELL_AS = ['unit', 'pack'];
 
 const saleItemSchema = new mongoose.Schema({
   product: {
@@ -10,11 +67,26 @@ const saleItemSchema = new mongoose.Schema({
     type: String,
     required: true
   },
+  // Always in units - stock, lots and refunds count units whichever way the line was sold
   quantity: {
     type: Number,
     required: true,
     min: [1, 'Quantity must be at least 1']
   },
+  sellAs: {
+    type: String,
+    enum: SELL_AS,
+    default: 'unit'
+  },
+  // Packs handed over and the price charged per pack, for pack lines
+  packs: {
+    type: Number,
+    min: [1, 'Packs must be at least 1']
+  },
+  packPrice: {
+    type: Number,
+    min: [0, 'Pack price cannot be negative']
+  },
   unitType: {
     type: String,
     enum: ['Tablets', 'Capsules', 'Bottles', 'Tubes', 'Packs', 'Units', 'Millilitres', 'Grams'],
@@ -25,18 +97,166 @@ const saleItemSchema = new mongoose.Schema({
     required: true,
     min: [0, 'Unit price cannot be negative']
   },
+  // Net line total after line and basket discounts
   total: {
     type: Number,
     required: true,
     min: [0, 'Total cannot be negative']
+  },
+  discount: discountSchema,
+  // Line discount plus this line's share of the basket discount
+  discountAmount: {
+    type: Number,
+    default: 0,
+    min: [0, 'Discount amount cannot be negative']
+  },
+  // VAT on this line (included in total)
+  taxClass: {
+    type: String,
+    enum: TAX_CLASSES,
+    default: 'exempt'
+  },
+  taxRate: {
+    type: Number,
+    default: 0
+  },
+  taxAmount: {
+    type: Number,
+    default: 0,
+    min: [0, 'Tax amount cannot be negative']
+  },
+  // False when the line was sold with ignoreStock and nothing was taken off the shelf
+  stockDeducted: {
+    type: Boolean,
+    default: true
+  },
+  // Lots consumed, first-expiry-first-out
+  batches: [saleBatchSchema],
+  refundedQuantity: {
+    type: Number,
+    default: 0,
+    min: [0, 'Refunded quantity cannot be negative']
+  }
+});
+
+// Kenyan Payment Methods
+export const PAYMENT_METHODS = ['cash', 'mpesa', 'card', 'bank_transfer', 'insurance'];
+
+const paymentSchema = new mongoose.Schema({
+  method: {
+    type: String,
+    enum: PAYMENT_METHODS,
+    required: true
+  },
+  // Amount tendered - for cash this includes any change given back
+  amount: {
+    type: Number,
+    required: true,
+    min: [0, 'Payment amount cannot be negative']
+  },
+  // M-Pesa code, card approval code, insurance claim number, etc.
+  reference: {
+    type: String,
+    trim: true
+  },
+  // M-Pesa tenders without a transaction code wait for STK Push confirmation
+  status: {
+    type: String,
+    enum: ['confirmed', 'pending', 'failed'],
+    default: 'confirmed'
+  },
+  phone: {
+    type: String,
+    trim: true
+  }
+}, { _id: false });
+
+const refundItemSchema = new mongoose.Schema({
+  saleItem: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  productName: {
+    type: String,
+    required: true
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: [1, 'Quantity must be at least 1']
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: [0, 'Refund amount cannot be negative']
+  },
+  taxClass: {
+    type: String,
+    enum: TAX_CLASSES
+  },
+  taxRate: Number,
+  taxAmount: {
+    type: Number,
+    default: 0
+  },
+  restocked: {
+    type: Boolean,
+    default: true
   }
+}, { _id: false });
+
+const refundSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['full', 'partial'],
+    required: true
+  },
+  items: [refundItemSchema],
+  amount: {
+    type: Number,
+    required: true,
+    min: [0, 'Refund amount cannot be negative']
+  },
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Refund reason cannot exceed 500 characters']
+  },
+  // How the money went back to the customer
+  refundMethod: {
+    type: String,
+    enum: PAYMENT_METHODS,
+    default: 'cash'
+  },
+  processedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Till session the refund was paid out of
+  shift: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Shift'
+  },
+  approvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
 });
 
 const saleSchema = new mongoose.Schema({
   // Transaction Information
+  // Sequential per pharmacy (receiptNumberService); held baskets carry a HLD- reference until finalized
   receiptNumber: {
     type: String,
-    unique: true,
     required: true
   },
   
@@ -55,39 +275,238 @@ const saleSchema = new mongoose.Schema({
     required: true
   },
   
+  // Registered customer, if the sale was not anonymous
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer'
+  },
+  
+  // Prescription the sale was dispensed against
+  prescription: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Prescription'
+  },
+  
+  // Second member of staff who witnessed a Controlled drug being issued
+  controlledDrugWitness: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  
+  // Till session the sale was rung up in
+  shift: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Shift'
+  },
+  
   // Sale Items
   items: [saleItemSchema],
   
   // Pricing & Payment
+  // Gross value of the basket before any discounts
   subtotal: {
     type: Number,
     required: true,
     min: [0, 'Subtotal cannot be negative']
   },
   
+  basketDiscount: discountSchema,
+  
+  // Line discounts plus basket discount
+  discountTotal: {
+    type: Number,
+    default: 0,
+    min: [0, 'Discount total cannot be negative']
+  },
+  
+
   totalAmount: {
     type: Number,
     required: true,
     min: [0, 'Total amount cannot be negative']
   },
   
+  // VAT included in totalAmount, per class and rate
+  taxTotal: {
+    type: Number,
+    default: 0,
+    min: [0, 'Tax total cannot be negative']
+  },
+  
+  taxBreakdown: [taxBreakdownSchema],
+  
+  // Whether line prices already included VAT when the sale was made
+  pricesIncludeTax: {
+    type: Boolean,
+    default: true
+  },
+  
+  // Sum of all tenders
   amountPaid: {
     type: Number,
     required: true,
     min: [0, 'Amount paid cannot be negative']
   },
   
+  // Only ever given back from cash tenders
   changeDue: {
     type: Number,
     default: 0,
     min: [0, 'Change due cannot be negative']
   },
   
-  // Kenyan Payment Methods
-  paymentMethod: {
+  // Tenders used to settle the sale (e.g. part cash, part M-Pesa)
+  payments: [paymentSchema],
+  
+  paymentStatus: {
     type: String,
-    enum: ['cash', 'mpesa', 'card', 'bank_transfer', 'insurance'],
-    default: 'cash'
+    enum: ['paid', 'awaiting_payment', 'failed', 'unpaid'],
+    default: 'paid'
+  },
+  
+  // Refunds & Returns
+  refunds: [refundSchema],
+
+  refundedAmount: {
+    type: Number,
+    default: 0,
+    min: [0, 'Refunded amount cannot be negative']
+  },
+  
+  // Void/cancellation audit trail
+  voidDetails: {
+    status: {
+      type: String,
+      enum: ['pending', 'rejected', 'voided']
+    },
+    reason: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Void reason cannot exceed 500 characters']
+    },
+    requestedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    requestedAt: Date,
+    withinGraceWindow: Boolean,
+    // Owner who approved/rejected the request (or voided directly)
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    reviewedAt: Date,
+    reviewNote: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Review note cannot exceed 500 characters']
+    },
+    voidedAt: Date,
+    // Till session the customer was paid back from - not always the one the sale was made in
+    shift: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Shift'
+    },
+    reversedItems: [{
+      product: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Product'
+      },
+      productName: String,
+      quantity: Number,
+      restocked: Boolean
+    }]
+  },
+  
+  // Parked basket - a pending sale with no stock taken until it is finalized
+  hold: {
+    status: {
+      type: String,
+      enum: ['held', 'resumed', 'expired', 'discarded']
+    },
+    note: {
+      type: String,
+      trim: true,
+      maxlength: [200, 'Hold note cannot exceed 200 characters']
+    },
+    heldBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    heldAt: Date,
+    expiresAt: Date,
+    // Who picked the basket back up (may be a different attendant/terminal)
+    resumedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    resumedAt: Date,
+    // Receipt number the basket was parked under
+    holdReference: String
+  },
+  
+  // First receipt rendered for the sale - the original. Every later render is a copy in reprints
+  receiptPrintedAt: Date,
+  receiptPrintedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  // Receipt reprints - every copy handed out is accounted for
+  reprints: [{
+    printedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    printedAt: {
+      type: Date,
+      default: Date.now
+    },
+    format: String,
+    _id: false
+  }],
+  
+  // KRA eTIMS electronic tax invoice
+  etims: {
+    status: {
+      type: String,
+      enum: ['queued', 'transmitted', 'failed']
+    },
+    invoiceNumber: Number,
+    // Control unit (sdcId) and the CU invoice number printed on the receipt
+    controlUnitId: String,
+    controlUnitInvoiceNumber: String,
+    receiptSignature: String,
+    internalData: String,
+    mrcNumber: String,
+    // Verification link KRA expects as a QR code on the receipt
+    qrData: String,
+    transmittedAt: Date,
+    lastError: String,
+    // Queueing the invoice failed - the eTIMS worker tries again after this
+    queueRetryAt: Date,
+    // Credit notes sent for refunds and voids, each referencing invoiceNumber
+    creditNotes: [{
+      invoiceNumber: Number,
+      creditFor: {
+        type: String,
+        enum: ['refund', 'void']
+      },
+      refund: mongoose.Schema.Types.ObjectId,
+      status: {
+        type: String,
+        enum: ['queued', 'transmitted', 'failed']
+      },
+      controlUnitId: String,
+      controlUnitInvoiceNumber: String,
+      receiptSignature: String,
+      internalData: String,
+      mrcNumber: String,
+      qrData: String,
+      transmittedAt: Date,
+      lastError: String,
+      _id: false
+    }]
   },
   
   // Status & Metadata
@@ -103,14 +522,56 @@ const saleSchema = new mongoose.Schema({
       type: Boolean,
       default: false
     },
+    // Attendant's discounts permission when the sale was made
+    discountPermission: {
+      type: String,
+      enum: ['none', 'limited', 'full']
+    },
     stockWarnings: [{
       product: String,
       requested: Number,
       available: Number,
       deficit: Number
+    }],
+    // Offline lines charged at a price that no longer matches the product
+    priceChanges: [{
+      product: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Product'
+      },
+      productName: String,
+      sellAs: String,
+      chargedPrice: Number,
+      currentPrice: Number,
+      _id: false
     }]
   },
   
+  // Sale made on a terminal without a connection and uploaded later
+  offline: {
+    // Idempotency key generated by the terminal - a sale is only ever replayed once
+    clientSaleId: String,
+    terminalId: String,
+    // Number printed on the receipt handed out offline
+    clientReceiptNumber: String,
+    soldAt: Date,
+    // Shift the terminal had open when it made the sale
+    shiftId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Shift'
+    },
+    // Set when the sale could not be booked to a drawer that was still open at soldAt
+    shiftConflict: {
+      type: String,
+      enum: ['no_shift', 'shift_closed']
+    },
+    syncedAt: Date,
+    syncLog: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'SyncLog'
+    }
+  },
+  
   // Audit Trail
   createdBy: {
     type: mongoose.Schema.Types.ObjectId,
@@ -132,31 +593,22 @@ const saleSchema = new mongoose.Schema({
 // Indexes
 saleSchema.index({ pharmacy: 1, createdAt: -1 });
 saleSchema.index({ attendant: 1, createdAt: -1 });
-saleSchema.index({ receiptNumber: 1 }, { unique: true });
+saleSchema.index({ pharmacy: 1, receiptNumber: 1 }, { unique: true });
+saleSchema.index({ pharmacy: 1, 'payments.reference': 1 });
+saleSchema.index({ shift: 1 });
+saleSchema.index({ pharmacy: 1, customer: 1, createdAt: -1 });
+saleSchema.index({ 'refunds.shift': 1 });
+saleSchema.index({ 'voidDetails.shift': 1 }, { sparse: true });
+saleSchema.index({ pharmacy: 1, 'hold.status': 1, 'hold.expiresAt': 1 });
+saleSchema.index({ pharmacy: 1, 'items.batches.batchNumber': 1 });
+saleSchema.index(
+  { pharmacy: 1, 'offline.clientSaleId': 1 },
+  { unique: true, partialFilterExpression: { 'offline.clientSaleId': { $exists: true } } }
+);
 
 // Virtual for formatted receipt number
 saleSchema.virtual('formattedReceipt').get(function() {
   return `REC-${this.receiptNumber}`;
 });
 
-// Pre-save middleware to generate receipt number
-
-saleSchema.pre('save', async function(next) {
-  if (this.isNew) {
-    try {
-      // Generate receipt number if not provided
-      if (!this.receiptNumber) {
-        const count = await mongoose.model('Sale').countDocuments({ 
-          pharmacy: this.pharmacy 
-        });
-        this.receiptNumber = `REC-${Date.now()}-${count + 1}`.slice(-15);
-      }
-    } catch (error) {
-      // If count fails, use timestamp as fallback
-      this.receiptNumber = `REC-${Date.now()}-${Math.random().toString(36).substr(2, 5)}`;
-    }
-  }
-  next();
-});
-
 export default mongoose.model('Sale', saleSchema);
\ No newline at end of file
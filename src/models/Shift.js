@@ -0,0 +1,112 @@
+// src/models/Shift.js
+import mongoose from 'mongoose';
+
+const shiftSchema = new mongoose.Schema({
+  // Tenant/Pharmacy Reference
+  pharmacy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Pharmacy',
+    required: true
+  },
+
+  // Attendant who owns the till for this session
+  attendant: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  status: {
+    type: String,
+    enum: ['open', 'closed'],
+    default: 'open'
+  },
+
+  openedAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  closedAt: Date,
+
+  // Cash placed in the drawer at the start of the shift
+  openingFloat: {
+    type: Number,
+    required: true,
+    min: [0, 'Opening float cannot be negative']
+  },
+
+  // Cash physically counted at close
+  countedCash: {
+    type: Number,
+    min: [0, 'Counted cash cannot be negative']
+  },
+
+  // Opening float + cash sales - change - cash refunds - cash paid back for other shifts' voids
+  expectedCash: Number,
+
+  // countedCash - expectedCash (positive = over, negative = short)
+  variance: Number,
+
+  varianceStatus: {
+    type: String,
+    enum: ['balanced', 'over', 'short']
+  },
+
+  openingNotes: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Notes cannot exceed 500 characters']
+  },
+
+  closingNotes: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Notes cannot exceed 500 characters']
+  },
+
+  closedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  // Z-report frozen at close
+  zReport: {
+    type: mongoose.Schema.Types.Mixed
+  }
+
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+// Indexes
+shiftSchema.index({ pharmacy: 1, openedAt: -1 });
+shiftSchema.index({ pharmacy: 1, attendant: 1, openedAt: -1 });
+// One open till per attendant
+shiftSchema.index(
+  { pharmacy: 1, attendant: 1 },
+  { unique: true, partialFilterExpression: { status: 'open' } }
+);
+
+// Static helper to find the attendant's open shift
+shiftSchema.statics.findOpenShift = function(pharmacyId, attendantId) {
+  return this.findOne({ pharmacy: pharmacyId, attendant: attendantId, status: 'open' });
+};
+
+// The attendant's shift that was open at a given moment, e.g. when an offline sale was made
+shiftSchema.statics.findShiftAt = function(pharmacyId, attendantId, at) {
+  return this.findOne({
+    pharmacy: pharmacyId,
+    attendant: attendantId,
+    openedAt: { $lte: at },
+    $or: [{ status: 'open' }, { closedAt: { $gte: at } }]
+  }).sort({ openedAt: -1 });
+};
+
+export default mongoose.model('Shift', shiftSchema);
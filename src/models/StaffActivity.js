@@ -15,9 +15,17 @@ const staffActivitySchema = new mongoose.Schema({
   },
   action: {
     type: String,
-    enum: ['login', 'logout', 'sale_completed'],
+    enum: [
+      'login', 'logout', 'sale_completed', 'sale_refunded', 'void_requested', 'sale_voided',
+      'shift_opened', 'shift_closed', 'receipt_reprinted'
+    ],
     required: true
   },
+  // Till session that was open at the time, if any
+  shift: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Shift'
+  },
   details: {
     type: Object,
     default: {}
@@ -35,9 +43,13 @@ const staffActivitySchema = new mongoose.Schema({
 staffActivitySchema.index({ tenantId: 1, createdAt: -1 });
 staffActivitySchema.index({ staff: 1, createdAt: -1 });
 
-// Static helper to log an activity
-staffActivitySchema.statics.log = async function({ tenantId, staff, action, details = {}, deviceInfo = {} }) {
-  return this.create({ tenantId, staff, action, details, deviceInfo });
+// Static helper to log an activity - pass the session to write it as part of a transaction
+staffActivitySchema.statics.log = async function({ tenantId, staff, action, shift = null, details = {}, deviceInfo = {}, session = null }) {
+  if (session) {
+    const [activity] = await this.create([{ tenantId, staff, action, shift, details, deviceInfo }], { session });
+    return activity;
+  }
+  return this.create({ tenantId, staff, action, shift, details, deviceInfo });
 };
 
 export default mongoose.model('StaffActivity', staffActivitySchema);
@@ -0,0 +1,96 @@
+// src/models/StockWriteOff.js
+import mongoose from 'mongoose';
+
+const writeOffBatchSchema = new mongoose.Schema({
+  batch: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  batchNumber: String,
+  expiryDate: Date,
+  quantity: {
+    type: Number,
+    required: true,
+    min: [1, 'Quantity must be at least 1']
+  },
+  costPerUnit: {
+    type: Number,
+    default: 0
+  },
+  costValue: {
+    type: Number,
+    default: 0
+  }
+}, { _id: false });
+
+const stockWriteOffSchema = new mongoose.Schema({
+  pharmacy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Pharmacy',
+    required: true
+  },
+
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+
+  productName: {
+    type: String,
+    required: true
+  },
+
+  reason: {
+    type: String,
+    enum: ['expired'],
+    default: 'expired'
+  },
+
+  batches: [writeOffBatchSchema],
+
+  // Units removed from the shelf
+  quantity: {
+    type: Number,
+    required: true,
+    min: [1, 'Quantity must be at least 1']
+  },
+
+  // Stock value lost, at cost
+  lossValue: {
+    type: Number,
+    required: true,
+    min: [0, 'Loss value cannot be negative']
+  },
+
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Notes cannot exceed 500 characters']
+  },
+
+  inventoryLog: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'InventoryLog'
+  },
+
+  writtenOffBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+// Indexes
+stockWriteOffSchema.index({ pharmacy: 1, createdAt: -1 });
+stockWriteOffSchema.index({ pharmacy: 1, product: 1, createdAt: -1 });
+
+export default mongoose.model('StockWriteOff', stockWriteOffSchema);
@@ -0,0 +1,180 @@
+// src/models/Stocktake.js
+import mongoose from 'mongoose';
+import { roundMoney } from '../utils/moneyUtils.js';
+
+export const STOCKTAKE_STATUSES = ['counting', 'submitted', 'approved', 'cancelled'];
+
+const countSchema = new mongoose.Schema({
+  countedUnits: {
+    type: Number,
+    required: true,
+    min: [0, 'Counted quantity cannot be negative']
+  },
+  // Live system quantity when the count came in - sales and deliveries during the count are already in it
+  systemUnits: {
+    type: Number,
+    required: true
+  },
+  countedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  countedAt: {
+    type: Date,
+    default: Date.now
+  },
+  notes: String
+}, { _id: false });
+
+const stocktakeItemSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  productName: {
+    type: String,
+    required: true
+  },
+  category: String,
+  unitType: String,
+  unitsPerPack: {
+    type: Number,
+    default: 1
+  },
+  costPerUnit: {
+    type: Number,
+    default: 0
+  },
+  // Frozen when the session starts
+  expectedUnits: {
+    type: Number,
+    required: true
+  },
+  // Every count submitted; the latest one stands (recounts replace earlier counts)
+  counts: [countSchema],
+  countedUnits: Number,
+  systemUnitsAtCount: Number,
+  // countedUnits - systemUnitsAtCount
+  varianceUnits: Number,
+  varianceValue: Number,
+  // Set on approval
+  appliedUnits: Number,
+  inventoryLog: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'InventoryLog'
+  }
+});
+
+const stocktakeSchema = new mongoose.Schema({
+  pharmacy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Pharmacy',
+    required: true
+  },
+
+  stocktakeNumber: {
+    type: String,
+    required: true
+  },
+
+  name: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Name cannot exceed 100 characters']
+  },
+
+  // What was frozen: every active product, some categories, or a list of products (cycle count)
+  scope: {
+    mode: {
+      type: String,
+      enum: ['all', 'categories', 'products'],
+      default: 'all'
+    },
+    categories: [String]
+  },
+
+  status: {
+    type: String,
+    enum: STOCKTAKE_STATUSES,
+    default: 'counting'
+  },
+
+  items: {
+    type: [stocktakeItemSchema],
+    validate: [items => items.length > 0, 'A stocktake needs at least one product']
+  },
+
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Notes cannot exceed 500 characters']
+  },
+
+  startedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  submittedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  submittedAt: Date,
+  approvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  approvedAt: Date,
+  cancelledBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  cancelledAt: Date,
+  cancellationReason: String
+
+}, {
+  timestamps: true,
+  toJSON: {
+    virtuals: true,
+    transform: function(doc, ret) {
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+// Indexes
+stocktakeSchema.index({ pharmacy: 1, stocktakeNumber: 1 }, { unique: true });
+stocktakeSchema.index({ pharmacy: 1, status: 1, createdAt: -1 });
+stocktakeSchema.index({ pharmacy: 1, 'items.product': 1, status: 1 });
+
+// Counted/uncounted lines and the net variance in units and value at cost
+stocktakeSchema.virtual('summary').get(function() {
+  const counted = (this.items || []).filter(item => item.countedUnits !== undefined && item.countedUnits !== null);
+  const withVariance = counted.filter(item => item.varianceUnits);
+
+  return {
+    products: this.items?.length || 0,
+    counted: counted.length,
+    uncounted: (this.items?.length || 0) - counted.length,
+    withVariance: withVariance.length,
+    shortUnits: withVariance.filter(item => item.varianceUnits < 0).reduce((sum, item) => sum - item.varianceUnits, 0),
+    overUnits: withVariance.filter(item => item.varianceUnits > 0).reduce((sum, item) => sum + item.varianceUnits, 0),
+    netVarianceUnits: withVariance.reduce((sum, item) => sum + item.varianceUnits, 0),
+    netVarianceValue: roundMoney(withVariance.reduce((sum, item) => sum + (item.varianceValue || 0), 0))
+  };
+});
+
+// Stocktake number: ST-YYMMDD-0001, counted per pharmacy
+stocktakeSchema.pre('validate', async function(next) {
+  if (this.isNew && !this.stocktakeNumber) {
+    const count = await mongoose.model('Stocktake').countDocuments({ pharmacy: this.pharmacy });
+    const date = new Date().toISOString().slice(2, 10).replace(/-/g, '');
+    this.stocktakeNumber = `ST-${date}-${String(count + 1).padStart(4, '0')}`;
+  }
+  next();
+});
+
+export default mongoose.model('Stocktake', stocktakeSchema);
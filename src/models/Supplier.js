@@ -0,0 +1,98 @@
+// src/models/Supplier.js
+import mongoose from 'mongoose';
+
+const supplierSchema = new mongoose.Schema({
+  // Tenant/Pharmacy Reference
+  pharmacy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Pharmacy',
+    required: true
+  },
+
+  name: {
+    type: String,
+    required: [true, 'Supplier name is required'],
+    trim: true,
+    maxlength: [100, 'Supplier name cannot exceed 100 characters']
+  },
+
+  contactPerson: {
+    type: String,
+    trim: true
+  },
+
+  phone: {
+    type: String,
+    trim: true
+  },
+
+  email: {
+    type: String,
+    lowercase: true,
+    trim: true,
+    match: [/^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/, 'Please enter a valid email']
+  },
+
+  address: {
+    type: String,
+    trim: true
+  },
+
+  kraPin: {
+    type: String,
+    trim: true,
+    uppercase: true
+  },
+
+  // Days the pharmacy has to pay an invoice
+  paymentTermsDays: {
+    type: Number,
+    min: [0, 'Payment terms cannot be negative'],
+    default: 30
+  },
+
+  // Usual days from order to delivery
+  leadTimeDays: {
+    type: Number,
+    min: [0, 'Lead time cannot be negative'],
+    default: 3
+  },
+
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Notes cannot exceed 500 characters']
+  },
+
+  status: {
+    type: String,
+    enum: ['active', 'inactive'],
+    default: 'active'
+  },
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  lastModifiedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+// Indexes
+supplierSchema.index({ pharmacy: 1, name: 1 }, { unique: true });
+supplierSchema.index({ pharmacy: 1, status: 1 });
+
+export default mongoose.model('Supplier', supplierSchema);
@@ -0,0 +1,103 @@
+// src/models/SyncLog.js
+import mongoose from 'mongoose';
+
+export const SYNC_RESULTS = ['synced', 'duplicate', 'failed'];
+
+// Outcome of one sale in an uploaded batch
+const syncResultSchema = new mongoose.Schema({
+  clientSaleId: {
+    type: String,
+    required: true
+  },
+  result: {
+    type: String,
+    enum: SYNC_RESULTS,
+    required: true
+  },
+  sale: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Sale'
+  },
+  receiptNumber: String,
+  conflicts: {
+    type: Number,
+    default: 0
+  },
+  error: String
+}, { _id: false });
+
+// One batch of offline sales uploaded by a terminal
+const syncLogSchema = new mongoose.Schema({
+  pharmacy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Pharmacy',
+    required: true
+  },
+
+  terminalId: {
+    type: String,
+    required: true,
+    trim: true
+  },
+
+  // Terminal's own id for the batch, if it sent one
+  batchId: {
+    type: String,
+    trim: true
+  },
+
+  uploadedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  status: {
+    type: String,
+    enum: ['processing', 'completed', 'partial', 'failed'],
+    default: 'processing'
+  },
+
+  counts: {
+    received: { type: Number, default: 0 },
+    synced: { type: Number, default: 0 },
+    duplicate: { type: Number, default: 0 },
+    failed: { type: Number, default: 0 },
+    conflicts: { type: Number, default: 0 }
+  },
+
+  results: [syncResultSchema],
+
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  completedAt: Date
+}, {
+  timestamps: true
+});
+
+syncLogSchema.index({ pharmacy: 1, createdAt: -1 });
+syncLogSchema.index({ pharmacy: 1, terminalId: 1, createdAt: -1 });
+
+// Close the batch once every sale has a result
+syncLogSchema.methods.finish = function() {
+  const tally = (result) => this.results.filter(entry => entry.result === result).length;
+
+  this.counts.synced = tally('synced');
+  this.counts.duplicate = tally('duplicate');
+  this.counts.failed = tally('failed');
+  this.counts.conflicts = this.results.reduce((sum, entry) => sum + (entry.conflicts || 0), 0);
+
+  if (this.counts.failed === 0) this.status = 'completed';
+  else if (this.counts.failed === this.results.length) this.status = 'failed';
+  else this.status = 'partial';
+
+  this.completedAt = new Date();
+  return this;
+};
+
+const SyncLog = mongoose.model('SyncLog', syncLogSchema);
+
+export default SyncLog;
@@ -0,0 +1,27 @@
+// src/routes/customers.js
+import express from 'express';
+import { authenticate, authorize, checkPermission } from '../middleware/authMiddleware.js';
+import {
+  createCustomer,
+  getCustomers,
+  getCustomer,
+  getCustomerSales,
+  updateCustomer,
+  deleteCustomer
+} from '../controllers/customer/customerController.js';
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticate);
+router.use(authorize(['pharmacy_owner', 'attendant']));
+
+// Attendants need customers:view to look up and customers:edit to change records
+router.get('/', checkPermission('customers', 'view'), getCustomers);
+router.get('/:id', checkPermission('customers', 'view'), getCustomer);
+router.get('/:id/sales', checkPermission('customers', 'view'), getCustomerSales);
+router.post('/', checkPermission('customers', 'edit'), createCustomer);
+router.put('/:id', checkPermission('customers', 'edit'), updateCustomer);
+router.delete('/:id', checkPermission('customers', 'edit'), deleteCustomer);
+
+export default router;
@@ -1,6 +1,6 @@
 // src/routes/inventory.js
 import express from 'express';
-import { authenticate, authorize } from '../middleware/authMiddleware.js';
+import { authenticate, authorize, checkPermission } from '../middleware/authMiddleware.js';
 import {
   createProduct,
   getProducts,
@@ -8,6 +8,13 @@ import {
   updateProduct,
   deleteProduct
 } from '../controllers/inventory/productController.js';
+import {
+  importProducts,
+  exportProducts
+} from '../controllers/inventory/productImportController.js';
+import { identifyTenant } from '../middleware/tenantMiddleware.js';
+import { spreadsheetUpload } from '../middleware/uploadMiddleware.js';
+import { idempotent } from '../middleware/idempotencyMiddleware.js';
 
 import { getInventoryOverview } from '../controllers/inventory/overviewController.js';
 import {
@@ -17,8 +24,50 @@ import {
   getPendingReconciliations,    
   updateReconciliation,           
   getReconciliationStats,       
-  adjustStockFromReconciliation 
+  adjustStockFromReconciliation,
+  getBatchTrace
 } from '../controllers/inventory/stockController.js';
+import {
+  getExpiryReport,
+  writeOffExpiredStock,
+  getWriteOffs
+} from '../controllers/inventory/expiryController.js';
+import {
+  getControlledRegister,
+  exportControlledRegister,
+  correctRegisterEntry
+} from '../controllers/inventory/controlledRegisterController.js';
+import {
+  createSupplier,
+  getSuppliers,
+  getSupplier,
+  updateSupplier,
+  deleteSupplier
+} from '../controllers/inventory/supplierController.js';
+import {
+  createPurchaseOrder,
+  createPurchaseOrdersFromLowStock,
+  getPurchaseOrders,
+  getPurchaseOrder,
+  updatePurchaseOrder,
+  sendPurchaseOrder,
+  closePurchaseOrder,
+  cancelPurchaseOrder
+} from '../controllers/inventory/purchaseOrderController.js';
+import {
+  receiveGoods,
+  getGoodsReceivedNotes,
+  getGoodsReceivedNote
+} from '../controllers/inventory/goodsReceivedController.js';
+import {
+  startStocktake,
+  getStocktakes,
+  getStocktake,
+  submitCounts,
+  submitStocktake,
+  approveStocktake,
+  cancelStocktake
+} from '../controllers/inventory/stocktakeController.js';
 
 const router = express.Router();
 
@@ -28,14 +77,22 @@ router.use(authenticate);
 // Product management routes
 router.post('/products', authorize(['pharmacy_owner', 'attendant']), createProduct);
 router.get('/products', authorize(['pharmacy_owner', 'attendant']), getProducts);
+router.get('/products/export', authorize(['pharmacy_owner']), exportProducts);
+router.post('/products/import',
+  authorize(['pharmacy_owner']),
+  identifyTenant,
+  spreadsheetUpload.single('file'),
+  importProducts
+);
 router.get('/products/:id', authorize(['pharmacy_owner', 'attendant']), getProduct);
 router.put('/products/:id', authorize(['pharmacy_owner']), updateProduct);
 router.delete('/products/:id', authorize(['pharmacy_owner']), deleteProduct);
 
 // Stock management routes
 router.get('/low-stock', authorize(['pharmacy_owner']), getLowStockProducts);
-router.post('/stock-adjustment', authorize(['pharmacy_owner']), adjustStock);
+router.post('/stock-adjustment', authorize(['pharmacy_owner']), idempotent(), adjustStock);
 router.get('/stock-history', authorize(['pharmacy_owner']), getStockHistory);
+router.get('/batches/trace', authorize(['pharmacy_owner']), getBatchTrace);
 
 // NEW: Stock Reconciliation Routes - Pharmacy owners only
 router.get('/reconciliations/pending', 
@@ -55,8 +112,99 @@ router.put('/reconciliations/:id',
 
 router.post('/reconciliations/:id/adjust', 
   authorize(['pharmacy_owner']),
+  idempotent(),
   adjustStockFromReconciliation
 );
+// Expiry monitoring and write-offs
+router.get('/expiry-report',
+  authorize(['pharmacy_owner', 'attendant']),
+  checkPermission('inventory', 'view'),
+  getExpiryReport
+);
+
+router.post('/expiry/write-off',
+  authorize(['pharmacy_owner']),
+  writeOffExpiredStock
+);
+
+router.get('/write-offs',
+  authorize(['pharmacy_owner']),
+  getWriteOffs
+);
+
+// Controlled drugs (DDA) register - entries are written automatically from stock movements
+router.get('/controlled-register',
+  authorize(['pharmacy_owner', 'attendant']),
+  checkPermission('inventory', 'view'),
+  getControlledRegister
+);
+
+router.get('/controlled-register/export',
+  authorize(['pharmacy_owner', 'attendant']),
+  checkPermission('inventory', 'view'),
+  exportControlledRegister
+);
+
+router.post('/controlled-register/:id/correct',
+  authorize(['pharmacy_owner']),
+  correctRegisterEntry
+);
+
+// Suppliers
+router.get('/suppliers',
+  authorize(['pharmacy_owner', 'attendant']),
+  checkPermission('inventory', 'view'),
+  getSuppliers
+);
+router.get('/suppliers/:id',
+  authorize(['pharmacy_owner', 'attendant']),
+  checkPermission('inventory', 'view'),
+  getSupplier
+);
+router.post('/suppliers', authorize(['pharmacy_owner']), createSupplier);
+router.put('/suppliers/:id', authorize(['pharmacy_owner']), updateSupplier);
+router.delete('/suppliers/:id', authorize(['pharmacy_owner']), deleteSupplier);
+
+// Purchase orders - draft -> sent -> partially received -> received -> closed
+router.post('/purchase-orders/from-low-stock', authorize(['pharmacy_owner']), createPurchaseOrdersFromLowStock);
+router.post('/purchase-orders', authorize(['pharmacy_owner']), createPurchaseOrder);
+router.get('/purchase-orders', authorize(['pharmacy_owner']), getPurchaseOrders);
+router.get('/purchase-orders/:id', authorize(['pharmacy_owner']), getPurchaseOrder);
+router.put('/purchase-orders/:id', authorize(['pharmacy_owner']), updatePurchaseOrder);
+router.post('/purchase-orders/:id/send', authorize(['pharmacy_owner']), sendPurchaseOrder);
+router.post('/purchase-orders/:id/close', authorize(['pharmacy_owner']), closePurchaseOrder);
+router.post('/purchase-orders/:id/cancel', authorize(['pharmacy_owner']), cancelPurchaseOrder);
+
+// Goods received notes - post a whole delivery to stock, optionally against a purchase order
+router.post('/grns', authorize(['pharmacy_owner']), receiveGoods);
+router.get('/grns', authorize(['pharmacy_owner']), getGoodsReceivedNotes);
+router.get('/grns/:id', authorize(['pharmacy_owner']), getGoodsReceivedNote);
+
+// Stocktakes - owners start and approve, staff submit counts
+router.post('/stocktakes', authorize(['pharmacy_owner']), startStocktake);
+router.get('/stocktakes',
+  authorize(['pharmacy_owner', 'attendant']),
+  checkPermission('inventory', 'view'),
+  getStocktakes
+);
+router.get('/stocktakes/:id',
+  authorize(['pharmacy_owner', 'attendant']),
+  checkPermission('inventory', 'view'),
+  getStocktake
+);
+router.post('/stocktakes/:id/counts',
+  authorize(['pharmacy_owner', 'attendant']),
+  checkPermission('inventory', 'view'),
+  submitCounts
+);
+router.post('/stocktakes/:id/submit',
+  authorize(['pharmacy_owner', 'attendant']),
+  checkPermission('inventory', 'view'),
+  submitStocktake
+);
+router.post('/stocktakes/:id/approve', authorize(['pharmacy_owner']), approveStocktake);
+router.post('/stocktakes/:id/cancel', authorize(['pharmacy_owner']), cancelStocktake);
+
 // Overview route
 router.get('/overview',
   authorize(['pharmacy_owner', 'attendant']),
@@ -0,0 +1,14 @@
+// src/routes/payments.js
+import express from 'express';
+import { mpesaCallback } from '../controllers/pos/paymentController.js';
+
+const router = express.Router();
+
+/**
+ * @route   POST /api/payments/mpesa/callback
+ * @desc    Daraja STK Push result callback
+ * @access  Public (called by Safaricom, requires MPESA_CALLBACK_TOKEN)
+ */
+router.post('/mpesa/callback', mpesaCallback);
+
+export default router;
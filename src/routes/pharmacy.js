@@ -4,7 +4,9 @@ import { authenticate, authorize } from '../middleware/authMiddleware.js';
 import { 
   getSetupStatus, 
   updateBasicInfo, 
-  updateOperatingHours 
+  updateOperatingHours,
+  updateSalesSettings,
+  updateEtimsSettings
 } from '../controllers/pharmacy/settingsController.js';
 import {
   getBranding,
@@ -41,6 +43,18 @@ router.put('/operating-hours',
   updateOperatingHours
 );
 
+// Sales/POS settings - for pharmacy owners only
+router.put('/sales-settings',
+  authorize(['pharmacy_owner']),
+  updateSalesSettings
+);
+
+// KRA eTIMS registration - for pharmacy owners only
+router.put('/etims-settings',
+  authorize(['pharmacy_owner']),
+  updateEtimsSettings
+);
+
 // Branding routes - for pharmacy owners only
 router.get('/branding', 
   authorize(['pharmacy_owner']),
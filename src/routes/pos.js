@@ -1,16 +1,66 @@
 import express from 'express';
-import { authenticate, authorize } from '../middleware/authMiddleware.js';
-import { processSale, getSales, checkSalesPermissions } from '../controllers/pos/saleController.js';
+import { authenticate, authorize, checkPermission } from '../middleware/authMiddleware.js';
+import { idempotent } from '../middleware/idempotencyMiddleware.js';
+import {
+  processSale,
+  getSales,
+  checkSalesPermissions,
+  refundSale,
+  voidSale,
+  reviewVoidRequest,
+  getVoidRequests,
+  holdSale,
+  getHeldSales,
+  getHeldSale,
+  discardHeldSale
+} from '../controllers/pos/saleController.js';
+import {
+  initiateMpesaPayment,
+  getMpesaPaymentStatus,
+  reconcileMpesaPayment
+} from '../controllers/pos/paymentController.js';
+import {
+  getReceipt,
+  reprintReceipt,
+  emailReceipt
+} from '../controllers/pos/receiptController.js';
+import {
+  getSaleEtimsStatus,
+  retrySaleEtims,
+  getEtimsInvoices
+} from '../controllers/pos/etimsController.js';
+import {
+  openShift,
+  getCurrentShift,
+  closeShift,
+  getShifts,
+  getShiftReport
+} from '../controllers/pos/shiftController.js';
+import { lookupProduct, getCatalogChanges } from '../controllers/pos/productController.js';
 
 const router = express.Router();
 
 // Apply authentication to all POS routes
 router.use(authenticate);
 
+// Scanner lookup - exact barcode or SKU
+router.get('/products/lookup',
+  authorize(['pharmacy_owner', 'attendant']),
+  lookupProduct
+);
+
+// Offline catalog - full download, then changes since the last cursor
+router.get('/products/changes',
+  authorize(['pharmacy_owner', 'attendant']),
+  getCatalogChanges
+);
+
 // POS Routes - FIXED ORDER
+// Idempotency-Key makes a double-tap or network retry return the first sale instead of ringing it up again
 router.post('/sales', 
   checkSalesPermissions, 
   authorize(['pharmacy_owner', 'attendant']), 
+  idempotent(),
   processSale
 );
 
@@ -19,4 +69,123 @@ router.get('/sales',
   getSales
 );
 
+// Held (parked) baskets - shared across terminals in the pharmacy
+router.post('/sales/hold',
+  authorize(['pharmacy_owner', 'attendant']),
+  holdSale
+);
+
+router.get('/sales/held',
+  authorize(['pharmacy_owner', 'attendant']),
+  getHeldSales
+);
+
+router.get('/sales/held/:id',
+  authorize(['pharmacy_owner', 'attendant']),
+  getHeldSale
+);
+
+router.delete('/sales/held/:id',
+  authorize(['pharmacy_owner', 'attendant']),
+  discardHeldSale
+);
+
+// Refunds & returns - attendants need the refunds permission
+router.post('/sales/:id/refund',
+  authorize(['pharmacy_owner', 'attendant']),
+  checkPermission('refunds'),
+  idempotent(),
+  refundSale
+);
+
+// Voids - staff inside the pharmacy's void window, owner approval after it
+router.get('/sales/void-requests',
+  authorize(['pharmacy_owner']),
+  getVoidRequests
+);
+
+router.post('/sales/:id/void',
+  authorize(['pharmacy_owner', 'attendant']),
+  voidSale
+);
+
+router.post('/sales/:id/void/review',
+  authorize(['pharmacy_owner']),
+  reviewVoidRequest
+);
+
+// Receipts - ESC/POS for thermal printers, HTML for email/PDF
+router.get('/sales/:id/receipt',
+  authorize(['pharmacy_owner', 'attendant']),
+  getReceipt
+);
+
+router.post('/sales/:id/receipt/reprint',
+  authorize(['pharmacy_owner', 'attendant']),
+  reprintReceipt
+);
+
+router.post('/sales/:id/receipt/email',
+  authorize(['pharmacy_owner', 'attendant']),
+  emailReceipt
+);
+
+// KRA eTIMS tax invoices
+router.get('/sales/:id/etims',
+  authorize(['pharmacy_owner', 'attendant']),
+  getSaleEtimsStatus
+);
+
+router.post('/sales/:id/etims/retry',
+  authorize(['pharmacy_owner']),
+  retrySaleEtims
+);
+
+router.get('/etims/invoices',
+  authorize(['pharmacy_owner']),
+  getEtimsInvoices
+);
+
+// M-Pesa STK Push payments
+router.post('/sales/:id/mpesa/stk-push',
+  authorize(['pharmacy_owner', 'attendant']),
+  initiateMpesaPayment
+);
+
+router.get('/payments/mpesa/:checkoutRequestId',
+  authorize(['pharmacy_owner', 'attendant']),
+  getMpesaPaymentStatus
+);
+
+router.post('/payments/mpesa/reconcile',
+  authorize(['pharmacy_owner', 'attendant']),
+  reconcileMpesaPayment
+);
+
+// Cash drawer shifts - attendants run their own till, owners can close any
+router.post('/shifts/open',
+  authorize(['pharmacy_owner', 'attendant']),
+  openShift
+);
+
+router.get('/shifts/current',
+  authorize(['pharmacy_owner', 'attendant']),
+  getCurrentShift
+);
+
+router.get('/shifts',
+  authorize(['pharmacy_owner', 'attendant']),
+  getShifts
+);
+
+router.get('/shifts/:id/z-report',
+  authorize(['pharmacy_owner', 'attendant']),
+  getShiftReport
+);
+
+router.post('/shifts/:id/close',
+  authorize(['pharmacy_owner', 'attendant']),
+  closeShift
+);
+
 export default router;
\ No newline at end of file
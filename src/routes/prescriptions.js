@@ -0,0 +1,32 @@
+// src/routes/prescriptions.js
+import express from 'express';
+import { authenticate, authorize, checkPermission } from '../middleware/authMiddleware.js';
+import upload from '../middleware/uploadMiddleware.js';
+import {
+  createPrescription,
+  getPrescriptions,
+  getPrescription,
+  updatePrescription,
+  cancelPrescription,
+  uploadPrescriptionImage
+} from '../controllers/prescription/prescriptionController.js';
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticate);
+router.use(authorize(['pharmacy_owner', 'attendant']));
+
+// Prescriptions are patient records, so they share the customers permission
+router.get('/', checkPermission('customers', 'view'), getPrescriptions);
+router.get('/:id', checkPermission('customers', 'view'), getPrescription);
+router.post('/', checkPermission('customers', 'edit'), createPrescription);
+router.put('/:id', checkPermission('customers', 'edit'), updatePrescription);
+router.post('/:id/cancel', checkPermission('customers', 'edit'), cancelPrescription);
+router.post('/:id/image',
+  checkPermission('customers', 'edit'),
+  upload.single('image'),
+  uploadPrescriptionImage
+);
+
+export default router;
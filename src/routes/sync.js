@@ -0,0 +1,43 @@
+import express from 'express';
+import { authenticate, authorize } from '../middleware/authMiddleware.js';
+import {
+  uploadOfflineSales,
+  getSyncLogs,
+  getSyncLog,
+  getOfflineQueue,
+  retryOfflineSale
+} from '../controllers/pos/syncController.js';
+
+const router = express.Router();
+
+// Apply authentication to all sync routes
+router.use(authenticate);
+
+// Offline sales - terminals upload what they sold without a connection
+router.post('/sales',
+  authorize(['pharmacy_owner', 'attendant']),
+  uploadOfflineSales
+);
+
+router.get('/logs',
+  authorize(['pharmacy_owner', 'attendant']),
+  getSyncLogs
+);
+
+router.get('/logs/:id',
+  authorize(['pharmacy_owner', 'attendant']),
+  getSyncLog
+);
+
+// Sales the server could not replay stay queued for the owner to retry
+router.get('/queue',
+  authorize(['pharmacy_owner']),
+  getOfflineQueue
+);
+
+router.post('/queue/:id/retry',
+  authorize(['pharmacy_owner']),
+  retryOfflineSale
+);
+
+export default router;
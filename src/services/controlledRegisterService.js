@@ -0,0 +1,210 @@
+// src/services/controlledRegisterService.js
+// Keeps the dangerous-drugs register in step with stock movements of
+// Controlled products. Every InventoryLog for such a product becomes an entry.
+import mongoose from 'mongoose';
+import Product from '../models/Product.js';
+import Sale from '../models/Sale.js';
+import Prescription from '../models/Prescription.js';
+import User from '../models/User.js';
+import ControlledDrugEntry from '../models/ControlledDrugEntry.js';
+import Counter from '../models/Counter.js';
+
+const totalUnitsOf = (product, stock) =>
+  (stock.fullPacks || 0) * (product.pricing?.unitsPerPack || 1) + (stock.looseUnits || 0);
+
+/**
+ * Work out how an inventory log moved the register
+ * @returns {Object|null} { type, quantity, stockMoved } or null if nothing moved
+ */
+const describeMovement = (log, product) => {
+  const details = log.details || {};
+
+  switch (log.action) {
+    case 'sale':
+      // Drugs handed over are an issue even when the shelf count was overridden
+      return { type: 'issue', quantity: -details.quantity, stockMoved: details.stockDeducted !== false };
+
+    case 'refund':
+    case 'void':
+      return details.restocked
+        ? { type: 'return', quantity: details.quantity, stockMoved: true }
+        : null;
+
+    case 'receive':
+      return { type: 'receipt', quantity: details.quantity, stockMoved: true };
+
+    case 'create':
+      return product.stock.totalUnits > 0
+        ? { type: 'receipt', quantity: product.stock.totalUnits, stockMoved: true }
+        : null;
+
+    case 'update':
+      return details.stock
+        ? { type: 'receipt', quantity: totalUnitsOf(product, details.stock), stockMoved: true }
+        : null;
+
+    default: {
+      const before = details.previousStock?.totalUnits;
+      const after = details.newStock?.totalUnits;
+      let quantity;
+      if (typeof before === 'number' && typeof after === 'number') {
+        quantity = after - before;
+      } else if (details.adjustmentType === 'add_units' && typeof details.quantity === 'number') {
+        quantity = details.quantity;
+      } else {
+        return null;
+      }
+      // Stock added by hand is a delivery; anything else is a count correction
+      const isReceipt = quantity > 0 && ['add', 'add_units'].includes(details.adjustmentType) && details.reason !== 'reconciliation';
+      return { type: isReceipt ? 'receipt' : 'adjustment', quantity, stockMoved: true };
+    }
+  }
+};
+
+// Patient, prescriber and witness for an issue, taken from the sale
+const describeIssue = async (saleId, session) => {
+  const sale = await Sale.findById(saleId)
+    .select('receiptNumber customer prescription controlledDrugWitness')
+    .populate('customer', 'name phone')
+    .populate('controlledDrugWitness', 'firstName lastName')
+    .session(session);
+  if (!sale) return {};
+
+  const prescription = sale.prescription
+    ? await Prescription.findById(sale.prescription).select('patient prescriber').session(session)
+    : null;
+
+  const witness = sale.controlledDrugWitness;
+
+  return {
+    source: { sale: sale._id, prescription: sale.prescription, reference: sale.receiptNumber },
+    patient: {
+      name: prescription?.patient?.name || sale.customer?.name,
+      phone: prescription?.patient?.phone || sale.customer?.phone
+    },
+    prescriber: prescription
+      ? {
+          name: prescription.prescriber.name,
+          registrationNumber: prescription.prescriber.registrationNumber,
+          facility: prescription.prescriber.facility
+        }
+      : undefined,
+    witness: witness
+      ? { user: witness._id, name: `${witness.firstName} ${witness.lastName || ''}`.trim() }
+      : undefined
+  };
+};
+
+// Next entry number on a product's page. Taken from a counter inside the transaction, so two
+// writers on the same page conflict and the driver retries one of them with the fresh balance.
+const nextEntryNumber = (entry, latest, session) => Counter.next(
+  entry.pharmacy, 'controlled_register', String(entry.product), session, { start: latest?.entryNumber || 0 });
+
+const writeRegisterEntry = async (entry, openingBalance, session) => {
+  const latest = await ControlledDrugEntry.findLatest(entry.pharmacy, entry.product, session);
+  const docs = [];
+  let balance = latest ? latest.balance : openingBalance;
+
+  // First movement of a product already on the shelf
+  if (!latest && openingBalance !== 0) {
+    docs.push({
+      pharmacy: entry.pharmacy,
+      product: entry.product,
+      productName: entry.productName,
+      entryNumber: await nextEntryNumber(entry, latest, session),
+      type: 'opening_balance',
+      quantity: openingBalance,
+      balance: openingBalance,
+      recordedBy: entry.recordedBy
+    });
+  }
+
+  balance += entry.quantity;
+  docs.push({ ...entry, entryNumber: await nextEntryNumber(entry, latest, session), balance });
+
+  const created = await ControlledDrugEntry.create(docs, { session, ordered: true });
+  return created[created.length - 1];
+};
+
+/**
+ * Append an entry to a product's register page, numbering it and carrying the balance
+ * Pass the session of the caller's transaction; without one the entry gets a transaction of its own
+ * @param {Object} entry - Entry fields (quantity signed: in positive, out negative)
+ * @param {number} openingBalance - Balance to start the page from if it has no entries yet
+ */
+export const appendRegisterEntry = async (entry, { openingBalance = 0, session = null } = {}) => {
+  if (session) return writeRegisterEntry(entry, openingBalance, session);
+
+  const ownSession = await mongoose.startSession();
+  try {
+    return await ownSession.withTransaction(() => writeRegisterEntry(entry, openingBalance, ownSession));
+  } finally {
+    ownSession.endSession();
+  }
+};
+
+/**
+ * Record an inventory log in the register if it moved a Controlled product
+ * Called from the InventoryLog post-save hook, inside the same transaction
+ */
+export const recordControlledMovement = async (log, session = null) => {
+  const product = await Product.findById(log.product)
+    .select('name drugType stock pricing')
+    .session(session);
+  if (!product || product.drugType !== 'Controlled') return null;
+
+  const movement = describeMovement(log, product);
+  if (!movement || movement.quantity === 0) return null;
+
+  const details = log.details || {};
+  const entry = {
+    pharmacy: log.pharmacy,
+    product: product._id,
+    productName: product.name,
+    type: movement.type,
+    quantity: movement.quantity,
+    source: { inventoryLog: log._id, reference: details.receiptNumber || details.reference },
+    notes: details.reason || details.notes,
+    recordedBy: log.performedBy
+  };
+
+  if (movement.type === 'issue' && details.saleId) {
+    const issue = await describeIssue(details.saleId, session);
+    Object.assign(entry, issue, { source: { ...entry.source, ...issue.source } });
+  } else if (details.saleId) {
+    entry.source.sale = details.saleId;
+  }
+
+  // The shelf already reflects this movement, so the page opens at what was there before it
+  const openingBalance = product.stock.totalUnits - (movement.stockMoved ? movement.quantity : 0);
+
+  return appendRegisterEntry(entry, { openingBalance, session });
+};
+
+/**
+ * Check a witness for a controlled-drug issue: active staff of the pharmacy, not the seller
+ * @returns {Object} { witness } or { error }
+ */
+export const findWitness = async (pharmacyId, witnessId, sellerId, session = null) => {
+  if (!witnessId) {
+    return { error: 'Controlled drugs must be witnessed. Provide witnessId' };
+  }
+  if (witnessId.toString() === sellerId.toString()) {
+    return { error: 'The witness must be a different member of staff' };
+  }
+
+  const witness = await User.findOne({
+    _id: witnessId,
+    tenantId: pharmacyId,
+    role: { $in: ['pharmacy_owner', 'attendant'] },
+    status: 'active'
+  }).select('firstName lastName').session(session);
+
+  return witness ? { witness } : { error: 'Witness not found among active staff' };
+};
+
+export default {
+  appendRegisterEntry,
+  recordControlledMovement,
+  findWitness
+};
@@ -0,0 +1,223 @@
+// src/services/etims/invoiceBuilder.js
+// Maps a completed Sale (or a refund or void of it) onto the eTIMS saveSales payload, and signs it
+import crypto from 'crypto';
+import { lineAsSold } from '../../utils/stockUtils.js';
+import { roundMoney } from '../../utils/moneyUtils.js';
+
+// eTIMS tax types: A exempt, B 16%, C zero-rated, D non-VAT, E 8%
+const ETIMS_TAX_RATES = { A: 0, B: 16, C: 0, D: 0, E: 8 };
+const ETIMS_TAX_TYPES = Object.keys(ETIMS_TAX_RATES);
+
+const toEtimsTaxType = (taxClass, rate) => {
+  if (taxClass === 'zero_rated') return 'C';
+  if (taxClass === 'standard') return rate === 8 ? 'E' : 'B';
+  return 'A';
+};
+
+// eTIMS payment type codes
+const ETIMS_PAYMENT_TYPES = {
+  cash: '01',
+  insurance: '02',
+  bank_transfer: '04',
+  card: '05',
+  mpesa: '06'
+};
+
+// UNSPSC class for drugs and pharmaceutical products
+const DEFAULT_ITEM_CLASS = '5100000000';
+
+// eTIMS dates are Kenyan time (EAT, UTC+3): yyyyMMddHHmmss
+const toEtimsDateTime = (date) =>
+  new Date(new Date(date).getTime() + 3 * 60 * 60 * 1000).toISOString().replace(/[-T:]/g, '').slice(0, 14);
+
+// KRA refund reason codes (rfdRsnCd): 06 refund, 13 other - a cancelled sale
+const REFUND_REASON_CODES = { refund: '06', void: '13' };
+
+// Helper: eTIMS item list and per-tax-type totals
+// Each line is { item, units, total, taxAmount, discountAmount } - units of the sale line being reported
+const buildItemList = (lines, productCodes) => {
+  const taxTotals = Object.fromEntries(ETIMS_TAX_TYPES.map(type => [type, { taxable: 0, tax: 0, rate: ETIMS_TAX_RATES[type] }]));
+
+  const itemList = lines.map(({ item, units, total, taxAmount, discountAmount }, index) => {
+    const taxType = toEtimsTaxType(item.taxClass, item.taxRate);
+    const sold = lineAsSold(item, units);
+    const supplyAmount = roundMoney(sold.quantity * sold.price);
+
+    taxTotals[taxType].taxable = roundMoney(taxTotals[taxType].taxable + total);
+    taxTotals[taxType].tax = roundMoney(taxTotals[taxType].tax + taxAmount);
+    if (taxType === 'B') taxTotals.B.rate = item.taxRate;
+
+    return {
+      itemSeq: index + 1,
+      itemCd: productCodes.get(item.product.toString()) || item.product.toString(),
+      itemClsCd: DEFAULT_ITEM_CLASS,
+      itemNm: item.productName,
+      pkgUnitCd: 'NT',
+      pkg: 1,
+      qtyUnitCd: 'U',
+      qty: sold.quantity,
+      prc: sold.price,
+      splyAmt: supplyAmount,
+      dcRt: supplyAmount > 0 ? roundMoney(discountAmount / supplyAmount * 100) : 0,
+      dcAmt: discountAmount,
+      taxTyCd: taxType,
+      taxblAmt: total,
+      taxAmt: taxAmount,
+      totAmt: total
+    };
+  });
+
+  return { itemList, taxTotals };
+};
+
+// Helper: Id and name of the user recorded against the invoice (populated or not)
+const cashierOf = (user) => {
+  const id = (user?._id || user).toString();
+  const name = user?.firstName ? `${user.firstName} ${user.lastName || ''}`.trim() : id;
+  return { id, name };
+};
+
+// Helper: The saveSales body shared by invoices and credit notes
+const buildPayload = ({ sale, pharmacy, invoiceNumber, lines, productCodes, totalAmount, paymentMethod, cashier, confirmedAt, credit }) => {
+  const { itemList, taxTotals } = buildItemList(lines, productCodes);
+  const confirmed = toEtimsDateTime(confirmedAt);
+
+  const payload = {
+    tin: pharmacy.etims.kraPin,
+    bhfId: pharmacy.etims.branchId,
+    invcNo: invoiceNumber,
+    orgInvcNo: credit?.originalInvoiceNumber || 0,
+    custTin: null,
+    custNm: null,
+    salesTyCd: 'N',
+    rcptTyCd: credit ? 'R' : 'S',
+    pmtTyCd: ETIMS_PAYMENT_TYPES[paymentMethod] || '07',
+    salesSttsCd: '02',
+    cfmDt: confirmed,
+    // A credit note keeps the date of the sale it reverses
+    salesDt: toEtimsDateTime(sale.hold?.resumedAt || sale.createdAt).slice(0, 8),
+    ...(credit && { rfdDt: confirmed, rfdRsnCd: REFUND_REASON_CODES[credit.creditFor] }),
+    stockRlsDt: confirmed,
+    totItemCnt: itemList.length,
+    totTaxblAmt: roundMoney(ETIMS_TAX_TYPES.reduce((sum, type) => sum + taxTotals[type].taxable, 0)),
+    totTaxAmt: roundMoney(ETIMS_TAX_TYPES.reduce((sum, type) => sum + taxTotals[type].tax, 0)),
+    totAmt: totalAmount,
+    prchrAcptcYn: 'N',
+    remark: sale.receiptNumber,
+    regrId: cashier.id,
+    regrNm: cashier.name,
+    modrId: cashier.id,
+    modrNm: cashier.name,
+    receipt: {
+      rptNo: invoiceNumber,
+      trdeNm: pharmacy.name,
+      adrs: [pharmacy.address?.street, pharmacy.address?.city].filter(Boolean).join(', '),
+      topMsg: pharmacy.name,
+      btmMsg: pharmacy.settings?.receiptFooter || '',
+      prchrAcptcYn: 'N'
+    },
+    itemList
+  };
+
+  ETIMS_TAX_TYPES.forEach(type => {
+    payload[`taxblAmt${type}`] = taxTotals[type].taxable;
+    payload[`taxRt${type}`] = taxTotals[type].rate;
+    payload[`taxAmt${type}`] = taxTotals[type].tax;
+  });
+
+  return payload;
+};
+
+// Helper: The biggest tender decides the payment type on a split-tender sale
+const mainTenderMethod = (sale) => [...(sale.payments || [])].sort((a, b) => b.amount - a.amount)[0]?.method;
+
+/**
+ * Build the saveSales payload for a completed sale
+ * @param {Object} sale - Sale document (attendant populated for the cashier name)
+ * @param {Object} pharmacy - Pharmacy with etims registration details
+ * @param {number} invoiceNumber - Next sequential invoice number for the branch
+ * @param {Map} productCodes - productId -> item code registered with eTIMS (SKU)
+ * @returns {Object} Payload
+ */
+export const buildInvoicePayload = (sale, pharmacy, invoiceNumber, productCodes = new Map()) => buildPayload({
+  sale,
+  pharmacy,
+  invoiceNumber,
+  productCodes,
+  lines: sale.items.map(item => ({
+    item,
+    units: item.quantity,
+    total: item.total,
+    taxAmount: item.taxAmount || 0,
+    discountAmount: item.discountAmount || 0
+  })),
+  totalAmount: sale.totalAmount,
+  paymentMethod: mainTenderMethod(sale),
+  cashier: cashierOf(sale.attendant),
+  confirmedAt: sale.hold?.resumedAt || sale.createdAt
+});
+
+/**
+ * Build the saveSales payload for a credit note (rcptTyCd R) against a sale's invoice
+ * A refund credits the returned units at what was charged for them; a void credits the whole sale
+ * @param {Object} credit - { invoiceNumber, originalInvoiceNumber, creditFor: refund|void, refund }
+ * @returns {Object} Payload
+ */
+export const buildCreditNotePayload = (sale, pharmacy, credit, productCodes = new Map()) => {
+  const { refund } = credit;
+  const lineFor = (id) => sale.items.find(item => item._id.toString() === id.toString());
+
+  const lines = refund
+    ? refund.items.map(returned => {
+        const item = lineFor(returned.saleItem);
+        return {
+          item,
+          units: returned.quantity,
+          total: returned.amount,
+          taxAmount: returned.taxAmount || 0,
+          discountAmount: roundMoney((item.discountAmount || 0) * returned.quantity / item.quantity)
+        };
+      })
+    : sale.items
+        .filter(item => item.quantity > (item.refundedQuantity || 0))
+        .map(item => ({
+          item,
+          units: item.quantity - (item.refundedQuantity || 0),
+          total: item.total,
+          taxAmount: item.taxAmount || 0,
+          discountAmount: item.discountAmount || 0
+        }));
+
+  return buildPayload({
+    sale,
+    pharmacy,
+    invoiceNumber: credit.invoiceNumber,
+    productCodes,
+    lines,
+    totalAmount: roundMoney(lines.reduce((sum, line) => sum + line.total, 0)),
+    paymentMethod: refund?.refundMethod || mainTenderMethod(sale),
+    cashier: cashierOf(refund?.processedBy || sale.voidDetails?.reviewedBy || sale.voidDetails?.requestedBy || sale.attendant),
+    confirmedAt: refund?.createdAt || sale.voidDetails?.voidedAt || new Date(),
+    credit
+  });
+};
+
+/**
+ * Sign a payload so a queued invoice can be checked before it is sent
+ * @returns {string} Hex HMAC-SHA256
+ */
+export const signPayload = (payload, key) =>
+  crypto.createHmac('sha256', key).update(JSON.stringify(payload)).digest('hex');
+
+export const verifyPayload = (payload, signature, key) => {
+  const expected = Buffer.from(signPayload(payload, key), 'hex');
+  const actual = Buffer.from(signature || '', 'hex');
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+};
+
+export default {
+  buildInvoicePayload,
+  buildCreditNotePayload,
+  signPayload,
+  verifyPayload
+};
@@ -0,0 +1,53 @@
+// src/services/etims/mockTransport.js
+// In-process stand-in for KRA eTIMS used in development and tests.
+// Answers like OSCU does, with made-up control unit details.
+import crypto from 'crypto';
+
+/**
+ * Create the mock transport
+ * @param {Object} options
+ * @param {number} options.failEvery - Fail every Nth request (0 = never) to exercise retries
+ * @returns {Object} Transport implementing sendSalesInvoice()
+ */
+export const createMockTransport = ({ failEvery = 0 } = {}) => {
+  let requestCount = 0;
+  let receiptCount = 0;
+
+  return {
+    name: 'mock',
+
+    async sendSalesInvoice(payload, { tin, bhfId }) {
+      requestCount += 1;
+      if (failEvery > 0 && requestCount % failEvery === 0) {
+        throw new Error('eTIMS mock: simulated network failure');
+      }
+
+      if (!tin) {
+        return { resultCode: '910', resultMessage: 'Request parameter error: tin', data: {} };
+      }
+
+      receiptCount += 1;
+      const signature = crypto.createHash('sha256')
+        .update(`${tin}${bhfId}${payload.invcNo}${payload.totAmt}`)
+        .digest('hex')
+        .slice(0, 16)
+        .toUpperCase();
+
+      return {
+        resultCode: '000',
+        resultMessage: 'It is succeeded',
+        data: {
+          rcptNo: receiptCount,
+          intrlData: crypto.randomBytes(13).toString('base64').replace(/[^A-Z0-9]/gi, '').toUpperCase().slice(0, 26),
+          rcptSign: signature,
+          totRcptNo: receiptCount,
+          vsdcRcptPbctDate: payload.cfmDt,
+          sdcId: `KRACU0${tin.slice(-6)}`,
+          mrcNo: `WIS0${bhfId}MOCK`
+        }
+      };
+    }
+  };
+};
+
+export default createMockTransport;
@@ -0,0 +1,53 @@
+// src/services/etims/oscuTransport.js
+// KRA eTIMS Online Sales Control Unit (OSCU) transport. Point ETIMS_BASE_URL at
+// a local mock server to exercise the full HTTP path offline.
+
+const BASE_URLS = {
+  sandbox: 'https://etims-api-sbx.kra.go.ke/etims-api',
+  production: 'https://etims-api.kra.go.ke/etims-api'
+};
+
+/**
+ * Create an OSCU-backed eTIMS transport
+ * @param {Object} config - baseUrl or environment, timeoutMs
+ * @returns {Object} Transport implementing sendSalesInvoice()
+ */
+export const createOscuTransport = ({ baseUrl, environment = 'sandbox', timeoutMs = 15000 } = {}) => {
+  const url = baseUrl || BASE_URLS[environment] || BASE_URLS.sandbox;
+
+  return {
+    name: 'oscu',
+
+    /**
+     * @param {Object} payload - saveSales body
+     * @param {Object} credentials - tin, bhfId, cmcKey
+     * @returns {Object} { resultCode, resultMessage, data }
+     */
+    async sendSalesInvoice(payload, { tin, bhfId, cmcKey }) {
+      const response = await fetch(`${url}/saveTrnsSalesOsdc`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          tin,
+          bhfId,
+          cmcKey
+        },
+        body: JSON.stringify(payload),
+        signal: AbortSignal.timeout(timeoutMs)
+      });
+
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        throw new Error(data.resultMsg || `eTIMS request failed with status ${response.status}`);
+      }
+
+      return {
+        resultCode: data.resultCd,
+        resultMessage: data.resultMsg,
+        data: data.data || {}
+      };
+    }
+  };
+};
+
+export default createOscuTransport;
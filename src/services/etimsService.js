@@ -0,0 +1,572 @@
+// src/services/etimsService.js
+// KRA eTIMS electronic tax invoices for completed sales, and credit notes for their refunds and voids.
+// Invoices are built and signed when the sale completes, queued, and transmitted (with retries) by a worker.
+import mongoose from 'mongoose';
+import Sale from '../models/Sale.js';
+import Product from '../models/Product.js';
+import Pharmacy from '../models/Pharmacy.js';
+import EtimsInvoice from '../models/EtimsInvoice.js';
+import { buildInvoicePayload, buildCreditNotePayload, signPayload, verifyPayload } from './etims/invoiceBuilder.js';
+import { createOscuTransport } from './etims/oscuTransport.js';
+import { createMockTransport } from './etims/mockTransport.js';
+
+const MAX_ATTEMPTS = Number(process.env.ETIMS_MAX_ATTEMPTS || 10);
+// A worker that died mid-send leaves its claim behind - release it after this long
+const STALE_LOCK_MS = 5 * 60 * 1000;
+// Tills queue invoices as sales complete; the worker picks up any they missed after this long
+const MISSED_SALE_GRACE_MS = 2 * 60 * 1000;
+// How far back the worker looks for completed sales that were never queued
+const MISSED_SALE_LOOKBACK_DAYS = Number(process.env.ETIMS_MISSED_SALE_LOOKBACK_DAYS || 7);
+// Wait before trying again to queue a sale that could not be queued
+const MISSED_SALE_RETRY_MS = 10 * 60 * 1000;
+const QR_BASE_URL = process.env.ETIMS_QR_BASE_URL ||
+  'https://etims-sbx.kra.go.ke/common/link/etims/receipt/indexEtimsReceiptData';
+
+let transport = null;
+
+const ETIMS_TRANSPORTS = ['oscu', 'mock'];
+
+/**
+ * Get the configured eTIMS transport
+ * ETIMS_TRANSPORT=oscu|mock must be set - there is no default, because a server that
+ * quietly used the mock would report nothing to KRA
+ */
+export const getEtimsTransport = () => {
+  if (!transport) {
+    const name = process.env.ETIMS_TRANSPORT;
+
+    if (!ETIMS_TRANSPORTS.includes(name)) {
+      throw new Error(`ETIMS_TRANSPORT must be set to ${ETIMS_TRANSPORTS.join(' or ')}${name ? ` (got "${name}")` : ''}`);
+    }
+
+    transport = name === 'oscu'
+      ? createOscuTransport({
+          baseUrl: process.env.ETIMS_BASE_URL,
+          environment: process.env.ETIMS_ENV
+        })
+      : createMockTransport({ failEvery: Number(process.env.ETIMS_MOCK_FAIL_EVERY || 0) });
+  }
+  return transport;
+};
+
+// Swap the transport, e.g. a mock that always fails in tests
+export const setEtimsTransport = (customTransport) => {
+  transport = customTransport;
+};
+
+const loadPharmacy = (pharmacyId) => Pharmacy.findById(pharmacyId).select('+etims.cmcKey');
+
+// Payloads are signed with a server secret, or the branch's KRA communication key
+const getSigningKey = (pharmacy) => {
+  const key = process.env.ETIMS_SIGNING_KEY || pharmacy.etims?.cmcKey;
+  if (!key) {
+    throw new Error('eTIMS signing requires ETIMS_SIGNING_KEY or the pharmacy communication key');
+  }
+  return key;
+};
+
+// Wait 1, 2, 4 ... minutes between attempts, capped at an hour
+const nextRetryAt = (attempts) =>
+  new Date(Date.now() + Math.min(2 ** Math.max(attempts - 1, 0), 60) * 60 * 1000);
+
+// Sales that were completed, including those since refunded - refunds are reported as credit notes
+const INVOICED_SALE_STATUSES = ['completed', 'refunded'];
+
+// Helper: Item codes registered with eTIMS (SKUs) for the products on a sale
+const loadProductCodes = async (sale) => {
+  const products = await Product.find({ _id: { $in: sale.items.map(item => item.product) } }).select('sku');
+  return new Map(products.filter(p => p.sku).map(p => [p._id.toString(), p.sku]));
+};
+
+/**
+ * Helper: Take the next invoice number and save the signed invoice under it, in one transaction
+ * Invoice numbers must run without gaps, so the counter only moves if the invoice is saved.
+ * Retried on transient write conflicts - concurrent sales all take the next number from the same counter.
+ * @param {Function} build - (invoiceNumber) => payload
+ * @param {Object} fields - EtimsInvoice fields (sale, type, ...)
+ * @param {Function} saleUpdate - (invoiceNumber) => update recording the invoice on the sale
+ */
+const issueInvoice = async (pharmacy, { build, fields, saleUpdate }) => {
+  const session = await mongoose.startSession();
+
+  try {
+    return await session.withTransaction(async () => {
+      const counter = await Pharmacy.findByIdAndUpdate(
+        pharmacy._id,
+        { $inc: { 'etims.lastInvoiceNumber': 1 } },
+        { new: true, session }
+      ).select('etims.lastInvoiceNumber');
+
+      const invoiceNumber = counter.etims.lastInvoiceNumber;
+      const payload = build(invoiceNumber);
+
+      const [invoice] = await EtimsInvoice.create([{
+        pharmacy: pharmacy._id,
+        ...fields,
+        invoiceNumber,
+        payload,
+        signature: signPayload(payload, getSigningKey(pharmacy)),
+        transport: getEtimsTransport().name
+      }], { session });
+
+      await Sale.updateOne({ _id: fields.sale }, saleUpdate(invoiceNumber), { session });
+
+      return invoice;
+    });
+  } finally {
+    session.endSession();
+  }
+};
+
+/**
+ * Build, sign and queue the eTIMS invoice for a completed sale
+ * Safe to call more than once - a sale only ever gets one invoice. Refunds or a void
+ * recorded before the invoice was queued get their credit notes straight after it.
+ * @returns {Object|null} EtimsInvoice, or null if eTIMS is off for the pharmacy
+ */
+export const queueSaleInvoice = async (saleId) => {
+  const sale = await Sale.findById(saleId).populate('attendant', 'firstName lastName');
+  if (!sale || !INVOICED_SALE_STATUSES.includes(sale.status)) return null;
+
+  const filter = { sale: sale._id, type: 'sale' };
+  const existing = await EtimsInvoice.findOne(filter);
+  if (existing) return existing;
+
+  const pharmacy = await loadPharmacy(sale.pharmacy);
+  if (!pharmacy?.etims?.enabled) return null;
+
+  const productCodes = await loadProductCodes(sale);
+
+  let invoice;
+  try {
+    invoice = await issueInvoice(pharmacy, {
+      build: (invoiceNumber) => buildInvoicePayload(sale, pharmacy, invoiceNumber, productCodes),
+      fields: { sale: sale._id, type: 'sale' },
+      saleUpdate: (invoiceNumber) => ({ $set: { etims: { status: 'queued', invoiceNumber } } })
+    });
+  } catch (error) {
+    // Another request queued it first
+    if (error.code === 11000) {
+      return EtimsInvoice.findOne(filter);
+    }
+    throw error;
+  }
+
+  if (sale.refunds?.length > 0) {
+    await queueOutstandingCreditNotes(sale._id)
+      .catch(err => console.error(`Failed to queue eTIMS credit notes for sale ${sale._id}:`, err.message));
+  }
+
+  return invoice;
+};
+
+/**
+ * Build, sign and queue a credit note (rcptTyCd R) against a sale's invoice, for one refund or for a void
+ * Safe to call more than once. A sale that was never invoiced has nothing to credit -
+ * its credit notes are queued when its invoice is.
+ * @param {string} refundId - Sale.refunds[]._id, or null for a voided sale
+ * @returns {Object|null} EtimsInvoice
+ */
+export const queueCreditNote = async (saleId, refundId = null) => {
+  const sale = await Sale.findById(saleId).populate('attendant', 'firstName lastName');
+  if (!sale) return null;
+
+  const refund = refundId ? sale.refunds.find(entry => entry._id.toString() === refundId.toString()) : null;
+  if (refundId ? !refund : sale.voidDetails?.status !== 'voided') return null;
+
+  const original = await EtimsInvoice.findOne({ sale: sale._id, type: 'sale' }).select('invoiceNumber');
+  if (!original) return null;
+
+  const filter = { sale: sale._id, type: 'credit_note', refund: refund?._id ?? null };
+  const existing = await EtimsInvoice.findOne(filter);
+  if (existing) return existing;
+
+  // Reported even if eTIMS has since been switched off - KRA already has the original
+  const pharmacy = await loadPharmacy(sale.pharmacy);
+  if (!pharmacy) return null;
+
+  const productCodes = await loadProductCodes(sale);
+  const creditFor = refund ? 'refund' : 'void';
+
+  try {
+    return await issueInvoice(pharmacy, {
+      build: (invoiceNumber) => buildCreditNotePayload(sale, pharmacy, {
+        invoiceNumber,
+        originalInvoiceNumber: original.invoiceNumber,
+        creditFor,
+        refund
+      }, productCodes),
+      fields: {
+        sale: sale._id,
+        type: 'credit_note',
+        creditFor,
+        refund: refund?._id,
+        originalInvoiceNumber: original.invoiceNumber
+      },
+      saleUpdate: (invoiceNumber) => ({
+        $push: { 'etims.creditNotes': { invoiceNumber, creditFor, refund: refund?._id, status: 'queued' } }
+      })
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return EtimsInvoice.findOne(filter);
+    }
+    throw error;
+  }
+};
+
+/**
+ * Queue the credit notes a sale is missing - one per refund, and one if it was voided
+ * @returns {Array} Credit notes queued
+ */
+export const queueOutstandingCreditNotes = async (saleId) => {
+  const sale = await Sale.findById(saleId).select('refunds._id voidDetails.status etims.creditNotes');
+  if (!sale) return [];
+
+  const credited = new Set((sale.etims?.creditNotes || []).map(note => (note.refund || 'void').toString()));
+  const outstanding = sale.refunds.map(refund => refund._id).filter(id => !credited.has(id.toString()));
+  if (sale.voidDetails?.status === 'voided' && !credited.has('void')) {
+    outstanding.push(null);
+  }
+
+  const queued = [];
+  for (const refundId of outstanding) {
+    const creditNote = await queueCreditNote(sale._id, refundId);
+    if (creditNote) queued.push(creditNote);
+  }
+  return queued;
+};
+
+/**
+ * Queue invoices and credit notes that tills missed
+ * Tills queue them without waiting, so a sale or refund whose queueing failed (or whose
+ * server went down first) would otherwise never reach KRA
+ * @returns {Object} Counts of queued / failed sales and queued credit notes
+ */
+export const queueMissedInvoices = async ({ limit = 50 } = {}) => {
+  const pharmacies = await Pharmacy.find({ 'etims.enabled': true }).select('etims.enabledAt');
+  const now = Date.now();
+  const lookbackFrom = new Date(now - MISSED_SALE_LOOKBACK_DAYS * 24 * 60 * 60 * 1000);
+  const settled = new Date(now - MISSED_SALE_GRACE_MS);
+  const retryDue = {
+    $or: [
+      { 'etims.queueRetryAt': { $exists: false } },
+      { 'etims.queueRetryAt': { $lte: new Date(now) } }
+    ]
+  };
+  const summary = { queued: 0, failed: 0, creditNotes: 0 };
+  let remaining = limit;
+
+  const backOff = (_id, error) => {
+    summary.failed += 1;
+    console.error(`Failed to queue eTIMS invoice for sale ${_id}:`, error.message);
+    return Sale.updateOne(
+      { _id },
+      { $set: { 'etims.lastError': error.message, 'etims.queueRetryAt': new Date(Date.now() + MISSED_SALE_RETRY_MS) } }
+    );
+  };
+
+  for (const pharmacy of pharmacies) {
+    if (remaining <= 0) break;
+
+    // Sales made before eTIMS was switched on are not reported
+    const enabledAt = pharmacy.etims.enabledAt;
+    const missed = await Sale.find({
+      pharmacy: pharmacy._id,
+      status: { $in: INVOICED_SALE_STATUSES },
+      'etims.status': { $exists: false },
+      createdAt: { $gte: enabledAt > lookbackFrom ? enabledAt : lookbackFrom },
+      updatedAt: { $lte: settled },
+      ...retryDue
+    })
+      .sort({ createdAt: 1 })
+      .limit(remaining)
+      .select('_id');
+
+    remaining -= missed.length;
+
+    for (const { _id } of missed) {
+      try {
+        await queueSaleInvoice(_id);
+        summary.queued += 1;
+      } catch (error) {
+        await backOff(_id, error);
+      }
+    }
+
+    if (remaining <= 0) break;
+
+    // Invoiced sales with more refunds (or a void) than credit notes
+    const uncredited = await Sale.find({
+      pharmacy: pharmacy._id,
+      'etims.invoiceNumber': { $exists: true },
+      updatedAt: { $gte: lookbackFrom, $lte: settled },
+      ...retryDue,
+      $expr: {
+        $lt: [
+          { $size: { $ifNull: ['$etims.creditNotes', []] } },
+          {
+            $add: [
+              { $size: { $ifNull: ['$refunds', []] } },
+              { $cond: [{ $eq: ['$voidDetails.status', 'voided'] }, 1, 0] }
+            ]
+          }
+        ]
+      }
+    })
+      .sort({ updatedAt: 1 })
+      .limit(remaining)
+      .select('_id');
+
+    remaining -= uncredited.length;
+
+    for (const { _id } of uncredited) {
+      try {
+        summary.creditNotes += (await queueOutstandingCreditNotes(_id)).length;
+      } catch (error) {
+        await backOff(_id, error);
+      }
+    }
+  }
+
+  return summary;
+};
+
+// Helper: Mirror an invoice's progress onto its sale - credit notes live under etims.creditNotes
+const updateSaleEtims = (invoice, fields, unset = []) => {
+  const creditNote = invoice.type === 'credit_note';
+  const prefix = creditNote ? 'etims.creditNotes.$.' : 'etims.';
+  const prefixed = (entries) => Object.fromEntries(entries.map(([key, value]) => [`${prefix}${key}`, value]));
+
+  return Sale.updateOne(
+    creditNote
+      ? { _id: invoice.sale, 'etims.creditNotes.invoiceNumber': invoice.invoiceNumber }
+      : { _id: invoice.sale },
+    {
+      $set: prefixed(Object.entries(fields)),
+      ...(unset.length > 0 && { $unset: prefixed(unset.map(key => [key, 1])) })
+    }
+  );
+};
+
+/**
+ * Send one queued invoice to KRA and record the result on the invoice and sale
+ * @returns {Object|null} Updated invoice, or null if another worker has it
+ */
+export const transmitInvoice = async (invoiceId) => {
+  const invoice = await EtimsInvoice.findOneAndUpdate(
+    { _id: invoiceId, status: 'queued' },
+    { $set: { status: 'transmitting', lockedAt: new Date() }, $inc: { attempts: 1 } },
+    { new: true }
+  );
+  if (!invoice) return null;
+
+  const fail = async (message, retry = true) => {
+    const giveUp = !retry || invoice.attempts >= MAX_ATTEMPTS;
+    invoice.status = giveUp ? 'failed' : 'queued';
+    invoice.lastError = message;
+    invoice.lockedAt = undefined;
+    invoice.nextAttemptAt = giveUp ? undefined : nextRetryAt(invoice.attempts);
+    await invoice.save();
+    await updateSaleEtims(invoice, { status: giveUp ? 'failed' : 'queued', lastError: message });
+    return invoice;
+  };
+
+  // KRA only accepts a credit note for an invoice it already has - wait without using up an attempt
+  if (invoice.type === 'credit_note') {
+    const original = await EtimsInvoice.findOne({ sale: invoice.sale, type: 'sale' }).select('status');
+    if (original?.status !== 'transmitted') {
+      invoice.set({
+        status: 'queued',
+        attempts: invoice.attempts - 1,
+        lockedAt: undefined,
+        nextAttemptAt: nextRetryAt(1),
+        lastError: `Waiting for invoice ${invoice.originalInvoiceNumber} to be accepted by KRA`
+      });
+      await invoice.save();
+      return invoice;
+    }
+  }
+
+  const pharmacy = await loadPharmacy(invoice.pharmacy);
+  if (!pharmacy?.etims?.kraPin) {
+    return fail('Pharmacy is not registered for eTIMS', false);
+  }
+
+  if (!verifyPayload(invoice.payload, invoice.signature, getSigningKey(pharmacy))) {
+    return fail('Invoice payload does not match its signature', false);
+  }
+
+  let result;
+  try {
+    result = await getEtimsTransport().sendSalesInvoice(invoice.payload, {
+      tin: pharmacy.etims.kraPin,
+      bhfId: pharmacy.etims.branchId,
+      cmcKey: pharmacy.etims.cmcKey
+    });
+  } catch (error) {
+    return fail(error.message);
+  }
+
+  if (result.resultCode !== '000') {
+    return fail(`KRA rejected the invoice (${result.resultCode}): ${result.resultMessage}`);
+  }
+
+  const { sdcId, rcptNo, rcptSign, intrlData, mrcNo } = result.data;
+  const transmittedAt = new Date();
+
+  invoice.status = 'transmitted';
+  invoice.response = result;
+  invoice.lastError = undefined;
+  invoice.lockedAt = undefined;
+  invoice.transmittedAt = transmittedAt;
+  await invoice.save();
+
+  await updateSaleEtims(invoice, {
+    status: 'transmitted',
+    invoiceNumber: invoice.invoiceNumber,
+    controlUnitId: sdcId,
+    controlUnitInvoiceNumber: `${sdcId}/${rcptNo}`,
+    receiptSignature: rcptSign,
+    internalData: intrlData,
+    mrcNumber: mrcNo,
+    qrData: `${QR_BASE_URL}?Data=${pharmacy.etims.kraPin}${pharmacy.etims.branchId}${rcptSign}`,
+    transmittedAt
+  }, invoice.type === 'credit_note' ? ['lastError'] : ['lastError', 'queueRetryAt']);
+
+  return invoice;
+};
+
+/**
+ * Send every invoice that is due, oldest first
+ * @returns {Object} Counts of transmitted / retrying / failed invoices
+ */
+export const processEtimsQueue = async ({ limit = 50 } = {}) => {
+  await queueMissedInvoices({ limit });
+
+  await EtimsInvoice.updateMany(
+    { status: 'transmitting', lockedAt: { $lte: new Date(Date.now() - STALE_LOCK_MS) } },
+    { $set: { status: 'queued', nextAttemptAt: new Date() }, $unset: { lockedAt: 1 } }
+  );
+
+  const due = await EtimsInvoice.find({ status: 'queued', nextAttemptAt: { $lte: new Date() } })
+    .sort({ nextAttemptAt: 1, invoiceNumber: 1 })
+    .limit(limit)
+    .select('_id');
+
+  const summary = { transmitted: 0, retrying: 0, failed: 0 };
+  for (const { _id } of due) {
+    try {
+      const invoice = await transmitInvoice(_id);
+      if (!invoice) continue;
+      if (invoice.status === 'transmitted') summary.transmitted += 1;
+      else if (invoice.status === 'failed') summary.failed += 1;
+      else summary.retrying += 1;
+    } catch (error) {
+      console.error(`eTIMS transmission of invoice ${_id} failed:`, error.message);
+    }
+  }
+  return summary;
+};
+
+/**
+ * Put a failed invoice back in the queue and try it straight away
+ * @returns {Object|null} Updated invoice
+ */
+export const retryEtimsInvoice = async (invoice) => {
+  await EtimsInvoice.updateOne(
+    { _id: invoice._id, status: 'failed' },
+    { $set: { status: 'queued', attempts: 0, nextAttemptAt: new Date() } }
+  );
+  await updateSaleEtims(invoice, { status: 'queued' });
+  return transmitInvoice(invoice._id);
+};
+
+// Queue and send straight away; anything that fails is left for the worker
+export const submitSaleInvoice = async (saleId) => {
+  const invoice = await queueSaleInvoice(saleId);
+  if (invoice?.status === 'queued') {
+    await transmitInvoice(invoice._id);
+  }
+  return invoice;
+};
+
+/**
+ * Send a sale's credit notes now: queue any it is missing and put failed ones back in the queue
+ * @returns {Array} Credit notes that were tried
+ */
+export const resendCreditNotes = async (saleId) => {
+  await queueOutstandingCreditNotes(saleId);
+
+  const creditNotes = await EtimsInvoice.find({
+    sale: saleId,
+    type: 'credit_note',
+    status: { $in: ['queued', 'failed'] }
+  }).sort({ invoiceNumber: 1 });
+
+  for (const creditNote of creditNotes) {
+    if (creditNote.status === 'failed') {
+      await retryEtimsInvoice(creditNote);
+    } else {
+      await transmitInvoice(creditNote._id);
+    }
+  }
+  return creditNotes;
+};
+
+// Same for the credit note of a refund (or of a void, without refundId)
+export const submitCreditNote = async (saleId, refundId = null) => {
+  const creditNote = await queueCreditNote(saleId, refundId);
+  if (creditNote?.status === 'queued') {
+    await transmitInvoice(creditNote._id);
+  }
+  return creditNote;
+};
+
+/**
+ * Retry queued invoices in the background
+ * ETIMS_QUEUE_INTERVAL_MS sets how often (default every minute)
+ * Throws on startup if ETIMS_TRANSPORT is missing or unknown
+ */
+export const startEtimsWorker = () => {
+  // Servers for pharmacies that do not use eTIMS leave it unset - a wrong value still stops startup
+  if (!process.env.ETIMS_TRANSPORT) {
+    console.warn('ETIMS_TRANSPORT is not set - eTIMS worker not started');
+    return null;
+  }
+  getEtimsTransport();
+
+  const intervalMs = Number(process.env.ETIMS_QUEUE_INTERVAL_MS || 60000);
+  let running = false;
+
+  const timer = setInterval(async () => {
+    if (running) return;
+    running = true;
+    try {
+      await processEtimsQueue();
+    } catch (error) {
+      console.error('eTIMS queue run failed:', error.message);
+    } finally {
+      running = false;
+    }
+  }, intervalMs);
+  timer.unref?.();
+
+  return timer;
+};
+
+export default {
+  getEtimsTransport,
+  setEtimsTransport,
+  queueSaleInvoice,
+  queueCreditNote,
+  queueOutstandingCreditNotes,
+  queueMissedInvoices,
+  transmitInvoice,
+  processEtimsQueue,
+  retryEtimsInvoice,
+  submitSaleInvoice,
+  submitCreditNote,
+  resendCreditNotes,
+  startEtimsWorker
+};
@@ -0,0 +1,206 @@
+// src/services/expiryService.js
+// Expiry report buckets and the near-expiry email alerts sent to owners
+import Product from '../models/Product.js';
+import Pharmacy from '../models/Pharmacy.js';
+import User from '../models/User.js';
+import { DEFAULT_TENANT_SETTINGS } from '../config/tenantConfig.js';
+import { sendEmail } from './notificationService.js';
+import { roundMoney } from '../utils/moneyUtils.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Report buckets, by days left until expiry
+export const EXPIRY_BUCKETS = [
+  { key: 'expired', maxDays: 0 },
+  { key: 'under30', maxDays: 30 },
+  { key: 'under60', maxDays: 60 },
+  { key: 'under90', maxDays: 90 }
+];
+
+const daysUntil = (date, now) => Math.ceil((new Date(date).getTime() - now.getTime()) / DAY_MS);
+
+// Products holding a lot that expires before the horizon
+const findProductsExpiringBy = (pharmacyId, horizon) =>
+  Product.find({
+    pharmacy: pharmacyId,
+    $or: [
+      { 'batches.expiryDate': { $lte: horizon } },
+      { expiryDate: { $lte: horizon } }
+    ]
+  }).select('name sku category unitType pricing stock batches expiryDate batchNumber');
+
+/**
+ * Stock that is expired or expires within 90 days, bucketed, valued at cost
+ * @returns {Object} { buckets: { expired, under30, under60, under90 }, totals }
+ */
+export const buildExpiryReport = async (pharmacyId, { now = new Date() } = {}) => {
+  const horizonDays = EXPIRY_BUCKETS[EXPIRY_BUCKETS.length - 1].maxDays;
+  const products = await findProductsExpiringBy(pharmacyId, new Date(now.getTime() + horizonDays * DAY_MS));
+
+  const buckets = Object.fromEntries(EXPIRY_BUCKETS.map(({ key }) => [key, { units: 0, costValue: 0, items: [] }]));
+
+  for (const product of products) {
+    for (const lot of product.getStockLots()) {
+      if (!lot.expiryDate) continue;
+
+      const daysToExpiry = daysUntil(lot.expiryDate, now);
+      const bucket = EXPIRY_BUCKETS.find(({ maxDays }) => daysToExpiry <= maxDays);
+      if (!bucket) continue;
+
+      const costPerUnit = lot.costPerUnit ?? (product.pricing?.costPerPack || 0) / (product.pricing?.unitsPerPack || 1);
+      const costValue = roundMoney(lot.quantity * costPerUnit);
+      buckets[bucket.key].units += lot.quantity;
+      buckets[bucket.key].costValue = roundMoney(buckets[bucket.key].costValue + costValue);
+      buckets[bucket.key].items.push({
+        productId: product._id,
+        productName: product.name,
+        sku: product.sku,
+        category: product.category,
+        batchId: lot._id,
+        batchNumber: lot.batchNumber,
+        expiryDate: lot.expiryDate,
+        daysToExpiry,
+        quantity: lot.quantity,
+        unitType: product.unitType,
+        costValue
+      });
+    }
+  }
+
+  Object.values(buckets).forEach(bucket => bucket.items.sort((a, b) => a.daysToExpiry - b.daysToExpiry));
+
+  return {
+    buckets,
+    totals: {
+      units: Object.values(buckets).reduce((sum, bucket) => sum + bucket.units, 0),
+      costValue: roundMoney(Object.values(buckets).reduce((sum, bucket) => sum + bucket.costValue, 0))
+    }
+  };
+};
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+
+const buildAlertEmail = (pharmacy, lots, alertDays) => {
+  const rows = lots.map(lot => `
+        <tr>
+          <td>${escapeHtml(lot.productName)}</td>
+          <td>${escapeHtml(lot.batchNumber || '-')}</td>
+          <td>${new Date(lot.expiryDate).toDateString()}</td>
+          <td>${lot.daysToExpiry <= 0 ? 'Expired' : `${lot.daysToExpiry} days`}</td>
+          <td>${lot.quantity}</td>
+        </tr>`).join('');
+
+  return `
+    <div style="font-family: Arial, sans-serif;">
+      <h3>Stock Expiry Alert - ${escapeHtml(pharmacy.name)}</h3>
+      <p>The following batches expire within ${alertDays} days:</p>
+      <table border="1" cellpadding="6" cellspacing="0" style="border-collapse: collapse;">
+        <tr><th>Product</th><th>Batch</th><th>Expiry</th><th>Left</th><th>Units</th></tr>${rows}
+      </table>
+      <p>Expired stock should be written off from the inventory expiry report.</p>
+    </div>
+  `;
+};
+
+/**
+ * Email a pharmacy's owners about lots that have come inside the expiry alert window
+ * Each lot is only reported once
+ * @returns {number} Lots reported
+ */
+export const sendExpiryAlerts = async (pharmacy, { now = new Date() } = {}) => {
+  const alertDays = pharmacy.settings?.expiryAlert ?? DEFAULT_TENANT_SETTINGS.expiryAlert;
+  const horizon = new Date(now.getTime() + alertDays * DAY_MS);
+  const products = await findProductsExpiringBy(pharmacy._id, horizon);
+
+  const due = [];
+  for (const product of products) {
+    // Older stock needs a lot of its own so the alert can be remembered
+    const tracked = product.batches.reduce((sum, batch) => sum + batch.quantity, 0);
+    if (product.stock.totalUnits > tracked) {
+      product.ensureBatches();
+      await product.save();
+    }
+
+    const lots = product.batches.filter(batch =>
+      batch.quantity > 0 && batch.expiryDate && batch.expiryDate <= horizon && !batch.expiryAlertSentAt);
+    if (lots.length > 0) due.push({ product, lots });
+  }
+
+  if (due.length === 0) return 0;
+
+  const owners = await User.find({ tenantId: pharmacy._id, role: 'pharmacy_owner', status: 'active' }).select('email');
+  const recipients = owners.map(owner => owner.email).filter(Boolean);
+  if (recipients.length === 0) return 0;
+
+  const reportLots = due.flatMap(({ product, lots }) => lots.map(lot => ({
+    productName: product.name,
+    batchNumber: lot.batchNumber,
+    expiryDate: lot.expiryDate,
+    daysToExpiry: daysUntil(lot.expiryDate, now),
+    quantity: lot.quantity
+  }))).sort((a, b) => a.daysToExpiry - b.daysToExpiry);
+
+  const sent = await sendEmail(
+    recipients.join(','),
+    `Expiry Alert: ${reportLots.length} batch(es) expiring within ${alertDays} days`,
+    buildAlertEmail(pharmacy, reportLots, alertDays)
+  );
+  if (!sent) return 0;
+
+  for (const { product, lots } of due) {
+    await Product.updateOne(
+      { _id: product._id },
+      { $set: { 'batches.$[lot].expiryAlertSentAt': now } },
+      { arrayFilters: [{ 'lot._id': { $in: lots.map(lot => lot._id) } }] }
+    );
+  }
+
+  return reportLots.length;
+};
+
+// Check every active pharmacy once
+export const runExpiryAlerts = async () => {
+  const pharmacies = await Pharmacy.find({ status: 'active' }).select('name settings');
+  let reported = 0;
+
+  for (const pharmacy of pharmacies) {
+    try {
+      reported += await sendExpiryAlerts(pharmacy);
+    } catch (error) {
+      console.error(`Expiry alerts for pharmacy ${pharmacy._id} failed:`, error.message);
+    }
+  }
+  return reported;
+};
+
+/**
+ * Send near-expiry alerts in the background
+ * EXPIRY_ALERT_INTERVAL_MS sets how often (default every 6 hours)
+ */
+export const startExpiryAlertWorker = () => {
+  const intervalMs = Number(process.env.EXPIRY_ALERT_INTERVAL_MS || 6 * 60 * 60 * 1000);
+  let running = false;
+
+  const timer = setInterval(async () => {
+    if (running) return;
+    running = true;
+    try {
+      await runExpiryAlerts();
+    } catch (error) {
+      console.error('Expiry alert run failed:', error.message);
+    } finally {
+      running = false;
+    }
+  }, intervalMs);
+  timer.unref?.();
+
+  return timer;
+};
+
+export default {
+  buildExpiryReport,
+  sendExpiryAlerts,
+  runExpiryAlerts,
+  startExpiryAlertWorker
+};
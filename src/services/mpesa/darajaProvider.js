@@ -0,0 +1,128 @@
+// src/services/mpesa/darajaProvider.js
+// Safaricom Daraja (Lipa Na M-Pesa Online) provider
+
+const BASE_URLS = {
+  sandbox: 'https://sandbox.safaricom.co.ke',
+  production: 'https://api.safaricom.co.ke'
+};
+
+// Daraja wants YYYYMMDDHHmmss in Kenyan time (EAT, UTC+3)
+const getTimestamp = () => {
+  const eat = new Date(Date.now() + 3 * 60 * 60 * 1000);
+  return eat.toISOString().replace(/[-T:]/g, '').slice(0, 14);
+};
+
+/**
+ * Create a Daraja-backed M-Pesa provider
+ * @param {Object} config - consumerKey, consumerSecret, shortcode, passkey, environment, transactionType, partyB
+ * @returns {Object} Provider implementing initiateStkPush() and queryStkPush()
+ */
+export const createDarajaProvider = (config) => {
+  const {
+    consumerKey,
+    consumerSecret,
+    shortcode,
+    passkey,
+    environment = 'sandbox',
+    transactionType = 'CustomerPayBillOnline',
+    partyB
+  } = config;
+
+  if (!consumerKey || !consumerSecret || !shortcode || !passkey) {
+    throw new Error('Daraja provider requires MPESA_CONSUMER_KEY, MPESA_CONSUMER_SECRET, MPESA_SHORTCODE and MPESA_PASSKEY');
+  }
+
+  const baseUrl = BASE_URLS[environment] || BASE_URLS.sandbox;
+  let cachedToken = null;
+
+  const getAccessToken = async () => {
+    if (cachedToken && cachedToken.expiresAt > Date.now()) {
+      return cachedToken.value;
+    }
+
+    const credentials = Buffer.from(`${consumerKey}:${consumerSecret}`).toString('base64');
+    const response = await fetch(`${baseUrl}/oauth/v1/generate?grant_type=client_credentials`, {
+      headers: { Authorization: `Basic ${credentials}` }
+    });
+
+    if (!response.ok) {
+      throw new Error(`Daraja authentication failed with status ${response.status}`);
+    }
+
+    const data = await response.json();
+    // Refresh a minute early so a token never expires mid-request
+    cachedToken = {
+      value: data.access_token,
+      expiresAt: Date.now() + (Number(data.expires_in) - 60) * 1000
+    };
+    return cachedToken.value;
+  };
+
+  const post = async (path, body) => {
+    const token = await getAccessToken();
+    const response = await fetch(`${baseUrl}${path}`, {
+      method: 'POST',
+      headers: {
+        Authorization: `Bearer ${token}`,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify(body)
+    });
+
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new Error(data.errorMessage || `Daraja request failed with status ${response.status}`);
+    }
+    return data;
+  };
+
+  const buildSecurity = () => {
+    const timestamp = getTimestamp();
+    return {
+      BusinessShortCode: shortcode,
+      Password: Buffer.from(`${shortcode}${passkey}${timestamp}`).toString('base64'),
+      Timestamp: timestamp
+    };
+  };
+
+  return {
+    name: 'daraja',
+
+    async initiateStkPush({ phone, amount, accountReference, description, callbackUrl }) {
+      const data = await post('/mpesa/stkpush/v1/processrequest', {
+        ...buildSecurity(),
+        TransactionType: transactionType,
+        Amount: amount,
+        PartyA: phone,
+        PartyB: partyB || shortcode,
+        PhoneNumber: phone,
+        CallBackURL: callbackUrl,
+        AccountReference: accountReference.slice(0, 12),
+        TransactionDesc: description.slice(0, 13)
+      });
+
+      return {
+        merchantRequestId: data.MerchantRequestID,
+        checkoutRequestId: data.CheckoutRequestID,
+        responseCode: String(data.ResponseCode),
+        responseDescription: data.ResponseDescription,
+        customerMessage: data.CustomerMessage
+      };
+    },
+
+    // Throws while the customer has not yet answered the prompt
+    async queryStkPush(checkoutRequestId) {
+      const data = await post('/mpesa/stkpushquery/v1/query', {
+        ...buildSecurity(),
+        CheckoutRequestID: checkoutRequestId
+      });
+
+      return {
+        resultCode: Number(data.ResultCode),
+        resultDesc: data.ResultDesc
+      };
+    }
+  };
+};
+
+export default createDarajaProvider;
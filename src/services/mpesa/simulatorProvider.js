@@ -0,0 +1,97 @@
+// src/services/mpesa/simulatorProvider.js
+// Local stand-in for Safaricom used in development and tests.
+// Accepts STK Push requests and later delivers a Daraja-shaped callback.
+import crypto from 'crypto';
+
+// Test numbers: ...0000 = customer cancels, ...1111 = insufficient balance, anything else pays
+const simulateOutcome = (phone) => {
+  if (phone.endsWith('0000')) {
+    return { resultCode: 1032, resultDesc: 'Request cancelled by user' };
+  }
+  if (phone.endsWith('1111')) {
+    return { resultCode: 1, resultDesc: 'The balance is insufficient for the transaction' };
+  }
+  return { resultCode: 0, resultDesc: 'The service request is processed successfully.' };
+};
+
+const generateReceiptNumber = () =>
+  `S${crypto.randomBytes(6).toString('hex').toUpperCase().slice(0, 9)}`;
+
+const buildCallback = ({ merchantRequestId, checkoutRequestId, outcome, amount, phone }) => {
+  const stkCallback = {
+    MerchantRequestID: merchantRequestId,
+    CheckoutRequestID: checkoutRequestId,
+    ResultCode: outcome.resultCode,
+    ResultDesc: outcome.resultDesc
+  };
+
+  if (outcome.resultCode === 0) {
+    const now = new Date(Date.now() + 3 * 60 * 60 * 1000);
+    stkCallback.CallbackMetadata = {
+      Item: [
+        { Name: 'Amount', Value: amount },
+        { Name: 'MpesaReceiptNumber', Value: generateReceiptNumber() },
+        { Name: 'TransactionDate', Value: Number(now.toISOString().replace(/[-T:]/g, '').slice(0, 14)) },
+        { Name: 'PhoneNumber', Value: Number(phone) }
+      ]
+    };
+  }
+
+  return { Body: { stkCallback } };
+};
+
+/**
+ * Create the simulator provider
+ * @param {Object} options
+ * @param {Function} options.deliver - Receives the callback payload, as the callback route would
+ * @param {number} options.delayMs - How long the "customer" takes to answer the prompt
+ * @returns {Object} Provider implementing initiateStkPush() and queryStkPush()
+ */
+export const createSimulatorProvider = ({ deliver, delayMs = 3000 } = {}) => {
+  const requests = new Map();
+
+  return {
+    name: 'simulator',
+
+    async initiateStkPush({ phone, amount }) {
+      const merchantRequestId = `SIM-${crypto.randomUUID()}`;
+      const checkoutRequestId = `ws_CO_SIM_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`;
+      const outcome = simulateOutcome(phone);
+
+      const entry = { outcome, answered: false };
+      requests.set(checkoutRequestId, entry);
+
+      const timer = setTimeout(async () => {
+        entry.answered = true;
+        if (!deliver) return;
+        try {
+          await deliver(buildCallback({ merchantRequestId, checkoutRequestId, outcome, amount, phone }));
+        } catch (error) {
+          console.error('M-Pesa simulator failed to deliver callback:', error.message);
+        }
+      }, delayMs);
+      timer.unref?.();
+
+      return {
+        merchantRequestId,
+        checkoutRequestId,
+        responseCode: '0',
+        responseDescription: 'Success. Request accepted for processing',
+        customerMessage: 'Success. Request accepted for processing'
+      };
+    },
+
+    async queryStkPush(checkoutRequestId) {
+      const entry = requests.get(checkoutRequestId);
+      if (!entry) {
+        throw new Error('Invalid CheckoutRequestID');
+      }
+      if (!entry.answered) {
+        throw new Error('The transaction is being processed');
+      }
+      return { ...entry.outcome };
+    }
+  };
+};
+
+export default createSimulatorProvider;
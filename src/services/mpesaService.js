@@ -0,0 +1,379 @@
+// src/services/mpesaService.js
+// M-Pesa STK Push payments for POS sales. The provider (Daraja or the local
+// simulator) only talks to Safaricom - everything sale-related lives here.
+import mongoose from 'mongoose';
+import Sale from '../models/Sale.js';
+import MpesaTransaction from '../models/MpesaTransaction.js';
+import { createDarajaProvider } from './mpesa/darajaProvider.js';
+import { createSimulatorProvider } from './mpesa/simulatorProvider.js';
+import { submitSaleInvoice } from './etimsService.js';
+
+let provider = null;
+
+const MPESA_PROVIDERS = ['daraja', 'simulator'];
+
+/**
+ * Get the configured M-Pesa provider
+ * MPESA_PROVIDER=daraja|simulator (defaults to daraja). The simulator confirms payments
+ * nobody made, so it has to be asked for by name and is refused in production.
+ */
+export const getMpesaProvider = () => {
+  if (!provider) {
+    const name = process.env.MPESA_PROVIDER || 'daraja';
+
+    if (!MPESA_PROVIDERS.includes(name)) {
+      throw new Error(`MPESA_PROVIDER must be ${MPESA_PROVIDERS.join(' or ')} (got "${name}")`);
+    }
+    if (name === 'simulator' && process.env.NODE_ENV === 'production') {
+      throw new Error('MPESA_PROVIDER=simulator is not allowed in production');
+    }
+
+    provider = name === 'daraja'
+      ? createDarajaProvider({
+          consumerKey: process.env.MPESA_CONSUMER_KEY,
+          consumerSecret: process.env.MPESA_CONSUMER_SECRET,
+          shortcode: process.env.MPESA_SHORTCODE,
+          passkey: process.env.MPESA_PASSKEY,
+          environment: process.env.MPESA_ENV,
+          transactionType: process.env.MPESA_TRANSACTION_TYPE,
+          partyB: process.env.MPESA_PARTY_B
+        })
+      : createSimulatorProvider({
+          deliver: handleStkCallback,
+          delayMs: Number(process.env.MPESA_SIMULATOR_DELAY_MS || 3000)
+        });
+  }
+  return provider;
+};
+
+// Swap the provider, e.g. a simulator with no delay in tests
+export const setMpesaProvider = (customProvider) => {
+  provider = customProvider;
+};
+
+/**
+ * Normalise a Kenyan phone number to the 2547XXXXXXXX format Daraja expects
+ * @returns {string|null} Formatted number, or null if it is not a valid Kenyan mobile number
+ */
+export const formatMpesaPhone = (phone) => {
+  if (!phone) return null;
+  let digits = String(phone).replace(/\D/g, '');
+
+  if (digits.startsWith('0')) digits = `254${digits.slice(1)}`;
+  else if (digits.length === 9) digits = `254${digits}`;
+
+  return /^254[17]\d{8}$/.test(digits) ? digits : null;
+};
+
+// M-Pesa tenders on a sale that still need money
+export const getOutstandingMpesaTenders = (sale) =>
+  sale.payments.filter(p => p.method === 'mpesa' && p.status !== 'confirmed');
+
+// Helper: M-Pesa reported less than the prompt asked for
+const isShortPayment = (tx, amount) => amount !== undefined && Number(amount) < tx.amount;
+
+// Pull the interesting values out of a Daraja stkCallback payload
+const parseStkCallback = (payload) => {
+  const callback = payload?.Body?.stkCallback;
+  if (!callback?.CheckoutRequestID) return null;
+
+  const items = callback.CallbackMetadata?.Item || [];
+  const valueOf = (name) => items.find(item => item.Name === name)?.Value;
+  const rawDate = valueOf('TransactionDate');
+
+  return {
+    checkoutRequestId: callback.CheckoutRequestID,
+    resultCode: Number(callback.ResultCode),
+    resultDesc: callback.ResultDesc,
+    amount: valueOf('Amount'),
+    mpesaReceiptNumber: valueOf('MpesaReceiptNumber'),
+    // 20240115143022 (EAT) -> Date
+    transactionDate: rawDate
+      ? new Date(String(rawDate).replace(/^(\d{4})(\d{2})(\d{2})(\d{2})(\d{2})(\d{2})$/, '$1-$2-$3T$4:$5:$6+03:00'))
+      : undefined
+  };
+};
+
+/**
+ * Record the outcome of an STK Push against its transaction and sale, atomically
+ * A failed or short payment leaves the sale pending with its stock still held for the customer:
+ * the till sends a new prompt (POST /api/pos/sales/:id/mpesa/stk-push) or voids the sale, which restocks it.
+ * @param {Object} tx - MpesaTransaction document
+ * @param {Object} outcome - resultCode, resultDesc, amount, mpesaReceiptNumber, transactionDate, payload
+ * @param {string} confirmedVia - callback | query | manual
+ * @param {string} userId - Who reconciled it (query/manual only)
+ */
+const applyPaymentOutcome = async (tx, outcome, confirmedVia, userId = null) => {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const paid = outcome.resultCode === 0;
+    // The callback says what was actually paid (a status query does not) - less than asked settles nothing
+    const shortPaid = paid && isShortPayment(tx, outcome.amount);
+
+    tx.status = paid ? 'completed' : 'failed';
+    tx.resultCode = outcome.resultCode;
+    tx.resultDesc = outcome.resultDesc;
+    tx.confirmedVia = confirmedVia;
+    if (outcome.amount !== undefined) tx.amountReceived = Number(outcome.amount);
+    if (shortPaid) tx.amountMismatch = true;
+    if (outcome.mpesaReceiptNumber) tx.mpesaReceiptNumber = outcome.mpesaReceiptNumber;
+    if (outcome.transactionDate) tx.transactionDate = outcome.transactionDate;
+    if (outcome.payload) tx.callbackPayload = outcome.payload;
+    if (userId) tx.reconciledBy = userId;
+    await tx.save({ session });
+
+    const sale = await Sale.findById(tx.sale).session(session);
+
+    if (shortPaid) {
+      console.warn(`M-Pesa paid ${outcome.amount} of ${tx.amount} for ${tx.checkoutRequestId} - sale left awaiting payment`);
+    }
+
+    // A voided sale stays voided even if the money arrives late - it shows up for refunding
+    if (sale && sale.status === 'pending' && !shortPaid) {
+      getOutstandingMpesaTenders(sale).forEach(tender => {
+        tender.status = paid ? 'confirmed' : 'failed';
+        if (paid) tender.reference = tx.mpesaReceiptNumber;
+      });
+
+      if (paid && sale.payments.every(p => p.status === 'confirmed')) {
+        sale.status = 'completed';
+        sale.paymentStatus = 'paid';
+      } else if (!paid) {
+        sale.paymentStatus = 'failed';
+      }
+
+      await sale.save({ session });
+    }
+
+    await session.commitTransaction();
+    session.endSession();
+
+    // Paid in full - the sale can now go to KRA eTIMS
+    if (sale?.status === 'completed') {
+      submitSaleInvoice(sale._id).catch(err => console.error('Failed to queue eTIMS invoice:', err.message));
+    }
+
+    return { transaction: tx, sale };
+  } catch (error) {
+    await session.abortTransaction();
+    session.endSession();
+    throw error;
+  }
+};
+
+// Where Daraja posts the result, carrying the token the callback route checks
+const getCallbackUrl = () => {
+  if (!process.env.MPESA_CALLBACK_URL) return undefined;
+  const url = new URL(process.env.MPESA_CALLBACK_URL);
+  if (process.env.MPESA_CALLBACK_TOKEN) url.searchParams.set('token', process.env.MPESA_CALLBACK_TOKEN);
+  return url.toString();
+};
+
+/**
+ * Send an STK Push prompt for the outstanding M-Pesa amount on a pending sale
+ * @returns {Object} The created MpesaTransaction and the provider's customer message
+ */
+export const initiateStkPush = async ({ sale, phone, userId }) => {
+  const mpesa = getMpesaProvider();
+  const tenders = getOutstandingMpesaTenders(sale);
+  // M-Pesa only moves whole shillings
+  const amount = Math.ceil(tenders.reduce((sum, t) => sum + t.amount, 0));
+
+  const result = await mpesa.initiateStkPush({
+    phone,
+    amount,
+    accountReference: sale.receiptNumber,
+    description: 'Pharmacy sale',
+    callbackUrl: getCallbackUrl()
+  });
+
+  if (result.responseCode !== '0') {
+    throw new Error(result.responseDescription || 'M-Pesa rejected the payment request');
+  }
+
+  const transaction = await MpesaTransaction.create({
+    pharmacy: sale.pharmacy,
+    sale: sale._id,
+    initiatedBy: userId,
+    provider: mpesa.name,
+    phone,
+    amount,
+    accountReference: sale.receiptNumber,
+    merchantRequestId: result.merchantRequestId,
+    checkoutRequestId: result.checkoutRequestId
+  });
+
+  tenders.forEach(tender => {
+    tender.status = 'pending';
+    tender.phone = phone;
+  });
+  sale.paymentStatus = 'awaiting_payment';
+  await sale.save();
+
+  return { transaction, customerMessage: result.customerMessage };
+};
+
+// Fill in the receipt number on a transaction, and its sale's M-Pesa tenders, after the fact
+const recordLateReceiptNumber = async (tx, mpesaReceiptNumber) => {
+  tx.mpesaReceiptNumber = mpesaReceiptNumber;
+  await tx.save();
+
+  await Sale.updateOne(
+    { _id: tx.sale },
+    { $set: { 'payments.$[tender].reference': mpesaReceiptNumber } },
+    { arrayFilters: [{ 'tender.method': 'mpesa', 'tender.status': 'confirmed', 'tender.reference': null }] }
+  );
+};
+
+/**
+ * Handle a Daraja STK callback (also fed directly by the simulator)
+ * Safe to call more than once - already settled transactions are left alone
+ */
+export async function handleStkCallback(payload) {
+  const outcome = parseStkCallback(payload);
+  if (!outcome) {
+    console.warn('Ignoring malformed M-Pesa callback');
+    return null;
+  }
+
+  const tx = await MpesaTransaction.findOne({ checkoutRequestId: outcome.checkoutRequestId });
+  if (!tx) {
+    console.warn(`M-Pesa callback for unknown CheckoutRequestID ${outcome.checkoutRequestId}`);
+    return null;
+  }
+
+  if (tx.status !== 'pending') {
+    // Confirmed by a status query, which carries no receipt number - take it from the callback
+    if (tx.status === 'completed' && !tx.mpesaReceiptNumber && outcome.mpesaReceiptNumber) {
+      await recordLateReceiptNumber(tx, outcome.mpesaReceiptNumber);
+    }
+    // The query that confirmed it could not see the amount - flag a short payment for the owner
+    if (tx.status === 'completed' && outcome.resultCode === 0 && isShortPayment(tx, outcome.amount) && !tx.amountMismatch) {
+      tx.amountReceived = Number(outcome.amount);
+      tx.amountMismatch = true;
+      await tx.save();
+      console.warn(`M-Pesa paid ${outcome.amount} of ${tx.amount} for ${tx.checkoutRequestId} after the sale was confirmed`);
+    }
+    return { transaction: tx, duplicate: true };
+  }
+
+  return applyPaymentOutcome(tx, { ...outcome, payload }, 'callback');
+}
+
+/**
+ * Ask the provider for the result of a pending STK Push (when the callback is slow or lost)
+ * @returns {Object} { transaction, sale } - unchanged while the customer has not answered
+ */
+export const refreshStkStatus = async (tx, userId = null) => {
+  if (tx.status !== 'pending') {
+    return { transaction: tx, sale: null };
+  }
+
+  let result;
+  try {
+    result = await getMpesaProvider().queryStkPush(tx.checkoutRequestId);
+  } catch (error) {
+    // Daraja answers with an error until the customer responds
+    return { transaction: tx, sale: null, pendingReason: error.message };
+  }
+
+  return applyPaymentOutcome(tx, result, 'query', userId);
+};
+
+/**
+ * Match an M-Pesa transaction code (from the customer's SMS) to a sale
+ * Used when the callback never arrived. Owners may confirm manually if the
+ * provider cannot vouch for the payment (e.g. paid to the till directly).
+ * @returns {Object} { outcome, transaction, sale, message }
+ */
+export const reconcileByTransactionCode = async ({ pharmacyId, transactionCode, sale, user }) => {
+  const code = transactionCode.trim().toUpperCase();
+
+  const matched = await MpesaTransaction.findOne({ pharmacy: pharmacyId, mpesaReceiptNumber: code });
+  if (matched) {
+    if (sale && matched.sale.toString() !== sale._id.toString()) {
+      return { outcome: 'conflict', transaction: matched, message: `Transaction code ${code} is already used on another sale` };
+    }
+    return { outcome: 'already_reconciled', transaction: matched, message: `Transaction code ${code} is already recorded` };
+  }
+
+  const reused = await Sale.findOne({ pharmacy: pharmacyId, 'payments.reference': code });
+  if (reused) {
+    return { outcome: 'conflict', message: `Transaction code ${code} is already used on sale ${reused.receiptNumber}` };
+  }
+
+  if (!sale) {
+    return { outcome: 'not_found', message: `No payment found for transaction code ${code}. Provide the sale it belongs to` };
+  }
+
+  const tx = await MpesaTransaction.findOne({
+    pharmacy: pharmacyId,
+    sale: sale._id,
+    status: { $in: ['pending', 'failed'] }
+  }).sort({ createdAt: -1 });
+
+  // First ask Safaricom whether the latest prompt for this sale was paid
+  if (tx) {
+    try {
+      const result = await getMpesaProvider().queryStkPush(tx.checkoutRequestId);
+      if (result.resultCode === 0) {
+        // Only the provider's receipt number is recorded. Daraja's status query does not return
+        // one, so it is filled in when the late callback arrives rather than trusting the typed code.
+        const receipt = result.mpesaReceiptNumber?.toUpperCase();
+        if (receipt && receipt !== code) {
+          return {
+            outcome: 'mismatch',
+            transaction: tx,
+            message: `M-Pesa recorded this payment as ${receipt}, not ${code}. Check the code on the customer's SMS`
+          };
+        }
+
+        const applied = await applyPaymentOutcome(tx, result, 'query', user.id);
+        return { outcome: 'confirmed', ...applied, message: 'Payment confirmed with M-Pesa' };
+      }
+    } catch (error) {
+      // Fall through to manual confirmation
+    }
+  }
+
+  if (user.role !== 'pharmacy_owner') {
+    return {
+      outcome: 'unconfirmed',
+      transaction: tx,
+      message: 'M-Pesa could not confirm this payment. Ask the pharmacy owner to confirm it manually'
+    };
+  }
+
+  const amount = Math.ceil(getOutstandingMpesaTenders(sale).reduce((sum, t) => sum + t.amount, 0));
+  const manualTx = tx || await MpesaTransaction.create({
+    pharmacy: pharmacyId,
+    sale: sale._id,
+    initiatedBy: user.id,
+    provider: getMpesaProvider().name,
+    phone: getOutstandingMpesaTenders(sale)[0]?.phone || 'unknown',
+    amount,
+    accountReference: sale.receiptNumber,
+    checkoutRequestId: `MANUAL-${code}`
+  });
+
+  const applied = await applyPaymentOutcome(manualTx, {
+    resultCode: 0,
+    resultDesc: 'Confirmed manually by pharmacy owner',
+    mpesaReceiptNumber: code
+  }, 'manual', user.id);
+
+  return { outcome: 'confirmed', ...applied, message: 'Payment confirmed manually' };
+};
+
+export default {
+  getMpesaProvider,
+  setMpesaProvider,
+  formatMpesaPhone,
+  getOutstandingMpesaTenders,
+  initiateStkPush,
+  handleStkCallback,
+  refreshStkStatus,
+  reconcileByTransactionCode
+};
@@ -0,0 +1,226 @@
+// src/services/productImportService.js
+// Reading and writing the product catalogue as CSV/XLSX
+import { Readable } from 'stream';
+import ExcelJS from 'exceljs';
+
+export const SPREADSHEET_FORMATS = ['csv', 'xlsx'];
+
+/**
+ * Columns the import understands, in export order
+ * key is the column name in exports (and the default header matched on import), path the Product field
+ */
+export const PRODUCT_COLUMNS = [
+  { key: 'sku', path: 'sku', type: 'string' },
+  { key: 'barcode', path: 'barcode', type: 'string' },
+  { key: 'name', path: 'name', type: 'string', aliases: ['product', 'product name', 'item'] },
+  { key: 'description', path: 'description', type: 'string' },
+  { key: 'category', path: 'category', type: 'string' },
+  { key: 'drugType', path: 'drugType', type: 'string', aliases: ['drug type', 'type'] },
+  { key: 'taxClass', path: 'taxClass', type: 'string', aliases: ['tax class', 'vat'] },
+  { key: 'unitType', path: 'unitType', type: 'string', aliases: ['unit type', 'unit'] },
+  { key: 'unitsPerPack', path: 'pricing.unitsPerPack', type: 'number', aliases: ['units per pack', 'pack size'] },
+  { key: 'costPerPack', path: 'pricing.costPerPack', type: 'number', aliases: ['cost per pack', 'cost', 'cost price'] },
+  { key: 'sellingPricePerPack', path: 'pricing.sellingPricePerPack', type: 'number', aliases: ['selling price per pack', 'selling price', 'price'] },
+  { key: 'sellingPricePerUnit', path: 'pricing.sellingPricePerUnit', type: 'number', aliases: ['selling price per unit', 'unit price', 'loose price'] },
+  { key: 'fullPacks', path: 'stock.fullPacks', type: 'number', aliases: ['full packs', 'packs', 'quantity'], stock: true },
+  { key: 'looseUnits', path: 'stock.looseUnits', type: 'number', aliases: ['loose units'], stock: true },
+  { key: 'minStockLevel', path: 'stock.minStockLevel', type: 'number', aliases: ['min stock', 'reorder level'] },
+  { key: 'maxStockLevel', path: 'stock.maxStockLevel', type: 'number', aliases: ['max stock'] },
+  { key: 'batchNumber', path: 'batchNumber', type: 'string', aliases: ['batch number', 'batch'], stock: true },
+  { key: 'expiryDate', path: 'expiryDate', type: 'date', aliases: ['expiry date', 'expiry'], stock: true },
+  { key: 'manufacturer', path: 'manufacturer', type: 'string' },
+  { key: 'supplier', path: 'supplier', type: 'string' },
+  { key: 'isPrescriptionRequired', path: 'isPrescriptionRequired', type: 'boolean', aliases: ['prescription required', 'rx'] },
+  { key: 'status', path: 'status', type: 'string' }
+];
+
+const normalizeHeader = (value) => String(value ?? '').trim().toLowerCase().replace(/[\s_-]+/g, ' ');
+
+// Helper: Plain value out of an ExcelJS cell (rich text, formulas, hyperlinks)
+const cellValue = (value) => {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return value;
+  if (typeof value === 'object') {
+    if (Array.isArray(value.richText)) return value.richText.map(part => part.text).join('');
+    if (value.result !== undefined) return cellValue(value.result);
+    if (value.text !== undefined) return cellValue(value.text);
+    return '';
+  }
+  return value;
+};
+
+/**
+ * Read the first worksheet of a CSV/XLSX upload
+ * @returns {Object} { headers, rows: [{ rowNumber, values: { header: value } }] } - blank rows are dropped
+ */
+export const readSpreadsheet = async (buffer, format) => {
+  const workbook = new ExcelJS.Workbook();
+  let worksheet;
+
+  if (format === 'xlsx') {
+    await workbook.xlsx.load(buffer);
+    worksheet = workbook.worksheets[0];
+  } else {
+    // Keep cells as text so SKUs like 00123 survive; columns are typed below
+    worksheet = await workbook.csv.read(Readable.from([buffer]), { map: value => value });
+  }
+
+  if (!worksheet || worksheet.rowCount === 0) return { headers: [], rows: [] };
+
+  const headers = [];
+  worksheet.getRow(1).eachCell((cell, column) => {
+    headers[column] = String(cellValue(cell.value)).trim();
+  });
+
+  const rows = [];
+  worksheet.eachRow((row, rowNumber) => {
+    if (rowNumber === 1) return;
+    const values = {};
+    let blank = true;
+    headers.forEach((header, column) => {
+      if (!header) return;
+      const value = cellValue(row.getCell(column).value);
+      if (value !== '') blank = false;
+      values[header] = value;
+    });
+    if (!blank) rows.push({ rowNumber, values });
+  });
+
+  return { headers: headers.filter(Boolean), rows };
+};
+
+/**
+ * Which spreadsheet header feeds each product column
+ * An explicit mapping ({ columnKey: 'Header in file' }) wins; other columns are matched by name or alias
+ * @returns {Object} { mapping: { columnKey: header }, unknownColumns, unmappedHeaders }
+ */
+export const resolveColumnMapping = (headers, explicit = {}) => {
+  const byNormalized = new Map(headers.map(header => [normalizeHeader(header), header]));
+  const mapping = {};
+  const unknownColumns = [];
+
+  for (const [key, header] of Object.entries(explicit)) {
+    if (!PRODUCT_COLUMNS.some(column => column.key === key)) {
+      unknownColumns.push(key);
+    } else if (header && byNormalized.has(normalizeHeader(header))) {
+      mapping[key] = byNormalized.get(normalizeHeader(header));
+    }
+  }
+
+  for (const column of PRODUCT_COLUMNS) {
+    if (mapping[column.key] || explicit[column.key] !== undefined) continue;
+    const match = [column.key, ...(column.aliases || [])]
+      .map(normalizeHeader)
+      .find(name => byNormalized.has(name));
+    if (match) mapping[column.key] = byNormalized.get(match);
+  }
+
+  const used = new Set(Object.values(mapping));
+  return {
+    mapping,
+    unknownColumns,
+    unmappedHeaders: headers.filter(header => !used.has(header))
+  };
+};
+
+const setPath = (target, path, value) => {
+  const keys = path.split('.');
+  const last = keys.pop();
+  const parent = keys.reduce((node, key) => (node[key] = node[key] || {}), target);
+  parent[last] = value;
+};
+
+const TRUE_VALUES = ['true', 'yes', 'y', '1'];
+const FALSE_VALUES = ['false', 'no', 'n', '0'];
+
+/**
+ * Turn one spreadsheet row into Product fields
+ * Empty cells are left out, so an update only touches the columns that were filled in
+ * @returns {Object} { data, errors, hasStock }
+ */
+export const buildProductRow = (values, mapping) => {
+  const data = {};
+  const errors = [];
+  let hasStock = false;
+
+  for (const column of PRODUCT_COLUMNS) {
+    const header = mapping[column.key];
+    if (!header) continue;
+
+    const raw = values[header];
+    if (raw === undefined || raw === null || String(raw).trim() === '') continue;
+
+    let value;
+    if (column.type === 'number') {
+      value = typeof raw === 'number' ? raw : Number(String(raw).replace(/,/g, '').trim());
+      if (!Number.isFinite(value)) {
+        errors.push(`${column.key}: "${raw}" is not a number`);
+        continue;
+      }
+    } else if (column.type === 'date') {
+      value = raw instanceof Date ? raw : new Date(String(raw).trim());
+      if (Number.isNaN(value.getTime())) {
+        errors.push(`${column.key}: "${raw}" is not a date`);
+        continue;
+      }
+    } else if (column.type === 'boolean') {
+      const text = String(raw).trim().toLowerCase();
+      if (TRUE_VALUES.includes(text)) value = true;
+      else if (FALSE_VALUES.includes(text)) value = false;
+      else {
+        errors.push(`${column.key}: "${raw}" is not yes/no`);
+        continue;
+      }
+    } else {
+      value = String(raw).trim();
+    }
+
+    if (column.stock) hasStock = true;
+    setPath(data, column.path, value);
+  }
+
+  if (data.sku) data.sku = data.sku.toUpperCase();
+
+  return { data, errors, hasStock };
+};
+
+const getPath = (source, path) => path.split('.').reduce((node, key) => node?.[key], source);
+
+/**
+ * Products as a CSV or XLSX file, one column per PRODUCT_COLUMNS entry - the import reads it back as is
+ * @returns {Buffer}
+ */
+export const buildProductSpreadsheet = async (products, format) => {
+  const workbook = new ExcelJS.Workbook();
+  const worksheet = workbook.addWorksheet('Products');
+
+  worksheet.columns = PRODUCT_COLUMNS.map(column => ({
+    header: column.key,
+    key: column.key,
+    width: column.type === 'string' ? 20 : 14
+  }));
+
+  for (const product of products) {
+    const row = {};
+    PRODUCT_COLUMNS.forEach(column => {
+      const value = getPath(product, column.path);
+      row[column.key] = column.type === 'date' && value
+        ? new Date(value).toISOString().slice(0, 10)
+        : value ?? '';
+    });
+    worksheet.addRow(row);
+  }
+
+  if (format === 'xlsx') {
+    worksheet.getRow(1).font = { bold: true };
+    return Buffer.from(await workbook.xlsx.writeBuffer());
+  }
+  return Buffer.from(await workbook.csv.writeBuffer());
+};
+
+export default {
+  readSpreadsheet,
+  resolveColumnMapping,
+  buildProductRow,
+  buildProductSpreadsheet
+};
@@ -0,0 +1,181 @@
+// src/services/receipt/escposRenderer.js
+// Renders a receipt (see receiptService.buildReceipt) as raw ESC/POS bytes
+// for 58mm and 80mm thermal printers. Sent straight to the printer by the POS client.
+
+// Characters per line in the default font (Font A)
+export const PAPER_WIDTHS = {
+  58: 32,
+  80: 48
+};
+
+const ESC = 0x1b;
+const GS = 0x1d;
+const FS = 0x1c;
+
+const COMMANDS = {
+  init: [ESC, 0x40],
+  alignLeft: [ESC, 0x61, 0x00],
+  alignCenter: [ESC, 0x61, 0x01],
+  boldOn: [ESC, 0x45, 0x01],
+  boldOff: [ESC, 0x45, 0x00],
+  doubleSize: [GS, 0x21, 0x11],
+  normalSize: [GS, 0x21, 0x00],
+  // Logo uploaded to the printer's NV memory (slot 1) with the vendor's utility. An empty
+  // slot prints nothing or garbage, so it is only sent when settings.printStoredLogo is on
+  printStoredLogo: [FS, 0x70, 0x01, 0x00],
+  feedAndCut: [GS, 0x56, 0x42, 0x03]
+};
+
+// GS ( k - native QR code: model 2, module size 5, error correction M
+const qrCode = (data) => {
+  const bytes = Buffer.from(toPrintable(data), 'ascii');
+  const length = bytes.length + 3;
+  return Buffer.concat([
+    Buffer.from([GS, 0x28, 0x6b, 0x04, 0x00, 0x31, 0x41, 0x32, 0x00]),
+    Buffer.from([GS, 0x28, 0x6b, 0x03, 0x00, 0x31, 0x43, 0x05]),
+    Buffer.from([GS, 0x28, 0x6b, 0x03, 0x00, 0x31, 0x45, 0x31]),
+    Buffer.from([GS, 0x28, 0x6b, length % 256, Math.floor(length / 256), 0x31, 0x50, 0x30]),
+    bytes,
+    Buffer.from([GS, 0x28, 0x6b, 0x03, 0x00, 0x31, 0x51, 0x30])
+  ]);
+};
+
+// Thermal printers only know their code page - keep to printable ASCII
+const toPrintable = (text) => String(text ?? '')
+  .normalize('NFKD')
+  .replace(/[^\x20-\x7e\n]/g, '');
+
+// Word-wrap text to the paper width
+const wrap = (text, width) => {
+  const lines = [];
+  toPrintable(text).split('\n').forEach(paragraph => {
+    let line = '';
+    paragraph.split(' ').forEach(word => {
+      while (word.length > width) {
+        if (line) { lines.push(line); line = ''; }
+        lines.push(word.slice(0, width));
+        word = word.slice(width);
+      }
+      if ((line ? line.length + 1 : 0) + word.length > width) {
+        lines.push(line);
+        line = word;
+      } else {
+        line = line ? `${line} ${word}` : word;
+      }
+    });
+    lines.push(line);
+  });
+  return lines;
+};
+
+// "Label ........ value" on one line, value right-aligned
+const columns = (left, right, width) => {
+  const rightText = toPrintable(right);
+  const leftText = toPrintable(left).slice(0, Math.max(width - rightText.length - 1, 0));
+  return leftText + ' '.repeat(Math.max(width - leftText.length - rightText.length, 1)) + rightText;
+};
+
+/**
+ * @param {Object} receipt - Output of receiptService.buildReceipt
+ * @param {Object} options - width (58|80)
+ * @returns {Buffer} ESC/POS byte stream
+ */
+export const renderEscPos = (receipt, { width = 80 } = {}) => {
+  const cols = PAPER_WIDTHS[width] || PAPER_WIDTHS[80];
+  const chunks = [];
+
+  const command = (bytes) => chunks.push(Buffer.from(bytes));
+  const text = (value = '') => chunks.push(Buffer.from(`${toPrintable(value)}\n`, 'ascii'));
+  const wrapped = (value) => wrap(value, cols).forEach(line => text(line));
+  const rule = (char = '-') => text(char.repeat(cols));
+  const row = (left, right) => text(columns(left, right, cols));
+
+  const { pharmacy, sale, money } = receipt;
+
+  command(COMMANDS.init);
+  command(COMMANDS.alignCenter);
+
+  if (receipt.isCopy) {
+    command(COMMANDS.doubleSize);
+    text('*** COPY ***');
+    command(COMMANDS.normalSize);
+  }
+  if (receipt.banner) {
+    command(COMMANDS.boldOn);
+    text(receipt.banner);
+    command(COMMANDS.boldOff);
+  }
+
+  if (pharmacy.storedLogo) command(COMMANDS.printStoredLogo);
+
+  command(COMMANDS.boldOn);
+  wrapped(pharmacy.name);
+  command(COMMANDS.boldOff);
+  pharmacy.addressLines.forEach(line => wrapped(line));
+  if (pharmacy.phone) text(`Tel: ${pharmacy.phone}`);
+  if (pharmacy.email) wrapped(pharmacy.email);
+  if (receipt.header) wrapped(receipt.header);
+
+  command(COMMANDS.alignLeft);
+  rule();
+  row('Receipt:', sale.receiptNumber);
+  row('Date:', sale.date);
+  if (sale.servedBy) row('Served by:', sale.servedBy);
+  rule();
+
+  sale.items.forEach(item => {
+    wrapped(item.name);
+    row(`  ${item.quantity}${item.unit === 'pack' ? ' pk' : ''} x ${money(item.unitPrice)}`, money(item.gross));
+    if (item.discountAmount > 0) row('  Discount', `-${money(item.discountAmount)}`);
+  });
+
+  rule();
+  row('Subtotal', money(sale.subtotal));
+  if (sale.discountTotal > 0) row('Discounts', `-${money(sale.discountTotal)}`);
+  if (receipt.tax && !receipt.tax.pricesIncludeTax) row('VAT', money(receipt.tax.total));
+  command(COMMANDS.boldOn);
+  row('TOTAL', `${receipt.currency} ${money(sale.totalAmount)}`);
+  command(COMMANDS.boldOff);
+  rule();
+
+  if (receipt.tax) {
+    row(receipt.tax.pricesIncludeTax ? 'Tax (included)' : 'Tax', 'Taxable / Tax');
+    receipt.tax.lines.forEach(line => {
+      row(`  ${line.label}`, `${money(line.taxableAmount)} / ${money(line.taxAmount)}`);
+    });
+    rule();
+  }
+
+  sale.payments.forEach(payment => {
+    row(payment.label, money(payment.amount));
+    if (payment.reference) text(`  Ref: ${payment.reference}`);
+  });
+  if (sale.changeDue > 0) row('Change', money(sale.changeDue));
+  if (sale.refundedAmount > 0) row('Refunded', `-${money(sale.refundedAmount)}`);
+
+  rule();
+  command(COMMANDS.alignCenter);
+
+  if (receipt.etims) {
+    text('KRA eTIMS');
+    wrapped(`CU Serial: ${receipt.etims.controlUnitId}`);
+    wrapped(`CU Invoice: ${receipt.etims.invoiceNumber}`);
+    wrapped(`Internal Data: ${receipt.etims.internalData}`);
+    wrapped(`Signature: ${receipt.etims.receiptSignature}`);
+    if (receipt.etims.qrData) chunks.push(qrCode(receipt.etims.qrData));
+    text(receipt.etims.date);
+    rule();
+  }
+
+  if (receipt.footer) wrapped(receipt.footer);
+  if (receipt.isCopy) text(`Reprinted ${receipt.printedAt}`);
+
+  command(COMMANDS.feedAndCut);
+
+  return Buffer.concat(chunks);
+};
+
+export default {
+  PAPER_WIDTHS,
+  renderEscPos
+};
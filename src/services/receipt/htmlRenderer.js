@@ -0,0 +1,116 @@
+// src/services/receipt/htmlRenderer.js
+// Renders a receipt (see receiptService.buildReceipt) as a self-contained HTML
+// page - used for emailed receipts and "print to PDF" from the browser.
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const row = (label, value, style = '') => `
+        <tr${style ? ` style="${style}"` : ''}>
+          <td>${escapeHtml(label)}</td>
+          <td style="text-align: right;">${escapeHtml(value)}</td>
+        </tr>`;
+
+/**
+ * @param {Object} receipt - Output of receiptService.buildReceipt
+ * @returns {string} HTML document
+ */
+export const renderReceiptHtml = (receipt) => {
+  const { pharmacy, sale, money } = receipt;
+
+  const items = sale.items.map(item => `
+        <tr>
+          <td>
+            ${escapeHtml(item.name)}<br>
+            <small>${item.quantity}${item.unit === 'pack' ? ' pk' : ''} x ${escapeHtml(money(item.unitPrice))}</small>
+            ${item.discountAmount > 0 ? `<br><small>Discount -${escapeHtml(money(item.discountAmount))}</small>` : ''}
+          </td>
+          <td style="text-align: right; vertical-align: top;">${escapeHtml(money(item.gross))}</td>
+        </tr>`).join('');
+
+  const tax = receipt.tax
+    ? `
+  <div class="rule"></div>
+  <table>
+        <tr><td><small>${receipt.tax.pricesIncludeTax ? 'Tax (included)' : 'Tax'}</small></td><td style="text-align: right;"><small>Taxable</small></td><td style="text-align: right;"><small>Tax</small></td></tr>${receipt.tax.lines.map(line => `
+        <tr>
+          <td>${escapeHtml(line.label)}</td>
+          <td style="text-align: right;">${escapeHtml(money(line.taxableAmount))}</td>
+          <td style="text-align: right;">${escapeHtml(money(line.taxAmount))}</td>
+        </tr>`).join('')}
+  </table>`
+    : '';
+
+  const payments = sale.payments.map(payment =>
+    row(payment.reference ? `${payment.label} (${payment.reference})` : payment.label, money(payment.amount))
+  ).join('');
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <title>Receipt ${escapeHtml(sale.receiptNumber)}</title>
+  <style>
+    @page { size: 80mm auto; margin: 4mm; }
+    body { font-family: Arial, sans-serif; font-size: 13px; max-width: 360px; margin: 0 auto; color: #222; }
+    table { width: 100%; border-collapse: collapse; }
+    td { padding: 3px 0; }
+    .center { text-align: center; }
+    .rule { border-top: 1px dashed #999; margin: 8px 0; }
+    .stamp { border: 2px solid ${escapeHtml(pharmacy.primaryColor || '#c00')}; color: ${escapeHtml(pharmacy.primaryColor || '#c00')}; font-weight: bold; letter-spacing: 4px; padding: 4px; margin-bottom: 8px; }
+  </style>
+</head>
+<body>
+  <div class="center">
+    ${receipt.isCopy ? '<div class="stamp">COPY</div>' : ''}
+    ${receipt.banner ? `<div class="stamp">${escapeHtml(receipt.banner)}</div>` : ''}
+    ${pharmacy.logo ? `<img src="${escapeHtml(pharmacy.logo)}" alt="${escapeHtml(pharmacy.name)}" style="max-width: 160px; max-height: 80px;"><br>` : ''}
+    <strong style="font-size: 16px;">${escapeHtml(pharmacy.name)}</strong><br>
+    ${pharmacy.addressLines.map(escapeHtml).join('<br>')}
+    ${pharmacy.phone ? `<br>Tel: ${escapeHtml(pharmacy.phone)}` : ''}
+    ${pharmacy.email ? `<br>${escapeHtml(pharmacy.email)}` : ''}
+    ${receipt.header ? `<p>${escapeHtml(receipt.header)}</p>` : ''}
+  </div>
+
+  <div class="rule"></div>
+  <table>${row('Receipt', sale.receiptNumber)}${row('Date', sale.date)}${sale.servedBy ? row('Served by', sale.servedBy) : ''}
+  </table>
+
+  <div class="rule"></div>
+  <table>${items}
+  </table>
+
+  <div class="rule"></div>
+  <table>${row('Subtotal', money(sale.subtotal))}${sale.discountTotal > 0 ? row('Discounts', `-${money(sale.discountTotal)}`) : ''}${receipt.tax && !receipt.tax.pricesIncludeTax ? row('VAT', money(receipt.tax.total)) : ''}${row('TOTAL', `${receipt.currency} ${money(sale.totalAmount)}`, 'font-weight: bold; font-size: 15px;')}
+  </table>
+${tax}
+  <div class="rule"></div>
+  <table>${payments}${sale.changeDue > 0 ? row('Change', money(sale.changeDue)) : ''}${sale.refundedAmount > 0 ? row('Refunded', `-${money(sale.refundedAmount)}`) : ''}
+  </table>
+
+  <div class="rule"></div>
+  ${receipt.etims ? `<div class="center">
+    <strong>KRA eTIMS</strong><br>
+    <small>CU Serial: ${escapeHtml(receipt.etims.controlUnitId)}<br>
+    CU Invoice: ${escapeHtml(receipt.etims.invoiceNumber)}<br>
+    Internal Data: ${escapeHtml(receipt.etims.internalData)}<br>
+    Signature: ${escapeHtml(receipt.etims.receiptSignature)}<br>
+    ${escapeHtml(receipt.etims.date)}</small><br>
+    ${receipt.etims.qrData ? `<a href="${escapeHtml(receipt.etims.qrData)}">Verify with KRA</a>` : ''}
+  </div>
+  <div class="rule"></div>` : ''}
+  <div class="center">
+    ${receipt.footer ? `<p>${escapeHtml(receipt.footer)}</p>` : ''}
+    ${receipt.isCopy ? `<small>Reprinted ${escapeHtml(receipt.printedAt)}</small>` : ''}
+  </div>
+</body>
+</html>`;
+};
+
+export default {
+  renderReceiptHtml
+};
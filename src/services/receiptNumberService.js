@@ -0,0 +1,145 @@
+// src/services/receiptNumberService.js
+// Sequential receipt numbers per pharmacy, formatted from the owner's settings.
+// Tokens: {SEQ} or {SEQ:6} (zero-padded), {FY} fiscal year, {YYYY} calendar year, {BRANCH} eTIMS branch id
+import Counter from '../models/Counter.js';
+import Sale from '../models/Sale.js';
+import { DEFAULT_TENANT_SETTINGS } from '../config/tenantConfig.js';
+
+const SEQ_TOKEN = /\{SEQ(?::(\d{1,2}))?\}/g;
+
+// Helper: Year and month of a date on the pharmacy's clock
+const datePartsIn = (date, timeZone) => {
+  const parts = new Intl.DateTimeFormat('en-GB', { timeZone, year: 'numeric', month: 'numeric' }).formatToParts(date);
+  const part = (type) => Number(parts.find(entry => entry.type === type).value);
+  return { year: part('year'), month: part('month') };
+};
+
+/**
+ * Fiscal year a date falls in: "2026" when it follows the calendar, else "2026-27" for July 2026 - June 2027
+ * @returns {string}
+ */
+export const fiscalYearLabel = (date, startMonth = 1, timeZone = DEFAULT_TENANT_SETTINGS.timezone) => {
+  const { year, month } = datePartsIn(date, timeZone);
+  if (startMonth === 1) return String(year);
+  const startYear = month >= startMonth ? year : year - 1;
+  return `${startYear}-${String((startYear + 1) % 100).padStart(2, '0')}`;
+};
+
+export const formatReceiptNumber = (format, { seq, fiscalYear, year, branch }) => format
+  .replace(SEQ_TOKEN, (token, width) => String(seq).padStart(Number(width || 1), '0'))
+  .replace(/\{FY\}/g, fiscalYear)
+  .replace(/\{YYYY\}/g, year)
+  .replace(/\{BRANCH\}/g, branch);
+
+// Helper: Numbering settings with defaults filled in
+const numberingSettings = (pharmacy) => ({
+  format: pharmacy?.settings?.receiptNumberFormat ?? DEFAULT_TENANT_SETTINGS.receiptNumberFormat,
+  reset: pharmacy?.settings?.receiptNumberReset ?? DEFAULT_TENANT_SETTINGS.receiptNumberReset,
+  perBranch: pharmacy?.settings?.receiptNumberPerBranch ?? DEFAULT_TENANT_SETTINGS.receiptNumberPerBranch,
+  fiscalYearStartMonth: pharmacy?.settings?.fiscalYearStartMonth ?? DEFAULT_TENANT_SETTINGS.fiscalYearStartMonth,
+  timeZone: pharmacy?.settings?.timezone ?? DEFAULT_TENANT_SETTINGS.timezone
+});
+
+/**
+ * Check a combination of numbering settings can never issue the same number twice
+ * @returns {string|null} error message, or null if the settings are usable
+ */
+export const receiptNumberingError = (settings) => {
+  const { receiptNumberFormat: format, receiptNumberReset: reset, receiptNumberPerBranch: perBranch, fiscalYearStartMonth } = settings;
+
+  if ((format.match(SEQ_TOKEN) || []).length !== 1) {
+    return 'receiptNumberFormat must contain {SEQ} exactly once, e.g. RCT-{SEQ:6}';
+  }
+  if (reset === 'fiscal_year' && !format.includes('{FY}') && !(fiscalYearStartMonth === 1 && format.includes('{YYYY}'))) {
+    return 'Numbers that restart every fiscal year need {FY} in receiptNumberFormat';
+  }
+  if (perBranch && !format.includes('{BRANCH}')) {
+    return 'Numbering per branch needs {BRANCH} in receiptNumberFormat';
+  }
+  return null;
+};
+
+// Helper: The counter a receipt number is drawn from, and the values its format is filled in with
+const receiptSequence = (pharmacy, date) => {
+  const settings = numberingSettings(pharmacy);
+  const branch = pharmacy?.etims?.branchId || '00';
+  const fiscalYear = fiscalYearLabel(date, settings.fiscalYearStartMonth, settings.timeZone);
+
+  const scope = [
+    settings.perBranch && `branch:${branch}`,
+    settings.reset === 'fiscal_year' && `fy:${fiscalYear}`
+  ].filter(Boolean).join('|') || 'all';
+
+  return {
+    format: settings.format,
+    scope,
+    parts: { fiscalYear, year: datePartsIn(date, settings.timeZone).year, branch }
+  };
+};
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Highest sequence number already on a receipt that looks like this format, e.g. 42 for INV/2026-27/0042
+ * A counter starting afresh after a numbering change carries on from here instead of re-issuing numbers
+ * @returns {number} 0 when nothing matches
+ */
+export const highestIssuedSeq = async (pharmacyId, format, parts) => {
+  // Fill in everything but the sequence, which may have been issued at any width
+  const marker = '\u0000';
+  const rendered = escapeRegex(formatReceiptNumber(format.replace(SEQ_TOKEN, marker), { ...parts, seq: '' }))
+    .replace(marker, '(\\d+)');
+  const pattern = new RegExp(`^${rendered}$`);
+
+  const [latest] = await Sale.aggregate([
+    { $match: { pharmacy: pharmacyId, receiptNumber: pattern } },
+    { $project: { receiptNumber: 1, length: { $strLenCP: '$receiptNumber' } } },
+    { $sort: { length: -1, receiptNumber: -1 } },
+    { $limit: 1 }
+  ]);
+
+  return latest ? Number(latest.receiptNumber.match(pattern)[1]) : 0;
+};
+
+/**
+ * Issue the next receipt number for a pharmacy inside the sale's transaction - aborted sales give it back
+ * @param {Object} pharmacy - with settings and etims.branchId
+ * @param {Date} date - when the sale was made (offline sales are numbered into the year they were sold in)
+ * @returns {string}
+ */
+export const nextReceiptNumber = async (pharmacy, session, date = new Date()) => {
+  const { format, scope, parts } = receiptSequence(pharmacy, date);
+
+  // A new run of numbers, e.g. after the reset or branch setting changed, starts past those already issued
+  const seq = await Counter.next(pharmacy._id, 'receipt', scope, session, {
+    start: () => highestIssuedSeq(pharmacy._id, format, parts)
+  });
+
+  return formatReceiptNumber(format, { ...parts, seq });
+};
+
+/**
+ * Move the pharmacy's current receipt counter past any number its format has already issued
+ * Called after the numbering settings or branch change - switching back to a run used before
+ * would otherwise carry on from where that run stopped and collide with numbers issued since
+ * @param {Object} pharmacy - with settings and etims.branchId, as saved
+ */
+export const syncReceiptCounter = async (pharmacy, date = new Date()) => {
+  const { format, scope, parts } = receiptSequence(pharmacy, date);
+  const highest = await highestIssuedSeq(pharmacy._id, format, parts);
+
+  await Counter.updateOne(
+    { pharmacy: pharmacy._id, name: 'receipt', scope },
+    { $max: { seq: highest } },
+    { upsert: true }
+  );
+};
+
+export default {
+  nextReceiptNumber,
+  syncReceiptCounter,
+  highestIssuedSeq,
+  formatReceiptNumber,
+  fiscalYearLabel,
+  receiptNumberingError
+};
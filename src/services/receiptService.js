@@ -0,0 +1,158 @@
+// src/services/receiptService.js
+// Turns a sale into printable receipts. buildReceipt gathers everything a
+// receipt shows; the renderers only lay it out for their medium.
+import { DEFAULT_TENANT_SETTINGS } from '../config/tenantConfig.js';
+import { TAX_CLASS_LABELS } from '../utils/taxUtils.js';
+import { lineAsSold } from '../utils/stockUtils.js';
+import { renderEscPos, PAPER_WIDTHS } from './receipt/escposRenderer.js';
+import { renderReceiptHtml } from './receipt/htmlRenderer.js';
+import { roundMoney } from '../utils/moneyUtils.js';
+
+export { PAPER_WIDTHS };
+
+const PAYMENT_LABELS = {
+  cash: 'Cash',
+  mpesa: 'M-Pesa',
+  card: 'Card',
+  bank_transfer: 'Bank transfer',
+  insurance: 'Insurance'
+};
+
+const formatMoney = (value) => Number(value || 0).toLocaleString('en-KE', {
+  minimumFractionDigits: 2,
+  maximumFractionDigits: 2
+});
+
+const formatDate = (date, timezone) => new Date(date).toLocaleString('en-GB', {
+  timeZone: timezone,
+  day: '2-digit',
+  month: '2-digit',
+  year: 'numeric',
+  hour: '2-digit',
+  minute: '2-digit'
+});
+
+/**
+ * Collect what goes on a receipt
+ * @param {Object} sale - Sale document (attendant populated for the "served by" line)
+ * @param {Object} pharmacy - Pharmacy (lean) - settings fall back to DEFAULT_TENANT_SETTINGS
+ * @param {Object} options - copy: stamp as a reprint
+ * @returns {Object} Medium-independent receipt
+ */
+export const buildReceipt = (sale, pharmacy, { copy = false } = {}) => {
+  const settings = { ...DEFAULT_TENANT_SETTINGS, ...(pharmacy.settings || {}) };
+  const timezone = settings.timezone;
+
+  const address = pharmacy.address || {};
+  const attendant = sale.attendant?.firstName
+    ? `${sale.attendant.firstName} ${sale.attendant.lastName || ''}`.trim()
+    : null;
+
+  // Cash is shown as tendered; change is printed separately
+  const payments = (sale.payments || []).map(payment => ({
+    label: PAYMENT_LABELS[payment.method] || payment.method,
+    amount: payment.amount,
+    reference: payment.reference,
+    status: payment.status
+  }));
+
+  // VAT summary per rate (KRA expects the taxable value and VAT for each)
+  const tax = settings.showTaxOnReceipt && sale.taxBreakdown?.length
+    ? {
+        pricesIncludeTax: sale.pricesIncludeTax !== false,
+        total: sale.taxTotal || 0,
+        lines: sale.taxBreakdown.map(entry => ({
+          label: entry.taxClass === 'standard'
+            ? `${TAX_CLASS_LABELS.standard} ${entry.rate}%`
+            : TAX_CLASS_LABELS[entry.taxClass],
+          rate: entry.rate,
+          taxableAmount: entry.taxableAmount,
+          taxAmount: entry.taxAmount
+        }))
+      }
+    : null;
+
+  const banners = {
+    cancelled: 'VOIDED',
+    refunded: 'REFUNDED',
+    pending: sale.hold?.status === 'held' ? 'HELD - NOT PAID' : 'AWAITING PAYMENT'
+  };
+
+  return {
+    isCopy: copy,
+    banner: banners[sale.status] || null,
+    printedAt: formatDate(new Date(), timezone),
+    currency: settings.currency,
+    header: settings.receiptHeader,
+    footer: settings.receiptFooter,
+    tax,
+    // KRA eTIMS control unit details, once KRA has accepted the invoice
+    etims: sale.etims?.status === 'transmitted'
+      ? {
+          controlUnitId: sale.etims.controlUnitId,
+          invoiceNumber: sale.etims.controlUnitInvoiceNumber,
+          internalData: sale.etims.internalData,
+          receiptSignature: sale.etims.receiptSignature,
+          qrData: sale.etims.qrData,
+          date: formatDate(sale.etims.transmittedAt, timezone)
+        }
+      : null,
+    money: formatMoney,
+    pharmacy: {
+      name: pharmacy.name,
+      logo: pharmacy.branding?.logo,
+      // Thermal printers print their own stored copy; the image itself is never sent
+      storedLogo: settings.printStoredLogo,
+      primaryColor: pharmacy.branding?.primaryColor,
+      addressLines: [
+        address.street,
+        [address.city, address.county].filter(Boolean).join(', ')
+      ].filter(Boolean),
+      phone: pharmacy.contact?.phone,
+      email: pharmacy.contact?.email
+    },
+    sale: {
+      receiptNumber: sale.receiptNumber,
+      date: formatDate(sale.hold?.resumedAt || sale.createdAt, timezone),
+      servedBy: attendant,
+      items: sale.items.map(item => {
+        const sold = lineAsSold(item);
+        return {
+          name: item.productName,
+          quantity: sold.quantity,
+          unit: sold.unit,
+          unitPrice: sold.price,
+          gross: roundMoney(sold.quantity * sold.price),
+          discountAmount: item.discountAmount || 0,
+          total: item.total
+        };
+      }),
+      subtotal: sale.subtotal,
+      discountTotal: sale.discountTotal || 0,
+      totalAmount: sale.totalAmount,
+      payments,
+      changeDue: sale.changeDue || 0,
+      refundedAmount: sale.refundedAmount || 0
+    }
+  };
+};
+
+/**
+ * Render a receipt
+ * @param {string} format - escpos | html | json
+ * @param {Object} options - width (58|80) for escpos
+ * @returns {Buffer|string|Object}
+ */
+export const renderReceipt = (receipt, format, { width } = {}) => {
+  if (format === 'escpos') return renderEscPos(receipt, { width });
+  if (format === 'html') return renderReceiptHtml(receipt);
+
+  const { money, ...data } = receipt;
+  return data;
+};
+
+export default {
+  PAPER_WIDTHS,
+  buildReceipt,
+  renderReceipt
+};
@@ -0,0 +1,162 @@
+// src/services/reportService.js
+import Sale from '../models/Sale.js';
+import { roundMoney } from '../utils/moneyUtils.js';
+
+// Money a sale actually took per tender - unpaid M-Pesa tenders don't count, change comes out of cash
+const paidTenders = (sale) => (sale.payments || [])
+  .filter(payment => payment.status !== 'pending' && payment.status !== 'failed')
+  .map(payment => ({
+    method: payment.method,
+    amount: payment.method === 'cash' ? payment.amount - (sale.changeDue || 0) : payment.amount
+  }));
+
+/**
+ * Build a Z-report for a till session (an X-report while the shift is still open)
+ * @param {Object} shift - Shift document
+ * @param {number} [countedCash] - Cash counted at close, used to work out the variance
+ * @returns {Object} Sales, tenders, refunds, voids and expected vs counted cash
+ */
+export const buildZReport = async (shift, countedCash) => {
+  const sales = await Sale.find({ shift: shift._id })
+    .select('receiptNumber status paymentStatus subtotal discountTotal totalAmount taxTotal taxBreakdown changeDue payments voidDetails.shift')
+    .lean();
+
+  // Refunds paid out of this drawer, whichever shift the original sale was in
+  const refundedSales = await Sale.find({ pharmacy: shift.pharmacy, 'refunds.shift': shift._id })
+    .select('refunds')
+    .lean();
+
+  // Paid sales from other shifts voided out of this drawer, e.g. after their own shift closed
+  const crossShiftVoids = await Sale.find({
+    pharmacy: shift.pharmacy,
+    'voidDetails.shift': shift._id,
+    shift: { $ne: shift._id },
+    paymentStatus: 'paid'
+  })
+    .select('receiptNumber shift totalAmount taxBreakdown changeDue payments')
+    .lean();
+
+  // A sale voided from another drawer was still paid into this one - the reversal is reported there
+  const voidedElsewhere = (sale) => sale.status === 'cancelled' && sale.paymentStatus === 'paid' &&
+    sale.voidDetails?.shift && sale.voidDetails.shift.toString() !== shift._id.toString();
+
+  const sold = sales.filter(sale => ['completed', 'refunded'].includes(sale.status) || voidedElsewhere(sale));
+  const voided = sales.filter(sale => sale.status === 'cancelled' && !voidedElsewhere(sale));
+  const pending = sales.filter(sale => sale.status === 'pending');
+
+  // Money in the drawer or on the phone
+  const tenders = {};
+  [...sold, ...pending].forEach(sale => {
+    paidTenders(sale).forEach(({ method, amount }) => {
+      tenders[method] = tenders[method] || { method, amount: 0, count: 0 };
+      tenders[method].amount += amount;
+      tenders[method].count += 1;
+    });
+  });
+
+  // VAT per class/rate - output tax on sales less tax given back on refunds
+  const vat = {};
+  const addVat = (taxClass, rate, taxableAmount, taxAmount) => {
+    const key = `${taxClass}:${rate}`;
+    vat[key] = vat[key] || { taxClass, rate, taxableAmount: 0, taxAmount: 0 };
+    vat[key].taxableAmount = roundMoney(vat[key].taxableAmount + taxableAmount);
+    vat[key].taxAmount = roundMoney(vat[key].taxAmount + taxAmount);
+  };
+  sold.forEach(sale => {
+    (sale.taxBreakdown || []).forEach(entry => addVat(entry.taxClass, entry.rate, entry.taxableAmount, entry.taxAmount));
+  });
+
+  const refundsByMethod = {};
+  let refundCount = 0;
+  refundedSales.forEach(sale => {
+    sale.refunds
+      .filter(refund => refund.shift?.toString() === shift._id.toString())
+      .forEach(refund => {
+        const method = refund.refundMethod || 'cash';
+        refundsByMethod[method] = roundMoney((refundsByMethod[method] || 0) + refund.amount);
+        refundCount += 1;
+        refund.items
+          .filter(item => item.taxClass)
+          .forEach(item => addVat(item.taxClass, item.taxRate, -(item.amount - item.taxAmount), -item.taxAmount));
+      });
+  });
+
+  // Paid back in full, tax included
+  const crossShiftByMethod = {};
+  crossShiftVoids.forEach(sale => {
+    paidTenders(sale).forEach(({ method, amount }) => {
+      crossShiftByMethod[method] = roundMoney((crossShiftByMethod[method] || 0) + amount);
+    });
+    (sale.taxBreakdown || []).forEach(entry => addVat(entry.taxClass, entry.rate, -entry.taxableAmount, -entry.taxAmount));
+  });
+
+  const cashSales = roundMoney(tenders.cash?.amount || 0);
+  const cashRefunds = refundsByMethod.cash || 0;
+  const cashVoids = crossShiftByMethod.cash || 0;
+  const expectedCash = roundMoney(shift.openingFloat + cashSales - cashRefunds - cashVoids);
+
+  const cash = {
+    openingFloat: shift.openingFloat,
+    cashSales,
+    cashRefunds,
+    cashVoids,
+    expectedCash
+  };
+
+  if (countedCash !== undefined && countedCash !== null) {
+    const variance = roundMoney(countedCash - expectedCash);
+    cash.countedCash = countedCash;
+    cash.variance = variance;
+    cash.varianceStatus = Math.abs(variance) < 0.01 ? 'balanced' : variance > 0 ? 'over' : 'short';
+  }
+
+  const sum = (list, field) => roundMoney(list.reduce((total, sale) => total + (sale[field] || 0), 0));
+
+  return {
+    type: shift.status === 'closed' || countedCash !== undefined ? 'Z' : 'X',
+    shift: shift._id,
+    attendant: shift.attendant,
+    openedAt: shift.openedAt,
+    closedAt: shift.closedAt,
+    generatedAt: new Date(),
+    sales: {
+      count: sold.length,
+      grossSales: sum(sold, 'subtotal'),
+      discounts: sum(sold, 'discountTotal'),
+      netSales: sum(sold, 'totalAmount'),
+      tax: sum(sold, 'taxTotal')
+    },
+    vat: Object.values(vat),
+    tenders: Object.values(tenders).map(tender => ({ ...tender, amount: roundMoney(tender.amount) })),
+    refunds: {
+      count: refundCount,
+      total: roundMoney(Object.values(refundsByMethod).reduce((total, amount) => total + amount, 0)),
+      byMethod: refundsByMethod
+    },
+    voids: {
+      count: voided.length,
+      total: sum(voided, 'totalAmount'),
+      // Sales rung up in other shifts and paid back from this drawer
+      crossShift: {
+        count: crossShiftVoids.length,
+        total: sum(crossShiftVoids, 'totalAmount'),
+        byMethod: crossShiftByMethod,
+        sales: crossShiftVoids.map(sale => ({
+          sale: sale._id,
+          receiptNumber: sale.receiptNumber,
+          shift: sale.shift,
+          totalAmount: sale.totalAmount
+        }))
+      }
+    },
+    pendingPayments: {
+      count: pending.length,
+      total: sum(pending, 'totalAmount')
+    },
+    cash
+  };
+};
+
+export default {
+  buildZReport
+};
@@ -0,0 +1,258 @@
+// src/services/syncService.js
+// Offline sales uploaded by terminals are queued by their idempotency key and replayed
+// through the same createSale logic as the till, one transaction per sale.
+import mongoose from 'mongoose';
+import Sale from '../models/Sale.js';
+import User from '../models/User.js';
+import OfflineQueue from '../models/OfflineQueue.js';
+import SyncLog from '../models/SyncLog.js';
+import { createSale } from '../controllers/pos/saleController.js';
+import { submitSaleInvoice } from './etimsService.js';
+import { orderForReplay, describeConflicts } from '../utils/conflictResolver.js';
+
+export const MAX_SYNC_BATCH = 200;
+
+// Fields of an offline sale that are replayed; held baskets and stock overrides only exist online
+const SALE_FIELDS = ['items', 'discount', 'payments', 'paymentMethod', 'amountPaid', 'customerId', 'prescriptionId', 'witnessId'];
+
+const pickSaleBody = (payload) => Object.fromEntries(
+  SALE_FIELDS.filter(field => payload[field] !== undefined).map(field => [field, payload[field]]));
+
+// Same shape as req.user, for booking a sale to a member of staff
+const toSaleUser = (user) => ({
+  id: user._id,
+  userId: user._id,
+  email: user.email,
+  firstName: user.firstName,
+  lastName: user.lastName,
+  role: user.role,
+  tenantId: user.tenantId,
+  permissions: user.permissions,
+  status: user.status
+});
+
+/**
+ * Who an offline sale is booked to: the uploader, or for owners any active staff member named on the sale
+ * @returns {Object|null} sale user, or null if the attendant cannot be used
+ */
+const resolveAttendant = async (uploader, attendantId) => {
+  if (!attendantId || String(attendantId) === String(uploader.id)) return uploader;
+  if (uploader.role !== 'pharmacy_owner' || !mongoose.isValidObjectId(attendantId)) return null;
+
+  const staff = await User.findOne({ _id: attendantId, tenantId: uploader.tenantId, status: 'active' });
+  return staff ? toSaleUser(staff) : null;
+};
+
+// Queue entry for a sale, created on first upload - later uploads get the same entry back
+const queueSale = async (uploader, terminalId, attendant, sale) => {
+  const filter = { pharmacy: uploader.tenantId, clientSaleId: sale.clientSaleId };
+  try {
+    return await OfflineQueue.findOneAndUpdate(filter, {
+      $setOnInsert: {
+        terminalId,
+        payload: sale,
+        soldAt: sale.soldAt,
+        attendant: attendant.id
+      }
+    }, { upsert: true, new: true });
+  } catch (error) {
+    // Two uploads of the same sale racing each other
+    if (error.code === 11000) return OfflineQueue.findOne(filter);
+    throw error;
+  }
+};
+
+const duplicateResult = (entry, sale) => ({
+  clientSaleId: entry.clientSaleId,
+  result: 'duplicate',
+  sale: sale._id,
+  receiptNumber: sale.receiptNumber,
+  conflicts: entry.conflicts
+});
+
+/**
+ * Replay one queued sale in its own transaction
+ * Stock shortages are booked as StockReconciliation records; anything else that refuses the sale leaves it queued as failed
+ * @returns {Object} { clientSaleId, result: synced|duplicate|failed, sale, receiptNumber, conflicts, error }
+ */
+export const replayQueuedSale = async (entry, attendant, { syncLog, device } = {}) => {
+  const findSynced = () => Sale.findOne({
+    pharmacy: entry.pharmacy,
+    'offline.clientSaleId': entry.clientSaleId
+  }).select('receiptNumber');
+
+  const existing = await findSynced();
+  if (existing) {
+    if (entry.status !== 'synced') {
+      entry.set({ status: 'synced', sale: existing._id, syncedAt: entry.syncedAt || new Date() });
+      await entry.save();
+    }
+    return duplicateResult(entry, existing);
+  }
+
+  entry.attempts += 1;
+  entry.syncLog = syncLog?._id;
+
+  const offline = {
+    clientSaleId: entry.clientSaleId,
+    terminalId: entry.terminalId,
+    clientReceiptNumber: entry.payload.receiptNumber,
+    soldAt: entry.soldAt,
+    shiftId: entry.payload.shiftId,
+    syncLog: syncLog?._id
+  };
+
+  const session = await mongoose.startSession();
+  let outcome;
+  try {
+    // Retried on transient write conflicts, e.g. with a till taking the next receipt number
+    outcome = await session.withTransaction(async () => {
+      const result = await createSale(attendant, pickSaleBody(entry.payload), session, { device, offline });
+      if (result.error) await session.abortTransaction();
+      return result;
+    });
+  } catch (error) {
+    outcome = { error: { body: { message: error.message } }, duplicate: error.code === 11000 };
+  } finally {
+    session.endSession();
+  }
+
+  if (outcome.error) {
+    // Another upload of this sale committed first
+    const synced = outcome.duplicate && await findSynced();
+    if (synced) {
+      entry.set({ status: 'synced', sale: synced._id, syncedAt: new Date() });
+      await entry.save();
+      return duplicateResult(entry, synced);
+    }
+
+    entry.set({ status: 'failed', lastError: outcome.error.body.message });
+    await entry.save();
+    return { clientSaleId: entry.clientSaleId, result: 'failed', error: entry.lastError };
+  }
+
+  const { sale } = outcome;
+  entry.set({
+    status: 'synced',
+    sale: sale._id,
+    conflicts: describeConflicts(outcome),
+    lastError: undefined,
+    syncedAt: new Date()
+  });
+  await entry.save();
+
+  if (sale.status === 'completed') {
+    submitSaleInvoice(sale._id).catch(err => console.error('Failed to queue eTIMS invoice:', err.message));
+  }
+
+  return {
+    clientSaleId: entry.clientSaleId,
+    result: 'synced',
+    sale: sale._id,
+    receiptNumber: sale.receiptNumber,
+    conflicts: entry.conflicts
+  };
+};
+
+// Record a sale's outcome on the batch
+const logResult = (syncLog, outcome) => {
+  syncLog.results.push({
+    clientSaleId: outcome.clientSaleId,
+    result: outcome.result,
+    sale: outcome.sale,
+    receiptNumber: outcome.receiptNumber,
+    conflicts: outcome.conflicts?.length || 0,
+    error: outcome.error
+  });
+};
+
+/**
+ * Upload a batch of sales a terminal made offline
+ * Sales are replayed oldest first; each succeeds or fails on its own and re-uploads are answered from the queue
+ * @param {Object} uploader - req.user
+ * @param {Object} batch - { terminalId, batchId, sales: [{ clientSaleId, soldAt, receiptNumber, attendantId, shiftId, items, payments, ... }] }
+ * @returns {Object} { syncLog, results }
+ */
+export const syncSalesBatch = async (uploader, { terminalId, batchId, sales }, { device } = {}) => {
+  const syncLog = await SyncLog.create({
+    pharmacy: uploader.tenantId,
+    terminalId,
+    batchId,
+    uploadedBy: uploader.id,
+    counts: { received: sales.length }
+  });
+
+  const attendants = new Map();
+  const results = [];
+
+  for (const sale of orderForReplay(sales)) {
+    let outcome;
+    try {
+      const attendantKey = String(sale.attendantId || uploader.id);
+      if (!attendants.has(attendantKey)) {
+        attendants.set(attendantKey, await resolveAttendant(uploader, sale.attendantId));
+      }
+      const attendant = attendants.get(attendantKey);
+
+      if (!attendant) {
+        outcome = {
+          clientSaleId: sale.clientSaleId,
+          result: 'failed',
+          error: uploader.role === 'pharmacy_owner'
+            ? 'Attendant not found or inactive'
+            : 'Attendants can only upload their own sales'
+        };
+      } else {
+        const entry = await queueSale(uploader, terminalId, attendant, sale);
+        // A sale that failed before may come back corrected
+        if (entry.status === 'failed') {
+          entry.set({ terminalId, payload: sale, soldAt: sale.soldAt, attendant: attendant.id });
+        }
+        outcome = await replayQueuedSale(entry, attendant, { syncLog, device });
+      }
+    } catch (error) {
+      outcome = { clientSaleId: sale.clientSaleId, result: 'failed', error: error.message };
+    }
+
+    results.push(outcome);
+    logResult(syncLog, outcome);
+  }
+
+  await syncLog.finish().save();
+
+  return { syncLog, results };
+};
+
+/**
+ * Try a failed queued sale again, e.g. once a deactivated product is restored
+ * @returns {Object} { syncLog, result } or { error } if the sale cannot be retried
+ */
+export const retryQueuedSale = async (uploader, entryId, { device } = {}) => {
+  const entry = await OfflineQueue.findOne({ _id: entryId, pharmacy: uploader.tenantId });
+  if (!entry) return { error: { status: 404, message: 'Queued sale not found' } };
+  if (entry.status !== 'failed') {
+    return { error: { status: 400, message: `Only failed sales can be retried - this one is ${entry.status}` } };
+  }
+
+  const staff = await User.findOne({ _id: entry.attendant, tenantId: uploader.tenantId, status: 'active' });
+  if (!staff) return { error: { status: 400, message: 'The attendant on this sale is no longer active' } };
+
+  const syncLog = await SyncLog.create({
+    pharmacy: uploader.tenantId,
+    terminalId: entry.terminalId,
+    uploadedBy: uploader.id,
+    counts: { received: 1 }
+  });
+
+  const result = await replayQueuedSale(entry, toSaleUser(staff), { syncLog, device });
+  logResult(syncLog, result);
+  await syncLog.finish().save();
+
+  return { syncLog, result };
+};
+
+export default {
+  syncSalesBatch,
+  replayQueuedSale,
+  retryQueuedSale
+};
@@ -0,0 +1,90 @@
+// src/utils/barcodeUtils.js
+// Scanner input: plain EAN/UPC codes and GS1 element strings (DataMatrix / GS1-128 on medicine packs)
+
+const GROUP_SEPARATOR = '\x1d';
+
+// Application Identifiers read off packs: fixed length, or variable up to a maximum
+const GS1_AIS = {
+  '01': { key: 'gtin', length: 14 },
+  '17': { key: 'expiryDate', length: 6 },
+  '10': { key: 'batchNumber', maxLength: 20 },
+  '21': { key: 'serialNumber', maxLength: 20 }
+};
+
+// YYMMDD; a day of 00 means the end of that month
+const parseGs1Date = (value) => {
+  const year = 2000 + Number(value.slice(0, 2));
+  const month = Number(value.slice(2, 4));
+  const day = Number(value.slice(4, 6));
+  if (!month || month > 12) return null;
+  return day === 0
+    ? new Date(Date.UTC(year, month, 0))
+    : new Date(Date.UTC(year, month - 1, day));
+};
+
+/**
+ * Read a GS1 element string, either "(01)0…(17)…(10)…" or raw with FNC1/GS separators
+ * @returns {Object|null} { gtin, expiryDate, batchNumber, serialNumber } or null if it is not GS1
+ */
+export const parseGs1 = (input) => {
+  // Scanners may prefix the symbology identifier (]d2 DataMatrix, ]C1 GS1-128, ]Q3 QR)
+  const raw = String(input).trim().replace(/^\][A-Za-z]\d/, '');
+  const fields = {};
+
+  if (raw.startsWith('(')) {
+    for (const [, ai, value] of raw.matchAll(/\((\d{2,4})\)([^(]*)/g)) {
+      if (GS1_AIS[ai]) fields[GS1_AIS[ai].key] = value.trim();
+    }
+  } else {
+    if (!/^01\d{14}/.test(raw)) return null;
+    let position = 0;
+    while (position < raw.length) {
+      if (raw[position] === GROUP_SEPARATOR) {
+        position += 1;
+        continue;
+      }
+      const ai = GS1_AIS[raw.slice(position, position + 2)];
+      if (!ai) break;
+      position += 2;
+
+      let value;
+      if (ai.length) {
+        value = raw.slice(position, position + ai.length);
+        position += ai.length;
+      } else {
+        const end = raw.indexOf(GROUP_SEPARATOR, position);
+        value = raw.slice(position, end === -1 ? Math.min(raw.length, position + ai.maxLength) : end);
+        position += value.length;
+      }
+      fields[ai.key] = value;
+    }
+  }
+
+  if (!fields.gtin) return null;
+  if (fields.expiryDate) fields.expiryDate = parseGs1Date(fields.expiryDate);
+  return fields;
+};
+
+/**
+ * Codes a scan may be stored under: as scanned, and for GTINs the 14/13/12/8-digit forms of the same number
+ * @returns {string[]}
+ */
+export const barcodeCandidates = (code) => {
+  const value = String(code).trim();
+  const candidates = new Set([value]);
+
+  if (/^\d{8}$|^\d{12,14}$/.test(value)) {
+    const gtin14 = value.padStart(14, '0');
+    candidates.add(gtin14);
+    [13, 12, 8].forEach(length => {
+      if (/^0+$/.test(gtin14.slice(0, 14 - length))) candidates.add(gtin14.slice(14 - length));
+    });
+  }
+
+  return [...candidates];
+};
+
+export default {
+  parseGs1,
+  barcodeCandidates
+};
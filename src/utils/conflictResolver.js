@@ -0,0 +1,50 @@
+// src/utils/conflictResolver.js
+// Offline sales already happened - conflicts with the server's view are recorded and resolved, never refused
+
+/**
+ * Sales in the order they were made, so stock is drawn down the way it was at the counter
+ * Terminals may upload out of order; ties fall back to the terminal's sale id
+ * @returns {Array} a sorted copy
+ */
+export const orderForReplay = (sales) => [...sales].sort((a, b) =>
+  new Date(a.soldAt) - new Date(b.soldAt) || String(a.clientSaleId).localeCompare(String(b.clientSaleId)));
+
+const SHIFT_CONFLICTS = {
+  no_shift: {
+    message: 'The attendant had no shift open when the sale was made',
+    resolution: 'left_unassigned'
+  },
+  shift_closed: {
+    message: 'The shift the sale belongs to was closed before the sale was uploaded',
+    resolution: 'booked_to_closed_shift'
+  }
+};
+
+/**
+ * Conflicts found while replaying one sale, with how each was resolved
+ * Shortages become StockReconciliation records; lines keep the price the customer was charged
+ * @returns {Array} [{ type, product, productName, message, resolution }]
+ */
+export const describeConflicts = ({ stockWarnings = [], priceChanges = [], shiftConflict }) => [
+  ...stockWarnings
+    .filter(warning => warning.deficit > 0)
+    .map(warning => ({
+      type: 'stock',
+      productName: warning.product,
+      message: `Sold ${warning.requested} with ${warning.available} on record (short by ${warning.deficit})`,
+      resolution: 'reconciliation'
+    })),
+  ...priceChanges.map(change => ({
+    type: 'price',
+    product: change.product,
+    productName: change.productName,
+    message: `Charged ${change.chargedPrice} per ${change.sellAs || 'unit'}, current price is ${change.currentPrice}`,
+    resolution: 'charged_price_kept'
+  })),
+  ...(shiftConflict ? [{ type: 'shift', ...SHIFT_CONFLICTS[shiftConflict] }] : [])
+];
+
+export default {
+  orderForReplay,
+  describeConflicts
+};
@@ -0,0 +1,9 @@
+// src/utils/moneyUtils.js
+// Shilling amounts are kept to the cent
+
+// Helper: Round to 2 decimal places
+export const roundMoney = (value) => Math.round(value * 100) / 100;
+
+export default {
+  roundMoney
+};
@@ -0,0 +1,12 @@
+// src/utils/requestUtils.js
+
+// Helper: Device details recorded against staff activity
+export const getDeviceInfo = (req) => ({
+  userAgent: req.get('User-Agent'),
+  ip: req.ip,
+  location: req.get('CF-IPCountry') || 'Unknown'
+});
+
+export default {
+  getDeviceInfo
+};
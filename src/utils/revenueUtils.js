@@ -0,0 +1,20 @@
+// src/utils/revenueUtils.js
+// Aggregation expressions for what sales actually earned. A partly refunded sale stays
+// 'completed', so revenue figures have to take off what was paid back.
+
+// Sale total less refunds
+export const netSaleAmount = { $subtract: ['$totalAmount', { $ifNull: ['$refundedAmount', 0] }] };
+
+// Units of a line the customer kept - use after $unwind: '$items'
+export const netLineQuantity = { $subtract: ['$items.quantity', { $ifNull: ['$items.refundedQuantity', 0] }] };
+
+// Line total less its refunds, which are paid back at the price charged on the line
+export const netLineTotal = {
+  $multiply: ['$items.total', { $divide: [netLineQuantity, '$items.quantity'] }]
+};
+
+export default {
+  netSaleAmount,
+  netLineQuantity,
+  netLineTotal
+};
@@ -0,0 +1,155 @@
+// src/utils/stockUtils.js
+// Shared pack/loose-unit stock helpers used by sales, refunds and voids
+
+// Unit types that can be broken out of a pack and sold individually
+export const SUBDIVIDABLE_UNIT_TYPES = ['Tablets', 'Capsules', 'Grams'];
+
+export const isSubdividable = (product) => SUBDIVIDABLE_UNIT_TYPES.includes(product.unitType);
+
+// Helper: Update product stock based on product type
+// quantity is in units; sellAs 'pack' takes sealed packs off the shelf before loose units
+// Returns the lots the units came from, first-expiry-first-out
+export async function updateProductStock(product, quantity, session, { sellAs = 'unit' } = {}) {
+  const batches = product.consumeBatches(quantity);
+  await deductStockUnits(product, quantity, session, { sellAs });
+  return batches;
+}
+
+// Helper: Take units off the pack/loose counts only - the caller has already settled the lots
+export async function deductStockUnits(product, quantity, session, { sellAs = 'unit' } = {}) {
+  const productType = product.unitType;
+  const options = { packsFirst: sellAs === 'pack' };
+
+  // Handle different product types
+  switch(productType) {
+    // CAN be subdivided (tablets, capsules, powder)
+    case 'Tablets':
+    case 'Capsules':
+    case 'Grams':
+      await handleSubdividableProduct(product, quantity, session, options);
+      break;
+
+    // CANNOT be subdivided (bottles, tubes, units)
+    case 'Bottles':
+    case 'Tubes':
+    case 'Units':
+    case 'Millilitres':
+    case 'Packs':
+      await handleWholeUnitProduct(product, quantity, session, options);
+      break;
+
+    default:
+      await handleWholeUnitProduct(product, quantity, session, options);
+  }
+}
+
+// Helper: Hand over whole sealed packs for a pack sale, returns the units still to find
+const takeFullPacks = (product, quantity) => {
+  const unitsPerPack = product.pricing?.unitsPerPack || 1;
+  const packs = Math.min(Math.floor(quantity / unitsPerPack), product.stock.fullPacks);
+  product.stock.fullPacks -= packs;
+  return quantity - packs * unitsPerPack;
+};
+
+// Handle products that can be subdivided (tablets, capsules, etc.)
+export async function handleSubdividableProduct(product, quantity, session, { packsFirst = false } = {}) {
+  // A pack sale hands over sealed packs; loose units only make up for missing ones
+  let remainingQuantity = packsFirst ? takeFullPacks(product, quantity) : quantity;
+
+  // First use loose units
+  const unitsFromLoose = Math.min(remainingQuantity, product.stock.looseUnits);
+  product.stock.looseUnits -= unitsFromLoose;
+  remainingQuantity -= unitsFromLoose;
+
+  // If still need units, break packs
+  if (remainingQuantity > 0) {
+    const packsToBreak = Math.ceil(remainingQuantity / product.pricing.unitsPerPack);
+
+    if (packsToBreak > product.stock.fullPacks) {
+      throw new Error(`Not enough ${product.unitType.toLowerCase()} available`);
+    }
+
+    product.stock.fullPacks -= packsToBreak;
+    const unitsFromPacks = packsToBreak * product.pricing.unitsPerPack;
+    product.stock.looseUnits += (unitsFromPacks - remainingQuantity);
+  }
+
+  await product.save({ session });
+}
+
+// Handle products that cannot be subdivided (bottles, inhalers, etc.)
+export async function handleWholeUnitProduct(product, quantity, session, { packsFirst = false } = {}) {
+  // For non-subdividable products, we can only sell whole units
+  const totalUnitsNeeded = quantity;
+
+  if (totalUnitsNeeded > product.stock.totalUnits) {
+    throw new Error(`Not enough ${product.unitType.toLowerCase()} available. Only ${product.stock.totalUnits} left`);
+  }
+
+  // For whole units, we can use both full packs and loose units
+  let remainingQuantity = packsFirst ? takeFullPacks(product, quantity) : quantity;
+
+  // First use loose units
+  const unitsFromLoose = Math.min(remainingQuantity, product.stock.looseUnits);
+  product.stock.looseUnits -= unitsFromLoose;
+  remainingQuantity -= unitsFromLoose;
+
+  // Then use full packs (each pack = 1 unit for non-subdividable)
+  if (remainingQuantity > 0) {
+    product.stock.fullPacks -= remainingQuantity;
+  }
+
+  await product.save({ session });
+}
+
+// Helper: Put units back on the shelf (refunds, voids) - inverse of updateProductStock
+// lots/alreadyReturned describe the sale line, so units go back into the lots they came from
+export async function restockProduct(product, quantity, session, { lots = [], alreadyReturned = 0 } = {}) {
+  const batches = product.returnToBatches(lots, quantity, alreadyReturned);
+
+  if (isSubdividable(product)) {
+    // Returned tablets/capsules go back as loose units, re-forming full packs where possible
+    const unitsPerPack = product.pricing?.unitsPerPack || 1;
+    product.stock.looseUnits += quantity;
+    product.stock.fullPacks += Math.floor(product.stock.looseUnits / unitsPerPack);
+    product.stock.looseUnits %= unitsPerPack;
+  } else {
+    // Whole units go straight back as packs (each pack = 1 unit for non-subdividable)
+    product.stock.fullPacks += quantity;
+  }
+
+  await product.save({ session });
+  return batches;
+}
+
+// Helper: Put a delivery on the shelf inside a transaction - packs plus loose (e.g. bonus) units into one lot
+// Returns the lot the units went into
+export async function receiveStock(product, packs, units, session, batch = {}) {
+  const unitsPerPack = product.pricing?.unitsPerPack || 1;
+  const lot = product.receiveBatch({ ...batch, quantity: packs * unitsPerPack + units });
+
+  product.stock.fullPacks += packs;
+  product.stock.looseUnits += units;
+  product.stock.fullPacks += Math.floor(product.stock.looseUnits / unitsPerPack);
+  product.stock.looseUnits %= unitsPerPack;
+
+  await product.save({ session });
+  return lot;
+}
+
+// A sale line as the customer bought it - packs at the pack price, or units at the unit price
+// (line.quantity itself is always units). Pass units for part of the line, e.g. a return;
+// units that do not make up whole packs are shown as units
+export const lineAsSold = (line, units = line.quantity) => {
+  const unitsPerPack = line.packs ? line.quantity / line.packs : 0;
+  return line.sellAs === 'pack' && units % unitsPerPack === 0
+    ? { quantity: units / unitsPerPack, price: line.packPrice, unit: 'pack' }
+    : { quantity: units, price: line.unitPrice, unit: 'unit' };
+};
+
+// Snapshot of a product's stock for inventory log details
+export const stockSnapshot = (product) => ({
+  fullPacks: product.stock.fullPacks,
+  looseUnits: product.stock.looseUnits,
+  totalUnits: product.stock.totalUnits
+});
@@ -0,0 +1,61 @@
+// src/utils/taxUtils.js
+// VAT helpers shared by sales, held baskets, receipts and reports
+import { roundMoney } from './moneyUtils.js';
+
+// Kenyan VAT classes. Zero-rated supplies are taxable at 0% (and reported as such);
+// exempt supplies are outside VAT altogether. Most medicines are exempt.
+export const TAX_CLASSES = ['standard', 'zero_rated', 'exempt'];
+
+export const TAX_CLASS_LABELS = {
+  standard: 'VAT',
+  zero_rated: 'Zero-rated',
+  exempt: 'Exempt'
+};
+
+// Default tax class for a product that has not been classified
+export const defaultTaxClass = (drugType) =>
+  drugType === 'Medical Supply' ? 'standard' : 'exempt';
+
+// Rate (%) charged for a tax class given the pharmacy's standard rate
+export const getTaxRate = (taxClass, standardRate) =>
+  taxClass === 'standard' ? standardRate : 0;
+
+/**
+ * Work out VAT on discounted sale lines, in place
+ * Tax-inclusive: line totals already contain VAT, which is backed out.
+ * Tax-exclusive: VAT is added on top, so line totals become what the customer pays.
+ * @param {Array} lines - Sale items with taxClass and a net (after discount) total
+ * @param {Object} options - taxRate (standard %), pricesIncludeTax
+ * @returns {Object} { taxTotal, taxBreakdown } - breakdown has one entry per class/rate
+ */
+export const applyTax = (lines, { taxRate, pricesIncludeTax }) => {
+  const breakdown = new Map();
+
+  lines.forEach(line => {
+    const taxClass = line.taxClass || 'exempt';
+    const rate = getTaxRate(taxClass, taxRate);
+
+    const taxAmount = pricesIncludeTax
+      ? roundMoney(line.total * rate / (100 + rate))
+      : roundMoney(line.total * rate / 100);
+
+    if (!pricesIncludeTax) {
+      line.total = roundMoney(line.total + taxAmount);
+    }
+
+    line.taxClass = taxClass;
+    line.taxRate = rate;
+    line.taxAmount = taxAmount;
+
+    const key = `${taxClass}:${rate}`;
+    const entry = breakdown.get(key) || { taxClass, rate, taxableAmount: 0, taxAmount: 0 };
+    entry.taxableAmount = roundMoney(entry.taxableAmount + line.total - taxAmount);
+    entry.taxAmount = roundMoney(entry.taxAmount + taxAmount);
+    breakdown.set(key, entry);
+  });
+
+  const taxBreakdown = [...breakdown.values()];
+  const taxTotal = roundMoney(taxBreakdown.reduce((sum, entry) => sum + entry.taxAmount, 0));
+
+  return { taxTotal, taxBreakdown };
+};
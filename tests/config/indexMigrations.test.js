@@ -0,0 +1,50 @@
+// tests/config/indexMigrations.test.js
+import { describe, it, mock, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import Sale from '../../src/models/Sale.js';
+import { dropObsoleteIndexes, OBSOLETE_INDEXES } from '../../src/config/indexMigrations.js';
+
+const mongoError = (code, message) => Object.assign(new Error(message), { code });
+
+describe('dropObsoleteIndexes', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('drops the old global receipt number index on sales', async () => {
+    assert.ok(OBSOLETE_INDEXES.some(({ model, name }) => model === Sale && name === 'receiptNumber_1'));
+
+    const dropIndex = mock.method(Sale.collection, 'dropIndex', async () => ({ ok: 1 }));
+    mock.method(console, 'log', () => {});
+
+    const dropped = await dropObsoleteIndexes([{ model: Sale, name: 'receiptNumber_1' }]);
+
+    assert.equal(dropIndex.mock.callCount(), 1);
+    assert.equal(dropIndex.mock.calls[0].arguments[0], 'receiptNumber_1');
+    assert.deepEqual(dropped, ['sales.receiptNumber_1']);
+  });
+
+  it('keeps the per-pharmacy receipt number index in the schema', () => {
+    const indexes = Sale.schema.indexes().map(([fields, options]) => ({ fields, options }));
+    const receipt = indexes.find(({ fields }) => fields.receiptNumber === 1);
+
+    assert.deepEqual(receipt.fields, { pharmacy: 1, receiptNumber: 1 });
+    assert.equal(receipt.options.unique, true);
+  });
+
+  it('is a no-op once the index is gone or on a fresh database', async () => {
+    const errors = [mongoError(27, 'index not found with name [receiptNumber_1]'), mongoError(26, 'ns not found')];
+    mock.method(Sale.collection, 'dropIndex', async () => { throw errors.shift(); });
+    const logError = mock.method(console, 'error', () => {});
+
+    assert.deepEqual(await dropObsoleteIndexes([{ model: Sale, name: 'receiptNumber_1' }]), []);
+    assert.deepEqual(await dropObsoleteIndexes([{ model: Sale, name: 'receiptNumber_1' }]), []);
+    assert.equal(logError.mock.callCount(), 0);
+  });
+
+  it('reports other failures without stopping startup', async () => {
+    mock.method(Sale.collection, 'dropIndex', async () => { throw mongoError(13, 'not authorized'); });
+    const logError = mock.method(console, 'error', () => {});
+
+    assert.deepEqual(await dropObsoleteIndexes([{ model: Sale, name: 'receiptNumber_1' }]), []);
+    assert.equal(logError.mock.callCount(), 1);
+  });
+});
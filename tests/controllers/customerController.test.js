@@ -0,0 +1,117 @@
+// tests/controllers/customerController.test.js
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Customer from '../../src/models/Customer.js';
+import Sale from '../../src/models/Sale.js';
+import {
+  createCustomer,
+  getCustomers,
+  getCustomer,
+  deleteCustomer
+} from '../../src/controllers/customer/customerController.js';
+import { serve } from '../helpers/http.js';
+import { query } from '../helpers/mongoose.js';
+
+const { ObjectId } = mongoose.Types;
+
+describe('customers', () => {
+  const pharmacyId = new ObjectId();
+  const user = { id: new ObjectId(), tenantId: pharmacyId, role: 'attendant' };
+  let customer;
+  let server;
+
+  beforeEach(async () => {
+    customer = new Customer({
+      pharmacy: pharmacyId,
+      name: 'Wanjiru Kamau',
+      phone: '0712345678',
+      allergies: ['Penicillin'],
+      status: 'active'
+    });
+
+    mock.method(Customer, 'findOne', () => query(customer));
+    mock.method(Customer, 'find', () => query([customer]));
+    mock.method(Customer, 'countDocuments', async () => 1);
+    mock.method(Customer.prototype, 'save', async function() { return this; });
+    mock.method(Customer.prototype, 'deleteOne', async function() { return this; });
+
+    server = await serve(app => {
+      app.post('/customers', createCustomer);
+      app.get('/customers', getCustomers);
+      app.get('/customers/:id', getCustomer);
+      app.delete('/customers/:id', deleteCustomer);
+    }, user);
+  });
+
+  afterEach(async () => {
+    await server.close();
+    mock.restoreAll();
+  });
+
+  const call = async (method, path, body) => {
+    const res = await fetch(`${server.url}/customers${path}`, {
+      method,
+      headers: { 'Content-Type': 'application/json' },
+      body: body && JSON.stringify(body)
+    });
+    return { status: res.status, body: await res.json() };
+  };
+
+  it('finds a customer by a phone number typed in the +254 form', async () => {
+    await call('GET', `?search=${encodeURIComponent('+254712345678')}`);
+
+    const [filter] = Customer.find.mock.calls[0].arguments;
+    assert.equal(filter.pharmacy, pharmacyId);
+    assert.equal(filter.status, 'active');
+    assert.ok(filter.$or[1].phone.test('0712345678'));
+  });
+
+  it('refuses a second customer with the same phone number', async () => {
+    mock.method(Customer, 'create', async () => {
+      throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+    });
+
+    const { status, body } = await call('POST', '', { name: 'Wanjiru K.', phone: '0712345678' });
+
+    assert.equal(status, 409);
+    assert.match(body.message, /already exists/);
+  });
+
+  it('shows lifetime purchases and the last visit on the profile', async () => {
+    const lastVisitAt = new Date('2026-03-02T09:00:00Z');
+    // The summary is one $group; the top products unwind the lines first
+    mock.method(Sale, 'aggregate', async (pipeline) => pipeline.some(stage => stage.$unwind)
+      ? [{ _id: new ObjectId(), productName: 'Cetirizine 10mg', totalQuantity: 30, totalSpent: 240, timesBought: 3 }]
+      : [{ visitCount: 4, totalSpent: 1250.456, totalRefunded: 50, averageBasket: 312.614, lastVisitAt }]);
+    mock.method(Sale, 'findOne', () => query({ receiptNumber: 'RCT-000042', totalAmount: 400 }));
+
+    const { body } = await call('GET', `/${customer._id}`);
+
+    const { purchases } = body.data;
+    assert.equal(body.data.customer.name, 'Wanjiru Kamau');
+    assert.deepEqual([purchases.visitCount, purchases.totalSpent, purchases.averageBasket], [4, 1250.46, 312.61]);
+    assert.equal(purchases.lastVisitAt, lastVisitAt.toISOString());
+    assert.equal(purchases.lastSale.receiptNumber, 'RCT-000042');
+    assert.equal(purchases.topProducts[0].productName, 'Cetirizine 10mg');
+  });
+
+  it('deactivates instead of deleting a customer with purchase history', async () => {
+    mock.method(Sale, 'exists', async () => ({ _id: new ObjectId() }));
+
+    const { status, body } = await call('DELETE', `/${customer._id}`);
+
+    assert.equal(status, 200);
+    assert.match(body.message, /deactivated/);
+    assert.equal(customer.status, 'inactive');
+    assert.equal(Customer.prototype.deleteOne.mock.callCount(), 0);
+  });
+
+  it('deletes a customer who never bought anything', async () => {
+    mock.method(Sale, 'exists', async () => null);
+
+    await call('DELETE', `/${customer._id}`);
+
+    assert.equal(Customer.prototype.deleteOne.mock.callCount(), 1);
+  });
+});
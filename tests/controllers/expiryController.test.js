@@ -0,0 +1,88 @@
+// tests/controllers/expiryController.test.js
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Product from '../../src/models/Product.js';
+import InventoryLog from '../../src/models/InventoryLog.js';
+import StockWriteOff from '../../src/models/StockWriteOff.js';
+import { writeOffExpiredStock } from '../../src/controllers/inventory/expiryController.js';
+import { serve } from '../helpers/http.js';
+import { query, fakeSession } from '../helpers/mongoose.js';
+
+const { ObjectId } = mongoose.Types;
+
+describe('writeOffExpiredStock', () => {
+  const pharmacyId = new ObjectId();
+  const user = { id: new ObjectId(), tenantId: pharmacyId, role: 'pharmacy_owner' };
+  let product;
+  let server;
+
+  beforeEach(async () => {
+    const daysAgo = (days) => new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+    product = new Product({
+      _id: new ObjectId(),
+      pharmacy: pharmacyId,
+      name: 'Metformin 500mg',
+      unitType: 'Tablets',
+      pricing: { costPerPack: 20, sellingPricePerPack: 40, unitsPerPack: 10 },
+      stock: { fullPacks: 6, looseUnits: 0 },
+      batches: [
+        { batchNumber: 'MET-1', expiryDate: daysAgo(30), quantity: 15, costPerUnit: 2 },
+        { batchNumber: 'MET-2', expiryDate: daysAgo(3), quantity: 5, costPerUnit: 2.5 },
+        { batchNumber: 'MET-3', expiryDate: daysAgo(-200), quantity: 40, costPerUnit: 2 }
+      ]
+    });
+
+    mock.method(mongoose, 'startSession', async () => Object.assign(fakeSession(), {
+      startTransaction() {},
+      async commitTransaction() {}
+    }));
+    mock.method(Product, 'findOne', () => query(product));
+    mock.method(Product.prototype, 'save', async function() { return this; });
+    mock.method(InventoryLog, 'create', async (docs) => docs.map(doc => ({ _id: new ObjectId(), ...doc })));
+    mock.method(StockWriteOff, 'create', async (docs) => docs);
+
+    server = await serve(app => app.post('/write-offs', writeOffExpiredStock), user);
+  });
+
+  afterEach(async () => {
+    await server.close();
+    mock.restoreAll();
+  });
+
+  const writeOff = async (body) => {
+    const res = await fetch(`${server.url}/write-offs`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ productId: product._id, ...body })
+    });
+    return { status: res.status, body: await res.json() };
+  };
+
+  it('takes every expired lot off the shelf and records the loss at cost', async () => {
+    const { status, body } = await writeOff({});
+
+    assert.equal(status, 201);
+    assert.deepEqual(product.batches.map(batch => batch.quantity), [0, 0, 40]);
+    assert.equal(product.stock.totalUnits, 40);
+    assert.equal(body.data.writeOff.quantity, 20);
+    assert.equal(body.data.writeOff.lossValue, 42.5);
+    const [[log]] = InventoryLog.create.mock.calls[0].arguments;
+    assert.equal(log.action, 'write_off');
+  });
+
+  it('writes off only the chosen lots', async () => {
+    const { body } = await writeOff({ batchIds: [product.batches[1]._id] });
+
+    assert.deepEqual(body.data.writeOff.batches.map(batch => batch.batchNumber), ['MET-2']);
+    assert.deepEqual(product.batches.map(batch => batch.quantity), [15, 0, 40]);
+  });
+
+  it('refuses to write off stock that has not expired', async () => {
+    const { status, body } = await writeOff({ batchIds: [product.batches[2]._id] });
+
+    assert.equal(status, 400);
+    assert.match(body.message, /None of the selected batches are expired/);
+    assert.equal(product.stock.totalUnits, 60);
+  });
+});
@@ -0,0 +1,136 @@
+// tests/controllers/goodsReceivedController.test.js
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import GoodsReceivedNote from '../../src/models/GoodsReceivedNote.js';
+import PurchaseOrder from '../../src/models/PurchaseOrder.js';
+import Supplier from '../../src/models/Supplier.js';
+import Product from '../../src/models/Product.js';
+import Pharmacy from '../../src/models/Pharmacy.js';
+import InventoryLog from '../../src/models/InventoryLog.js';
+import { calculateCostPerPack, receiveGoods } from '../../src/controllers/inventory/goodsReceivedController.js';
+import { serve } from '../helpers/http.js';
+import { query, fakeSession } from '../helpers/mongoose.js';
+
+const { ObjectId } = mongoose.Types;
+
+describe('calculateCostPerPack', () => {
+  const delivery = { currentCostPerPack: 100, unitsOnHand: 50, unitsPerPack: 10, receivedUnits: 50, invoiceValue: 600, invoiceCostPerPack: 120 };
+
+  it('averages the stock on hand with the delivery', () => {
+    assert.equal(calculateCostPerPack('weighted_average', delivery), 110);
+  });
+
+  it('spreads the invoice over free bonus units', () => {
+    assert.equal(calculateCostPerPack('weighted_average', { ...delivery, unitsOnHand: 0, receivedUnits: 60 }), 100);
+  });
+
+  it('takes the invoice cost as it is under last cost', () => {
+    assert.equal(calculateCostPerPack('last_cost', delivery), 120);
+  });
+});
+
+describe('receiveGoods', () => {
+  const pharmacyId = new ObjectId();
+  const user = { id: new ObjectId(), tenantId: pharmacyId, role: 'pharmacy_owner' };
+  let product;
+  let order;
+  let server;
+
+  beforeEach(async () => {
+    // 5 packs on the shelf at KES 100; the order is for 10 more
+    product = new Product({
+      _id: new ObjectId(),
+      pharmacy: pharmacyId,
+      name: 'Amoxicillin 250mg',
+      unitType: 'Capsules',
+      pricing: { costPerPack: 100, sellingPricePerPack: 180, unitsPerPack: 10 },
+      stock: { fullPacks: 5, looseUnits: 0 }
+    });
+    order = new PurchaseOrder({
+      pharmacy: pharmacyId,
+      orderNumber: 'PO-260302-0001',
+      supplier: new ObjectId(),
+      status: 'sent',
+      items: [{ product: product._id, productName: product.name, packs: 10, unitsPerPack: 10, costPerPack: 120 }],
+      createdBy: user.id
+    });
+
+    mock.method(mongoose, 'startSession', async () => Object.assign(fakeSession(), {
+      startTransaction() {},
+      async commitTransaction() {}
+    }));
+    mock.method(Pharmacy, 'findById', () => query({ settings: {} }));
+    mock.method(PurchaseOrder, 'findOne', () => query(order));
+    mock.method(PurchaseOrder.prototype, 'save', async function() { return this; });
+    mock.method(Supplier, 'findOne', () => query({ _id: order.supplier, name: 'Dawa Distributors' }));
+    mock.method(Product, 'find', () => query([product]));
+    mock.method(Product.prototype, 'save', async function() { return this; });
+    mock.method(GoodsReceivedNote, 'nextGrnNumber', async () => 'GRN-260302-0001');
+    mock.method(GoodsReceivedNote, 'create', async (docs) => docs);
+    mock.method(InventoryLog, 'create', async (docs) => docs.map(doc => ({ _id: new ObjectId(), ...doc })));
+
+    server = await serve(app => app.post('/grns', receiveGoods), user);
+  });
+
+  afterEach(async () => {
+    await server.close();
+    mock.restoreAll();
+  });
+
+  const receive = async (body) => {
+    const res = await fetch(`${server.url}/grns`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ purchaseOrderId: order._id, invoiceNumber: 'INV-5531', ...body })
+    });
+    return { status: res.status, body: await res.json() };
+  };
+
+  it('posts a part delivery to stock, costs and the purchase order', async () => {
+    const { status, body } = await receive({
+      items: [{ productId: product._id, packs: 5, bonusUnits: 10, batchNumber: 'amx-24', expiryDate: '2028-01-31' }]
+    });
+
+    assert.equal(status, 201);
+    assert.deepEqual([product.stock.fullPacks, product.stock.looseUnits], [11, 0]);
+    // 50 units at 10/unit plus 600 for the invoice, over 110 units
+    assert.equal(product.pricing.costPerPack, 100);
+    const lot = product.batches.find(batch => batch.batchNumber === 'AMX-24');
+    assert.equal(lot.quantity, 60);
+    assert.equal(lot.costPerUnit, 10);
+    assert.equal(order.items[0].receivedPacks, 5);
+    assert.equal(order.status, 'partially_received');
+    assert.equal(body.data.grn.items[0].costPerPack, 120);
+    assert.equal(body.data.purchaseOrder.status, 'partially_received');
+  });
+
+  it('closes out the order line when the rest arrives', async () => {
+    order.items[0].receivedPacks = 5;
+    order.status = 'partially_received';
+
+    await receive({ items: [{ productId: product._id, packs: 5 }] });
+
+    assert.equal(order.status, 'received');
+  });
+
+  it('holds back the delivery when it would cost more than it sells for', async () => {
+    const { status, body } = await receive({
+      costingMethod: 'last_cost',
+      items: [{ productId: product._id, packs: 5, costPerPack: 200 }]
+    });
+
+    assert.equal(status, 400);
+    assert.equal(body.products[0].costPerPack, 200);
+    assert.equal(GoodsReceivedNote.create.mock.callCount(), 0);
+    assert.equal(order.status, 'sent');
+  });
+
+  it('refuses an expired batch', async () => {
+    const { status, body } = await receive({ items: [{ productId: product._id, packs: 1, expiryDate: '2020-01-31' }] });
+
+    assert.equal(status, 400);
+    assert.match(body.message, /expired batch/);
+    assert.equal(product.stock.fullPacks, 5);
+  });
+});
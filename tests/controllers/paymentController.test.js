@@ -0,0 +1,69 @@
+// tests/controllers/paymentController.test.js
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import MpesaTransaction from '../../src/models/MpesaTransaction.js';
+import { mpesaCallback } from '../../src/controllers/pos/paymentController.js';
+import { serve } from '../helpers/http.js';
+import { query } from '../helpers/mongoose.js';
+
+const paidCallback = {
+  Body: {
+    stkCallback: {
+      MerchantRequestID: '29115-34620561-1',
+      CheckoutRequestID: 'ws_CO_191220191020363925',
+      ResultCode: 0,
+      ResultDesc: 'The service request is processed successfully.',
+      CallbackMetadata: { Item: [{ Name: 'MpesaReceiptNumber', Value: 'NLJ7RT61SV' }] }
+    }
+  }
+};
+
+describe('mpesaCallback', () => {
+  const saved = process.env.MPESA_CALLBACK_TOKEN;
+  let server;
+
+  const postCallback = (token) => fetch(`${server.url}/callback${token === undefined ? '' : `?token=${token}`}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(paidCallback)
+  });
+
+  beforeEach(async () => {
+    // Already settled, so an accepted callback stops before touching the sale
+    mock.method(MpesaTransaction, 'findOne', () => query({ status: 'completed' }));
+    mock.method(console, 'error', () => {});
+    server = await serve(app => app.post('/callback', mpesaCallback));
+  });
+
+  afterEach(async () => {
+    await server.close();
+    mock.restoreAll();
+    if (saved === undefined) delete process.env.MPESA_CALLBACK_TOKEN;
+    else process.env.MPESA_CALLBACK_TOKEN = saved;
+  });
+
+  it('rejects every callback when no token is configured', async () => {
+    delete process.env.MPESA_CALLBACK_TOKEN;
+
+    const res = await postCallback();
+    assert.equal(res.status, 401);
+    assert.equal(MpesaTransaction.findOne.mock.callCount(), 0);
+  });
+
+  it('rejects a callback with the wrong token', async () => {
+    process.env.MPESA_CALLBACK_TOKEN = 's3cret-token';
+
+    assert.equal((await postCallback()).status, 401);
+    assert.equal((await postCallback('guess')).status, 401);
+    assert.equal(MpesaTransaction.findOne.mock.callCount(), 0);
+  });
+
+  it('processes a callback carrying the token', async () => {
+    process.env.MPESA_CALLBACK_TOKEN = 's3cret-token';
+
+    const res = await postCallback('s3cret-token');
+    assert.equal(res.status, 200);
+    assert.deepEqual(await res.json(), { ResultCode: 0, ResultDesc: 'Accepted' });
+    assert.equal(MpesaTransaction.findOne.mock.callCount(), 1);
+  });
+});
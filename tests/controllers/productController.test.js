@@ -0,0 +1,109 @@
+// tests/controllers/productController.test.js
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Product from '../../src/models/Product.js';
+import { getCatalogChanges } from '../../src/controllers/pos/productController.js';
+import { serve } from '../helpers/http.js';
+import { query } from '../helpers/mongoose.js';
+
+const { ObjectId } = mongoose.Types;
+
+const pharmacyId = new ObjectId();
+const user = { id: new ObjectId(), tenantId: pharmacyId, role: 'attendant' };
+
+// Just the operators the change feed filters with
+const matches = (product, filter) => {
+  const { updatedAt, _id } = product;
+  if (filter.updatedAt.$lt && !(updatedAt < filter.updatedAt.$lt)) return false;
+  if (!filter.$or) return true;
+  return filter.$or.some(clause => clause.updatedAt.$gt
+    ? updatedAt > clause.updatedAt.$gt
+    : updatedAt.getTime() === clause.updatedAt.getTime() && String(_id) > String(clause._id.$gt));
+};
+
+describe('getCatalogChanges', () => {
+  const anHourAgo = new Date(Date.now() - 60 * 60 * 1000);
+  let catalog;
+  let server;
+
+  const product = (name, updatedAt, extra = {}) => new Product({
+    _id: new ObjectId(),
+    pharmacy: pharmacyId,
+    name,
+    unitType: 'Tablets',
+    status: 'active',
+    pricing: { costPerPack: 30, sellingPricePerPack: 50, unitsPerPack: 10 },
+    stock: { fullPacks: 4, looseUnits: 0 },
+    updatedAt,
+    ...extra
+  });
+
+  beforeEach(async () => {
+    catalog = [];
+    mock.method(Product, 'find', (filter) => {
+      let limit = Infinity;
+      const chain = query(() => catalog
+        .filter(entry => matches(entry, filter))
+        .sort((a, b) => a.updatedAt - b.updatedAt || String(a._id).localeCompare(String(b._id)))
+        .slice(0, limit));
+      chain.limit = (value) => {
+        limit = value;
+        return chain;
+      };
+      return chain;
+    });
+    server = await serve(app => app.get('/products/changes', getCatalogChanges), user);
+  });
+
+  afterEach(async () => {
+    await server.close();
+    mock.restoreAll();
+  });
+
+  const changes = async (params = {}) => {
+    const res = await fetch(`${server.url}/products/changes?${new URLSearchParams(params)}`);
+    return { status: res.status, body: await res.json() };
+  };
+
+  it('pages through products changed in the same instant without skipping any', async () => {
+    // A bulk price update stamps every product with the same time
+    catalog.push(product('Amoxicillin 250mg', anHourAgo), product('Cetirizine 10mg', anHourAgo), product('Ibuprofen 400mg', anHourAgo));
+
+    const first = (await changes({ limit: 2 })).body.data;
+    const second = (await changes({ limit: 2, cursor: first.cursor })).body.data;
+    const third = (await changes({ cursor: second.cursor })).body.data;
+
+    assert.equal(first.hasMore, true);
+    assert.equal(second.hasMore, false);
+    const names = [...first.products, ...second.products].map(entry => entry.name).sort();
+    assert.deepEqual(names, ['Amoxicillin 250mg', 'Cetirizine 10mg', 'Ibuprofen 400mg']);
+    assert.deepEqual(third.products, []);
+    assert.equal(third.cursor, second.cursor);
+  });
+
+  it('sends removed products as tombstones', async () => {
+    const discontinued = product('Ranitidine 150mg', anHourAgo, { status: 'discontinued' });
+    catalog.push(discontinued, product('Paracetamol 500mg', anHourAgo));
+
+    const { data } = (await changes()).body;
+
+    assert.deepEqual(data.products.map(entry => entry.name), ['Paracetamol 500mg']);
+    assert.deepEqual(data.deleted.map(entry => [String(entry.id), entry.status]), [[String(discontinued._id), 'discontinued']]);
+  });
+
+  it('holds back changes until any transaction that made them has settled', async () => {
+    catalog.push(product('Paracetamol 500mg', anHourAgo), product('Zinc 20mg', new Date()));
+
+    const { data } = (await changes()).body;
+
+    assert.deepEqual(data.products.map(entry => entry.name), ['Paracetamol 500mg']);
+  });
+
+  it('rejects a cursor it did not issue', async () => {
+    const { status, body } = await changes({ cursor: 'not-a-cursor' });
+
+    assert.equal(status, 400);
+    assert.match(body.message, /Invalid cursor/);
+  });
+});
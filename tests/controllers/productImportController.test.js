@@ -0,0 +1,105 @@
+// tests/controllers/productImportController.test.js
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Product from '../../src/models/Product.js';
+import InventoryLog from '../../src/models/InventoryLog.js';
+import { importProducts } from '../../src/controllers/inventory/productImportController.js';
+import { serve } from '../helpers/http.js';
+import { query } from '../helpers/mongoose.js';
+
+const { ObjectId } = mongoose.Types;
+
+describe('importProducts', () => {
+  const pharmacyId = new ObjectId();
+  const user = { id: new ObjectId(), tenantId: pharmacyId, role: 'pharmacy_owner' };
+  const FILE = [
+    'SKU,Name,Category,Unit,Pack Size,Cost,Price,Packs',
+    'PCM-500,Paracetamol 500mg,Analgesics,Tablets,100,250,400,12',
+    'ORS-01,ORS sachets,Rehydration,Units,1,15,30,40',
+    'ORS-01,ORS sachets (again),Rehydration,Units,1,15,30,40'
+  ].join('\n');
+  let existing;
+  let planLimit;
+  let server;
+
+  beforeEach(async () => {
+    existing = new Product({
+      pharmacy: pharmacyId,
+      sku: 'PCM-500',
+      name: 'Paracetamol',
+      category: 'Analgesics',
+      unitType: 'Tablets',
+      pricing: { costPerPack: 200, sellingPricePerPack: 350, unitsPerPack: 100 },
+      stock: { fullPacks: 3, looseUnits: 0 },
+      createdBy: user.id
+    });
+    planLimit = Infinity;
+
+    mock.method(Product, 'find', () => query([existing]));
+    mock.method(Product, 'countDocuments', async () => 1);
+    mock.method(Product.prototype, 'save', async function() { return this; });
+    mock.method(InventoryLog, 'create', async () => ({}));
+
+    server = await serve(app => app.post('/products/import', (req, res, next) => {
+      req.file = { buffer: Buffer.from(FILE), originalname: 'catalogue.csv' };
+      req.tenant = { pharmacy: { features: { maxProducts: planLimit } } };
+      next();
+    }, importProducts), user);
+  });
+
+  afterEach(async () => {
+    await server.close();
+    mock.restoreAll();
+  });
+
+  const upload = async (body = {}) => {
+    const res = await fetch(`${server.url}/products/import`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+    return { status: res.status, body: await res.json() };
+  };
+
+  it('previews the import without saving anything', async () => {
+    const { status, body } = await upload();
+
+    assert.equal(status, 200);
+    assert.equal(body.data.dryRun, true);
+    assert.deepEqual(body.data.summary, { rows: 3, create: 1, update: 1, skip: 0, errors: 1 });
+    assert.deepEqual(body.data.rows[2].errors, ['Duplicate SKU or barcode earlier in the file']);
+    assert.equal(Product.prototype.save.mock.callCount(), 0);
+  });
+
+  it('updates existing products without touching their stock', async () => {
+    const { status, body } = await upload({ dryRun: 'false' });
+
+    assert.equal(status, 201);
+    assert.equal(existing.pricing.sellingPricePerPack, 400);
+    assert.equal(existing.stock.fullPacks, 3);
+    assert.match(body.data.rows[0].warnings[0], /Stock, batch and expiry columns are ignored/);
+    const created = Product.prototype.save.mock.calls.map(call => call.this).find(product => product.sku === 'ORS-01');
+    assert.equal(created.stock.fullPacks, 40);
+    assert.deepEqual(InventoryLog.create.mock.calls.map(call => call.arguments[0].action), ['update', 'create']);
+  });
+
+  it('stops new products at the plan limit', async () => {
+    planLimit = 1;
+
+    const { body } = await upload({ dryRun: 'false' });
+
+    assert.match(body.data.rows[1].errors[0], /Product limit reached/);
+    assert.equal(Product.prototype.save.mock.callCount(), 1);
+  });
+
+  it('still updates existing products once the plan is full', async () => {
+    planLimit = 1;
+
+    const { status, body } = await upload({ dryRun: 'false', mode: 'update' });
+
+    assert.equal(status, 201);
+    assert.equal(body.data.summary.update, 1);
+    assert.deepEqual(Product.prototype.save.mock.calls.map(call => call.this.sku), [existing.sku]);
+  });
+});
@@ -0,0 +1,88 @@
+// tests/controllers/receiptController.test.js
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Sale from '../../src/models/Sale.js';
+import Pharmacy from '../../src/models/Pharmacy.js';
+import StaffActivity from '../../src/models/StaffActivity.js';
+import { getReceipt, reprintReceipt } from '../../src/controllers/pos/receiptController.js';
+import { serve } from '../helpers/http.js';
+import { query } from '../helpers/mongoose.js';
+
+const { ObjectId } = mongoose.Types;
+
+const user = { id: new ObjectId(), tenantId: new ObjectId(), role: 'attendant' };
+
+describe('receipt printing', () => {
+  let sale;
+  let server;
+
+  beforeEach(async () => {
+    sale = {
+      _id: new ObjectId(),
+      receiptNumber: 'RCT-000042',
+      status: 'completed',
+      createdAt: new Date('2026-03-02T07:30:00Z'),
+      items: [{ productName: 'Paracetamol 500mg', quantity: 2, unitPrice: 5, total: 10, sellAs: 'unit' }],
+      subtotal: 10,
+      totalAmount: 10,
+      payments: [{ method: 'cash', amount: 10 }],
+      reprints: []
+    };
+
+    mock.method(Sale, 'findOne', () => query(sale));
+    mock.method(Pharmacy, 'findById', () => query({ name: 'Uzima Pharmacy', settings: {} }));
+    // In-memory stand-in for the conditional "first print" claim and the reprint log
+    mock.method(Sale, 'updateOne', async (filter, update) => {
+      if (update.$set) {
+        if (sale.receiptPrintedAt || sale.reprints.length > 0) return { modifiedCount: 0 };
+        Object.assign(sale, update.$set);
+        return { modifiedCount: 1 };
+      }
+      sale.reprints.push(update.$push.reprints);
+      return { modifiedCount: 1 };
+    });
+    mock.method(StaffActivity, 'log', async () => {});
+
+    server = await serve(app => {
+      app.get('/sales/:id/receipt', getReceipt);
+      app.post('/sales/:id/receipt/reprint', reprintReceipt);
+    }, user);
+  });
+
+  afterEach(async () => {
+    await server.close();
+    mock.restoreAll();
+  });
+
+  const render = async () => (await (await fetch(`${server.url}/sales/${sale._id}/receipt?format=json`)).json()).data;
+
+  it('prints the original once and every later render as an audited copy', async () => {
+    const first = await render();
+    assert.equal(first.isCopy, false);
+    assert.equal(sale.receiptPrintedBy, user.id);
+    assert.equal(sale.reprints.length, 0);
+
+    const second = await render();
+    assert.equal(second.isCopy, true);
+    assert.equal(sale.reprints.length, 1);
+    assert.equal(sale.reprints[0].printedBy, user.id);
+    assert.equal(sale.reprints[0].format, 'json');
+
+    const [activity] = StaffActivity.log.mock.calls[0].arguments;
+    assert.equal(activity.action, 'receipt_reprinted');
+  });
+
+  it('treats a receipt that was already reprinted as printed', async () => {
+    const reprint = await fetch(`${server.url}/sales/${sale._id}/receipt/reprint`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ format: 'json' })
+    });
+    assert.equal((await reprint.json()).data.isCopy, true);
+
+    assert.equal((await render()).isCopy, true);
+    assert.equal(sale.receiptPrintedAt, undefined);
+    assert.equal(sale.reprints.length, 2);
+  });
+});
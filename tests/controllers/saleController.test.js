@@ -0,0 +1,783 @@
+// tests/controllers/saleController.test.js
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Sale from '../../src/models/Sale.js';
+import Product from '../../src/models/Product.js';
+import Pharmacy from '../../src/models/Pharmacy.js';
+import Shift from '../../src/models/Shift.js';
+import Counter from '../../src/models/Counter.js';
+import InventoryLog from '../../src/models/InventoryLog.js';
+import StaffActivity from '../../src/models/StaffActivity.js';
+import { createSale, holdSale, refundSale, voidSale, reviewVoidRequest } from '../../src/controllers/pos/saleController.js';
+import { query, fakeSession } from '../helpers/mongoose.js';
+import { serve } from '../helpers/http.js';
+
+const { ObjectId } = mongoose.Types;
+
+const pharmacyId = new ObjectId();
+const owner = { id: new ObjectId(), tenantId: pharmacyId, role: 'pharmacy_owner' };
+const session = { id: 'test-session' };
+
+// Paracetamol 500mg: 10 packs of 10 tablets, KES 50 a pack / 5 a tablet
+const paracetamol = (overrides = {}) => new Product({
+  _id: new ObjectId(),
+  pharmacy: pharmacyId,
+  name: 'Paracetamol 500mg',
+  unitType: 'Tablets',
+  status: 'active',
+  taxClass: 'exempt',
+  pricing: { costPerPack: 30, sellingPricePerPack: 50, unitsPerPack: 10 },
+  stock: { fullPacks: 10, looseUnits: 0 },
+  ...overrides
+});
+
+describe('createSale', () => {
+  let products;
+  let shifts;
+  let saved;
+
+  const cashSale = (items, extra = {}) => ({ items, paymentMethod: 'cash', amountPaid: 1000, ...extra });
+
+  beforeEach(() => {
+    products = new Map();
+    shifts = { open: null, at: null, byId: null };
+    saved = [];
+
+    mock.method(Product, 'findOne', (filter) => query(() => {
+      const product = products.get(String(filter._id));
+      return product && String(product.pharmacy) === String(filter.pharmacy) ? product : null;
+    }));
+    mock.method(Product.prototype, 'save', async function() { return this; });
+    mock.method(Pharmacy, 'findById', () => query({ _id: pharmacyId, settings: {} }));
+    mock.method(Counter, 'next', async () => 42);
+    mock.method(Shift, 'findOpenShift', () => query(() => shifts.open));
+    mock.method(Shift, 'findShiftAt', () => query(() => shifts.at));
+    mock.method(Shift, 'findOne', () => query(() => shifts.byId));
+    mock.method(Sale.prototype, 'save', async function() {
+      saved.push(this);
+      return this;
+    });
+    mock.method(InventoryLog, 'create', async () => []);
+    mock.method(StaffActivity, 'log', async () => {});
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  const stock = (...list) => list.forEach(product => products.set(String(product._id), product));
+
+  it('refuses a prescription-only medicine without a prescription', async () => {
+    const product = paracetamol({ name: 'Amoxicillin 250mg', drugType: 'Prescription' });
+    stock(product);
+
+    const result = await createSale(owner, cashSale([{ productId: product._id, quantity: 21 }]), session);
+
+    assert.equal(result.error.status, 400);
+    assert.match(result.error.body.message, /A prescription is required for: Amoxicillin 250mg/);
+    assert.deepEqual(result.error.body.requiresPrescription, [product._id]);
+  });
+
+  it("refuses another pharmacy's product", async () => {
+    const foreign = paracetamol({ pharmacy: new ObjectId() });
+    stock(foreign);
+
+    const result = await createSale(owner, cashSale([{ productId: foreign._id, quantity: 2 }]), session);
+
+    assert.equal(result.error.status, 404);
+    assert.match(result.error.body.message, /Product not found/);
+    assert.equal(foreign.stock.fullPacks, 10);
+    assert.equal(saved.length, 0);
+  });
+
+  it("reads the drawer and logs the sale inside the sale's transaction", async () => {
+    const product = paracetamol();
+    stock(product);
+    shifts.open = { _id: new ObjectId(), status: 'open' };
+    const sessions = [];
+    Shift.findOpenShift.mock.mockImplementation(() => Object.assign(query(() => shifts.open), {
+      session(value) {
+        sessions.push(value);
+        return this;
+      }
+    }));
+
+    const { sale } = await createSale(owner, cashSale([{ productId: product._id, quantity: 2 }]), session);
+
+    assert.equal(sale.shift, shifts.open._id);
+    assert.deepEqual(sessions, [session]);
+    assert.equal(StaffActivity.log.mock.calls[0].arguments[0].session, session);
+  });
+
+  describe('discounts', () => {
+    const limited = { id: new ObjectId(), tenantId: pharmacyId, role: 'attendant', permissions: { discounts: 'limited' } };
+
+    it("lets an attendant discount up to the pharmacy's cap", async () => {
+      const product = paracetamol();
+      stock(product);
+
+      const { sale, error } = await createSale(limited, cashSale([
+        { productId: product._id, quantity: 10, discount: { type: 'percentage', value: 10 } }
+      ]), session);
+
+      assert.equal(error, undefined);
+      assert.equal(sale.items[0].discountAmount, 5);
+      assert.equal(sale.discountTotal, 5);
+      assert.equal(sale.totalAmount, 45);
+    });
+
+    it('refuses a line discount over the cap', async () => {
+      const product = paracetamol();
+      stock(product);
+
+      const result = await createSale(limited, cashSale([
+        { productId: product._id, quantity: 10, discount: { type: 'fixed', value: 10 } }
+      ]), session);
+
+      assert.equal(result.error.status, 403);
+      assert.match(result.error.body.message, /exceeds your limit of 10%/);
+      assert.equal(saved.length, 0);
+    });
+
+    it('counts a basket discount against the cap line by line', async () => {
+      const product = paracetamol();
+      stock(product);
+
+      const result = await createSale(limited, cashSale([{ productId: product._id, quantity: 10 }], {
+        discount: { type: 'percentage', value: 15 }
+      }), session);
+
+      assert.equal(result.error.status, 403);
+    });
+
+    it('refuses any discount from an attendant without the permission', async () => {
+      const product = paracetamol();
+      stock(product);
+      const attendant = { ...limited, permissions: {} };
+
+      const result = await createSale(attendant, cashSale([
+        { productId: product._id, quantity: 10, discount: { type: 'fixed', value: 1 } }
+      ]), session);
+
+      assert.equal(result.error.status, 403);
+      assert.match(result.error.body.message, /do not have permission/);
+    });
+
+    it('spreads a basket discount over the lines by value', async () => {
+      const tablets = paracetamol();
+      const syrup = paracetamol({ name: 'Cough Syrup 100ml', unitType: 'Bottles', pricing: { costPerPack: 20, sellingPricePerPack: 50, unitsPerPack: 1 } });
+      stock(tablets, syrup);
+
+      const { sale } = await createSale(owner, cashSale([
+        { productId: tablets._id, quantity: 20 },
+        { productId: syrup._id, quantity: 1 }
+      ], { discount: { type: 'fixed', value: 30 } }), session);
+
+      assert.deepEqual(sale.items.map(line => [line.total, line.discountAmount]), [[80, 20], [40, 10]]);
+      assert.equal(sale.basketDiscount.amount, 30);
+      assert.equal(sale.totalAmount, 120);
+    });
+  });
+
+  describe('split tenders', () => {
+    const tendered = (payments) => ({ items: [{ productId: products.keys().next().value, quantity: 20 }], payments });
+
+    beforeEach(() => stock(paracetamol()));
+
+    it('takes part cash, part card and gives change out of the cash', async () => {
+      const { sale } = await createSale(owner, tendered([
+        { method: 'card', amount: 60, reference: 'VISA-4421' },
+        { method: 'cash', amount: 50 }
+      ]), session);
+
+      assert.deepEqual(sale.payments.map(payment => [payment.method, payment.amount, payment.status]), [
+        ['card', 60, 'confirmed'],
+        ['cash', 50, 'confirmed']
+      ]);
+      assert.equal(sale.amountPaid, 110);
+      assert.equal(sale.changeDue, 10);
+    });
+
+    it('adds several cash tenders into one', async () => {
+      const { sale } = await createSale(owner, tendered([
+        { method: 'cash', amount: 50 },
+        { method: 'cash', amount: 50 }
+      ]), session);
+
+      assert.deepEqual(sale.payments.map(payment => [payment.method, payment.amount]), [['cash', 100]]);
+    });
+
+    it('refuses tenders that do not cover the total', async () => {
+      const result = await createSale(owner, tendered([
+        { method: 'card', amount: 40, reference: 'VISA-4421' },
+        { method: 'cash', amount: 50 }
+      ]), session);
+
+      assert.equal(result.error.status, 400);
+      assert.match(result.error.body.message, /Insufficient payment. Total: 100, Paid: 90/);
+    });
+
+    it('only gives change on cash', async () => {
+      const result = await createSale(owner, tendered([
+        { method: 'card', amount: 120, reference: 'VISA-4421' }
+      ]), session);
+
+      assert.equal(result.error.status, 400);
+      assert.match(result.error.body.message, /Change is only given on cash/);
+    });
+  });
+
+  describe('packs and loose units', () => {
+    it('sells sealed packs at the pack price, leaving an opened pack alone', async () => {
+      const product = paracetamol({ stock: { fullPacks: 10, looseUnits: 4 } });
+      stock(product);
+
+      const { sale } = await createSale(owner, cashSale([{ productId: product._id, quantity: 2, sellAs: 'pack' }]), session);
+
+      const [line] = sale.items;
+      assert.deepEqual([line.sellAs, line.packs, line.quantity, line.packPrice, line.total], ['pack', 2, 20, 50, 100]);
+      assert.deepEqual([product.stock.fullPacks, product.stock.looseUnits], [8, 4]);
+    });
+
+    it('sells loose tablets out of the opened pack before breaking a sealed one', async () => {
+      const product = paracetamol({ stock: { fullPacks: 10, looseUnits: 4 } });
+      stock(product);
+
+      const { sale } = await createSale(owner, cashSale([{ productId: product._id, quantity: 6 }]), session);
+
+      assert.deepEqual([sale.items[0].sellAs, sale.items[0].unitPrice, sale.items[0].total], ['unit', 5, 30]);
+      assert.deepEqual([product.stock.fullPacks, product.stock.looseUnits], [9, 8]);
+    });
+
+    it('charges the loose-unit price when the pharmacy sets one', async () => {
+      const product = paracetamol({ pricing: { costPerPack: 30, sellingPricePerPack: 50, sellingPricePerUnit: 6, unitsPerPack: 10 } });
+      stock(product);
+
+      const { sale } = await createSale(owner, cashSale([
+        { productId: product._id, quantity: 1, sellAs: 'pack' },
+        { productId: product._id, quantity: 5 }
+      ]), session);
+
+      assert.deepEqual(sale.items.map(line => line.total), [50, 30]);
+      assert.equal(sale.totalAmount, 80);
+    });
+
+    it('refuses part of a pack', async () => {
+      const product = paracetamol();
+      stock(product);
+
+      const result = await createSale(owner, cashSale([{ productId: product._id, quantity: 1.5, sellAs: 'pack' }]), session);
+
+      assert.equal(result.error.status, 400);
+      assert.match(result.error.body.message, /Invalid quantity/);
+    });
+
+    it('refuses part of a unit', async () => {
+      const product = paracetamol();
+      stock(product);
+
+      for (const quantity of [0.5, 1.5]) {
+        const result = await createSale(owner, cashSale([{ productId: product._id, quantity }]), session);
+
+        assert.equal(result.error.status, 400);
+        assert.match(result.error.body.message, /Invalid quantity for Paracetamol 500mg/);
+      }
+      assert.equal(product.stock.totalUnits, 100);
+      assert.equal(saved.length, 0);
+    });
+  });
+
+  describe('offline sales', () => {
+    const soldAt = new Date('2026-03-02T07:30:00Z');
+    const offline = (extra = {}) => ({ clientSaleId: 'T1-0001', terminalId: 'T1', soldAt, ...extra });
+
+    it('books the sale to the shift that was open when it was made, not the one open now', async () => {
+      const product = paracetamol();
+      stock(product);
+      const morning = { _id: new ObjectId(), status: 'open' };
+      shifts.at = morning;
+      shifts.open = { _id: new ObjectId(), status: 'open' };
+
+      const { sale, shiftConflict } = await createSale(owner, cashSale([{ productId: product._id, quantity: 2 }]), session, { offline: offline() });
+
+      assert.equal(sale.shift, morning._id);
+      assert.equal(shiftConflict, undefined);
+      assert.equal(Shift.findOpenShift.mock.callCount(), 0);
+      const [, attendant, at] = Shift.findShiftAt.mock.calls[0].arguments;
+      assert.equal(attendant, owner.id);
+      assert.equal(at, soldAt);
+    });
+
+    it('uses the shift the terminal recorded', async () => {
+      const product = paracetamol();
+      stock(product);
+      shifts.byId = { _id: new ObjectId(), status: 'open' };
+
+      const { sale } = await createSale(owner, cashSale([{ productId: product._id, quantity: 2 }]), session, {
+        offline: offline({ shiftId: shifts.byId._id })
+      });
+
+      assert.equal(sale.shift, shifts.byId._id);
+      const [filter] = Shift.findOne.mock.calls[0].arguments;
+      assert.equal(filter.pharmacy, pharmacyId);
+      assert.equal(filter.attendant, owner.id);
+      assert.deepEqual(filter.openedAt, { $lte: soldAt });
+    });
+
+    it('flags a sale whose shift was closed before it was uploaded', async () => {
+      const product = paracetamol();
+      stock(product);
+      shifts.at = { _id: new ObjectId(), status: 'closed' };
+
+      const { sale, shiftConflict } = await createSale(owner, cashSale([{ productId: product._id, quantity: 2 }]), session, { offline: offline() });
+
+      assert.equal(sale.shift, shifts.at._id);
+      assert.equal(shiftConflict, 'shift_closed');
+      assert.equal(sale.offline.shiftConflict, 'shift_closed');
+    });
+
+    it('leaves a sale made with no shift open unassigned and flagged', async () => {
+      const product = paracetamol();
+      stock(product);
+      shifts.open = { _id: new ObjectId(), status: 'open' };
+
+      const { sale, shiftConflict } = await createSale(owner, cashSale([{ productId: product._id, quantity: 2 }]), session, { offline: offline() });
+
+      assert.equal(sale.shift, undefined);
+      assert.equal(shiftConflict, 'no_shift');
+      assert.equal(sale.offline.shiftConflict, 'no_shift');
+    });
+
+    it('keeps the price the till charged when it went up since', async () => {
+      const product = paracetamol();
+      stock(product);
+      const attendant = { id: new ObjectId(), tenantId: pharmacyId, role: 'attendant', permissions: {} };
+
+      const { sale, priceChanges } = await createSale(attendant, cashSale([{ productId: product._id, quantity: 2, unitPrice: 6 }]), session, { offline: offline() });
+
+      assert.equal(sale.totalAmount, 12);
+      assert.equal(priceChanges[0].currentPrice, 5);
+    });
+
+    it('counts charging under the current price as a discount', async () => {
+      const product = paracetamol();
+      stock(product);
+      const noDiscounts = { id: new ObjectId(), tenantId: pharmacyId, role: 'attendant', permissions: {} };
+      const limited = { ...noDiscounts, permissions: { discounts: 'limited' } };
+      const sell = (user, unitPrice) => createSale(user, cashSale([{ productId: product._id, quantity: 10, unitPrice }]), session, { offline: offline() });
+
+      assert.equal((await sell(noDiscounts, 1)).error.status, 403);
+      const overCap = await sell(limited, 4);
+      assert.equal(overCap.error.status, 403);
+      assert.match(overCap.error.body.message, /exceeds your limit of 10%/);
+      assert.equal((await sell(limited, 4.5)).error, undefined);
+    });
+  });
+
+  describe('held sales', () => {
+    let product;
+    let held;
+
+    beforeEach(() => {
+      product = paracetamol();
+      stock(product);
+      // Parked at KES 4 a tablet, before the price went up
+      held = new Sale({
+        pharmacy: pharmacyId,
+        receiptNumber: 'HLD-260302-AB12',
+        attendant: owner.id,
+        createdBy: owner.id,
+        items: [{ product: product._id, productName: product.name, quantity: 2, sellAs: 'unit', unitPrice: 4, total: 8, stockDeducted: false }],
+        subtotal: 8,
+        totalAmount: 8,
+        status: 'pending',
+        paymentStatus: 'unpaid',
+        hold: { status: 'held', heldBy: owner.id, heldAt: new Date(), expiresAt: new Date(Date.now() + 60 * 60 * 1000) }
+      });
+      mock.method(Sale, 'findOne', () => query(held));
+      mock.method(Sale, 'updateMany', async () => ({ modifiedCount: 1 }));
+    });
+
+    it('rings up the parked basket at today\'s prices and only then takes the stock', async () => {
+      const { sale, error } = await createSale(owner, { heldSaleId: held._id, paymentMethod: 'cash', amountPaid: 20 }, session);
+
+      assert.equal(error, undefined);
+      assert.equal(sale, held);
+      assert.equal(sale.status, 'completed');
+      assert.equal(sale.totalAmount, 10);
+      assert.equal(sale.hold.status, 'resumed');
+      assert.equal(sale.hold.holdReference, 'HLD-260302-AB12');
+      assert.notEqual(sale.receiptNumber, 'HLD-260302-AB12');
+      assert.equal(product.stock.totalUnits, 98);
+    });
+
+    it('refuses a basket that has expired and cancels it afterwards', async () => {
+      held.hold.expiresAt = new Date(Date.now() - 1000);
+
+      const result = await createSale(owner, { heldSaleId: held._id, paymentMethod: 'cash', amountPaid: 20 }, session);
+
+      assert.equal(result.error.status, 410);
+      assert.equal(product.stock.totalUnits, 100);
+      await result.afterAbort();
+      const [filter, update] = Sale.updateMany.mock.calls[0].arguments;
+      assert.equal(filter['hold.status'], 'held');
+      assert.equal(update.$set['hold.status'], 'expired');
+    });
+
+    it('refuses a basket that was already rung up', async () => {
+      held.hold.status = 'resumed';
+      held.status = 'completed';
+
+      const result = await createSale(owner, { heldSaleId: held._id, paymentMethod: 'cash', amountPaid: 20 }, session);
+
+      assert.equal(result.error.status, 404);
+      assert.equal(saved.length, 0);
+    });
+  });
+});
+
+describe('holdSale', () => {
+  let product;
+  let server;
+
+  beforeEach(async () => {
+    product = paracetamol();
+    mock.method(Product, 'findOne', () => query(product));
+    mock.method(Product.prototype, 'save', async function() { return this; });
+    mock.method(Pharmacy, 'findById', () => query({ _id: pharmacyId, settings: { heldSaleExpiryMinutes: 30 } }));
+    mock.method(Sale, 'create', async (doc) => new Sale(doc));
+    server = await serve(app => app.post('/sales/hold', holdSale), owner);
+  });
+
+  afterEach(async () => {
+    await server.close();
+    mock.restoreAll();
+  });
+
+  const hold = async (body) => {
+    const res = await fetch(`${server.url}/sales/hold`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+    return { status: res.status, body: await res.json() };
+  };
+
+  it('parks a basket without touching the shelf', async () => {
+    const { status, body } = await hold({ items: [{ productId: product._id, quantity: 3 }], note: 'Gone to fetch M-Pesa PIN' });
+
+    assert.equal(status, 201);
+    assert.equal(body.data.status, 'pending');
+    assert.equal(body.data.hold.status, 'held');
+    assert.match(body.data.receiptNumber, /^HLD-/);
+    assert.equal(body.data.totalAmount, 15);
+    assert.equal(body.data.items[0].stockDeducted, false);
+    const heldFor = new Date(body.data.hold.expiresAt) - new Date(body.data.hold.heldAt);
+    assert.equal(heldFor, 30 * 60 * 1000);
+    assert.equal(product.stock.totalUnits, 100);
+    assert.equal(Product.prototype.save.mock.callCount(), 0);
+  });
+
+  it('refuses an empty basket', async () => {
+    const { status } = await hold({ items: [] });
+
+    assert.equal(status, 400);
+    assert.equal(Sale.create.mock.callCount(), 0);
+  });
+});
+
+describe('refundSale', () => {
+  let product;
+  let sale;
+  let server;
+
+  beforeEach(async () => {
+    // Five tablets sold out of the lot that expires first
+    product = paracetamol({
+      stock: { fullPacks: 9, looseUnits: 5 },
+      batches: [
+        { batchNumber: 'PCM-A1', expiryDate: new Date('2027-01-31'), quantity: 45 },
+        { batchNumber: 'PCM-B2', expiryDate: new Date('2028-06-30'), quantity: 50 }
+      ]
+    });
+    const [lot] = product.batches;
+    sale = new Sale({
+      pharmacy: pharmacyId,
+      receiptNumber: 'RCT-000042',
+      attendant: owner.id,
+      items: [{
+        product: product._id,
+        productName: product.name,
+        quantity: 5,
+        unitPrice: 5,
+        total: 25,
+        sellAs: 'unit',
+        stockDeducted: true,
+        batches: [{ batch: lot._id, batchNumber: lot.batchNumber, expiryDate: lot.expiryDate, quantity: 5 }]
+      }],
+      subtotal: 25,
+      totalAmount: 25,
+      payments: [{ method: 'cash', amount: 25, status: 'confirmed' }],
+      status: 'completed'
+    });
+
+    mock.method(mongoose, 'startSession', async () => Object.assign(fakeSession(), {
+      startTransaction() {},
+      async commitTransaction() {}
+    }));
+    mock.method(Sale, 'findOne', () => query(sale));
+    // Never sent to eTIMS, so there is nothing to credit
+    mock.method(Sale, 'findById', () => query(null));
+    mock.method(Sale.prototype, 'save', async function() { return this; });
+    mock.method(Product, 'findOne', () => query(product));
+    mock.method(Product.prototype, 'save', async function() { return this; });
+    mock.method(Shift, 'findOpenShift', () => query(null));
+    mock.method(InventoryLog, 'create', async () => []);
+    mock.method(StaffActivity, 'log', async () => {});
+
+    server = await serve(app => app.post('/sales/:id/refund', refundSale), owner);
+  });
+
+  afterEach(async () => {
+    await server.close();
+    mock.restoreAll();
+  });
+
+  const refund = async (body) => {
+    const res = await fetch(`${server.url}/sales/${sale._id}/refund`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ reason: 'Customer returned it', ...body })
+    });
+    return { status: res.status, body: await res.json() };
+  };
+
+  it('puts returned tablets back into the lot they were sold from', async () => {
+    const line = sale.items[0];
+
+    const { status, body } = await refund({ items: [{ itemId: line._id, quantity: 2 }] });
+
+    assert.equal(status, 200);
+    assert.equal(body.data.refund.type, 'partial');
+    assert.equal(body.data.refund.amount, 10);
+    assert.equal(sale.status, 'completed');
+    assert.equal(sale.refundedAmount, 10);
+    assert.equal(line.refundedQuantity, 2);
+    assert.deepEqual([product.stock.fullPacks, product.stock.looseUnits], [9, 7]);
+    assert.deepEqual(product.batches.map(batch => batch.quantity), [47, 50]);
+    const [[log]] = InventoryLog.create.mock.calls[0].arguments;
+    assert.equal(log.details.restocked, true);
+    assert.equal(log.details.newStock.totalUnits, 97);
+  });
+
+  it('refunds what is left and marks the sale refunded', async () => {
+    await refund({ items: [{ itemId: sale.items[0]._id, quantity: 2 }] });
+
+    const { body } = await refund({});
+
+    assert.equal(body.data.refund.amount, 15);
+    assert.equal(sale.status, 'refunded');
+    assert.equal(sale.refundedAmount, 25);
+    assert.deepEqual([product.stock.fullPacks, product.stock.looseUnits], [10, 0]);
+    assert.deepEqual(product.batches.map(batch => batch.quantity), [50, 50]);
+  });
+
+  it('refuses to take back more than is left on the line', async () => {
+    await refund({ items: [{ itemId: sale.items[0]._id, quantity: 4 }] });
+
+    const { status, body } = await refund({ items: [{ itemId: sale.items[0]._id, quantity: 2 }] });
+
+    assert.equal(status, 400);
+    assert.match(body.message, /Only 1 left to refund/);
+    assert.equal(sale.refundedAmount, 20);
+  });
+
+  it('pays back without restocking when the goods are not going back on the shelf', async () => {
+    const { body } = await refund({ restock: false });
+
+    assert.equal(body.data.refund.items[0].restocked, false);
+    assert.equal(sale.status, 'refunded');
+    assert.equal(product.stock.totalUnits, 95);
+  });
+
+  it('pays back the way the sale was paid unless told otherwise', async () => {
+    sale.payments = [{ method: 'mpesa', amount: 25, status: 'confirmed', reference: 'QGH7XK2LMN' }];
+
+    const { body } = await refund({ items: [{ itemId: sale.items[0]._id, quantity: 1 }] });
+    assert.equal(body.data.refund.refundMethod, 'mpesa');
+
+    const { body: cash } = await refund({ items: [{ itemId: sale.items[0]._id, quantity: 1 }], refundMethod: 'cash' });
+    assert.equal(cash.data.refund.refundMethod, 'cash');
+  });
+
+  it('asks which tender to pay back on a split-tender sale', async () => {
+    sale.payments = [
+      { method: 'cash', amount: 10, status: 'confirmed' },
+      { method: 'mpesa', amount: 15, status: 'confirmed', reference: 'QGH7XK2LMN' }
+    ];
+
+    const { status, body } = await refund({});
+
+    assert.equal(status, 400);
+    assert.match(body.message, /paid by cash and mpesa\. Choose a refundMethod/);
+    assert.equal(sale.refundedAmount, 0);
+  });
+});
+
+describe('voidSale', () => {
+  const attendant = { id: new ObjectId(), tenantId: pharmacyId, role: 'attendant' };
+  let staff;
+  let product;
+  let sale;
+  let shifts;
+  let server;
+
+  beforeEach(async () => {
+    staff = { ...owner };
+    product = paracetamol({ stock: { fullPacks: 9, looseUnits: 8 } });
+    shifts = { open: null, original: { _id: new ObjectId(), status: 'closed' } };
+    sale = new Sale({
+      pharmacy: pharmacyId,
+      receiptNumber: 'RCT-000042',
+      attendant: new ObjectId(),
+      createdBy: owner.id,
+      shift: shifts.original._id,
+      items: [{ product: product._id, productName: product.name, quantity: 2, unitPrice: 5, total: 10, sellAs: 'unit', stockDeducted: true }],
+      subtotal: 10,
+      totalAmount: 10,
+      payments: [{ method: 'cash', amount: 20, status: 'confirmed' }],
+      changeDue: 10,
+      status: 'completed',
+      createdAt: new Date(Date.now() - 3 * 60 * 60 * 1000)
+    });
+
+    mock.method(mongoose, 'startSession', async () => Object.assign(fakeSession(), {
+      startTransaction() {},
+      async commitTransaction() {}
+    }));
+    mock.method(Sale, 'findOne', () => query(sale));
+    // Never sent to eTIMS, so there is nothing to credit
+    mock.method(Sale, 'findById', () => query(null));
+    mock.method(Sale.prototype, 'save', async function() { return this; });
+    mock.method(Product, 'findOne', () => query(product));
+    mock.method(Product.prototype, 'save', async function() { return this; });
+    mock.method(Pharmacy, 'findById', () => query({ settings: {} }));
+    mock.method(Shift, 'findOpenShift', () => query(() => shifts.open));
+    mock.method(Shift, 'findById', () => query(() => shifts.original));
+    mock.method(InventoryLog, 'create', async () => []);
+    mock.method(StaffActivity, 'log', async () => {});
+
+    server = await serve(app => {
+      app.post('/sales/:id/void', voidSale);
+      app.post('/sales/:id/void/review', reviewVoidRequest);
+    }, staff);
+  });
+
+  afterEach(async () => {
+    await server.close();
+    mock.restoreAll();
+  });
+
+  const post = async (path, body) => {
+    const res = await fetch(`${server.url}/sales/${sale._id}${path}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+    return { status: res.status, body: await res.json() };
+  };
+  const voidIt = () => post('/void', { reason: 'Rung up on the wrong customer' });
+
+  it('puts the stock back on the shelf', async () => {
+    const { status } = await voidIt();
+
+    assert.equal(status, 200);
+    assert.equal(sale.status, 'cancelled');
+    assert.deepEqual([product.stock.fullPacks, product.stock.looseUnits], [10, 0]);
+    assert.deepEqual(sale.voidDetails.reversedItems.map(item => [item.quantity, item.restocked]), [[2, true]]);
+    const [[log]] = InventoryLog.create.mock.calls[0].arguments;
+    assert.equal(log.action, 'void');
+  });
+
+  it('lets an attendant void inside the grace window', async () => {
+    Object.assign(staff, attendant);
+    sale.createdAt = new Date();
+
+    const { status } = await voidIt();
+
+    assert.equal(status, 200);
+    assert.equal(sale.status, 'cancelled');
+    assert.equal(sale.voidDetails.withinGraceWindow, true);
+    assert.equal(product.stock.totalUnits, 100);
+  });
+
+  it("sends an attendant's late void to the owner and leaves the sale and stock alone", async () => {
+    Object.assign(staff, attendant);
+
+    const { status, body } = await voidIt();
+
+    assert.equal(status, 202);
+    assert.match(body.message, /Request sent to the pharmacy owner/);
+    assert.equal(sale.status, 'completed');
+    assert.equal(sale.voidDetails.status, 'pending');
+    assert.equal(product.stock.totalUnits, 98);
+    assert.equal(InventoryLog.create.mock.callCount(), 0);
+  });
+
+  it('voids when the owner approves, paid back from the drawer of the attendant who asked', async () => {
+    Object.assign(staff, attendant);
+    await voidIt();
+    Object.assign(staff, owner);
+    shifts.open = { _id: new ObjectId(), status: 'open' };
+
+    const { status } = await post('/void/review', { approve: true });
+
+    assert.equal(status, 200);
+    assert.equal(sale.status, 'cancelled');
+    assert.equal(sale.voidDetails.status, 'voided');
+    assert.equal(sale.voidDetails.reviewedBy, owner.id);
+    assert.equal(product.stock.totalUnits, 100);
+    const [, requestedBy] = Shift.findOpenShift.mock.calls[0].arguments;
+    assert.equal(String(requestedBy), String(attendant.id));
+    assert.equal(String(sale.voidDetails.shift), String(shifts.open._id));
+  });
+
+  it('leaves the sale standing when the owner rejects the request', async () => {
+    Object.assign(staff, attendant);
+    await voidIt();
+    Object.assign(staff, owner);
+
+    const { status } = await post('/void/review', { approve: false, note: 'Customer kept the goods' });
+
+    assert.equal(status, 200);
+    assert.equal(sale.status, 'completed');
+    assert.equal(sale.voidDetails.status, 'rejected');
+    assert.equal(product.stock.totalUnits, 98);
+  });
+
+  it('pays a sale from a closed shift back out of the voider\'s open drawer', async () => {
+    shifts.open = { _id: new ObjectId(), status: 'open' };
+
+    const { status, body } = await voidIt();
+
+    assert.equal(status, 200);
+    assert.equal(String(sale.voidDetails.shift), String(shifts.open._id));
+    assert.equal(body.data.warning, undefined);
+  });
+
+  it('says so when no open drawer can take a void of a closed shift\'s sale', async () => {
+    const { status, body } = await voidIt();
+
+    assert.equal(status, 200);
+    assert.equal(String(sale.voidDetails.shift), String(shifts.original._id));
+    assert.match(body.data.warning, /shift is already closed/);
+  });
+
+  it('keeps a void in the sale\'s own shift while that shift is still open', async () => {
+    shifts.original.status = 'open';
+
+    const { body } = await voidIt();
+
+    assert.equal(String(sale.voidDetails.shift), String(shifts.original._id));
+    assert.equal(body.data.warning, undefined);
+  });
+});
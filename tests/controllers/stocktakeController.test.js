@@ -0,0 +1,143 @@
+// tests/controllers/stocktakeController.test.js
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Stocktake from '../../src/models/Stocktake.js';
+import Product from '../../src/models/Product.js';
+import InventoryLog from '../../src/models/InventoryLog.js';
+import {
+  getStocktake,
+  submitCounts,
+  approveStocktake
+} from '../../src/controllers/inventory/stocktakeController.js';
+import { serve } from '../helpers/http.js';
+import { query, fakeSession } from '../helpers/mongoose.js';
+
+const { ObjectId } = mongoose.Types;
+
+describe('stocktakes', () => {
+  const pharmacyId = new ObjectId();
+  const owner = { id: new ObjectId(), tenantId: pharmacyId, role: 'pharmacy_owner' };
+  const attendant = { id: new ObjectId(), tenantId: pharmacyId, role: 'attendant' };
+  let staff;
+  let product;
+  let stocktake;
+  let server;
+
+  beforeEach(async () => {
+    staff = { ...owner };
+    // 5 packs of 10 expected when the stocktake started
+    product = new Product({
+      _id: new ObjectId(),
+      pharmacy: pharmacyId,
+      name: 'Cetirizine 10mg',
+      unitType: 'Tablets',
+      pricing: { costPerPack: 40, sellingPricePerPack: 80, unitsPerPack: 10 },
+      stock: { fullPacks: 5, looseUnits: 0 }
+    });
+    stocktake = new Stocktake({
+      pharmacy: pharmacyId,
+      stocktakeNumber: 'ST-260302-0001',
+      status: 'counting',
+      items: [{ product: product._id, productName: product.name, category: 'Antihistamines', unitsPerPack: 10, costPerUnit: 4, expectedUnits: 50 }],
+      startedBy: owner.id
+    });
+
+    mock.method(Stocktake, 'findOne', () => query(stocktake));
+    mock.method(Stocktake.prototype, 'save', async function() { return this; });
+    mock.method(Product, 'find', () => query([product]));
+    mock.method(Product.prototype, 'save', async function() { return this; });
+    mock.method(InventoryLog, 'create', async (docs) => docs.map(doc => ({ _id: new ObjectId(), ...doc })));
+    mock.method(mongoose, 'startSession', async () => Object.assign(fakeSession(), {
+      startTransaction() {},
+      async commitTransaction() {}
+    }));
+    // Apply each line's update to the in-memory stocktake
+    mock.method(Stocktake, 'bulkWrite', async (operations) => {
+      operations.forEach(({ updateOne: { update, arrayFilters } }) => {
+        const item = stocktake.items.id(arrayFilters[0]['line._id']);
+        item.counts.push(update.$push['items.$[line].counts']);
+        Object.entries(update.$set).forEach(([path, value]) => item.set(path.replace('items.$[line].', ''), value));
+      });
+      return { modifiedCount: operations.length };
+    });
+
+    server = await serve(app => {
+      app.get('/stocktakes/:id', getStocktake);
+      app.post('/stocktakes/:id/counts', submitCounts);
+      app.post('/stocktakes/:id/approve', approveStocktake);
+    }, staff);
+  });
+
+  afterEach(async () => {
+    await server.close();
+    mock.restoreAll();
+  });
+
+  const call = async (method, path, body) => {
+    const res = await fetch(`${server.url}/stocktakes/${stocktake._id}${path}`, {
+      method,
+      headers: { 'Content-Type': 'application/json' },
+      body: body && JSON.stringify(body)
+    });
+    return { status: res.status, body: await res.json() };
+  };
+  const count = (packs, units) => call('POST', '/counts', { counts: [{ productId: product._id, packs, units }] });
+
+  it('lets attendants count blind', async () => {
+    Object.assign(staff, attendant);
+
+    const { body } = await call('GET', '');
+
+    assert.equal(body.data.items[0].productName, 'Cetirizine 10mg');
+    assert.equal(body.data.items[0].expectedUnits, undefined);
+    assert.equal(body.data.summary, undefined);
+  });
+
+  it('measures a count against the shelf at the time of counting', async () => {
+    // Two tablets were sold after the stocktake started
+    product.stock.fullPacks = 4;
+    product.stock.looseUnits = 8;
+
+    await count(4, 5);
+
+    const [item] = stocktake.items;
+    assert.deepEqual([item.countedUnits, item.systemUnitsAtCount, item.varianceUnits, item.varianceValue], [45, 48, -3, -12]);
+  });
+
+  it('applies the variance on top of what has moved since the count', async () => {
+    await count(4, 5);
+    // A delivery of 2 packs lands before the owner approves
+    product.stock.fullPacks = 7;
+
+    const { status } = await call('POST', '/approve');
+
+    assert.equal(status, 200);
+    assert.equal(stocktake.status, 'approved');
+    assert.equal(stocktake.items[0].varianceUnits, -5);
+    assert.equal(product.stock.totalUnits, 65);
+    assert.equal(stocktake.items[0].appliedUnits, -5);
+  });
+
+  it('books a surplus back onto the shelf', async () => {
+    await count(5, 4);
+
+    await call('POST', '/approve');
+
+    assert.deepEqual([product.stock.fullPacks, product.stock.looseUnits], [5, 4]);
+    const [[log]] = InventoryLog.create.mock.calls[0].arguments;
+    assert.equal(log.details.adjustmentType, 'stocktake');
+    assert.equal(log.details.quantity, 4);
+  });
+
+  it('never takes the shelf below zero', async () => {
+    await count(4, 0);
+    product.stock.fullPacks = 0;
+    product.stock.looseUnits = 6;
+
+    await call('POST', '/approve');
+
+    assert.equal(product.stock.totalUnits, 0);
+    assert.equal(stocktake.items[0].appliedUnits, -6);
+  });
+});
@@ -0,0 +1,38 @@
+// tests/helpers/http.js
+import express from 'express';
+
+/**
+ * Serve routes on a random port as the given user, the way authMiddleware would set req.user
+ * @param {Function} mount - (app) => void, adds the routes under test
+ * @returns {Object} { url, close }
+ */
+export const serve = async (mount, user) => {
+  const app = express();
+  app.use(express.json());
+  app.use((req, res, next) => {
+    req.user = user;
+    next();
+  });
+  mount(app);
+
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, () => resolve(listening));
+  });
+
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    close: () => new Promise(resolve => {
+      server.closeAllConnections();
+      server.close(resolve);
+    })
+  };
+};
+
+// A promise with its resolve exposed, for holding a handler at a known point
+export const deferred = () => {
+  let resolve;
+  const promise = new Promise(done => {
+    resolve = done;
+  });
+  return { promise, resolve };
+};
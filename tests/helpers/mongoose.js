@@ -0,0 +1,59 @@
+// tests/helpers/mongoose.js
+// Stand-ins for Mongoose queries and sessions, so services can be exercised without a database
+
+const QUERY_METHODS = ['populate', 'select', 'session', 'sort', 'limit', 'skip', 'lean', 'distinct'];
+
+/**
+ * A chainable query that resolves to the given result
+ * @param {*} result - value, or a function called when the query is awaited
+ */
+export const query = (result) => {
+  const chain = {
+    then: (resolve, reject) => Promise.resolve()
+      .then(() => (typeof result === 'function' ? result() : result))
+      .then(resolve, reject),
+    exec: () => chain.then(value => value)
+  };
+  QUERY_METHODS.forEach(method => {
+    chain[method] = () => chain;
+  });
+  return chain;
+};
+
+// An error the driver labels as safe to retry the whole transaction for
+export const writeConflict = () => Object.assign(new Error('WriteConflict'), {
+  code: 112,
+  errorLabels: ['TransientTransactionError'],
+  hasErrorLabel(label) {
+    return this.errorLabels.includes(label);
+  }
+});
+
+/**
+ * A session whose withTransaction retries transient errors the way the driver does
+ * @returns {Object} session, with counts of attempts and whether it was ended
+ */
+export const fakeSession = () => {
+  const session = {
+    attempts: 0,
+    aborted: 0,
+    ended: false,
+    async withTransaction(fn) {
+      for (;;) {
+        session.attempts += 1;
+        try {
+          return await fn(session);
+        } catch (error) {
+          if (!error.hasErrorLabel?.('TransientTransactionError')) throw error;
+        }
+      }
+    },
+    async abortTransaction() {
+      session.aborted += 1;
+    },
+    endSession() {
+      session.ended = true;
+    }
+  };
+  return session;
+};
@@ -0,0 +1,198 @@
+// tests/middleware/idempotencyMiddleware.test.js
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import IdempotencyKey from '../../src/models/IdempotencyKey.js';
+import { idempotent } from '../../src/middleware/idempotencyMiddleware.js';
+import { serve, deferred } from '../helpers/http.js';
+
+const user = { id: '64b000000000000000000001', tenantId: '64b0000000000000000000aa' };
+
+// IdempotencyKey collection kept in memory, unique on { pharmacy, key } like the real index
+const memoryKeys = () => {
+  const docs = new Map();
+  const idOf = ({ pharmacy, key }) => `${pharmacy}:${key}`;
+  // The record, if it is still held under the lease the filter names
+  const held = ({ _id, lockedUntil }) => {
+    const record = docs.get(_id);
+    if (!record || (lockedUntil !== undefined && record.lockedUntil?.getTime() !== lockedUntil?.getTime())) return null;
+    return record;
+  };
+
+  return {
+    docs,
+    create: async (doc) => {
+      if (docs.has(idOf(doc))) throw Object.assign(new Error('E11000 duplicate key'), { code: 11000 });
+      const record = { _id: idOf(doc), status: 'processing', ...doc };
+      docs.set(record._id, record);
+      return record;
+    },
+    findOne: async (filter) => docs.get(idOf(filter)) ?? null,
+    findOneAndUpdate: async (filter, { $set }) => {
+      const record = held(filter);
+      return record ? Object.assign(record, $set) : null;
+    },
+    updateOne: async (filter, update) => {
+      Object.assign(held(filter) ?? {}, update);
+    },
+    deleteOne: async (filter) => {
+      if (held(filter)) docs.delete(filter._id);
+    }
+  };
+};
+
+describe('idempotent()', { timeout: 10000 }, () => {
+  let keys;
+  let server;
+  let sales;
+  let gate;
+  let entered;
+  let finished;
+
+  const postSale = (key, body = { items: [{ productId: 'p1', quantity: 2 }] }, signal) => fetch(`${server.url}/sales`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'Idempotency-Key': key },
+    body: JSON.stringify(body),
+    signal
+  });
+
+  beforeEach(async () => {
+    keys = memoryKeys();
+    for (const method of ['create', 'findOne', 'findOneAndUpdate', 'updateOne', 'deleteOne']) {
+      mock.method(IdempotencyKey, method, keys[method]);
+    }
+
+    sales = 0;
+    gate = null;
+    entered = deferred();
+    finished = deferred();
+
+    // A sale handler that can be held open until the test lets it answer
+    server = await serve(app => app.post('/sales', idempotent(), async (req, res) => {
+      const sale = (sales += 1);
+      const closed = new Promise(resolve => res.once('close', resolve));
+      entered.resolve({ closed });
+      if (gate) await gate.promise;
+
+      if (req.body.fail) {
+        res.status(400).json({ success: false, message: 'Insufficient stock' });
+      } else {
+        res.status(201).json({ success: true, data: { sale } });
+      }
+      finished.resolve();
+    }), user);
+  });
+
+  afterEach(async () => {
+    await server.close();
+    mock.restoreAll();
+  });
+
+  it('replays the first response for a repeated key without running the handler again', async () => {
+    const first = await postSale('sale-1');
+    assert.equal(first.status, 201);
+    assert.equal(first.headers.get('idempotent-replayed'), null);
+
+    const retry = await postSale('sale-1');
+    assert.equal(retry.status, 201);
+    assert.equal(retry.headers.get('idempotent-replayed'), 'true');
+    assert.deepEqual(await retry.json(), { success: true, data: { sale: 1 } });
+    assert.equal(sales, 1);
+  });
+
+  it('returns the first response to a retry made after the client disconnected', async () => {
+    gate = deferred();
+    const controller = new AbortController();
+    const abandoned = postSale('sale-2', undefined, controller.signal).catch(error => error);
+
+    // The till times out while the sale is still being processed
+    const { closed } = await entered.promise;
+    controller.abort();
+    assert.equal((await abandoned).name, 'AbortError');
+    await closed;
+
+    // Still in flight: the retry must not ring the sale up a second time
+    const early = await postSale('sale-2');
+    assert.equal(early.status, 409);
+
+    gate.resolve();
+    await finished.promise;
+    await new Promise(resolve => setImmediate(resolve));
+
+    const retry = await postSale('sale-2');
+    assert.equal(retry.status, 201);
+    assert.equal(retry.headers.get('idempotent-replayed'), 'true');
+    assert.deepEqual(await retry.json(), { success: true, data: { sale: 1 } });
+    assert.equal(sales, 1);
+  });
+
+  it('answers a concurrent request with the same key with 409', async () => {
+    gate = deferred();
+    const first = postSale('sale-3');
+    await entered.promise;
+
+    const concurrent = await postSale('sale-3');
+    assert.equal(concurrent.status, 409);
+    assert.equal((await concurrent.json()).success, false);
+
+    gate.resolve();
+    assert.equal((await first).status, 201);
+    assert.equal(sales, 1);
+  });
+
+  it('lets a retry take over a key whose request never answered once its lease runs out', async () => {
+    gate = deferred();
+    const lost = postSale('sale-6');
+    await entered.promise;
+
+    // The server went down mid-sale: nothing will answer for the first request
+    const [record] = keys.docs.values();
+    assert.ok(record.lockedUntil > new Date());
+    record.lockedUntil = new Date(Date.now() - 1000);
+
+    entered = deferred();
+    const takeOver = postSale('sale-6');
+    await entered.promise;
+    gate.resolve();
+    await lost;
+
+    const retry = await takeOver;
+    assert.equal(retry.status, 201);
+    assert.equal(retry.headers.get('idempotent-replayed'), null);
+    // The lost request answering late does not overwrite what the retry stored
+    assert.deepEqual(await retry.json(), { success: true, data: { sale: 2 } });
+    assert.deepEqual(JSON.parse(keys.docs.get(record._id).responseBody).data, { sale: 2 });
+    assert.equal(sales, 2);
+  });
+
+  it('gives the key back when the handler fails so the request can be retried', async () => {
+    const failed = await postSale('sale-4', { fail: true });
+    assert.equal(failed.status, 400);
+    assert.equal(keys.docs.size, 0);
+
+    finished = deferred();
+    const retry = await postSale('sale-4', { fail: true });
+    assert.equal(retry.status, 400);
+    assert.equal(retry.headers.get('idempotent-replayed'), null);
+    assert.equal(sales, 2);
+  });
+
+  it('rejects a key reused for a different request', async () => {
+    await postSale('sale-5');
+    const reused = await postSale('sale-5', { items: [{ productId: 'p2', quantity: 1 }] });
+    assert.equal(reused.status, 400);
+    assert.equal(sales, 1);
+  });
+
+  it('processes requests without a key as usual', async () => {
+    const send = () => fetch(`${server.url}/sales`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ items: [] })
+    });
+    await send();
+    finished = deferred();
+    await send();
+    assert.equal(sales, 2);
+    assert.equal(keys.docs.size, 0);
+  });
+});
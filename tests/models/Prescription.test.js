@@ -0,0 +1,66 @@
+// tests/models/Prescription.test.js
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Prescription from '../../src/models/Prescription.js';
+
+const { ObjectId } = mongoose.Types;
+
+describe('Prescription fills', () => {
+  const amoxicillin = new ObjectId();
+  const line = (quantity) => ({ product: amoxicillin, productName: 'Amoxicillin 250mg', quantity });
+
+  // A week of amoxicillin, with one repeat
+  const prescription = (extra = {}) => new Prescription({
+    pharmacy: new ObjectId(),
+    prescriptionNumber: 'RX-0001',
+    patient: { name: 'Wanjiru Kamau' },
+    prescriber: { name: 'Dr. Otieno', registrationNumber: 'A1234' },
+    items: [{ product: amoxicillin, productName: 'Amoxicillin 250mg', quantity: 21 }],
+    repeats: 1,
+    createdBy: new ObjectId(),
+    ...extra
+  });
+
+  it('allows up to the prescribed quantity of a prescribed product per fill', () => {
+    const rx = prescription();
+
+    assert.equal(rx.getDispenseError([line(21)]), null);
+    assert.match(rx.getDispenseError([line(28)]), /at most 21 of Amoxicillin 250mg per fill/);
+    assert.match(rx.getDispenseError([{ product: new ObjectId(), productName: 'Tramadol 50mg', quantity: 1 }]), /Tramadol 50mg is not on prescription RX-0001/);
+  });
+
+  it('uses a repeat on every fill after the first and is exhausted when they run out', () => {
+    const rx = prescription();
+    const userId = new ObjectId();
+
+    rx.recordDispense({ sale: new ObjectId(), lines: [line(21)], userId });
+    assert.equal(rx.remainingRepeats, 1);
+    assert.equal(rx.status, 'active');
+
+    rx.recordDispense({ sale: new ObjectId(), lines: [line(21)], userId });
+    assert.equal(rx.remainingRepeats, 0);
+    assert.equal(rx.status, 'exhausted');
+    assert.match(rx.getDispenseError([line(21)]), /no repeats left/);
+  });
+
+  it('gives a fill back when its sale is voided', () => {
+    const rx = prescription();
+    const userId = new ObjectId();
+    const repeatSale = new ObjectId();
+    rx.recordDispense({ sale: new ObjectId(), lines: [line(21)], userId });
+    rx.recordDispense({ sale: repeatSale, lines: [line(21)], userId });
+
+    assert.equal(rx.reverseDispense(repeatSale), true);
+    assert.equal(rx.reverseDispense(repeatSale), false);
+    assert.equal(rx.remainingRepeats, 1);
+    assert.equal(rx.status, 'active');
+    assert.equal(rx.fillCount, 1);
+  });
+
+  it('refuses an expired prescription', () => {
+    const rx = prescription({ issuedAt: new Date('2026-01-02'), expiresAt: new Date('2026-02-01') });
+
+    assert.match(rx.getDispenseError([line(7)]), /expired on/);
+  });
+});
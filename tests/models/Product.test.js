@@ -0,0 +1,92 @@
+// tests/models/Product.test.js
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Product from '../../src/models/Product.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const inDays = (days) => new Date(Date.now() + days * DAY_MS);
+
+// 60 tablets of amoxicillin on the shelf across three lots, received out of expiry order
+const amoxicillin = (batches) => new Product({
+  pharmacy: new mongoose.Types.ObjectId(),
+  name: 'Amoxicillin 250mg',
+  unitType: 'Capsules',
+  pricing: { costPerPack: 100, sellingPricePerPack: 200, unitsPerPack: 10 },
+  stock: { fullPacks: 6, looseUnits: 0 },
+  batches
+});
+
+describe('consumeBatches', () => {
+  it('sells the lot that expires first', () => {
+    const product = amoxicillin([
+      { batchNumber: 'LATE', expiryDate: inDays(400), quantity: 20 },
+      { batchNumber: 'SOON', expiryDate: inDays(30), quantity: 10 },
+      { batchNumber: 'MID', expiryDate: inDays(200), quantity: 30 }
+    ]);
+
+    const taken = product.consumeBatches(25);
+
+    assert.deepEqual(taken.map(lot => [lot.batchNumber, lot.quantity]), [['SOON', 10], ['MID', 15]]);
+    assert.deepEqual(product.batches.map(batch => [batch.batchNumber, batch.quantity]), [['LATE', 20], ['SOON', 0], ['MID', 15]]);
+    assert.equal(product.batchNumber, 'MID');
+  });
+
+  it('never sells an expired lot', () => {
+    const product = amoxicillin([
+      { batchNumber: 'OLD', expiryDate: inDays(-5), quantity: 50 },
+      { batchNumber: 'NEW', expiryDate: inDays(300), quantity: 10 }
+    ]);
+
+    assert.throws(() => product.consumeBatches(15), /50 expired unit\(s\) must be written off/);
+  });
+
+  it('sells round an expired lot while fresh stock lasts', () => {
+    const product = amoxicillin([
+      { batchNumber: 'OLD', expiryDate: inDays(-5), quantity: 50 },
+      { batchNumber: 'NEW', expiryDate: inDays(300), quantity: 10 }
+    ]);
+
+    assert.deepEqual(product.consumeBatches(10).map(lot => lot.batchNumber), ['NEW']);
+  });
+
+  it('takes expired lots first when writing stock off', () => {
+    const product = amoxicillin([
+      { batchNumber: 'NEW', expiryDate: inDays(300), quantity: 10 },
+      { batchNumber: 'OLD', expiryDate: inDays(-5), quantity: 50 }
+    ]);
+
+    const taken = product.consumeBatches(55, { includeExpired: true });
+
+    assert.deepEqual(taken.map(lot => [lot.batchNumber, lot.quantity]), [['OLD', 50], ['NEW', 5]]);
+  });
+
+  it('tracks stock from before lots were recorded as a lot of its own', () => {
+    const product = amoxicillin([{ batchNumber: 'NEW', expiryDate: inDays(300), quantity: 40 }]);
+    product.expiryDate = inDays(60);
+    product.batchNumber = 'UNTRACKED';
+
+    const taken = product.consumeBatches(25);
+
+    assert.deepEqual(taken.map(lot => [lot.batchNumber, lot.quantity]), [['UNTRACKED', 20], ['NEW', 5]]);
+  });
+});
+
+describe('returnToBatches', () => {
+  it('puts returns back into the lots they were sold from, latest first', () => {
+    const product = amoxicillin([
+      { batchNumber: 'SOON', expiryDate: inDays(30), quantity: 10 },
+      { batchNumber: 'MID', expiryDate: inDays(200), quantity: 50 }
+    ]);
+    const sold = product.consumeBatches(25);
+    product.stock.fullPacks = 3;
+    product.stock.looseUnits = 5;
+
+    const first = product.returnToBatches(sold, 10);
+    const second = product.returnToBatches(sold, 10, 10);
+
+    assert.deepEqual(first.map(lot => [lot.batchNumber, lot.quantity]), [['MID', 10]]);
+    assert.deepEqual(second.map(lot => [lot.batchNumber, lot.quantity]), [['MID', 5], ['SOON', 5]]);
+    assert.deepEqual(product.batches.map(batch => batch.quantity), [5, 50]);
+  });
+});
@@ -0,0 +1,62 @@
+// tests/models/PurchaseOrder.test.js
+import { describe, it, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import PurchaseOrder from '../../src/models/PurchaseOrder.js';
+
+const { ObjectId } = mongoose.Types;
+
+describe('PurchaseOrder', () => {
+  const buyer = new ObjectId();
+
+  const order = (extra = {}) => new PurchaseOrder({
+    pharmacy: new ObjectId(),
+    supplier: new ObjectId(),
+    items: [
+      { product: new ObjectId(), productName: 'Paracetamol 500mg', packs: 10, unitsPerPack: 100, costPerPack: 312.5 },
+      { product: new ObjectId(), productName: 'ORS sachets', packs: 3, unitsPerPack: 50, costPerPack: 99.99 }
+    ],
+    createdBy: buyer,
+    ...extra
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  it('numbers a new order per pharmacy and totals its lines', async () => {
+    mock.method(PurchaseOrder, 'countDocuments', async () => 6);
+    const po = order();
+
+    await po.validate();
+
+    assert.match(po.orderNumber, /^PO-\d{6}-0007$/);
+    assert.deepEqual(po.items.map(item => item.lineTotal), [3125, 299.97]);
+    assert.equal(po.totalAmount, 3424.97);
+  });
+
+  it('only moves along the order lifecycle', () => {
+    const po = order({ orderNumber: 'PO-260302-0001' });
+
+    assert.equal(po.canTransitionTo('received'), false);
+    assert.equal(po.canTransitionTo('sent'), true);
+    po.setStatus('sent', buyer);
+    assert.ok(po.sentAt);
+
+    po.setStatus('closed', buyer);
+    assert.equal(po.canTransitionTo('sent'), false);
+    assert.equal(po.canTransitionTo('cancelled'), false);
+    assert.deepEqual(po.statusHistory.map(entry => entry.status), ['sent', 'closed']);
+  });
+
+  it('is partly received until every line is in full', () => {
+    const po = order({ orderNumber: 'PO-260302-0001', status: 'sent' });
+
+    po.items[0].receivedPacks = 10;
+    po.refreshReceiptStatus(buyer);
+    assert.equal(po.status, 'partially_received');
+
+    po.items[1].receivedPacks = 3;
+    po.refreshReceiptStatus(buyer);
+    assert.equal(po.status, 'received');
+    assert.equal(po.statusHistory.length, 2);
+  });
+});
@@ -0,0 +1,77 @@
+// tests/services/controlledRegisterService.test.js
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Counter from '../../src/models/Counter.js';
+import ControlledDrugEntry from '../../src/models/ControlledDrugEntry.js';
+import { appendRegisterEntry } from '../../src/services/controlledRegisterService.js';
+import { query, fakeSession, writeConflict } from '../helpers/mongoose.js';
+
+const { ObjectId } = mongoose.Types;
+
+describe('appendRegisterEntry', () => {
+  const pharmacy = new ObjectId();
+  const product = new ObjectId();
+  const issue = { pharmacy, product, productName: 'Pethidine 50mg/ml', type: 'issue', quantity: -2, recordedBy: new ObjectId() };
+  let latest;
+  let seq;
+  let session;
+
+  beforeEach(() => {
+    latest = null;
+    seq = null;
+    session = fakeSession();
+
+    mock.method(ControlledDrugEntry, 'findLatest', () => query(() => latest));
+    mock.method(ControlledDrugEntry, 'create', async (docs) => docs);
+    // A counter that starts wherever the first caller says the page is up to
+    mock.method(Counter, 'next', async (pharmacyId, name, scope, counterSession, { start }) => {
+      seq = (seq ?? start) + 1;
+      return seq;
+    });
+    mock.method(mongoose, 'startSession', async () => session);
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  it("numbers entries from the product's counter inside the caller's transaction", async () => {
+    latest = { entryNumber: 7, balance: 20 };
+
+    const entry = await appendRegisterEntry(issue, { session });
+
+    assert.equal(entry.entryNumber, 8);
+    assert.equal(entry.balance, 18);
+    const [pharmacyId, name, scope, counterSession, options] = Counter.next.mock.calls[0].arguments;
+    assert.deepEqual([pharmacyId, name, scope], [pharmacy, 'controlled_register', String(product)]);
+    assert.equal(counterSession, session);
+    assert.deepEqual(options, { start: 7 });
+    assert.equal(mongoose.startSession.mock.callCount(), 0);
+  });
+
+  it('opens a new page with the stock already on the shelf', async () => {
+    await appendRegisterEntry(issue, { openingBalance: 10, session });
+
+    const [docs] = ControlledDrugEntry.create.mock.calls[0].arguments;
+    assert.deepEqual(docs.map(doc => [doc.entryNumber, doc.type, doc.balance]), [
+      [1, 'opening_balance', 10],
+      [2, 'issue', 8]
+    ]);
+  });
+
+  it('writes in a transaction of its own, retried with the fresh balance when another writer got there first', async () => {
+    latest = { entryNumber: 3, balance: 10 };
+    ControlledDrugEntry.create.mock.mockImplementationOnce(async () => {
+      // The other writer's entry 4 commits while this one is in flight
+      latest = { entryNumber: 4, balance: 9 };
+      seq = 4;
+      throw writeConflict();
+    });
+
+    const entry = await appendRegisterEntry(issue);
+
+    assert.equal(session.attempts, 2);
+    assert.equal(session.ended, true);
+    assert.equal(entry.entryNumber, 5);
+    assert.equal(entry.balance, 7);
+  });
+});
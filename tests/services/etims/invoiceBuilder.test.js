@@ -0,0 +1,151 @@
+// tests/services/etims/invoiceBuilder.test.js
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  buildInvoicePayload,
+  buildCreditNotePayload,
+  signPayload,
+  verifyPayload
+} from '../../../src/services/etims/invoiceBuilder.js';
+
+const pharmacy = { name: 'Uzima Pharmacy', etims: { kraPin: 'P051234567X', branchId: '00' } };
+
+// Amoxicillin sold as 2 packs of 10, cough syrup as 1 unit, with a basket discount spread over both
+const sale = {
+  _id: 'sale1',
+  receiptNumber: 'RCT-000101',
+  createdAt: new Date('2026-03-02T07:30:00Z'),
+  attendant: { _id: 'user1', firstName: 'Amina', lastName: 'Otieno' },
+  totalAmount: 580,
+  payments: [{ method: 'mpesa', amount: 500 }, { method: 'cash', amount: 80 }],
+  items: [{
+    _id: 'line1',
+    product: 'amox',
+    productName: 'Amoxicillin 500mg',
+    quantity: 20,
+    sellAs: 'pack',
+    packs: 2,
+    packPrice: 250,
+    unitPrice: 25,
+    discountAmount: 20,
+    total: 480,
+    taxClass: 'exempt',
+    taxRate: 0,
+    taxAmount: 0
+  }, {
+    _id: 'line2',
+    product: 'syrup',
+    productName: 'Cough syrup 100ml',
+    quantity: 1,
+    unitPrice: 100,
+    discountAmount: 0,
+    total: 100,
+    taxClass: 'standard',
+    taxRate: 16,
+    taxAmount: 13.79
+  }]
+};
+
+describe('buildInvoicePayload', () => {
+  it('reports each line as it was sold, with tax per eTIMS tax type', () => {
+    const payload = buildInvoicePayload(sale, pharmacy, 41, new Map([['amox', 'AMX500']]));
+
+    assert.equal(payload.invcNo, 41);
+    assert.equal(payload.rcptTyCd, 'S');
+    assert.equal(payload.orgInvcNo, 0);
+    assert.equal(payload.pmtTyCd, '06', 'the biggest tender (M-Pesa) decides the payment type');
+    assert.equal(payload.salesDt, '20260302');
+    assert.equal(payload.regrNm, 'Amina Otieno');
+
+    const [packs, syrup] = payload.itemList;
+    assert.deepEqual(
+      { itemCd: packs.itemCd, qty: packs.qty, prc: packs.prc, splyAmt: packs.splyAmt, dcAmt: packs.dcAmt, totAmt: packs.totAmt, taxTyCd: packs.taxTyCd },
+      { itemCd: 'AMX500', qty: 2, prc: 250, splyAmt: 500, dcAmt: 20, totAmt: 480, taxTyCd: 'A' }
+    );
+    assert.equal(syrup.itemCd, 'syrup');
+    assert.equal(syrup.taxTyCd, 'B');
+
+    assert.equal(payload.totAmt, 580);
+    assert.equal(payload.taxblAmtB, 100);
+    assert.equal(payload.taxAmtB, 13.79);
+    assert.equal(payload.totTaxAmt, 13.79);
+  });
+});
+
+describe('buildCreditNotePayload', () => {
+  it('credits only the returned units of a refund, against the original invoice', () => {
+    const refund = {
+      _id: 'refund1',
+      createdAt: new Date('2026-03-05T12:00:00Z'),
+      refundMethod: 'cash',
+      processedBy: 'owner1',
+      items: [{ saleItem: 'line1', product: 'amox', quantity: 10, amount: 240, taxAmount: 0 }]
+    };
+
+    const payload = buildCreditNotePayload(sale, pharmacy, {
+      invoiceNumber: 57,
+      originalInvoiceNumber: 41,
+      creditFor: 'refund',
+      refund
+    });
+
+    assert.equal(payload.invcNo, 57);
+    assert.equal(payload.orgInvcNo, 41);
+    assert.equal(payload.rcptTyCd, 'R');
+    assert.equal(payload.rfdRsnCd, '06');
+    assert.equal(payload.rfdDt, '20260305150000');
+    assert.equal(payload.salesDt, '20260302', 'keeps the date of the sale it reverses');
+    assert.equal(payload.pmtTyCd, '01', 'paid back in cash');
+    assert.equal(payload.regrId, 'owner1');
+
+    assert.equal(payload.itemList.length, 1);
+    const [line] = payload.itemList;
+    // 10 units of a line sold in packs of 10 is one pack
+    assert.deepEqual(
+      { qty: line.qty, prc: line.prc, dcAmt: line.dcAmt, totAmt: line.totAmt },
+      { qty: 1, prc: 250, dcAmt: 10, totAmt: 240 }
+    );
+    assert.equal(payload.totAmt, 240);
+    assert.equal(payload.taxAmtB, 0);
+  });
+
+  it('credits loose units of a pack line as units', () => {
+    const payload = buildCreditNotePayload(sale, pharmacy, {
+      invoiceNumber: 58,
+      originalInvoiceNumber: 41,
+      creditFor: 'refund',
+      refund: { _id: 'refund2', items: [{ saleItem: 'line1', quantity: 3, amount: 72 }] }
+    });
+
+    assert.equal(payload.itemList[0].qty, 3);
+    assert.equal(payload.itemList[0].prc, 25);
+  });
+
+  it('credits the whole sale for a void', () => {
+    const voided = { ...sale, voidDetails: { status: 'voided', voidedAt: new Date('2026-03-02T08:00:00Z'), reviewedBy: 'owner1' } };
+    const payload = buildCreditNotePayload(voided, pharmacy, {
+      invoiceNumber: 42,
+      originalInvoiceNumber: 41,
+      creditFor: 'void'
+    });
+
+    assert.equal(payload.rcptTyCd, 'R');
+    assert.equal(payload.rfdRsnCd, '13');
+    assert.equal(payload.orgInvcNo, 41);
+    assert.equal(payload.totAmt, 580);
+    assert.equal(payload.totTaxAmt, 13.79);
+    assert.deepEqual(payload.itemList.map(line => line.qty), [2, 1]);
+    assert.equal(payload.pmtTyCd, '06');
+  });
+});
+
+describe('signPayload', () => {
+  it('detects a payload changed after it was signed', () => {
+    const payload = buildInvoicePayload(sale, pharmacy, 41);
+    const signature = signPayload(payload, 'secret');
+
+    assert.equal(verifyPayload(payload, signature, 'secret'), true);
+    assert.equal(verifyPayload({ ...payload, totAmt: 1 }, signature, 'secret'), false);
+    assert.equal(verifyPayload(payload, signature, 'other-secret'), false);
+  });
+});
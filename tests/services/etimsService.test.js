@@ -0,0 +1,355 @@
+// tests/services/etimsService.test.js
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Sale from '../../src/models/Sale.js';
+import Product from '../../src/models/Product.js';
+import Pharmacy from '../../src/models/Pharmacy.js';
+import EtimsInvoice from '../../src/models/EtimsInvoice.js';
+import {
+  queueSaleInvoice,
+  queueCreditNote,
+  queueMissedInvoices,
+  transmitInvoice,
+  getEtimsTransport,
+  setEtimsTransport,
+  startEtimsWorker
+} from '../../src/services/etimsService.js';
+import { signPayload } from '../../src/services/etims/invoiceBuilder.js';
+import { createMockTransport } from '../../src/services/etims/mockTransport.js';
+import { query, fakeSession, writeConflict } from '../helpers/mongoose.js';
+
+process.env.ETIMS_SIGNING_KEY = 'test-signing-key';
+
+const pharmacyId = new mongoose.Types.ObjectId();
+const pharmacy = {
+  _id: pharmacyId,
+  name: 'Uzima Pharmacy',
+  etims: { enabled: true, kraPin: 'P051234567X', branchId: '00' }
+};
+
+const completedSale = (overrides = {}) => ({
+  _id: new mongoose.Types.ObjectId(),
+  pharmacy: pharmacyId,
+  receiptNumber: 'RCT-000042',
+  status: 'completed',
+  attendant: { _id: new mongoose.Types.ObjectId(), firstName: 'Amina', lastName: 'Otieno' },
+  createdAt: new Date('2026-03-02T07:30:00Z'),
+  totalAmount: 232,
+  payments: [{ method: 'cash', amount: 300 }],
+  items: [{
+    product: new mongoose.Types.ObjectId(),
+    productName: 'Paracetamol 500mg',
+    quantity: 20,
+    unitPrice: 10,
+    total: 200,
+    taxClass: 'exempt',
+    taxRate: 0
+  }, {
+    product: new mongoose.Types.ObjectId(),
+    productName: 'Cough syrup 100ml',
+    quantity: 1,
+    unitPrice: 32,
+    total: 32,
+    taxClass: 'standard',
+    taxRate: 16,
+    taxAmount: 4.41
+  }],
+  ...overrides
+});
+
+describe('eTIMS invoice queue', () => {
+  let session;
+
+  beforeEach(() => {
+    session = fakeSession();
+    mock.method(mongoose, 'startSession', async () => session);
+    mock.method(Pharmacy, 'findById', () => query(pharmacy));
+    mock.method(Product, 'find', () => query([]));
+    mock.method(EtimsInvoice, 'findOne', () => query(null));
+    mock.method(Sale, 'updateOne', async () => ({ modifiedCount: 1 }));
+    setEtimsTransport(createMockTransport());
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+    setEtimsTransport(null);
+  });
+
+  it('retries the invoice number on a write conflict instead of giving up', async () => {
+    const sale = completedSale();
+    mock.method(Sale, 'findById', () => query(sale));
+
+    let lastInvoiceNumber = 6;
+    const increment = mock.method(Pharmacy, 'findByIdAndUpdate', () => query(() => {
+      // A concurrent sale takes the counter the first time round
+      if (increment.mock.callCount() === 1) throw writeConflict();
+      lastInvoiceNumber += 1;
+      return { etims: { lastInvoiceNumber } };
+    }));
+    const create = mock.method(EtimsInvoice, 'create', async ([doc]) => [{ _id: new mongoose.Types.ObjectId(), status: 'queued', ...doc }]);
+
+    const invoice = await queueSaleInvoice(sale._id);
+
+    assert.equal(session.attempts, 2);
+    assert.equal(session.ended, true);
+    assert.equal(create.mock.callCount(), 1);
+    assert.equal(invoice.invoiceNumber, 7);
+    assert.equal(invoice.payload.invcNo, 7);
+    assert.equal(invoice.payload.rcptTyCd, 'S');
+    assert.equal(invoice.payload.totAmt, 232);
+
+    const [, update] = Sale.updateOne.mock.calls.at(-1).arguments;
+    assert.deepEqual(update.$set.etims, { status: 'queued', invoiceNumber: 7 });
+  });
+
+  it('returns the invoice another request queued first', async () => {
+    const sale = completedSale();
+    const queued = { _id: new mongoose.Types.ObjectId(), sale: sale._id, invoiceNumber: 3 };
+    mock.method(Sale, 'findById', () => query(sale));
+    mock.method(Pharmacy, 'findByIdAndUpdate', () => query({ etims: { lastInvoiceNumber: 4 } }));
+    mock.method(EtimsInvoice, 'create', async () => {
+      throw Object.assign(new Error('E11000 duplicate key'), { code: 11000 });
+    });
+    EtimsInvoice.findOne.mock.mockImplementation(() => query(EtimsInvoice.create.mock.callCount() ? queued : null));
+
+    assert.equal(await queueSaleInvoice(sale._id), queued);
+    assert.equal(session.ended, true);
+  });
+
+  it('does not queue sales that are not completed', async () => {
+    mock.method(Sale, 'findById', () => query(completedSale({ status: 'pending' })));
+    const increment = mock.method(Pharmacy, 'findByIdAndUpdate', () => query(null));
+
+    assert.equal(await queueSaleInvoice(new mongoose.Types.ObjectId()), null);
+    assert.equal(increment.mock.callCount(), 0);
+  });
+
+  describe('queueMissedInvoices', () => {
+    it('queues completed sales the till never queued, only since eTIMS was switched on', async () => {
+      const enabledAt = new Date(Date.now() - 60 * 60 * 1000);
+      const missed = completedSale();
+      mock.method(Pharmacy, 'find', () => query([{ _id: pharmacyId, etims: { enabledAt } }]));
+      const findMissed = mock.method(Sale, 'find', (filter) => query(filter['etims.status'] ? [{ _id: missed._id }] : []));
+      mock.method(Sale, 'findById', () => query(missed));
+      mock.method(Pharmacy, 'findByIdAndUpdate', () => query({ etims: { lastInvoiceNumber: 1 } }));
+      mock.method(EtimsInvoice, 'create', async ([doc]) => [{ status: 'queued', ...doc }]);
+
+      const summary = await queueMissedInvoices();
+
+      assert.deepEqual(summary, { queued: 1, failed: 0, creditNotes: 0 });
+      const [filter] = findMissed.mock.calls[0].arguments;
+      assert.deepEqual(filter.status, { $in: ['completed', 'refunded'] });
+      assert.deepEqual(filter['etims.status'], { $exists: false });
+      assert.equal(filter.createdAt.$gte, enabledAt);
+      assert.ok(filter.updatedAt.$lte < new Date(), 'leaves the till time to queue it first');
+    });
+
+    it('looks back a bounded window when the enable date is unknown', async () => {
+      mock.method(Pharmacy, 'find', () => query([{ _id: pharmacyId, etims: {} }]));
+      const findMissed = mock.method(Sale, 'find', () => query([]));
+
+      await queueMissedInvoices();
+
+      const { $gte } = findMissed.mock.calls[0].arguments[0].createdAt;
+      const days = (Date.now() - $gte.getTime()) / (24 * 60 * 60 * 1000);
+      assert.ok(days > 6.9 && days < 7.1);
+    });
+
+    it('queues credit notes for refunds the till never reported', async () => {
+      const sale = completedSale({ status: 'refunded' });
+      const refundId = new mongoose.Types.ObjectId();
+      sale.items.forEach(item => { item._id = new mongoose.Types.ObjectId(); });
+      sale.refunds = [{ _id: refundId, items: [{ saleItem: sale.items[1]._id, quantity: 1, amount: 32, taxAmount: 4.41 }] }];
+      sale.etims = { invoiceNumber: 9, creditNotes: [] };
+
+      mock.method(Pharmacy, 'find', () => query([{ _id: pharmacyId, etims: {} }]));
+      const find = mock.method(Sale, 'find', (filter) => query(filter.$expr ? [{ _id: sale._id }] : []));
+      mock.method(Sale, 'findById', () => query(sale));
+      EtimsInvoice.findOne.mock.mockImplementation((filter) => query(filter.type === 'sale' ? { invoiceNumber: 9 } : null));
+      mock.method(Pharmacy, 'findByIdAndUpdate', () => query({ etims: { lastInvoiceNumber: 10 } }));
+      const create = mock.method(EtimsInvoice, 'create', async ([doc]) => [{ status: 'queued', ...doc }]);
+
+      const summary = await queueMissedInvoices();
+
+      assert.deepEqual(summary, { queued: 0, failed: 0, creditNotes: 1 });
+      assert.equal(find.mock.callCount(), 2);
+      const [[creditNote]] = create.mock.calls[0].arguments;
+      assert.equal(creditNote.refund, refundId);
+      assert.equal(creditNote.originalInvoiceNumber, 9);
+    });
+
+    it('records the error and backs off when a sale cannot be queued', async () => {
+      const missed = completedSale();
+      mock.method(Pharmacy, 'find', () => query([{ _id: pharmacyId, etims: {} }]));
+      mock.method(Sale, 'find', (filter) => query(filter['etims.status'] ? [{ _id: missed._id }] : []));
+      mock.method(Sale, 'findById', () => query(missed));
+      mock.method(Pharmacy, 'findByIdAndUpdate', () => query(() => {
+        throw new Error('connection reset');
+      }));
+      mock.method(console, 'error', () => {});
+
+      const summary = await queueMissedInvoices();
+
+      assert.deepEqual(summary, { queued: 0, failed: 1, creditNotes: 0 });
+      const [filter, update] = Sale.updateOne.mock.calls.at(-1).arguments;
+      assert.equal(filter._id, missed._id);
+      assert.equal(update.$set['etims.lastError'], 'connection reset');
+      assert.ok(update.$set['etims.queueRetryAt'] > new Date());
+    });
+  });
+
+  describe('credit notes', () => {
+    const refunded = () => {
+      const sale = completedSale({ status: 'refunded' });
+      sale.items.forEach(item => { item._id = new mongoose.Types.ObjectId(); });
+      sale.refunds = [{
+        _id: new mongoose.Types.ObjectId(),
+        createdAt: new Date('2026-03-03T09:00:00Z'),
+        refundMethod: 'cash',
+        processedBy: new mongoose.Types.ObjectId(),
+        items: [{ saleItem: sale.items[0]._id, quantity: 5, amount: 50, taxAmount: 0 }]
+      }];
+      return sale;
+    };
+
+    it('has nothing to credit on a sale KRA never received', async () => {
+      const sale = refunded();
+      mock.method(Sale, 'findById', () => query(sale));
+      const increment = mock.method(Pharmacy, 'findByIdAndUpdate', () => query(null));
+
+      assert.equal(await queueCreditNote(sale._id, sale.refunds[0]._id), null);
+      assert.equal(increment.mock.callCount(), 0);
+    });
+
+    it('queues a refund credit note that references the original invoice', async () => {
+      const sale = refunded();
+      const refund = sale.refunds[0];
+      mock.method(Sale, 'findById', () => query(sale));
+      EtimsInvoice.findOne.mock.mockImplementation((filter) => query(filter.type === 'sale' ? { invoiceNumber: 41 } : null));
+      mock.method(Pharmacy, 'findByIdAndUpdate', () => query({ etims: { lastInvoiceNumber: 57 } }));
+      const create = mock.method(EtimsInvoice, 'create', async ([doc]) => [{ status: 'queued', ...doc }]);
+
+      const creditNote = await queueCreditNote(sale._id, refund._id);
+
+      assert.equal(create.mock.callCount(), 1);
+      assert.equal(creditNote.type, 'credit_note');
+      assert.equal(creditNote.creditFor, 'refund');
+      assert.equal(creditNote.refund, refund._id);
+      assert.equal(creditNote.invoiceNumber, 57);
+      assert.equal(creditNote.originalInvoiceNumber, 41);
+      assert.equal(creditNote.payload.rcptTyCd, 'R');
+      assert.equal(creditNote.payload.orgInvcNo, 41);
+      assert.equal(creditNote.payload.totAmt, 50);
+
+      const [, update] = Sale.updateOne.mock.calls.at(-1).arguments;
+      assert.deepEqual(update.$push['etims.creditNotes'], {
+        invoiceNumber: 57,
+        creditFor: 'refund',
+        refund: refund._id,
+        status: 'queued'
+      });
+    });
+
+    it('only credits a void once the sale has been voided', async () => {
+      mock.method(Sale, 'findById', () => query(completedSale({ voidDetails: { status: 'pending' } })));
+      assert.equal(await queueCreditNote(new mongoose.Types.ObjectId()), null);
+    });
+
+    describe('transmitInvoice', () => {
+      const queuedCreditNote = () => {
+        const payload = { invcNo: 57, orgInvcNo: 41, rcptTyCd: 'R', totAmt: 50, cfmDt: '20260303120000' };
+        return {
+          _id: new mongoose.Types.ObjectId(),
+          type: 'credit_note',
+          sale: new mongoose.Types.ObjectId(),
+          invoiceNumber: 57,
+          originalInvoiceNumber: 41,
+          attempts: 1,
+          payload,
+          signature: signPayload(payload, process.env.ETIMS_SIGNING_KEY),
+          set(fields) {
+            Object.assign(this, fields);
+          },
+          save: mock.fn(async () => {})
+        };
+      };
+
+      it('holds a credit note back until KRA has accepted the original invoice', async () => {
+        const creditNote = queuedCreditNote();
+        const send = mock.fn(async () => ({ resultCode: '000', data: {} }));
+        setEtimsTransport({ name: 'spy', sendSalesInvoice: send });
+        mock.method(EtimsInvoice, 'findOneAndUpdate', async () => creditNote);
+        EtimsInvoice.findOne.mock.mockImplementation(() => query({ status: 'queued' }));
+
+        await transmitInvoice(creditNote._id);
+
+        assert.equal(send.mock.callCount(), 0);
+        assert.equal(creditNote.status, 'queued');
+        assert.equal(creditNote.attempts, 0, 'waiting does not use up an attempt');
+        assert.ok(creditNote.nextAttemptAt > new Date());
+        assert.match(creditNote.lastError, /invoice 41/);
+      });
+
+      it('records the accepted credit note on the sale without touching the invoice status', async () => {
+        const creditNote = queuedCreditNote();
+        mock.method(EtimsInvoice, 'findOneAndUpdate', async () => creditNote);
+        EtimsInvoice.findOne.mock.mockImplementation(() => query({ status: 'transmitted' }));
+
+        await transmitInvoice(creditNote._id);
+
+        assert.equal(creditNote.status, 'transmitted');
+        const [filter, update] = Sale.updateOne.mock.calls.at(-1).arguments;
+        assert.deepEqual(filter, { _id: creditNote.sale, 'etims.creditNotes.invoiceNumber': 57 });
+        assert.equal(update.$set['etims.creditNotes.$.status'], 'transmitted');
+        assert.ok(update.$set['etims.creditNotes.$.receiptSignature']);
+        assert.equal(update.$set['etims.status'], undefined);
+        assert.deepEqual(update.$unset, { 'etims.creditNotes.$.lastError': 1 });
+      });
+    });
+  });
+});
+
+describe('getEtimsTransport', () => {
+  const saved = process.env.ETIMS_TRANSPORT;
+
+  beforeEach(() => setEtimsTransport(null));
+
+  afterEach(() => {
+    if (saved === undefined) delete process.env.ETIMS_TRANSPORT;
+    else process.env.ETIMS_TRANSPORT = saved;
+    setEtimsTransport(null);
+  });
+
+  it('refuses to pick a transport on its own', () => {
+    delete process.env.ETIMS_TRANSPORT;
+    assert.throws(() => getEtimsTransport(), /ETIMS_TRANSPORT must be set to oscu or mock/);
+  });
+
+  it('rejects an unknown transport', () => {
+    process.env.ETIMS_TRANSPORT = 'kra';
+    assert.throws(() => getEtimsTransport(), /\(got "kra"\)/);
+  });
+
+  it('uses the transport it is told to', () => {
+    process.env.ETIMS_TRANSPORT = 'oscu';
+    assert.equal(getEtimsTransport().name, 'oscu');
+
+    setEtimsTransport(null);
+    process.env.ETIMS_TRANSPORT = 'mock';
+    assert.equal(getEtimsTransport().name, 'mock');
+  });
+
+  it('skips the worker on a server without eTIMS', (t) => {
+    delete process.env.ETIMS_TRANSPORT;
+    t.mock.method(console, 'warn', () => {});
+
+    assert.equal(startEtimsWorker(), null);
+    assert.match(console.warn.mock.calls[0].arguments[0], /worker not started/);
+  });
+
+  it('stops the worker from starting with an unknown transport', () => {
+    process.env.ETIMS_TRANSPORT = 'kra';
+    assert.throws(() => startEtimsWorker(), /ETIMS_TRANSPORT/);
+  });
+});
@@ -0,0 +1,70 @@
+// tests/services/expiryService.test.js
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Product from '../../src/models/Product.js';
+import User from '../../src/models/User.js';
+import { buildExpiryReport, sendExpiryAlerts } from '../../src/services/expiryService.js';
+import { query } from '../helpers/mongoose.js';
+
+const { ObjectId } = mongoose.Types;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const now = new Date('2026-03-02T09:00:00Z');
+const inDays = (days) => new Date(now.getTime() + days * DAY_MS);
+
+describe('expiry', () => {
+  const pharmacy = { _id: new ObjectId(), name: 'Uzima Pharmacy', settings: { expiryAlert: 60 } };
+  let product;
+
+  beforeEach(() => {
+    // 100 tablets at KES 2 each across four lots
+    product = new Product({
+      _id: new ObjectId(),
+      pharmacy: pharmacy._id,
+      name: 'Metformin 500mg',
+      unitType: 'Tablets',
+      pricing: { costPerPack: 20, sellingPricePerPack: 40, unitsPerPack: 10 },
+      stock: { fullPacks: 10, looseUnits: 0 },
+      batches: [
+        { batchNumber: 'MET-1', expiryDate: inDays(-3), quantity: 10, costPerUnit: 2 },
+        { batchNumber: 'MET-2', expiryDate: inDays(20), quantity: 20, costPerUnit: 2 },
+        { batchNumber: 'MET-3', expiryDate: inDays(75), quantity: 30, costPerUnit: 2.5 },
+        { batchNumber: 'MET-4', expiryDate: inDays(200), quantity: 40, costPerUnit: 2 }
+      ]
+    });
+
+    mock.method(Product, 'find', () => query([product]));
+    mock.method(Product, 'updateOne', async () => ({ modifiedCount: 1 }));
+    mock.method(Product.prototype, 'save', async function() { return this; });
+    mock.method(User, 'find', () => query([{ email: 'owner@uzima.co.ke' }]));
+    // Outside production emails are only logged
+    mock.method(console, 'log', () => {});
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  it('buckets lots by days to expiry and values them at cost', async () => {
+    const { buckets, totals } = await buildExpiryReport(pharmacy._id, { now });
+
+    assert.deepEqual(buckets.expired.items.map(item => [item.batchNumber, item.quantity, item.costValue]), [['MET-1', 10, 20]]);
+    assert.deepEqual(buckets.under30.items.map(item => [item.batchNumber, item.daysToExpiry]), [['MET-2', 20]]);
+    assert.equal(buckets.under60.units, 0);
+    assert.equal(buckets.under90.costValue, 75);
+    assert.deepEqual(totals, { units: 60, costValue: 135 });
+  });
+
+  it('emails owners about lots inside the alert window once', async () => {
+    product.batches[1].expiryAlertSentAt = inDays(-7);
+
+    const reported = await sendExpiryAlerts(pharmacy, { now });
+
+    assert.equal(reported, 1);
+    const subject = console.log.mock.calls.find(call => String(call.arguments[0]).startsWith('Subject:')).arguments[0];
+    assert.match(subject, /1 batch\(es\) expiring within 60 days/);
+    const [filter, update, { arrayFilters }] = Product.updateOne.mock.calls[0].arguments;
+    assert.equal(filter._id, product._id);
+    assert.deepEqual(update, { $set: { 'batches.$[lot].expiryAlertSentAt': now } });
+    assert.deepEqual(arrayFilters[0]['lot._id'].$in, [product.batches[0]._id]);
+  });
+});
@@ -0,0 +1,235 @@
+// tests/services/mpesaService.test.js
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Sale from '../../src/models/Sale.js';
+import MpesaTransaction from '../../src/models/MpesaTransaction.js';
+import EtimsInvoice from '../../src/models/EtimsInvoice.js';
+import {
+  getMpesaProvider,
+  setMpesaProvider,
+  handleStkCallback,
+  reconcileByTransactionCode
+} from '../../src/services/mpesaService.js';
+import { query, fakeSession } from '../helpers/mongoose.js';
+
+const ENV_KEYS = ['MPESA_PROVIDER', 'NODE_ENV', 'MPESA_CONSUMER_KEY', 'MPESA_CONSUMER_SECRET', 'MPESA_SHORTCODE', 'MPESA_PASSKEY'];
+
+describe('getMpesaProvider', () => {
+  const saved = Object.fromEntries(ENV_KEYS.map(key => [key, process.env[key]]));
+
+  beforeEach(() => {
+    ENV_KEYS.forEach(key => delete process.env[key]);
+    setMpesaProvider(null);
+  });
+
+  afterEach(() => {
+    ENV_KEYS.forEach(key => {
+      if (saved[key] === undefined) delete process.env[key];
+      else process.env[key] = saved[key];
+    });
+    setMpesaProvider(null);
+  });
+
+  it('uses Daraja when no provider is configured', () => {
+    Object.assign(process.env, {
+      MPESA_CONSUMER_KEY: 'key',
+      MPESA_CONSUMER_SECRET: 'secret',
+      MPESA_SHORTCODE: '174379',
+      MPESA_PASSKEY: 'passkey'
+    });
+    assert.equal(getMpesaProvider().name, 'daraja');
+  });
+
+  it('fails loudly instead of simulating payments when Daraja is not set up', () => {
+    assert.throws(() => getMpesaProvider(), /Daraja provider requires MPESA_CONSUMER_KEY/);
+  });
+
+  it('uses the simulator only when asked for it by name', () => {
+    process.env.MPESA_PROVIDER = 'simulator';
+    assert.equal(getMpesaProvider().name, 'simulator');
+  });
+
+  it('refuses the simulator in production', () => {
+    process.env.MPESA_PROVIDER = 'simulator';
+    process.env.NODE_ENV = 'production';
+    assert.throws(() => getMpesaProvider(), /not allowed in production/);
+  });
+
+  it('rejects an unknown provider', () => {
+    process.env.MPESA_PROVIDER = 'mpesa';
+    assert.throws(() => getMpesaProvider(), /\(got "mpesa"\)/);
+  });
+});
+
+describe('reconcileByTransactionCode', () => {
+  const pharmacyId = new mongoose.Types.ObjectId();
+  const cashier = { id: new mongoose.Types.ObjectId(), role: 'pharmacy_attendant' };
+  let sale;
+  let tx;
+  let queryResult;
+
+  beforeEach(() => {
+    sale = {
+      _id: new mongoose.Types.ObjectId(),
+      pharmacy: pharmacyId,
+      receiptNumber: 'RCT-000042',
+      status: 'pending',
+      paymentStatus: 'awaiting_payment',
+      payments: [{ method: 'mpesa', amount: 450, status: 'pending', phone: '254712345678' }],
+      save: mock.fn(async () => {})
+    };
+    tx = {
+      sale: sale._id,
+      status: 'pending',
+      checkoutRequestId: 'ws_CO_191220191020363925',
+      save: mock.fn(async () => {})
+    };
+    queryResult = { resultCode: 0, resultDesc: 'The service request is processed successfully.' };
+
+    setMpesaProvider({ name: 'daraja', queryStkPush: async () => queryResult });
+    // Nothing recorded under the typed code yet; the sale's latest prompt is still pending
+    mock.method(MpesaTransaction, 'findOne', (filter) => query(filter.mpesaReceiptNumber ? null : tx));
+    mock.method(Sale, 'findOne', () => query(null));
+    mock.method(Sale, 'findById', () => query(sale));
+    // Already invoiced, so the completed sale does not go on to eTIMS here
+    mock.method(EtimsInvoice, 'findOne', () => query({ status: 'transmitted' }));
+    mock.method(mongoose, 'startSession', async () => Object.assign(fakeSession(), {
+      startTransaction() {},
+      async commitTransaction() {}
+    }));
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+    setMpesaProvider(null);
+  });
+
+  const reconcile = (transactionCode) => reconcileByTransactionCode({ pharmacyId, transactionCode, sale, user: cashier });
+
+  it('records the receipt number M-Pesa reports, not the one typed in', async () => {
+    queryResult.mpesaReceiptNumber = 'NLJ7RT61SV';
+
+    const result = await reconcile('nlj7rt61sv');
+    assert.equal(result.outcome, 'confirmed');
+    assert.equal(tx.mpesaReceiptNumber, 'NLJ7RT61SV');
+    assert.equal(sale.payments[0].reference, 'NLJ7RT61SV');
+    assert.equal(sale.status, 'completed');
+  });
+
+  it('rejects a typed code that does not match the receipt M-Pesa reports', async () => {
+    queryResult.mpesaReceiptNumber = 'NLJ7RT61SV';
+
+    const result = await reconcile('QWE1RT61SV');
+    assert.equal(result.outcome, 'mismatch');
+    assert.match(result.message, /NLJ7RT61SV, not QWE1RT61SV/);
+    assert.equal(tx.status, 'pending');
+    assert.equal(tx.save.mock.callCount(), 0);
+    assert.equal(sale.status, 'pending');
+  });
+
+  it('confirms the payment without trusting the typed code when M-Pesa gives no receipt number', async () => {
+    const result = await reconcile('NLJ7RT61SV');
+    assert.equal(result.outcome, 'confirmed');
+    assert.equal(tx.status, 'completed');
+    assert.equal(tx.confirmedVia, 'query');
+    assert.equal(tx.mpesaReceiptNumber, undefined);
+    assert.equal(sale.payments[0].reference, undefined);
+  });
+
+  it('takes the receipt number from a callback that arrives after the query confirmed it', async () => {
+    await reconcile('NLJ7RT61SV');
+    mock.method(Sale, 'updateOne', async () => ({ modifiedCount: 1 }));
+
+    const result = await handleStkCallback({
+      Body: {
+        stkCallback: {
+          CheckoutRequestID: tx.checkoutRequestId,
+          ResultCode: 0,
+          ResultDesc: 'The service request is processed successfully.',
+          CallbackMetadata: { Item: [{ Name: 'MpesaReceiptNumber', Value: 'NLJ7RT61SV' }] }
+        }
+      }
+    });
+
+    assert.equal(result.duplicate, true);
+    assert.equal(tx.mpesaReceiptNumber, 'NLJ7RT61SV');
+    const [filter, update, options] = Sale.updateOne.mock.calls[0].arguments;
+    assert.deepEqual(filter, { _id: sale._id });
+    assert.deepEqual(update, { $set: { 'payments.$[tender].reference': 'NLJ7RT61SV' } });
+    assert.equal(options.arrayFilters[0]['tender.method'], 'mpesa');
+  });
+});
+
+describe('handleStkCallback', () => {
+  let sale;
+  let tx;
+
+  const callback = (amount) => ({
+    Body: {
+      stkCallback: {
+        CheckoutRequestID: tx.checkoutRequestId,
+        ResultCode: 0,
+        ResultDesc: 'The service request is processed successfully.',
+        CallbackMetadata: {
+          Item: [{ Name: 'Amount', Value: amount }, { Name: 'MpesaReceiptNumber', Value: 'NLJ7RT61SV' }]
+        }
+      }
+    }
+  });
+
+  beforeEach(() => {
+    sale = {
+      _id: new mongoose.Types.ObjectId(),
+      status: 'pending',
+      paymentStatus: 'awaiting_payment',
+      payments: [{ method: 'mpesa', amount: 450, status: 'pending', phone: '254712345678' }],
+      save: mock.fn(async () => {})
+    };
+    tx = {
+      sale: sale._id,
+      status: 'pending',
+      amount: 450,
+      checkoutRequestId: 'ws_CO_191220191020363925',
+      save: mock.fn(async () => {})
+    };
+    mock.method(MpesaTransaction, 'findOne', () => query(tx));
+    mock.method(Sale, 'findById', () => query(sale));
+    mock.method(EtimsInvoice, 'findOne', () => query({ status: 'transmitted' }));
+    mock.method(mongoose, 'startSession', async () => Object.assign(fakeSession(), {
+      startTransaction() {},
+      async commitTransaction() {}
+    }));
+    mock.method(console, 'warn', () => {});
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  it('settles the sale when the full amount is paid', async () => {
+    await handleStkCallback(callback(450));
+
+    assert.equal(tx.amountReceived, 450);
+    assert.equal(sale.payments[0].status, 'confirmed');
+    assert.equal(sale.status, 'completed');
+  });
+
+  it('leaves the sale awaiting payment and flags a short payment', async () => {
+    await handleStkCallback(callback(100));
+
+    assert.equal(tx.status, 'completed');
+    assert.equal(tx.amountReceived, 100);
+    assert.equal(tx.amountMismatch, true);
+    assert.equal(sale.payments[0].status, 'pending');
+    assert.deepEqual([sale.status, sale.paymentStatus], ['pending', 'awaiting_payment']);
+  });
+
+  it('flags a short payment the callback reports after a status query confirmed it', async () => {
+    Object.assign(tx, { status: 'completed', mpesaReceiptNumber: 'NLJ7RT61SV' });
+
+    const result = await handleStkCallback(callback(100));
+
+    assert.equal(result.duplicate, true);
+    assert.equal(tx.amountMismatch, true);
+    assert.equal(tx.save.mock.callCount(), 1);
+  });
+});
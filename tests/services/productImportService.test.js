@@ -0,0 +1,70 @@
+// tests/services/productImportService.test.js
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  readSpreadsheet,
+  resolveColumnMapping,
+  buildProductRow,
+  buildProductSpreadsheet
+} from '../../src/services/productImportService.js';
+
+const csv = (text) => Buffer.from(text);
+
+describe('product spreadsheets', () => {
+  it('reads CSV cells as text so leading zeros survive, dropping blank rows', async () => {
+    const { headers, rows } = await readSpreadsheet(csv('SKU,Product Name,Pack Size\n00123,Paracetamol 500mg,100\n,,\n'), 'csv');
+
+    assert.deepEqual(headers, ['SKU', 'Product Name', 'Pack Size']);
+    assert.deepEqual(rows, [{ rowNumber: 2, values: { SKU: '00123', 'Product Name': 'Paracetamol 500mg', 'Pack Size': '100' } }]);
+  });
+
+  it('matches headers by name or alias, an explicit mapping first', () => {
+    const headers = ['SKU', 'Item', 'Cost Price', 'Retail', 'Notes'];
+
+    const { mapping, unknownColumns, unmappedHeaders } = resolveColumnMapping(headers, { sellingPricePerPack: 'Retail', colour: 'Notes' });
+
+    assert.deepEqual(mapping, { sellingPricePerPack: 'Retail', sku: 'SKU', name: 'Item', costPerPack: 'Cost Price' });
+    assert.deepEqual(unknownColumns, ['colour']);
+    assert.deepEqual(unmappedHeaders, ['Notes']);
+  });
+
+  it('types each cell and reports the ones it cannot read', () => {
+    const mapping = { sku: 'SKU', costPerPack: 'Cost', isPrescriptionRequired: 'Rx', expiryDate: 'Expiry', fullPacks: 'Packs', name: 'Name' };
+
+    const { data, errors, hasStock } = buildProductRow(
+      { SKU: 'amx-250', Cost: '1,250.50', Rx: 'yes', Expiry: 'soon', Packs: '12', Name: '' },
+      mapping
+    );
+
+    assert.deepEqual(data, {
+      sku: 'AMX-250',
+      pricing: { costPerPack: 1250.5 },
+      stock: { fullPacks: 12 },
+      isPrescriptionRequired: true
+    });
+    assert.deepEqual(errors, ['expiryDate: "soon" is not a date']);
+    assert.equal(hasStock, true);
+  });
+
+  it('exports files the import reads back as they were', async () => {
+    const product = {
+      sku: '00123',
+      name: 'Paracetamol 500mg',
+      unitType: 'Tablets',
+      pricing: { unitsPerPack: 100, costPerPack: 250, sellingPricePerPack: 400 },
+      stock: { fullPacks: 12, looseUnits: 30 },
+      expiryDate: new Date('2027-05-31T00:00:00Z')
+    };
+
+    for (const format of ['csv', 'xlsx']) {
+      const { headers, rows } = await readSpreadsheet(await buildProductSpreadsheet([product], format), format);
+      const { data } = buildProductRow(rows[0].values, resolveColumnMapping(headers).mapping);
+
+      assert.equal(data.sku, '00123', format);
+      assert.equal(data.name, 'Paracetamol 500mg', format);
+      assert.deepEqual(data.pricing, { unitsPerPack: 100, costPerPack: 250, sellingPricePerPack: 400 }, format);
+      assert.deepEqual(data.stock, { fullPacks: 12, looseUnits: 30 }, format);
+      assert.equal(data.expiryDate.toISOString().slice(0, 10), '2027-05-31', format);
+    }
+  });
+});
@@ -0,0 +1,44 @@
+// tests/services/receipt/escposRenderer.test.js
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildReceipt } from '../../../src/services/receiptService.js';
+import { renderEscPos } from '../../../src/services/receipt/escposRenderer.js';
+
+// FS p 1 0 - print the logo stored in the printer's NV slot 1
+const PRINT_STORED_LOGO = Buffer.from([0x1c, 0x70, 0x01, 0x00]);
+
+const sale = {
+  receiptNumber: 'RCT-000042',
+  status: 'completed',
+  createdAt: new Date('2026-03-02T07:30:00Z'),
+  items: [{ productName: 'Paracetamol 500mg', quantity: 20, packs: 2, packPrice: 50, unitPrice: 5, sellAs: 'pack', total: 100 }],
+  subtotal: 100,
+  totalAmount: 100,
+  payments: [{ method: 'cash', amount: 100 }],
+  reprints: []
+};
+
+const pharmacy = (settings = {}) => ({
+  name: 'Uzima Pharmacy',
+  branding: { logo: 'https://res.cloudinary.com/demo/image/upload/logo.png' },
+  settings
+});
+
+describe('renderEscPos', () => {
+  it('does not ask the printer for a stored logo just because one was uploaded', () => {
+    const bytes = renderEscPos(buildReceipt(sale, pharmacy()));
+    assert.equal(bytes.includes(PRINT_STORED_LOGO), false);
+  });
+
+  it('prints the stored logo once the pharmacy says it is on the printer', () => {
+    const bytes = renderEscPos(buildReceipt(sale, pharmacy({ printStoredLogo: true })));
+    assert.equal(bytes.includes(PRINT_STORED_LOGO), true);
+  });
+
+  it('shows pack sales as packs and stamps copies', () => {
+    const text = renderEscPos(buildReceipt(sale, pharmacy(), { copy: true }), { width: 58 }).toString('latin1');
+    assert.match(text, /\*\*\* COPY \*\*\*/);
+    assert.match(text, /2 pk x/);
+    assert.match(text, /RCT-000042/);
+  });
+});
@@ -0,0 +1,150 @@
+// tests/services/receiptNumberService.test.js
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Counter from '../../src/models/Counter.js';
+import Sale from '../../src/models/Sale.js';
+import {
+  nextReceiptNumber,
+  syncReceiptCounter,
+  fiscalYearLabel,
+  receiptNumberingError
+} from '../../src/services/receiptNumberService.js';
+
+describe('nextReceiptNumber', () => {
+  const session = { id: 'test-session' };
+  let counters;
+
+  const pharmacy = (settings = {}) => ({
+    _id: new mongoose.Types.ObjectId(),
+    settings,
+    etims: { branchId: '01' }
+  });
+
+  let issued;
+
+  beforeEach(() => {
+    counters = new Map();
+    issued = [];
+    mock.method(Counter, 'next', async (pharmacyId, name, scope, counterSession, { start = 0 } = {}) => {
+      const key = `${pharmacyId}:${name}:${scope}`;
+      if (!counters.has(key)) counters.set(key, typeof start === 'function' ? await start() : start);
+      counters.set(key, counters.get(key) + 1);
+      return counters.get(key);
+    });
+    mock.method(Counter, 'updateOne', async ({ pharmacy: pharmacyId, name, scope }, { $max }) => {
+      const key = `${pharmacyId}:${name}:${scope}`;
+      counters.set(key, Math.max(counters.get(key) || 0, $max.seq));
+    });
+    // Receipts on sales already saved, newest match first as the aggregation sorts them
+    mock.method(Sale, 'aggregate', async ([{ $match }]) => issued
+      .filter(receiptNumber => $match.receiptNumber.test(receiptNumber))
+      .sort((a, b) => b.length - a.length || b.localeCompare(a))
+      .slice(0, 1)
+      .map(receiptNumber => ({ receiptNumber })));
+  });
+
+  const issue = async (shop, date) => {
+    const receiptNumber = await nextReceiptNumber(shop, session, date);
+    issued.push(receiptNumber);
+    return receiptNumber;
+  };
+
+  afterEach(() => mock.restoreAll());
+
+  it('numbers receipts one after another without gaps', async () => {
+    const shop = pharmacy();
+
+    const numbers = [];
+    for (let i = 0; i < 3; i++) numbers.push(await nextReceiptNumber(shop, session));
+
+    assert.deepEqual(numbers, ['RCT-000001', 'RCT-000002', 'RCT-000003']);
+    const [pharmacyId, name, scope, counterSession] = Counter.next.mock.calls[0].arguments;
+    assert.deepEqual([pharmacyId, name, scope, counterSession], [shop._id, 'receipt', 'all', session]);
+  });
+
+  it('keeps a separate sequence per pharmacy', async () => {
+    assert.equal(await nextReceiptNumber(pharmacy(), session), 'RCT-000001');
+    assert.equal(await nextReceiptNumber(pharmacy(), session), 'RCT-000001');
+  });
+
+  it('restarts every fiscal year, numbering a sale into the year it was made', async () => {
+    const shop = pharmacy({ receiptNumberFormat: 'INV/{FY}/{SEQ:4}', receiptNumberReset: 'fiscal_year', fiscalYearStartMonth: 7 });
+
+    assert.equal(await nextReceiptNumber(shop, session, new Date('2026-06-30T12:00:00Z')), 'INV/2025-26/0001');
+    assert.equal(await nextReceiptNumber(shop, session, new Date('2026-07-01T12:00:00Z')), 'INV/2026-27/0001');
+    assert.equal(await nextReceiptNumber(shop, session, new Date('2026-07-02T12:00:00Z')), 'INV/2026-27/0002');
+    // An offline sale uploaded after the year turned still belongs to the old one
+    assert.equal(await nextReceiptNumber(shop, session, new Date('2026-06-29T12:00:00Z')), 'INV/2025-26/0002');
+  });
+
+  it('numbers each branch on its own', async () => {
+    const settings = { receiptNumberFormat: '{BRANCH}-{SEQ:5}', receiptNumberPerBranch: true };
+    const shop = pharmacy(settings);
+
+    assert.equal(await nextReceiptNumber(shop, session), '01-00001');
+    assert.equal(await nextReceiptNumber({ ...shop, etims: { branchId: '02' } }, session), '02-00001');
+  });
+
+  it('carries on past numbers already issued when the yearly reset is turned off', async () => {
+    const settings = { receiptNumberFormat: 'INV/{FY}/{SEQ:4}', receiptNumberReset: 'fiscal_year', fiscalYearStartMonth: 7 };
+    const shop = pharmacy(settings);
+    const day = new Date('2026-08-01T12:00:00Z');
+    for (let i = 0; i < 3; i++) await issue(shop, day);
+
+    settings.receiptNumberReset = 'never';
+
+    assert.equal(await issue(shop, day), 'INV/2026-27/0004');
+  });
+
+  it('moves a counter used before past what was issued since it was last used', async () => {
+    const settings = { receiptNumberFormat: 'INV/{FY}/{SEQ:4}', receiptNumberReset: 'never', fiscalYearStartMonth: 7 };
+    const shop = pharmacy(settings);
+    const day = new Date('2026-08-01T12:00:00Z');
+    await issue(shop, day);
+    await issue(shop, day);
+
+    settings.receiptNumberReset = 'fiscal_year';
+    assert.equal(await issue(shop, day), 'INV/2026-27/0003');
+    await issue(shop, day);
+
+    settings.receiptNumberReset = 'never';
+    await syncReceiptCounter(shop, day);
+
+    assert.equal(await issue(shop, day), 'INV/2026-27/0005');
+    assert.equal(new Set(issued).size, issued.length);
+  });
+});
+
+describe('fiscalYearLabel', () => {
+  it("reads the date on the pharmacy's clock", () => {
+    // 23:30 UTC on 30 June is already 1 July in Nairobi
+    assert.equal(fiscalYearLabel(new Date('2026-06-30T23:30:00Z'), 7, 'Africa/Nairobi'), '2026-27');
+    assert.equal(fiscalYearLabel(new Date('2026-06-30T23:30:00Z'), 1, 'Africa/Nairobi'), '2026');
+  });
+});
+
+describe('receiptNumberingError', () => {
+  const settings = (overrides) => ({
+    receiptNumberFormat: 'RCT-{SEQ:6}',
+    receiptNumberReset: 'never',
+    receiptNumberPerBranch: false,
+    fiscalYearStartMonth: 1,
+    ...overrides
+  });
+
+  it('accepts the default numbering', () => {
+    assert.equal(receiptNumberingError(settings()), null);
+  });
+
+  it('refuses settings that could issue the same number twice', () => {
+    assert.match(receiptNumberingError(settings({ receiptNumberFormat: 'RCT' })), /exactly once/);
+    assert.match(receiptNumberingError(settings({ receiptNumberFormat: '{SEQ}-{SEQ}' })), /exactly once/);
+    assert.match(receiptNumberingError(settings({ receiptNumberReset: 'fiscal_year' })), /need \{FY\}/);
+    assert.match(receiptNumberingError(settings({ receiptNumberPerBranch: true })), /needs \{BRANCH\}/);
+  });
+
+  it('lets a calendar fiscal year use {YYYY}', () => {
+    assert.equal(receiptNumberingError(settings({ receiptNumberFormat: '{YYYY}-{SEQ}', receiptNumberReset: 'fiscal_year' })), null);
+  });
+});
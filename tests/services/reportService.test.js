@@ -0,0 +1,108 @@
+// tests/services/reportService.test.js
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Sale from '../../src/models/Sale.js';
+import { buildZReport } from '../../src/services/reportService.js';
+import { query } from '../helpers/mongoose.js';
+
+const { ObjectId } = mongoose.Types;
+
+describe('buildZReport', () => {
+  const pharmacy = new ObjectId();
+  const morning = { _id: new ObjectId(), pharmacy, openingFloat: 1000 };
+  const afternoon = { _id: new ObjectId(), pharmacy, openingFloat: 500 };
+  let sales;
+  let refunded;
+
+  // KES 250 paid with a 300 note; both shifts' own sales are listed by shift
+  const cashSale = (shift, extra = {}) => ({
+    _id: new ObjectId(),
+    receiptNumber: 'RCT-000042',
+    shift: shift._id,
+    status: 'completed',
+    paymentStatus: 'paid',
+    subtotal: 250,
+    totalAmount: 250,
+    taxTotal: 0,
+    changeDue: 50,
+    payments: [{ method: 'cash', amount: 300, status: 'confirmed' }],
+    ...extra
+  });
+
+  beforeEach(() => {
+    sales = [];
+    refunded = [];
+    mock.method(Sale, 'find', (filter) => query(() => {
+      if (filter['refunds.shift']) return refunded;
+      if (filter['voidDetails.shift']) {
+        return sales.filter(sale => String(sale.voidDetails?.shift) === String(filter['voidDetails.shift']) &&
+          String(sale.shift) !== String(filter.shift.$ne) && sale.paymentStatus === 'paid');
+      }
+      return sales.filter(sale => String(sale.shift) === String(filter.shift));
+    }));
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  it('counts the drawer against the float, cash taken net of change and cash paid back', async () => {
+    sales.push(cashSale(morning), cashSale(morning, {
+      receiptNumber: 'RCT-000043',
+      totalAmount: 400,
+      changeDue: 0,
+      payments: [{ method: 'card', amount: 400, status: 'confirmed' }]
+    }));
+    refunded.push({ refunds: [{ shift: morning._id, amount: 100, refundMethod: 'cash', items: [] }] });
+
+    const report = await buildZReport(morning, 1130);
+
+    assert.deepEqual(report.cash, {
+      openingFloat: 1000,
+      cashSales: 250,
+      cashRefunds: 100,
+      cashVoids: 0,
+      expectedCash: 1150,
+      countedCash: 1130,
+      variance: -20,
+      varianceStatus: 'short'
+    });
+  });
+
+  it('keeps a sale voided after its shift closed in the takings of the shift that rang it up', async () => {
+    sales.push(cashSale(morning, { status: 'cancelled', voidDetails: { shift: afternoon._id } }));
+
+    const report = await buildZReport(morning);
+
+    assert.equal(report.sales.count, 1);
+    assert.equal(report.voids.count, 0);
+    assert.equal(report.cash.cashSales, 250);
+    assert.equal(report.cash.expectedCash, 1250);
+  });
+
+  it('takes the pay-back out of the drawer that paid it, as a cross-shift void', async () => {
+    const voided = cashSale(morning, { status: 'cancelled', voidDetails: { shift: afternoon._id } });
+    sales.push(voided, cashSale(afternoon, { receiptNumber: 'RCT-000043' }));
+
+    const report = await buildZReport(afternoon);
+
+    assert.equal(report.sales.count, 1);
+    assert.equal(report.voids.count, 0);
+    assert.equal(report.voids.crossShift.count, 1);
+    assert.equal(report.voids.crossShift.total, 250);
+    assert.deepEqual(report.voids.crossShift.byMethod, { cash: 250 });
+    assert.equal(String(report.voids.crossShift.sales[0].shift), String(morning._id));
+    assert.equal(report.cash.cashVoids, 250);
+    assert.equal(report.cash.expectedCash, 500 + 250 - 250);
+  });
+
+  it('leaves a void inside the same shift out of both takings and pay-backs', async () => {
+    sales.push(cashSale(morning, { status: 'cancelled', voidDetails: { shift: morning._id } }));
+
+    const report = await buildZReport(morning);
+
+    assert.equal(report.sales.count, 0);
+    assert.equal(report.voids.count, 1);
+    assert.equal(report.voids.crossShift.count, 0);
+    assert.equal(report.cash.expectedCash, 1000);
+  });
+});
@@ -0,0 +1,129 @@
+// tests/services/syncService.test.js
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Sale from '../../src/models/Sale.js';
+import Product from '../../src/models/Product.js';
+import Pharmacy from '../../src/models/Pharmacy.js';
+import Shift from '../../src/models/Shift.js';
+import Counter from '../../src/models/Counter.js';
+import InventoryLog from '../../src/models/InventoryLog.js';
+import StaffActivity from '../../src/models/StaffActivity.js';
+import OfflineQueue from '../../src/models/OfflineQueue.js';
+import SyncLog from '../../src/models/SyncLog.js';
+import { syncSalesBatch } from '../../src/services/syncService.js';
+import { query, fakeSession } from '../helpers/mongoose.js';
+
+const { ObjectId } = mongoose.Types;
+
+describe('syncSalesBatch', () => {
+  const pharmacyId = new ObjectId();
+  const attendant = { id: new ObjectId(), tenantId: pharmacyId, role: 'attendant', permissions: {} };
+  let product;
+  let queue;
+  let sales;
+  let seq;
+
+  // Two sales a terminal made while the connection was down, uploaded newest first
+  const batch = (batchId) => ({
+    terminalId: 'T1',
+    batchId,
+    sales: [
+      { clientSaleId: 'T1-0002', soldAt: '2026-03-02T08:05:00Z', items: [{ productId: product._id, quantity: 3 }], paymentMethod: 'cash', amountPaid: 15 },
+      { clientSaleId: 'T1-0001', soldAt: '2026-03-02T08:00:00Z', items: [{ productId: product._id, quantity: 2 }], paymentMethod: 'cash', amountPaid: 10 }
+    ]
+  });
+
+  beforeEach(() => {
+    product = new Product({
+      _id: new ObjectId(),
+      pharmacy: pharmacyId,
+      name: 'Paracetamol 500mg',
+      unitType: 'Tablets',
+      status: 'active',
+      taxClass: 'exempt',
+      pricing: { costPerPack: 30, sellingPricePerPack: 50, unitsPerPack: 10 },
+      stock: { fullPacks: 10, looseUnits: 0 }
+    });
+    queue = new Map();
+    sales = [];
+    seq = 0;
+
+    // In-memory stand-ins for the queue's upsert and the unique index on the terminal's sale id
+    mock.method(OfflineQueue, 'findOneAndUpdate', async (filter, update) => {
+      if (!queue.has(filter.clientSaleId)) {
+        queue.set(filter.clientSaleId, new OfflineQueue({ pharmacy: filter.pharmacy, clientSaleId: filter.clientSaleId, ...update.$setOnInsert }));
+      }
+      return queue.get(filter.clientSaleId);
+    });
+    mock.method(OfflineQueue.prototype, 'save', async function() { return this; });
+    mock.method(SyncLog, 'create', async (doc) => new SyncLog(doc));
+    mock.method(SyncLog.prototype, 'save', async function() { return this; });
+    mock.method(Sale, 'findOne', (filter) => query(() =>
+      sales.find(sale => sale.offline.clientSaleId === filter['offline.clientSaleId']) || null));
+    mock.method(Sale.prototype, 'save', async function() {
+      if (sales.some(sale => sale.offline.clientSaleId === this.offline.clientSaleId)) {
+        throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+      }
+      sales.push(this);
+      return this;
+    });
+    // Not registered for eTIMS in these tests
+    mock.method(Sale, 'findById', () => query(null));
+
+    mock.method(Product, 'findOne', () => query(product));
+    mock.method(Product.prototype, 'save', async function() { return this; });
+    mock.method(Pharmacy, 'findById', () => query({ _id: pharmacyId, settings: {} }));
+    mock.method(Counter, 'next', async () => ++seq);
+    mock.method(Shift, 'findShiftAt', () => query(null));
+    mock.method(InventoryLog, 'create', async () => []);
+    mock.method(StaffActivity, 'log', async () => {});
+    mock.method(mongoose, 'startSession', async () => fakeSession());
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  it('replays sales oldest first', async () => {
+    const { syncLog, results } = await syncSalesBatch(attendant, batch('B1'));
+
+    assert.deepEqual(results.map(result => [result.clientSaleId, result.result, result.receiptNumber]), [
+      ['T1-0001', 'synced', 'RCT-000001'],
+      ['T1-0002', 'synced', 'RCT-000002']
+    ]);
+    assert.equal(product.stock.totalUnits, 95);
+    assert.equal(syncLog.counts.synced, 2);
+    assert.equal(syncLog.status, 'completed');
+  });
+
+  it('answers a re-uploaded batch from what was already synced', async () => {
+    await syncSalesBatch(attendant, batch('B1'));
+
+    const { syncLog, results } = await syncSalesBatch(attendant, batch('B1-retry'));
+
+    assert.deepEqual(results.map(result => [result.result, result.receiptNumber]), [
+      ['duplicate', 'RCT-000001'],
+      ['duplicate', 'RCT-000002']
+    ]);
+    assert.equal(sales.length, 2);
+    assert.equal(seq, 2);
+    assert.equal(product.stock.totalUnits, 95);
+    assert.equal(syncLog.counts.duplicate, 2);
+  });
+
+  it('reports a sale another upload committed first as a duplicate', async () => {
+    // The other upload's sale lands after this one checked for it, so only the unique index catches it
+    let checks = 0;
+    Sale.findOne.mock.mockImplementation((filter) => query(() => {
+      checks += 1;
+      return checks === 1 ? null : sales.find(sale => sale.offline.clientSaleId === filter['offline.clientSaleId']);
+    }));
+    sales.push({ _id: new ObjectId(), receiptNumber: 'RCT-000009', offline: { clientSaleId: 'T1-0001' } });
+
+    const { results } = await syncSalesBatch(attendant, { ...batch('B1'), sales: batch('B1').sales.slice(1) });
+
+    assert.equal(results[0].result, 'duplicate');
+    assert.equal(results[0].receiptNumber, 'RCT-000009');
+    assert.equal(queue.get('T1-0001').status, 'synced');
+    assert.equal(sales.length, 1);
+  });
+});
@@ -0,0 +1,42 @@
+// tests/utils/barcodeUtils.test.js
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseGs1, barcodeCandidates } from '../../src/utils/barcodeUtils.js';
+
+describe('parseGs1', () => {
+  it('reads a raw DataMatrix scan with a group separator after the batch', () => {
+    const fields = parseGs1(']d2010614141234567917270531' + '10AB123\x1d' + '21SN0001');
+
+    assert.deepEqual(fields, {
+      gtin: '06141412345679',
+      expiryDate: new Date(Date.UTC(2027, 4, 31)),
+      batchNumber: 'AB123',
+      serialNumber: 'SN0001'
+    });
+  });
+
+  it('reads the bracketed form printed under the code', () => {
+    const fields = parseGs1('(01)06141412345679(17)270500(10)AB123');
+
+    assert.equal(fields.gtin, '06141412345679');
+    assert.equal(fields.batchNumber, 'AB123');
+    // Day 00 means the end of the month
+    assert.deepEqual(fields.expiryDate, new Date(Date.UTC(2027, 4, 31)));
+  });
+
+  it('leaves plain barcodes alone', () => {
+    assert.equal(parseGs1('6141412345679'), null);
+    assert.equal(parseGs1('PCM-500'), null);
+  });
+});
+
+describe('barcodeCandidates', () => {
+  it('matches a GTIN stored in any of its lengths', () => {
+    assert.deepEqual(barcodeCandidates('06141412345679').sort(), ['06141412345679', '6141412345679'].sort());
+    assert.deepEqual(barcodeCandidates(' 6141412345679 ').sort(), ['06141412345679', '6141412345679'].sort());
+  });
+
+  it('keeps other codes as typed', () => {
+    assert.deepEqual(barcodeCandidates('PCM-500'), ['PCM-500']);
+  });
+});
@@ -0,0 +1,41 @@
+// tests/utils/conflictResolver.test.js
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { orderForReplay, describeConflicts } from '../../src/utils/conflictResolver.js';
+
+describe('orderForReplay', () => {
+  it('replays sales in the order they were made, ties broken by the terminal sale id', () => {
+    const sales = [
+      { clientSaleId: 'T1-0003', soldAt: '2026-03-02T09:00:00Z' },
+      { clientSaleId: 'T1-0002', soldAt: '2026-03-02T08:00:00Z' },
+      { clientSaleId: 'T1-0001', soldAt: '2026-03-02T08:00:00Z' }
+    ];
+
+    assert.deepEqual(orderForReplay(sales).map(sale => sale.clientSaleId), ['T1-0001', 'T1-0002', 'T1-0003']);
+    assert.equal(sales[0].clientSaleId, 'T1-0003');
+  });
+});
+
+describe('describeConflicts', () => {
+  it('describes shortages, kept prices and shift problems', () => {
+    const conflicts = describeConflicts({
+      stockWarnings: [
+        { product: 'Amoxil 250mg', requested: 20, available: 5, deficit: 15 },
+        { product: 'Paracetamol 500mg', requested: 2, available: 10, deficit: 0 }
+      ],
+      priceChanges: [{ product: 'p1', productName: 'Zinc', sellAs: 'pack', chargedPrice: 90, currentPrice: 100 }],
+      shiftConflict: 'no_shift'
+    });
+
+    assert.deepEqual(conflicts.map(conflict => [conflict.type, conflict.resolution]), [
+      ['stock', 'reconciliation'],
+      ['price', 'charged_price_kept'],
+      ['shift', 'left_unassigned']
+    ]);
+    assert.match(conflicts[0].message, /short by 15/);
+  });
+
+  it('reports nothing for a clean replay', () => {
+    assert.deepEqual(describeConflicts({ stockWarnings: [], priceChanges: [] }), []);
+  });
+});
@@ -0,0 +1,42 @@
+// tests/utils/revenueUtils.test.js
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { netSaleAmount, netLineQuantity, netLineTotal } from '../../src/utils/revenueUtils.js';
+
+// Evaluates the handful of aggregation operators the expressions use against one document
+const evaluate = (expression, doc) => {
+  if (typeof expression === 'string' && expression.startsWith('$')) {
+    return expression.slice(1).split('.').reduce((value, key) => value?.[key], doc);
+  }
+  if (typeof expression !== 'object' || expression === null) return expression;
+
+  const [[operator, args]] = Object.entries(expression);
+  const [a, b] = args.map(arg => evaluate(arg, doc));
+  switch (operator) {
+    case '$subtract': return a - b;
+    case '$multiply': return a * b;
+    case '$divide': return a / b;
+    case '$ifNull': return a ?? b;
+    default: throw new Error(`Unsupported operator ${operator}`);
+  }
+};
+
+describe('revenue expressions', () => {
+  it('takes partial refunds off the sale total', () => {
+    assert.equal(evaluate(netSaleAmount, { totalAmount: 500, refundedAmount: 120 }), 380);
+    assert.equal(evaluate(netSaleAmount, { totalAmount: 500 }), 500);
+  });
+
+  it('takes returned units off a line at the price charged', () => {
+    // 3 tablets returned from a line of 10 that was charged 45 after its discount
+    const unwound = { items: { quantity: 10, refundedQuantity: 3, total: 45 } };
+    assert.equal(evaluate(netLineQuantity, unwound), 7);
+    assert.equal(Math.round(evaluate(netLineTotal, unwound) * 100) / 100, 31.5);
+  });
+
+  it('leaves lines with nothing refunded alone', () => {
+    const unwound = { items: { quantity: 4, total: 200 } };
+    assert.equal(evaluate(netLineQuantity, unwound), 4);
+    assert.equal(evaluate(netLineTotal, unwound), 200);
+  });
+});
@@ -0,0 +1,58 @@
+// tests/utils/taxUtils.test.js
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { applyTax, defaultTaxClass } from '../../src/utils/taxUtils.js';
+
+describe('applyTax', () => {
+  const basket = () => [
+    { productName: 'Paracetamol 500mg', taxClass: 'exempt', total: 100 },
+    { productName: 'Surgical gloves', taxClass: 'standard', total: 116 },
+    { productName: 'Bandage', taxClass: 'standard', total: 58 },
+    { productName: 'Infant formula', taxClass: 'zero_rated', total: 200 }
+  ];
+
+  it('backs VAT out of tax-inclusive prices', () => {
+    const lines = basket();
+
+    const { taxTotal, taxBreakdown } = applyTax(lines, { taxRate: 16, pricesIncludeTax: true });
+
+    assert.deepEqual(lines.map(line => [line.total, line.taxRate, line.taxAmount]), [
+      [100, 0, 0],
+      [116, 16, 16],
+      [58, 16, 8],
+      [200, 0, 0]
+    ]);
+    assert.equal(taxTotal, 24);
+    assert.deepEqual(taxBreakdown, [
+      { taxClass: 'exempt', rate: 0, taxableAmount: 100, taxAmount: 0 },
+      { taxClass: 'standard', rate: 16, taxableAmount: 150, taxAmount: 24 },
+      { taxClass: 'zero_rated', rate: 0, taxableAmount: 200, taxAmount: 0 }
+    ]);
+  });
+
+  it('adds VAT on top of tax-exclusive prices', () => {
+    const lines = [{ taxClass: 'standard', total: 100 }];
+
+    const { taxTotal, taxBreakdown } = applyTax(lines, { taxRate: 16, pricesIncludeTax: false });
+
+    assert.equal(lines[0].total, 116);
+    assert.equal(taxTotal, 16);
+    assert.equal(taxBreakdown[0].taxableAmount, 100);
+  });
+
+  it('treats an unclassified line as exempt', () => {
+    const lines = [{ total: 50 }];
+
+    applyTax(lines, { taxRate: 16, pricesIncludeTax: true });
+
+    assert.equal(lines[0].taxClass, 'exempt');
+    assert.equal(lines[0].taxAmount, 0);
+  });
+});
+
+describe('defaultTaxClass', () => {
+  it('charges VAT on medical supplies and exempts medicines', () => {
+    assert.equal(defaultTaxClass('Medical Supply'), 'standard');
+    assert.equal(defaultTaxClass('OTC'), 'exempt');
+  });
+});